@@ -0,0 +1,313 @@
+/**
+ * Abstract Analysis
+ *
+ * Offline heuristics over PubMed abstracts: NLM section categories for
+ * labeled sections, the sentences that carry an article's findings, and
+ * PICO elements (population, intervention, comparison, outcome) with sample
+ * size and reported effect sizes. Everything is pattern-based: good enough
+ * to triage and summarize articles, not a substitute for reading them.
+ * NLM categories: https://www.nlm.nih.gov/bsd/policy/structured_abstracts.html
+ */
+
+import { splitSentences } from './text-analysis.js';
+
+export const ABSTRACT_CATEGORIES = ['BACKGROUND', 'OBJECTIVE', 'METHODS', 'RESULTS', 'CONCLUSIONS', 'UNASSIGNED'];
+
+// Map section labels onto NLM categories when the record does not carry one
+const LABEL_CATEGORIES = [
+  { category: 'BACKGROUND', pattern: /^(background|introduction|context|rationale|importance)/i },
+  { category: 'OBJECTIVE', pattern: /^(objectives?|aims?|purpose|goals?|hypothes[ie]s|study question)/i },
+  { category: 'METHODS', pattern: /^(methods?|materials|design|setting|participants|patients|subjects|population|interventions?|measurements?|(main )?outcome measures?|data (sources|extraction|synthesis)|study (selection|design)|eligibility)/i },
+  { category: 'RESULTS', pattern: /^(results?|findings|main results)/i },
+  { category: 'CONCLUSIONS', pattern: /^(conclusions?|interpretation|implications|summary|recommendations?|discussion)/i },
+];
+
+// Effect measures; abbreviations match case-sensitively so that "or" is not an odds ratio
+const EFFECT_MEASURES = [
+  { measure: 'OR', names: ['adjusted odds ratio', 'odds ratio'], abbreviations: ['aOR', 'OR'] },
+  { measure: 'RR', names: ['relative risk', 'risk ratio'], abbreviations: ['RR'] },
+  { measure: 'HR', names: ['adjusted hazard ratio', 'hazard ratio'], abbreviations: ['aHR', 'HR'] },
+  { measure: 'IRR', names: ['incidence rate ratio', 'rate ratio'], abbreviations: ['IRR'] },
+  { measure: 'SMD', names: ['standardized mean difference', 'standardised mean difference'], abbreviations: ['SMD'] },
+  { measure: 'MD', names: ['weighted mean difference', 'mean difference'], abbreviations: ['WMD', 'MD'] },
+  { measure: 'ARR', names: ['absolute risk reduction'], abbreviations: ['ARR'] },
+  { measure: 'NNT', names: ['number needed to treat'], abbreviations: ['NNT'] },
+];
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?';
+const P_VALUE = /\b[Pp](?:\s*-?\s*value)?\s*(<=|>=|≤|≥|=|<|>)\s*(0?\.\d+|[01](?:\.\d+)?)(?!\d|\.\d)/g;
+
+const PEOPLE = 'patients?|participants|adults|children|adolescents|infants|neonates|women|woman|men|man|girls?|boys?|subjects|individuals|people|persons|volunteers|carriers|families|pregnancies|cases';
+
+// Words that end a population's noun phrase when walking back from the noun
+const PHRASE_STOPS = new Set(`a an the of in on at to for from with and or among including included enrolled
+recruited randomized randomised we our this these total cohort sample series study trial were was all`.split(/\s+/));
+
+/**
+ * NLM category for an abstract section label
+ * @param {string} label - Section label, e.g. "AIMS" or "Main results"
+ * @returns {string} One of ABSTRACT_CATEGORIES; '' for an unlabeled section
+ */
+export function categorizeAbstractLabel(label) {
+  if (!label?.trim()) return '';
+  return LABEL_CATEGORIES.find(c => c.pattern.test(label.trim()))?.category || 'UNASSIGNED';
+}
+
+/**
+ * Sentences stating an article's findings
+ *
+ * Structured abstracts give their CONCLUSIONS first, then RESULTS.
+ * Unstructured abstracts give the sentences that read like findings,
+ * else their closing sentences.
+ *
+ * @param {object} article - Article record with abstractSections or abstract
+ * @param {number} maxSentences - Sentences to return (default: 2)
+ * @returns {string[]} Sentences, verbatim from the abstract
+ */
+export function abstractFindings(article, maxSentences = 2) {
+  const sections = abstractSectionsOf(article);
+  const byCategory = category => sections
+    .filter(s => s.nlmCategory === category)
+    .flatMap(s => splitSentences(s.text));
+
+  const structured = [...byCategory('CONCLUSIONS'), ...byCategory('RESULTS')];
+  if (structured.length) return structured.slice(0, maxSentences);
+
+  const sentences = sections.filter(s => !s.nlmCategory).flatMap(s => splitSentences(s.text));
+  const findings = sentences.filter(s => FINDING_CUES.test(s));
+  return (findings.length ? findings.slice(0, maxSentences) : sentences.slice(-maxSentences));
+}
+
+const FINDING_CUES = /\b(associated|reduced|increased|improved|decreased|lower|higher|longer|shorter|significant(ly)?|effective|conclude[ds]?|suggests?|found|showed|resulted|recurred|detected|ratio|CI|p\s*[<=])\b/i;
+
+/**
+ * Extract PICO elements, sample size and effect sizes from an abstract
+ *
+ * @param {object} article - Article record (title, abstractSections or abstract, publicationTypes)
+ * @returns {object} { population, intervention, comparison, outcome, sampleSize, effects, pValues };
+ *   text fields are null when not found. Effects: { measure, value, ci: { level, lower, upper } | null,
+ *   pValue: { operator, value } | null, text }
+ */
+export function extractPico(article) {
+  const sections = abstractSectionsOf(article);
+  const inCategories = (...categories) => sections
+    .filter(s => categories.includes(s.nlmCategory))
+    .map(s => normalizeNumbers(s.text))
+    .join(' ');
+  const all = normalizeNumbers(sections.map(s => s.text).join(' '));
+  const methods = inCategories('METHODS', 'OBJECTIVE');
+  const results = inCategories('RESULTS', 'CONCLUSIONS');
+  const title = normalizeNumbers(article.title || '');
+
+  const arms = findArms(all) || findArms(title) || {};
+  const effects = findEffects(all);
+
+  return {
+    population: findPopulation(methods) || findPopulation(all) || findPopulation(title),
+    intervention: arms.intervention || titleIntervention(title, article.publicationTypes),
+    comparison: arms.comparison || (/placebo[- ]controlled/i.test(all) ? 'placebo' : null),
+    outcome: statedOutcome(all) || reportedOutcome(results || all),
+    sampleSize: findSampleSize(methods) ?? findSampleSize(all),
+    effects,
+    pValues: [...all.matchAll(P_VALUE)].map(toPValue),
+  };
+}
+
+/**
+ * Format an effect for display, e.g. "HR 0.45 (95% CI 0.25 to 0.8; P = 0.006)"
+ * @param {object} effect - Effect from extractPico
+ * @returns {string} Short description
+ */
+export function formatEffect(effect) {
+  const details = [];
+  if (effect.ci) details.push(`${effect.ci.level ? `${effect.ci.level}% ` : ''}CI ${effect.ci.lower} to ${effect.ci.upper}`);
+  if (effect.pValue) details.push(`P ${effect.pValue.operator} ${effect.pValue.value}`);
+  return `${effect.measure} ${effect.value}${details.length ? ` (${details.join('; ')})` : ''}`;
+}
+
+/**
+ * Format PICO fields as short "P: …" lines, skipping empty fields
+ * @param {object} pico - Result of extractPico
+ * @returns {string[]} Lines
+ */
+export function formatPico(pico) {
+  if (!pico) return [];
+  const stated = pico.population?.replace(/,/g, '').includes(String(pico.sampleSize));
+  const lines = [
+    ['Population', pico.population && `${pico.population}${pico.sampleSize && !stated ? ` (n=${pico.sampleSize})` : ''}`],
+    ['Intervention', pico.intervention],
+    ['Comparison', pico.comparison],
+    ['Outcome', pico.outcome],
+    ['Effects', pico.effects.map(formatEffect).join('; ')],
+  ];
+  if (!pico.population && pico.sampleSize) lines[0][1] = `n=${pico.sampleSize}`;
+  return lines.filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`);
+}
+
+// Helper: Sections with a category, from the record or inferred; plain abstracts become one section
+function abstractSectionsOf(article) {
+  const sections = article.abstractSections?.length
+    ? article.abstractSections
+    : [{ label: '', text: article.abstract || '' }];
+  return sections
+    .filter(s => s.text)
+    .map(s => ({ ...s, nlmCategory: s.nlmCategory || categorizeAbstractLabel(s.label) }));
+}
+
+// Helper: Lancet-style middle-dot decimals and Unicode minus signs
+function normalizeNumbers(text) {
+  return text.replace(/(\d)·(\d)/g, '$1.$2').replace(/−/g, '-');
+}
+
+function findPopulation(text) {
+  if (!text) return null;
+  const noun = new RegExp(`\\b(${PEOPLE})\\b`, 'i').exec(text);
+  if (!noun) return null;
+
+  // Walk back over modifiers ("412 MEN1", "older"), stopping at function words and punctuation
+  const before = text.slice(0, noun.index).split(/\s+/).filter(Boolean);
+  const modifiers = [];
+  while (before.length && modifiers.length < 4) {
+    const word = before[before.length - 1];
+    if (/[.,;:()]$/.test(word) || PHRASE_STOPS.has(word.toLowerCase())) break;
+    modifiers.unshift(before.pop());
+  }
+
+  // Then forward over a qualifying clause ("with MEN1 and small pancreatic tumours")
+  const rest = text.slice(noun.index + noun[0].length);
+  const qualifier = rest.match(/^\s+(?:with|aged|undergoing|receiving|diagnosed|at|on|after|having|of|treated)\b[^.;:()]*?(?=\s+(?:were|was|are|is|who|whose|had|has|have|received|underwent|randomi[sz]ed|enrolled|completed|showed|from|in whom|to(?!\s+\d))\b|[.;:()]|,\s|$)/i);
+
+  return truncate([...modifiers, noun[0]].join(' ') + (qualifier ? qualifier[0] : ''));
+}
+
+function findArms(text) {
+  if (!text) return null;
+  const randomized = text.match(/\brandomi[sz]ed\b[^.;]*?\b(?:to|into|between)\s+(?:receive\s+)?(?:either\s+)?(.+?)\s+(?:or|versus|vs\.?|and)\s+(.+?)(?=[.;]|,\s|\s+(?:for|until|at|every|during|in)\b|$)/i);
+  if (randomized) return { intervention: truncate(randomized[1]), comparison: truncate(randomized[2]) };
+
+  const versus = text.match(/(?:^|:\s*|\b(?:of|with|comparing|received)\s+)([^,;:.()]+?)\s+(?:versus|vs\.?|compared (?:with|to))\s+([^,;:.()]+?)(?=\s+(?:for|in|among|on|as|after|at|was|were|to)\b|[,;:.()]|$)/i);
+  if (versus) return { intervention: truncate(versus[1]), comparison: truncate(versus[2]) };
+  return null;
+}
+
+// Helper: "Drug X for condition Y" titles of trials and reviews
+function titleIntervention(title, publicationTypes = []) {
+  if (!publicationTypes.some(type => /trial|comparative study|meta-analysis|systematic review/i.test(type))) return null;
+  const match = title.match(/^(.+?)\s+(?:for|in the (?:treatment|management|prevention) of)\s+/i);
+  return match && !/\b(guideline|review|study|trial|analysis|evidence)\b/i.test(match[1]) ? truncate(match[1]) : null;
+}
+
+// Helper: "The primary endpoint was …"
+function statedOutcome(text) {
+  const stated = text.match(/\b(?:primary|main|principal) (?:end ?point|outcome(?: measure)?)s?\b[^.;]*?\b(?:was|were|is|included)\s+(?:the\s+)?([^.;()]+?)(?=[.;(]|,\s|$)/i);
+  return stated ? truncate(stated[1]) : null;
+}
+
+// Helper: The measure a finding is about, when no outcome is stated
+function reportedOutcome(text) {
+  if (!text) return null;
+  // "Progression-free survival was longer …", "… were associated with earlier tumours"
+  const associated = text.match(/\b(?:was|were) (?:significantly |independently )?associated with (?:an? )?(?:(?:higher|lower|increased|reduced|greater) (?:risk|rates?|odds|incidence) of )?([^.;,()]+?)(?=[.;,()]|\s+(?:in|among|than|compared)\b|$)/i);
+  if (associated) return truncate(associated[1]);
+  const subject = text.match(/(?:^|[.;]\s+)([A-Z][^.;,()]{2,60}?)\s+(?:was|were)\s+(?:(?:significantly|not|also|markedly)\s+)*(?:longer|shorter|higher|lower|greater|smaller|improved|reduced|increased|decreased|better|worse|similar|prolonged)\b/);
+  if (subject) return truncate(subject[1]);
+  const rate = text.match(/\b(?:risk|incidence|rates?|odds|time to|duration of)\s+(?:of\s+)?([a-z][\w -]{2,40}?)(?=[.;,()]|\s+(?:was|were|in|among|by|with|at)\b)/i);
+  return rate ? truncate(rate[1]) : null;
+}
+
+// Helper: Largest stated sample size; explicit counts ("n=", "enrolled 120") win over "45 patients"
+function findSampleSize(text) {
+  if (!text) return null;
+  // "1,204" or "45", but not a year that opens a clause ("In 2019, 45 patients")
+  const count = '(?!(?:19|20)\\d{2},)(\\d{1,3}(?:,\\d{3})+|\\d+)(?![\\d,]\\d)';
+  const tiers = [
+    [
+      new RegExp(`\\bn\\s*=\\s*${count}`, 'gi'),
+      new RegExp(`\\b(?:total of|cohort of|sample of|series of|enrolled|recruited|included|randomi[sz]ed|analy[sz]ed)\\s+${count}`, 'gi'),
+    ],
+    [new RegExp(`\\b${count}\\s+(?:[A-Za-z0-9-]+\\s+){0,3}?(?:${PEOPLE})\\b`, 'gi')],
+  ];
+  for (const patterns of tiers) {
+    const sizes = patterns
+      .flatMap(pattern => [...text.matchAll(pattern)])
+      .map(match => Number(match[1].replace(/,/g, '')))
+      .filter(n => Number.isInteger(n) && n > 0);
+    if (sizes.length) return Math.max(...sizes);
+  }
+  return null;
+}
+
+// Helper: Effect measures in order of appearance, each read from the text up to the next one
+function findEffects(text) {
+  const mentions = [];
+  for (const { measure, names, abbreviations } of EFFECT_MEASURES) {
+    const patterns = [
+      new RegExp(`\\b(?:${names.join('|')})\\b`, 'gi'),
+      new RegExp(`\\b(?:${abbreviations.join('|')})\\b`, 'g'),
+    ];
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        mentions.push({ measure, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+  // Overlapping mentions ("adjusted odds ratio" and "odds ratio"): keep the longest
+  mentions.sort((a, b) => a.start - b.start || b.end - a.end);
+  const distinct = mentions.filter((m, i) => !mentions.slice(0, i).some(o => m.start < o.end));
+
+  const effects = [];
+  let start = null;
+  distinct.forEach((mention, i) => {
+    // "odds ratio (OR) 2.1": the value follows the abbreviation, the text starts at the name
+    start ??= mention.start;
+    const limit = Math.min(distinct[i + 1]?.start ?? text.length, mention.end + 160);
+    let window = text.slice(mention.end, limit);
+    const sentenceEnd = window.search(/\.\s+[A-Z]/);
+    if (sentenceEnd >= 0) window = window.slice(0, sentenceEnd);
+
+    const value = new RegExp(`^[^\\d;.]{0,25}?(${NUMBER})(?![\\d.]|\\s*%)`).exec(window);
+    if (!value) {
+      if (distinct[i + 1]?.measure !== mention.measure) start = null;
+      return;
+    }
+    const after = window.slice(value[0].length);
+
+    const labeled = new RegExp(`^[^\\d]{0,15}?(\\d{2}(?:\\.\\d+)?)\\s*%\\s*(?:CI|CrI|confidence interval)[^\\d-]{0,6}?(${NUMBER})\\s*(?:-|–|—|to|,)\\s*(${NUMBER})`, 'i').exec(after);
+    const bare = new RegExp(`^\\s*[(\\[]\\s*(${NUMBER})\\s*(?:-|–|—|to|,)\\s*(${NUMBER})\\s*[)\\]]`).exec(after);
+    const ci = labeled
+      ? { level: Number(labeled[1]), lower: Number(labeled[2]), upper: Number(labeled[3]) }
+      : bare ? { level: null, lower: Number(bare[1]), upper: Number(bare[2]) } : null;
+
+    const p = [...after.matchAll(P_VALUE)][0];
+    const consumed = Math.max((labeled || bare)?.[0].length || 0, p ? p.index + p[0].length : 0);
+
+    effects.push({
+      measure: mention.measure,
+      value: Number(value[1]),
+      ci,
+      pValue: p ? toPValue(p) : null,
+      text: text.slice(start, mention.end + value[0].length + consumed).trim(),
+    });
+    start = null;
+  });
+  return effects;
+}
+
+function toPValue(match) {
+  return { operator: match[1].replace('<=', '≤').replace('>=', '≥'), value: Number(match[2]) };
+}
+
+function truncate(value, max = 120) {
+  const text = value?.trim().replace(/\s+/g, ' ');
+  if (!text) return null;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+export default {
+  ABSTRACT_CATEGORIES,
+  categorizeAbstractLabel,
+  abstractFindings,
+  extractPico,
+  formatEffect,
+  formatPico,
+};
@@ -0,0 +1,314 @@
+/**
+ * Batch Search
+ *
+ * Literature pulls for a list of diseases or PubMed queries. Items run
+ * concurrently up to a limit; every request still goes through the shared
+ * E-utilities scheduler, so NCBI's rate limit holds however many run at
+ * once. Each finished item produces flat rows (one per article) and a
+ * summary, written as JSONL or CSV. A progress file of summaries lets an
+ * interrupted run resume where it stopped.
+ */
+
+import { readFile, writeFile, rename } from 'fs/promises';
+
+import { iterateSearch, resolveDiseaseQuery } from './pubmed-client.js';
+import { allOf, renderQuery, parseQuery } from './query-builder.js';
+import { normalizeFilters, buildFilterQuery } from './search-filters.js';
+import { getIntentFilters } from './intent-classifier.js';
+import { rankArticles, TIER_NAMES } from './evidence-ranker.js';
+
+export const BATCH_FORMATS = ['jsonl', 'csv'];
+
+// One row per item and article; list values are joined with "; " in CSV
+export const BATCH_COLUMNS = [
+  'input', 'type', 'query', 'rank', 'pmid', 'title', 'journal', 'pubDate', 'year', 'authors', 'doi', 'pmcid',
+  'publicationTypes', 'meshTerms', 'evidence', 'trialIds', 'abstract', 'url',
+];
+
+// Items in flight at once; more only queue on the scheduler
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Parse a batch input file: one disease per line, or a PubMed query after "query:"
+ *
+ * Blank lines and lines starting with "#" are skipped; repeated lines run once.
+ *
+ * @param {string} text - Input text
+ * @param {object} options - Parse options
+ * @param {boolean} options.queries - Treat every line as a PubMed query
+ * @returns {object[]} Items { input, type: 'disease' | 'query', text }
+ */
+export function parseBatchInput(text, options = {}) {
+  const { queries = false } = options;
+  const items = new Map();
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || items.has(line)) continue;
+
+    const prefixed = line.match(/^query:\s*(.*)$/i);
+    const itemText = prefixed ? prefixed[1].trim() : line;
+    if (!itemText) continue;
+    items.set(line, { input: line, type: queries || prefixed ? 'query' : 'disease', text: itemText });
+  }
+  return [...items.values()];
+}
+
+/**
+ * Run a batch of searches
+ *
+ * Items start in input order and finish in any order. `onItem` is called
+ * once per item as it finishes, one call at a time, so writes from
+ * concurrent items never interleave. A failed item is reported with its
+ * error and does not stop the batch.
+ *
+ * @param {object[]} items - Items from parseBatchInput
+ * @param {object} options - Batch options
+ * @param {number} options.concurrency - Items searched at once (default: 3, at most 10)
+ * @param {number} options.maxResults - Articles per item (default: 20, at most 10,000)
+ * @param {object} options.filters - Search filters for every item (see normalizeFilters)
+ * @param {string|string[]} options.intent - Question intent(s) for disease items
+ * @param {number} options.recentYears - Limit disease items to the last N years
+ * @param {string} options.minEvidence - Drop articles below this evidence tier
+ * @param {boolean} options.includeAbstracts - Fetch abstracts (default: true)
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @param {Function} options.onItem - Called with { item, rows, summary } as each item finishes
+ * @param {AbortSignal} options.signal - Stops starting new items; items in flight finish
+ * @returns {Promise<object[]>} Summaries in order of completion (see onItem)
+ */
+export async function runBatch(items, options = {}) {
+  const { concurrency = 3, maxResults = 20, minEvidence = null, intent = [], onItem, signal, ...rest } = options;
+
+  // Validate before any network work
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new Error(`concurrency must be an integer from 1 to ${MAX_CONCURRENCY}, got ${concurrency}`);
+  }
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 10000) {
+    throw new Error(`maxResults must be an integer from 1 to 10000, got ${maxResults}`);
+  }
+  if (minEvidence && !TIER_NAMES.includes(minEvidence)) {
+    throw new Error(`Unknown evidence tier: ${minEvidence} (expected one of ${TIER_NAMES.join(', ')})`);
+  }
+  const intents = [].concat(intent).filter(Boolean);
+  if (intents.length) getIntentFilters(intents);
+  const filters = normalizeFilters(rest.filters);
+  const searchOptions = { ...rest, filters, intent: intents, maxResults, minEvidence };
+
+  const summaries = [];
+  let next = 0;
+  let reporting = Promise.resolve();
+
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next++];
+      const started = Date.now();
+      let rows = [];
+      let summary;
+      try {
+        const result = await searchItem(item, searchOptions);
+        rows = batchRows(item, result);
+        summary = {
+          input: item.input,
+          type: item.type,
+          status: 'ok',
+          query: result.query,
+          mesh: result.mesh?.name || null,
+          totalResults: result.totalResults,
+          articles: rows.length,
+          error: null,
+        };
+      } catch (error) {
+        summary = {
+          input: item.input,
+          type: item.type,
+          status: 'failed',
+          query: null,
+          mesh: null,
+          totalResults: null,
+          articles: 0,
+          error: error.message,
+        };
+      }
+      summary.ms = Date.now() - started;
+      summary.finishedAt = new Date().toISOString();
+      summaries.push(summary);
+
+      reporting = reporting.then(() => onItem?.({ item, rows, summary }));
+      await reporting;
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return summaries;
+}
+
+/**
+ * Format one row for output
+ * @param {object} row - Row with BATCH_COLUMNS fields
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {string} One line, without the newline
+ */
+export function formatBatchRow(row, format) {
+  if (format === 'jsonl') return JSON.stringify(row);
+  if (format === 'csv') return formatCsvLine(BATCH_COLUMNS.map(column => row[column]));
+  throw new Error(`Unknown batch format: ${format} (expected one of ${BATCH_FORMATS.join(', ')})`);
+}
+
+/**
+ * CSV header line
+ * @returns {string} Column names, without the newline
+ */
+export function batchCsvHeader() {
+  return formatCsvLine(BATCH_COLUMNS);
+}
+
+/**
+ * Load a progress file written during a batch run
+ * @param {string} file - Progress file (JSONL of summaries); a missing file is no progress
+ * @returns {Promise<Map<string, object>>} Latest summary per input
+ */
+export async function loadBatchProgress(file) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const progress = new Map();
+  for (const line of raw.split('\n')) {
+    const summary = parseJsonLine(line);
+    if (summary?.input) progress.set(summary.input, summary);
+  }
+  return progress;
+}
+
+/**
+ * Drop the rows of unfinished items from an output file before resuming
+ *
+ * An interrupted run can leave rows of an item that never reached the
+ * progress file, or half a line. Both are removed so that the resumed run
+ * writes each item exactly once.
+ *
+ * @param {string} file - Output file
+ * @param {string} format - 'jsonl' or 'csv'
+ * @param {Set<string>} finished - Inputs whose rows are complete
+ * @returns {Promise<number>} Lines removed
+ */
+export async function pruneBatchOutput(file, format, finished) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  // The last line is complete only if the file ends with a newline
+  const lines = raw.split('\n');
+  const partial = lines.pop();
+  const header = format === 'csv' && lines[0] === batchCsvHeader() ? [lines.shift()] : [];
+  const kept = lines.filter(line => finished.has(rowInput(line, format)));
+  const removed = lines.length - kept.length + (partial ? 1 : 0);
+
+  if (removed) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, [...header, ...kept].map(line => `${line}\n`).join(''));
+    await rename(tmp, file);
+  }
+  return removed;
+}
+
+// Helper: Search one item and rank its articles, keeping PubMed's order
+async function searchItem(item, options) {
+  const { maxResults, includeAbstracts = true, cache = true, minEvidence, filters } = options;
+
+  let query;
+  let mesh = null;
+  if (item.type === 'disease') {
+    ({ query, mesh } = await resolveDiseaseQuery(item.text, options));
+  } else {
+    const parsed = parseQuery(item.text);
+    const filterClause = buildFilterQuery(filters);
+    query = filterClause ? renderQuery(allOf(parsed, filterClause)) : item.text;
+  }
+
+  const articles = [];
+  let totalResults = 0;
+  for await (const batch of iterateSearch(query, {
+    batchSize: Math.min(maxResults, 200),
+    maxRecords: maxResults,
+    includeAbstracts,
+    cache,
+  })) {
+    totalResults = batch.count;
+    articles.push(...batch.articles);
+  }
+
+  return {
+    query,
+    mesh,
+    totalResults,
+    articles: rankArticles(articles, { terms: [item.text, mesh?.name].filter(Boolean), minEvidence, reorder: false }),
+  };
+}
+
+function batchRows(item, result) {
+  return result.articles.map((article, i) => ({
+    input: item.input,
+    type: item.type,
+    query: result.query,
+    rank: i + 1,
+    pmid: article.pmid,
+    title: article.title,
+    journal: article.journal,
+    pubDate: article.pubDate,
+    year: article.pubDate?.match(/\d{4}/)?.[0] || null,
+    authors: [].concat(article.authors || []),
+    doi: article.doi || null,
+    pmcid: article.pmcid || null,
+    publicationTypes: article.publicationTypes || [],
+    meshTerms: article.meshTerms || [],
+    evidence: article.evidence?.tier || null,
+    trialIds: article.trialIds || [],
+    abstract: article.abstract || null,
+    url: article.pubmedUrl,
+  }));
+}
+
+// Helper: RFC 4180 quoting; line breaks inside values become spaces so each row is one line
+function formatCsvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    const text = (Array.isArray(value) ? value.join('; ') : String(value)).replace(/\s*\r?\n\s*/g, ' ');
+    return /[",]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+// Helper: The input column of an output line, or null if the line is malformed
+function rowInput(line, format) {
+  if (format === 'jsonl') return parseJsonLine(line)?.input ?? null;
+  const match = line.match(/^"((?:[^"]|"")*)"(?:,|$)|^([^,"]*)(?:,|$)/);
+  if (!match) return null;
+  return match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2];
+}
+
+function parseJsonLine(line) {
+  try {
+    return line.trim() ? JSON.parse(line) : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  BATCH_FORMATS,
+  BATCH_COLUMNS,
+  parseBatchInput,
+  runBatch,
+  formatBatchRow,
+  batchCsvHeader,
+  loadBatchProgress,
+  pruneBatchOutput,
+};
@@ -9,11 +9,47 @@
  * 
  * Usage:
  *   node src/chatbot.js
+ *   node src/chatbot.js --full-text
+ *   node src/chatbot.js --trials
+ *   node src/chatbot.js --citation-style vancouver
+ *   node src/chatbot.js --context-tokens 3000
+ *   node src/chatbot.js --provider anthropic --model claude-sonnet-4-5
+ *   node src/chatbot.js --session ~/.men1-chat.json
  *   echo "What are the treatments for MEN1?" | node src/chatbot.js
  */
 
 import { searchByDisease } from './pubmed-client.js';
+import { getFullTextForArticles } from './pmc-client.js';
+import { formatCitation, CITATION_STYLES } from './citation-formatter.js';
+import { providerFromEnv } from './llm-providers.js';
+import { verifyAnswer } from './grounding-verifier.js';
+import { classifyIntent } from './intent-classifier.js';
+import { retrievePassages } from './passage-retriever.js';
+import { abstractFindings } from './abstract-analysis.js';
+import { screenQuestion } from './safety-guardrails.js';
+import { searchTrials, linkTrialsToArticles, formatTrials, ONGOING_STATUSES } from './trials-client.js';
+import {
+  createSession,
+  resolveFollowUp,
+  getTopicArticles,
+  getLastSearch,
+  recordSearch,
+  recordTurn,
+  formatHistory,
+  loadSession,
+  saveSession,
+} from './conversation-session.js';
 import { createInterface } from 'readline';
+import { pathToFileURL } from 'url';
+
+// Articles retrieved per answer
+const ARTICLES_PER_ANSWER = 5;
+
+// Prompt tokens spent on article passages
+const CONTEXT_TOKENS = 2000;
+
+// Ongoing trials listed under an answer
+const TRIALS_PER_ANSWER = 3;
 
 // Simple disease name extraction from questions
 function extractDiseaseName(question) {
@@ -38,35 +74,21 @@ function extractDiseaseName(question) {
   return question.replace(/\?/g, '').trim();
 }
 
-// Format articles for context
-function formatArticlesForContext(articles) {
-  return articles.map((article, i) => `
-[Article ${i + 1}]
-Title: ${article.title}
-Authors: ${article.authors?.slice(0, 3).join(', ') || 'N/A'}
-Journal: ${article.journal} (${article.pubDate})
-PMID: ${article.pmid}
-MeSH Terms: ${article.meshTerms?.slice(0, 5).join(', ') || 'N/A'}
-
-Abstract:
-${article.abstract || 'No abstract available'}
-`).join('\n---\n');
-}
-
 // Generate a prompt for the LLM
-function generatePrompt(question, articles) {
-  const context = formatArticlesForContext(articles);
+function generatePrompt(question, context, history = '', instructions = []) {
+  const conversation = history ? `CONVERSATION SO FAR:\n${history}\n\n` : '';
+  const guardrails = instructions.map(instruction => `\n- ${instruction}`).join('');
   
   return `You are a medical information assistant. Based on the following PubMed articles, answer the user's question. 
 
 Important guidelines:
 - Only provide information that is supported by the articles below
-- Cite the relevant PMID when making claims
+- Cite the [PMID:xxxx] marker of the passage that supports each claim
 - If the articles don't contain relevant information, say so
 - Include a disclaimer that this is for informational purposes only
-- Be accurate and cite sources
+- Be accurate and cite sources${guardrails}
 
-ARTICLES FROM PUBMED:
+${conversation}PASSAGES FROM PUBMED ARTICLES:
 ${context}
 
 USER QUESTION: ${question}
@@ -75,53 +97,222 @@ Please provide a helpful, evidence-based response:`;
 }
 
 // Main chatbot function
-async function answerQuestion(question) {
-  console.log('\n🔍 Analyzing question...\n');
+//
+// options.provider: an LLM provider (see llm-providers.js), null for the
+// extractive answer, or undefined to pick one from the environment.
+// options.onToken: called with each streamed chunk of the LLM answer.
+// options.session: conversation session (see conversation-session.js); when
+// given, follow-ups resolve to the active topic and the turn is recorded.
+// options.tokenBudget: prompt tokens for the retrieved passages.
+// options.onProgress: called with (stage, message) at each step; defaults to
+// printing the message.
+// options.signal: AbortSignal that cancels the LLM stream.
+// options.trials: append an "Ongoing trials" block from ClinicalTrials.gov.
+// options.guardrails: { policies, redact } for the safety screen (see
+// safety-guardrails.js). Only the redacted question is searched, logged,
+// prompted or stored in the session.
+export async function answerQuestion(rawQuestion, options = {}) {
+  const { fullText = false, citationStyle = 'ama', onToken, session, tokenBudget = CONTEXT_TOKENS, signal, trials = false } = options;
+  const provider = options.provider === undefined ? providerFromEnv() : options.provider;
+  const progress = options.onProgress || ((stage, message) => console.log(message));
+  checkCitationStyle(citationStyle);
+
+  progress('analyze', '\n🔍 Analyzing question...\n');
+
+  // Redact identifiers and screen for emergencies and personal medical advice
+  const screen = screenQuestion(rawQuestion, options.guardrails);
+  const question = screen.question;
+  const guardrails = { action: screen.action, category: screen.category, redactions: screen.redactions, decisions: screen.decisions };
+  if (screen.redactions.length) {
+    progress('guardrail', `🔒 Redacted ${screen.redactions.map(r => `${r.count} ${r.type}`).join(', ')}`);
+  }
+  if (screen.action === 'respond') {
+    // No search and no LLM call: the policy message is the whole answer
+    progress('guardrail', `🛑 Guardrail: ${screen.category}\n`);
+    return { answer: screen.message, sources: [], query: null, guardrails };
+  }
+  if (screen.action === 'caution') progress('guardrail', `⚠️  Guardrail: ${screen.category}`);
   
-  // Extract disease name from question
-  const disease = extractDiseaseName(question);
-  console.log(`📋 Detected topic: "${disease}"`);
+  // Extract disease name from question, resolving "it"/"this disease" to the active topic
+  const resolved = session
+    ? resolveFollowUp(session, question, extractDiseaseName(question))
+    : { topic: extractDiseaseName(question), question, followUp: false, wantsMore: false };
+  const disease = resolved.topic;
+  progress('topic', `📋 Detected topic: "${disease}"${resolved.followUp ? ' (follow-up)' : ''}`);
+
+  // What the question asks about selects subheadings and Clinical Queries filters
+  const { intents } = classifyIntent(resolved.question);
+  progress('intent', `🎯 Intent: ${intents.length ? intents.join(', ') : 'general'}`);
   
-  // Search PubMed
-  console.log('📚 Searching PubMed...\n');
-  const results = await searchByDisease(disease, {
-    maxResults: 5,
-    includeAbstracts: true,
-    recentYears: 5, // Focus on recent research
-  });
+  // Follow-ups reuse the articles already shown for the same intent, unless more were asked for
+  const previous = resolved.followUp ? getLastSearch(session, disease, intents) : null;
+  const reusable = previous ? getTopicArticles(session, disease, intents).slice(-2 * ARTICLES_PER_ANSWER) : [];
+  const exhausted = previous?.hasMore === false;
+
+  let results;
+  if (reusable.length && (!resolved.wantsMore || exhausted)) {
+    progress('search', `📚 Reusing ${reusable.length} articles from earlier in the conversation\n`);
+    results = { query: previous.query, mesh: previous.mesh, articles: reusable };
+  } else {
+    // Search PubMed (the next page when extending a topic)
+    progress('search', '📚 Searching PubMed...\n');
+    results = await searchByDisease(disease, {
+      maxResults: ARTICLES_PER_ANSWER,
+      page: previous ? previous.page + 1 : 1,
+      intent: intents,
+      includeAbstracts: true,
+      recentYears: 5, // Focus on recent research
+    });
+    if (session && results.articles.length) recordSearch(session, disease, results);
+  }
 
   if (results.articles.length === 0) {
     return {
       answer: `I couldn't find any recent PubMed articles about "${disease}". Please try rephrasing your question or using a different disease name.`,
       sources: [],
       query: results.query,
+      guardrails,
     };
   }
 
-  console.log(`Found ${results.articles.length} relevant articles\n`);
+  progress('found', `Found ${results.articles.length} relevant articles\n`);
+
+  // Add open-access full text to the passages retrieval can choose from
+  let docs = new Map();
+  if (fullText) {
+    progress('full-text', '📑 Checking PubMed Central for full text...');
+    try {
+      docs = await getFullTextForArticles(results.articles);
+      progress('full-text', `Found full text for ${docs.size} of ${results.articles.length} articles\n`);
+    } catch (error) {
+      progress('full-text', `Full text unavailable (${error.message}), using abstracts only\n`);
+    }
+  }
+
+  // Keep only the passages that best answer the question, within the token budget
+  const retrieval = retrievePassages(resolved.question, results.articles, {
+    fullText: docs,
+    meshTerms: [results.mesh?.name].filter(Boolean),
+    tokenBudget,
+  });
+  progress('passages', `🧩 Selected ${retrieval.passages.length} of ${retrieval.candidates} passages (~${retrieval.tokens} tokens)\n`);
+
+  const fullTextSections = new Map();
+  for (const passage of retrieval.passages.filter(p => p.source === 'full-text')) {
+    const sections = fullTextSections.get(passage.pmid) || [];
+    sections.push({ title: passage.section, kind: passage.kind, text: passage.text });
+    fullTextSections.set(passage.pmid, sections);
+  }
 
   // Generate the LLM prompt
-  const prompt = generatePrompt(question, results.articles);
+  const history = session ? formatHistory(session) : '';
+  const prompt = generatePrompt(resolved.question, retrieval.context, history, screen.instructions);
   
-  // For the POC, we'll output the prompt and articles
-  // In production, this would call an LLM API
-  const synthesizedAnswer = synthesizeBasicAnswer(question, results.articles);
+  // Synthesize with the LLM when one is configured, otherwise extract
+  let answer;
+  const synthesis = { method: 'extractive', provider: null, model: null };
+
+  if (provider) {
+    progress('generate', `🤖 Generating answer with ${provider.name} (${provider.model})...\n`);
+    try {
+      let text = '';
+      let streaming = false;
+      for await (const chunk of provider.stream(prompt, { signal })) {
+        text += chunk;
+        // Stream the answer as it is returned, without leading whitespace, so
+        // the streamed text is always a prefix of `answer`
+        const piece = streaming ? chunk : text.trimStart();
+        if (!piece) continue;
+        // The caution notice leads the streamed answer too
+        if (!streaming && screen.action === 'caution') onToken?.(`${screen.message}\n\n`);
+        streaming = true;
+        onToken?.(piece);
+      }
+      if (!text.trim()) throw new Error('empty response');
+      answer = text.trim() + formatSourcesList(results.articles, citationStyle);
+      Object.assign(synthesis, { method: 'llm', provider: provider.name, model: provider.model });
+    } catch (error) {
+      progress('fallback', `\nLLM unavailable (${error.message}), using extractive answer\n`);
+      synthesis.error = error.message;
+    }
+  }
+
+  if (!answer) {
+    answer = synthesizeBasicAnswer(question, results.articles, { citationStyle });
+  }
+
+  // Check every cited PMID and claim against the retrieved articles
+  const grounding = verifyAnswer(answer, results.articles, { fullTextSections });
+  if (screen.action === 'caution') answer = `${screen.message}\n\n${answer}`;
+
+  // Registry listings are not claims, so they follow the grounding check
+  let ongoingTrials = null;
+  if (trials) {
+    progress('trials', '🧪 Checking ClinicalTrials.gov for ongoing trials...');
+    try {
+      const search = await searchTrials(results.mesh?.name || disease, {
+        statuses: ONGOING_STATUSES,
+        maxResults: TRIALS_PER_ANSWER,
+      });
+      ongoingTrials = linkTrialsToArticles(search.trials, results.articles);
+      if (ongoingTrials.length) {
+        answer += `\n\n**Ongoing trials (ClinicalTrials.gov):**\n${formatTrials(ongoingTrials)}`;
+      }
+      progress('trials', `Found ${search.totalCount ?? ongoingTrials.length} ongoing trials\n`);
+    } catch (error) {
+      progress('trials', `Trials unavailable (${error.message})\n`);
+    }
+  }
+
+  if (session) {
+    recordTurn(session, {
+      question,
+      resolvedQuestion: resolved.question,
+      topic: disease,
+      mesh: results.mesh || null,
+      answer,
+      pmids: results.articles.map(a => a.pmid),
+    });
+  }
 
   return {
-    answer: synthesizedAnswer,
+    answer,
     sources: results.articles.map(a => ({
       title: a.title,
       pmid: a.pmid,
       url: a.pubmedUrl,
       journal: a.journal,
+      citation: formatCitation(a, citationStyle),
+      evidence: a.evidence?.tier || null,
+      fullText: fullTextSections.has(a.pmid),
     })),
     query: results.query,
-    llmPrompt: prompt, // For integration with actual LLM
+    topic: disease,
+    intents,
+    followUp: resolved.followUp,
+    resolvedQuestion: resolved.question,
+    fullTextSections: Object.fromEntries(fullTextSections),
+    passages: retrieval.passages.map(({ id, pmid, source, section, text, score, bm25, meshOverlap, tokens }) => ({
+      id, pmid, source, section, text, score, bm25, meshOverlap, tokens,
+    })),
+    context: { tokens: retrieval.tokens, tokenBudget: retrieval.tokenBudget, candidates: retrieval.candidates },
+    llmPrompt: prompt,
+    synthesis,
+    grounding,
+    trials: ongoingTrials,
+    guardrails,
   };
 }
 
+// Helper: Reject a citation style the sources list cannot use, before any search
+function checkCitationStyle(style) {
+  if (!CITATION_STYLES.includes(style)) {
+    throw new Error(`Unknown citation style: ${style} (expected one of ${CITATION_STYLES.join(', ')})`);
+  }
+}
+
 // Basic answer synthesis (without LLM - for POC demo)
-function synthesizeBasicAnswer(question, articles) {
+function synthesizeBasicAnswer(question, articles, { citationStyle = 'ama' } = {}) {
   const topArticle = articles[0];
   
   let answer = `Based on ${articles.length} recent PubMed articles about this topic:\n\n`;
@@ -130,25 +321,70 @@ function synthesizeBasicAnswer(question, articles) {
   answer += `**Key Research Findings:**\n\n`;
   
   for (const article of articles.slice(0, 3)) {
-    if (article.abstract) {
-      // Extract first 1-2 sentences from abstract
-      const sentences = article.abstract.split(/\. /).slice(0, 2).join('. ');
-      answer += `• ${sentences}. (PMID: ${article.pmid})\n\n`;
+    // Results and conclusions rather than the background the abstract opens with
+    const findings = abstractFindings(article).join(' ').replace(/\.$/, '');
+    if (findings) {
+      answer += `• ${findings}. (PMID: ${article.pmid})\n\n`;
     }
   }
   
-  answer += `\n**Sources:**\n`;
-  for (const article of articles) {
-    answer += `- ${article.title} (${article.journal}, ${article.pubDate}) - ${article.pubmedUrl}\n`;
-  }
-  
-  answer += `\n⚠️ **Disclaimer:** This information is from research articles for educational purposes only. Consult a healthcare provider for medical advice.`;
+  answer += formatSourcesList(articles, citationStyle);
+  answer += `\n\n⚠️ **Disclaimer:** This information is from research articles for educational purposes only. Consult a healthcare provider for medical advice.`;
   
   return answer;
 }
 
+// Numbered source list appended to every answer
+function formatSourcesList(articles, citationStyle) {
+  const lines = articles.map((article, i) =>
+    `${i + 1}. ${formatCitation(article, citationStyle)} ${article.pubmedUrl}`
+  );
+  return `\n\n**Sources:**\n${lines.join('\n')}`;
+}
+
+// Answer a question, streaming LLM tokens to stdout as they arrive
+async function answerAndPrint(question, options) {
+  let streamed = '';
+  const result = await answerQuestion(question, {
+    ...options,
+    onToken: chunk => {
+      if (!streamed) console.log('\n📖 Answer:\n');
+      streamed += chunk;
+      process.stdout.write(chunk);
+    },
+  });
+
+  if (result.synthesis?.method === 'llm' && streamed) {
+    // The streamed text (a prefix of the answer) is already on screen; print what follows it
+    console.log(result.answer.slice(streamed.trimEnd().length));
+  } else {
+    console.log('\n📖 Answer:\n');
+    console.log(result.answer);
+  }
+  if (result.grounding) printGrounding(result.grounding);
+  return result;
+}
+
+// Mark claims the verifier could not match to their cited articles
+function printGrounding(grounding) {
+  const { totals } = grounding;
+  const cited = totals.claims - totals.uncited;
+  console.log(`\n🔎 Grounding: ${grounding.verdict} (${totals.supported}/${cited} cited claims supported)`);
+
+  for (const claim of grounding.claims) {
+    if (claim.status === 'invalid-citation' || claim.unknownPmids.length) {
+      console.log(`  ❌ Cites PMID ${claim.unknownPmids.join(', ')}, which is not among the sources: "${claim.text}"`);
+    } else if (claim.status === 'unsupported') {
+      console.log(`  ⚠️  Not supported by PMID ${claim.pmids.join(', ')}: "${claim.text}"`);
+    } else if (claim.status === 'weak') {
+      const numbers = claim.missingNumbers.length ? `; ${claim.missingNumbers.join(', ')} not found in source` : '';
+      console.log(`  ⚠️  Weakly supported (${claim.support}${numbers}): "${claim.text}"`);
+    }
+  }
+}
+
 // Interactive REPL mode
-async function runInteractive() {
+async function runInteractive(options) {
   const rl = createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -156,7 +392,11 @@ async function runInteractive() {
 
   console.log('\n🏥 Medical Chatbot POC');
   console.log('Ask questions about diseases and get answers based on PubMed research.');
-  console.log('Type "quit" to exit.\n');
+  console.log('Follow-up questions ("how is it treated?") stay on the current topic.');
+  console.log('Type "new" to start a new conversation, "quit" to exit.\n');
+  if (options.session.turns.length) {
+    console.log(`Resumed session: ${options.session.turns.length} turns, topic "${options.session.topic}"\n`);
+  }
 
   const askQuestion = () => {
     rl.question('You: ', async (input) => {
@@ -173,10 +413,17 @@ async function runInteractive() {
         return;
       }
 
+      if (question.toLowerCase() === 'new') {
+        options.session = createSession();
+        await persistSession(options);
+        console.log('\nStarted a new conversation.\n');
+        askQuestion();
+        return;
+      }
+
       try {
-        const result = await answerQuestion(question);
-        console.log('\n📖 Answer:\n');
-        console.log(result.answer);
+        await answerAndPrint(question, options);
+        await persistSession(options);
         console.log('\n' + '─'.repeat(60) + '\n');
       } catch (error) {
         console.error(`\nError: ${error.message}\n`);
@@ -189,11 +436,44 @@ async function runInteractive() {
   askQuestion();
 }
 
+async function persistSession({ session, sessionFile }) {
+  if (sessionFile) await saveSession(session, sessionFile);
+}
+
 // Check if running from pipe or interactive
 async function main() {
+  const args = process.argv.slice(2);
+  const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  let provider;
+  let session;
+  const sessionFile = argValue('--session');
+  const tokenBudget = argValue('--context-tokens') ? Number(argValue('--context-tokens')) : undefined;
+  try {
+    provider = providerFromEnv(process.env, { provider: argValue('--provider'), model: argValue('--model') });
+    if (tokenBudget !== undefined && !(tokenBudget > 0)) {
+      throw new Error(`--context-tokens must be a positive number, got "${argValue('--context-tokens')}"`);
+    }
+    checkCitationStyle(argValue('--citation-style') || 'ama');
+    session = sessionFile ? await loadSession(sessionFile) : createSession();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const options = {
+    fullText: args.includes('--full-text'),
+    trials: args.includes('--trials'),
+    citationStyle: argValue('--citation-style') || 'ama',
+    tokenBudget,
+    provider,
+    session,
+    sessionFile,
+  };
+
   // Check if stdin is a TTY (interactive) or piped
   if (process.stdin.isTTY) {
-    await runInteractive();
+    await runInteractive(options);
   } else {
     // Read from stdin (piped input)
     let input = '';
@@ -204,9 +484,8 @@ async function main() {
     const question = input.trim();
     if (question) {
       try {
-        const result = await answerQuestion(question);
-        console.log('\n📖 Answer:\n');
-        console.log(result.answer);
+        const result = await answerAndPrint(question, options);
+        await persistSession(options);
         
         // Also output JSON for programmatic use
         if (process.env.JSON_OUTPUT) {
@@ -221,4 +500,7 @@ async function main() {
   }
 }
 
-main();
+// Run only when executed directly, not when imported (e.g. by the HTTP server)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,393 @@
+/**
+ * Citation Formatter
+ *
+ * Renders article records (from fetchDetails or fetchSummaries) as
+ * reference-list entries and reference-manager exports.
+ *
+ * Styles:  AMA (11th ed.), APA (7th ed.), Vancouver (ICMJE), NLM (Citing Medicine)
+ * Exports: BibTeX, RIS, CSL-JSON
+ */
+
+export const CITATION_STYLES = ['ama', 'apa', 'vancouver', 'nlm'];
+export const EXPORT_FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Format one article in a citation style
+ * @param {object} article - Article record
+ * @param {string} style - ama, apa, vancouver or nlm (default: ama)
+ * @returns {string} Formatted reference
+ */
+export function formatCitation(article, style = 'ama') {
+  const formatter = STYLE_FORMATTERS[style.toLowerCase()];
+  if (!formatter) {
+    throw new Error(`Unknown citation style: ${style} (expected one of ${[...CITATION_STYLES, ...EXPORT_FORMATS].join(', ')})`);
+  }
+  return formatter(normalizeArticle(article));
+}
+
+/**
+ * Format a list of articles as a reference list or export file
+ *
+ * Citation styles produce a numbered list; export formats produce the
+ * file contents (BibTeX entries, an RIS file or a CSL-JSON array).
+ *
+ * @param {object[]} articles - Article records
+ * @param {string} style - Citation style or export format (default: ama)
+ * @returns {string} Formatted references
+ */
+export function formatCitations(articles, style = 'ama') {
+  const key = style.toLowerCase();
+
+  if (key === 'csl-json') {
+    return JSON.stringify(articles.map(toCslJson), null, 2);
+  }
+  if (key === 'bibtex') {
+    // Same author, year and title word would collide: smith2020menina, smith2020meninb
+    const records = articles.map(normalizeArticle);
+    const keys = uniqueKeys(records.map(bibtexKey));
+    return records.map((a, i) => STYLE_FORMATTERS.bibtex(a, keys[i])).join('\n\n') + '\n';
+  }
+  if (key === 'ris') {
+    return articles.map(a => formatCitation(a, key)).join('\n\n') + '\n';
+  }
+  return articles.map((a, i) => `${i + 1}. ${formatCitation(a, key)}`).join('\n');
+}
+
+/**
+ * Convert an article to a CSL-JSON item (for Zotero, Mendeley, citeproc)
+ * @param {object} article - Article record
+ * @returns {object} CSL-JSON item
+ */
+export function toCslJson(article) {
+  const a = normalizeArticle(article);
+  const item = {
+    id: a.pmid ? `pmid:${a.pmid}` : a.doi,
+    type: 'article-journal',
+    title: stripFinalPeriod(a.title),
+    'container-title': a.journal,
+    'container-title-short': a.journalAbbreviation || undefined,
+    author: a.authors.map(p => (p.literal ? { literal: p.literal } : { family: p.family, given: p.given || dottedInitials(p.initials) })),
+    issued: a.year ? { 'date-parts': [[a.year, a.month, a.day].filter(Boolean)] } : undefined,
+    volume: a.volume || undefined,
+    issue: a.issue || undefined,
+    page: a.pages ? expandPageRange(a.pages) : undefined,
+    DOI: a.doi || undefined,
+    PMID: a.pmid || undefined,
+    PMCID: a.pmcid || undefined,
+    URL: a.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${a.pmid}/` : undefined,
+  };
+  return JSON.parse(JSON.stringify(item));
+}
+
+const STYLE_FORMATTERS = {
+  // Smith J, Doe AB, Roe C. Title. J Abbrev. 2020;12(3):100-110. doi:10.1000/xyz
+  // More than 6 authors: first 3, et al.
+  ama(a) {
+    const authors = a.authors.length > 6
+      ? `${a.authors.slice(0, 3).map(vancouverName).join(', ')}, et al.`
+      : `${a.authors.map(vancouverName).join(', ')}${a.authors.length ? '.' : ''}`;
+    const source = `${a.journalAbbreviation || a.journal}. ${a.year || 'n.d.'}${volumeIssuePages(a, expandPageRange)}`;
+    return joinParts([
+      authors,
+      sentence(a.title),
+      `${source}.`,
+      a.doi ? `doi:${a.doi}` : '',
+    ]);
+  },
+
+  // Smith, J., Doe, A. B., & Roe, C. (2020). Title. Journal Name, 12(3), 100–110. https://doi.org/10.1000/xyz
+  // More than 20 authors: first 19, ellipsis, last
+  apa(a) {
+    const names = a.authors.map(apaName);
+    let authors;
+    if (names.length > 20) {
+      authors = `${names.slice(0, 19).join(', ')}, . . . ${names.at(-1)}`;
+    } else if (names.length > 1) {
+      authors = `${names.slice(0, -1).join(', ')}, & ${names.at(-1)}`;
+    } else {
+      authors = names[0] || '';
+    }
+
+    let source = a.journal;
+    if (a.volume) source += `, ${a.volume}${a.issue ? `(${a.issue})` : ''}`;
+    if (a.pages) source += `, ${expandPageRange(a.pages).replace('-', '–')}`;
+
+    const title = sentence(a.title);
+    return joinParts([
+      authors ? `${authors} (${a.year || 'n.d.'}).` : '',
+      authors ? title : `${title} (${a.year || 'n.d.'}).`,
+      `${source}.`,
+      a.doi ? `https://doi.org/${a.doi}` : '',
+    ]);
+  },
+
+  // Smith J, Doe AB, Roe C, et al. Title. J Abbrev. 2020;12(3):100-10. doi: 10.1000/xyz
+  // More than 6 authors: first 6, et al.
+  vancouver(a) {
+    const authors = a.authors.length > 6
+      ? `${a.authors.slice(0, 6).map(vancouverName).join(', ')}, et al.`
+      : `${a.authors.map(vancouverName).join(', ')}${a.authors.length ? '.' : ''}`;
+    const source = `${a.journalAbbreviation || a.journal}. ${a.year || ''}${volumeIssuePages(a)}`;
+    return joinParts([
+      authors,
+      sentence(a.title),
+      `${source}.`,
+      a.doi ? `doi: ${a.doi}` : '',
+    ]);
+  },
+
+  // As shown on PubMed: all authors, month in the date, PMID/PMCID trailer
+  nlm(a) {
+    const authors = a.authors.map(vancouverName).join(', ');
+    const date = [a.year, a.month ? capitalize(MONTHS[a.month - 1]) : '', a.day || ''].filter(Boolean).join(' ');
+    const source = `${a.journalAbbreviation || a.journal}. ${date}${volumeIssuePages(a)}`;
+    return joinParts([
+      authors ? `${authors}.` : '',
+      sentence(a.title),
+      `${source}.`,
+      a.doi ? `doi: ${a.doi}.` : '',
+      a.pmid ? `PMID: ${a.pmid}${a.pmcid ? `; PMCID: ${a.pmcid}` : ''}.` : '',
+    ]);
+  },
+
+  bibtex(a, key = bibtexKey(a)) {
+    const authors = a.authors.map(p => {
+      if (p.literal) return `{${escapeBibtex(p.literal)}}`;
+      const given = p.given || dottedInitials(p.initials);
+      return given ? `${escapeBibtex(p.family)}, ${escapeBibtex(given)}` : escapeBibtex(p.family);
+    });
+    const fields = [
+      ['author', authors.join(' and ')],
+      ['title', stripFinalPeriod(a.title)],
+      ['journal', a.journal],
+      ['year', a.year ? String(a.year) : ''],
+      ['month', a.month ? MONTHS[a.month - 1] : ''],
+      ['volume', a.volume],
+      ['number', a.issue],
+      ['pages', a.pages ? expandPageRange(a.pages).replace('-', '--') : ''],
+      ['doi', a.doi],
+      ['pmid', a.pmid],
+      ['pmcid', a.pmcid],
+    ].filter(([, value]) => value);
+
+    // Double braces keep the title's capitalization (gene names, acronyms)
+    const body = fields
+      .map(([name, value]) => {
+        if (name === 'author') return `  author = {${value}}`;
+        if (name === 'title') return `  title = {{${escapeBibtex(value)}}}`;
+        return `  ${name} = {${escapeBibtex(value)}}`;
+      })
+      .join(',\n');
+    return `@article{${key},\n${body}\n}`;
+  },
+
+  ris(a) {
+    const [startPage, endPage] = a.pages ? expandPageRange(a.pages).split('-') : [];
+    const lines = [
+      ['TY', 'JOUR'],
+      ...a.authors.map(p => ['AU', p.literal || `${p.family}, ${p.given || dottedInitials(p.initials)}`]),
+      ['TI', stripFinalPeriod(a.title)],
+      ['T2', a.journal],
+      ['J2', a.journalAbbreviation],
+      ['PY', a.year ? String(a.year) : ''],
+      ['DA', a.year ? [a.year, a.month && String(a.month).padStart(2, '0'), a.day && String(a.day).padStart(2, '0')].filter(Boolean).join('/') : ''],
+      ['VL', a.volume],
+      ['IS', a.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['DO', a.doi],
+      ['AN', a.pmid],
+      ['UR', a.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${a.pmid}/` : ''],
+      ['ER', ''],
+    ].filter(([tag, value]) => value || tag === 'ER');
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`).join('\n');
+  },
+
+  'csl-json'(a) {
+    return JSON.stringify(toCslJson(a), null, 2);
+  },
+};
+
+// Helper: Bring detail and summary records to one shape
+function normalizeArticle(article) {
+  if (article.__normalized) return article;
+
+  const { year, month, day } = parseDate(article.pubDate || '');
+  return {
+    __normalized: true,
+    pmid: article.pmid || '',
+    pmcid: article.pmcid || '',
+    title: (article.title || '').trim(),
+    journal: article.journal || '',
+    journalAbbreviation: article.journalAbbreviation || '',
+    volume: article.volume || '',
+    issue: article.issue || '',
+    pages: article.pages || '',
+    doi: normalizeDoi(article.doi),
+    year,
+    month,
+    day,
+    authors: normalizeAuthors(article),
+  };
+}
+
+// Helper: Authors as { family, given, initials } or { literal } for groups
+function normalizeAuthors(article) {
+  if (article.authorList?.length) {
+    return article.authorList.map(author => {
+      if (author.collectiveName) return { literal: author.collectiveName };
+      return {
+        family: [author.lastName, author.suffix].filter(Boolean).join(' '),
+        given: author.foreName || '',
+        initials: author.initials || initialsOf(author.foreName || ''),
+      };
+    });
+  }
+
+  // Fallback for plain "Smith JA" / "Smith John" name strings
+  const names = Array.isArray(article.authors)
+    ? article.authors
+    : (article.authors || '').split(/,\s*/).filter(Boolean);
+  return names.map(name => {
+    const parts = name.trim().split(/\s+/);
+    if (parts.length === 1) return { literal: name.trim() };
+    const last = parts.pop();
+    const isInitials = /^[A-Z]{1,4}$/.test(last);
+    return {
+      family: parts.join(' '),
+      given: isInitials ? '' : last,
+      initials: isInitials ? last : initialsOf(last),
+    };
+  });
+}
+
+// Smith JA
+function vancouverName(person) {
+  return person.literal || `${person.family} ${person.initials}`.trim();
+}
+
+// Smith, J. A.
+function apaName(person) {
+  return person.literal || `${person.family}, ${dottedInitials(person.initials)}`;
+}
+
+function dottedInitials(initials) {
+  return (initials || '').split('').map(c => `${c}.`).join(' ');
+}
+
+function initialsOf(given) {
+  return given
+    .split(/[\s-]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
+
+// ";12(3):100-10" as used by AMA/Vancouver/NLM
+function volumeIssuePages(a, pageFormat = p => p) {
+  let out = '';
+  if (a.volume) out += `;${a.volume}`;
+  if (a.issue) out += `(${a.issue})`;
+  if (a.pages) out += `:${pageFormat(a.pages)}`;
+  return out;
+}
+
+/**
+ * Expand an NLM abbreviated page range ("1021-8" -> "1021-1028")
+ * @param {string} pages - Page range
+ * @returns {string} Full page range
+ */
+export function expandPageRange(pages) {
+  const match = pages.match(/^([A-Za-z]*)(\d+)-([A-Za-z]*)(\d+)$/);
+  if (!match) return pages;
+
+  const [, prefix, start, endPrefix, end] = match;
+  if (end.length >= start.length) return pages;
+  return `${prefix}${start}-${endPrefix || prefix}${start.slice(0, start.length - end.length)}${end}`;
+}
+
+function parseDate(pubDate) {
+  const [yearPart, monthPart, dayPart] = pubDate.trim().split(/\s+/);
+  const year = parseInt(yearPart, 10) || null;
+
+  const monthIndex = monthPart ? MONTHS.indexOf(monthPart.slice(0, 3).toLowerCase()) : -1;
+  const month = monthIndex >= 0 ? monthIndex + 1 : (parseInt(monthPart, 10) || null);
+  const day = month && /^\d{1,2}$/.test(dayPart || '') ? parseInt(dayPart, 10) : null;
+
+  return { year, month, day };
+}
+
+function normalizeDoi(doi) {
+  if (!doi) return '';
+  return doi.trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '');
+}
+
+// Ensure a title ends in sentence punctuation
+function sentence(title) {
+  if (!title) return '';
+  return /[.?!]$/.test(title) ? title : `${title}.`;
+}
+
+function stripFinalPeriod(title) {
+  return title.replace(/\.$/, '');
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function joinParts(parts) {
+  return parts.filter(Boolean).join(' ');
+}
+
+// First author's family name + year + first title word: smith2020menin
+function bibtexKey(a) {
+  const first = a.authors[0];
+  const name = (first?.family || first?.literal || 'anon').split(/\s+/)[0];
+  const word = (a.title.match(/[A-Za-z]{4,}/) || [''])[0];
+  const key = `${name}${a.year || ''}${word}`.normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+  return key || `pmid${a.pmid}`;
+}
+
+// Helper: Suffix repeated keys a, b, c... in order; unique keys are left alone
+function uniqueKeys(keys) {
+  const counts = new Map();
+  for (const key of keys) counts.set(key, (counts.get(key) || 0) + 1);
+  const seen = new Map();
+  return keys.map(key => {
+    if (counts.get(key) === 1) return key;
+    const index = seen.get(key) || 0;
+    seen.set(key, index + 1);
+    return `${key}${suffix(index)}`;
+  });
+}
+
+// Helper: 0 → a, 25 → z, 26 → aa
+function suffix(index) {
+  return (index >= 26 ? suffix(Math.floor(index / 26) - 1) : '') + String.fromCharCode(97 + (index % 26));
+}
+
+// Special characters become escapes, so braces stay balanced and backslashes start no commands
+const BIBTEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+function escapeBibtex(value) {
+  return String(value).replace(/[\\{}~^&%$#_]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+}
+
+export default {
+  CITATION_STYLES,
+  EXPORT_FORMATS,
+  formatCitation,
+  formatCitations,
+  toCslJson,
+  expandPageRange,
+};
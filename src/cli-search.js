@@ -5,92 +5,838 @@
  * Usage:
  *   node src/cli-search.js "Multiple Endocrine Neoplasia Type 1"
  *   node src/cli-search.js "Diabetes Mellitus" --max 5 --recent 2
+ *   node src/cli-search.js "Diabetes Mellitus" --page 2
+ *   node src/cli-search.js mesh "heart attack"
+ *   node src/cli-search.js "MEN1" --format bibtex > men1.bib
+ *   node src/cli-search.js "Breast Cancer" --min-evidence rct
+ *   node src/cli-search.js "Asthma" --type rct --humans --age child --lang english --from 2020
+ *   node src/cli-search.js related 12345678 --link similar,cited-by --hops 2
+ *   node src/cli-search.js "MEN1" --trials --phase 2,3
+ *   node src/cli-search.js watch add men1 "MEN1" --humans
+ *   node src/cli-search.js watch run --format atom --output men1.xml
+ *   node src/cli-search.js batch rare-diseases.txt --output pull.csv --concurrency 3 --resume
+ *   node src/cli-search.js stats "MEN1" --since 2000 --top 15
  */
 
-import { searchByDisease } from './pubmed-client.js';
+import { readFile, writeFile, appendFile, stat } from 'fs/promises';
+import { parseArgs } from 'util';
+
+import { searchByDisease, iterateByDisease } from './pubmed-client.js';
+import { lookupMesh } from './mesh-client.js';
+import { formatCitations, CITATION_STYLES, EXPORT_FORMATS } from './citation-formatter.js';
+import { TIER_NAMES } from './evidence-ranker.js';
+import { formatPico } from './abstract-analysis.js';
+import { analyzeDiseaseTrends, formatTrendReport } from './trend-analytics.js';
+import { ARTICLE_TYPES, AGE_GROUP_NAMES, SEX_VALUES } from './search-filters.js';
+import { snowball, LINK_TYPE_NAMES } from './link-client.js';
+import {
+  searchTrials,
+  linkTrialsToArticles,
+  TRIAL_STATUS_NAMES,
+  TRIAL_PHASE_NAMES,
+  ONGOING_STATUSES,
+} from './trials-client.js';
+import {
+  loadWatches,
+  saveWatches,
+  addWatch,
+  removeWatch,
+  getWatch,
+  runWatch,
+  formatDigest,
+  DEFAULT_WATCH_FILE,
+  DIGEST_FORMATS,
+} from './search-watcher.js';
+import {
+  parseBatchInput,
+  runBatch,
+  formatBatchRow,
+  batchCsvHeader,
+  loadBatchProgress,
+  pruneBatchOutput,
+  BATCH_FORMATS,
+} from './batch-search.js';
+
+// Subcommands; any other first argument is a disease to search
+const COMMANDS = ['search', 'related', 'mesh', 'watch', 'batch', 'stats', 'help'];
+
+const FILTER_OPTIONS = {
+  type: { type: 'string' },
+  humans: { type: 'boolean' },
+  age: { type: 'string' },
+  sex: { type: 'string' },
+  lang: { type: 'string' },
+  'free-full-text': { type: 'boolean' },
+  'has-abstract': { type: 'boolean' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+};
+
+const CACHE_OPTIONS = {
+  'no-cache': { type: 'boolean' },
+  refresh: { type: 'boolean' },
+};
+
+const OUTPUT_OPTIONS = {
+  json: { type: 'boolean' },
+  format: { type: 'string' },
+};
+
+const HELP_OPTION = { help: { type: 'boolean', short: 'h' } };
+
+// Flags per subcommand, for util.parseArgs
+const COMMAND_OPTIONS = {
+  search: {
+    ...FILTER_OPTIONS,
+    ...CACHE_OPTIONS,
+    ...OUTPUT_OPTIONS,
+    ...HELP_OPTION,
+    max: { type: 'string' },
+    page: { type: 'string' },
+    all: { type: 'boolean' },
+    recent: { type: 'string' },
+    'no-abstract': { type: 'boolean' },
+    'min-evidence': { type: 'string' },
+    'no-rank': { type: 'boolean' },
+    trials: { type: 'boolean' },
+    'trial-status': { type: 'string' },
+    phase: { type: 'string' },
+    // Older spellings of the mesh and related subcommands
+    'mesh-info': { type: 'boolean' },
+    related: { type: 'string' },
+    link: { type: 'string' },
+    hops: { type: 'string' },
+  },
+  related: {
+    ...CACHE_OPTIONS,
+    ...OUTPUT_OPTIONS,
+    ...HELP_OPTION,
+    link: { type: 'string' },
+    hops: { type: 'string' },
+    max: { type: 'string' },
+    'no-abstract': { type: 'boolean' },
+  },
+  mesh: {
+    ...HELP_OPTION,
+    json: { type: 'boolean' },
+  },
+  watch: {
+    ...FILTER_OPTIONS,
+    ...HELP_OPTION,
+    query: { type: 'string' },
+    intent: { type: 'string' },
+    lookback: { type: 'string' },
+    format: { type: 'string' },
+    output: { type: 'string' },
+    max: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    'watch-file': { type: 'string' },
+    json: { type: 'boolean' },
+  },
+  batch: {
+    ...FILTER_OPTIONS,
+    ...CACHE_OPTIONS,
+    ...HELP_OPTION,
+    queries: { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    format: { type: 'string' },
+    concurrency: { type: 'string' },
+    resume: { type: 'boolean' },
+    summary: { type: 'string' },
+    max: { type: 'string' },
+    intent: { type: 'string' },
+    recent: { type: 'string' },
+    'min-evidence': { type: 'string' },
+    'no-abstract': { type: 'boolean' },
+  },
+  stats: {
+    ...FILTER_OPTIONS,
+    ...CACHE_OPTIONS,
+    ...HELP_OPTION,
+    since: { type: 'string' },
+    until: { type: 'string' },
+    'entry-date': { type: 'boolean' },
+    sample: { type: 'string' },
+    'sample-recent': { type: 'boolean' },
+    top: { type: 'string' },
+    intent: { type: 'string' },
+    width: { type: 'string' },
+    json: { type: 'boolean' },
+  },
+  help: {},
+};
+
+const COMMAND_HANDLERS = {
+  search: searchCommand,
+  related: relatedCommand,
+  mesh: meshCommand,
+  watch: watchCommand,
+  batch: batchCommand,
+  stats: statsCommand,
+};
 
 async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length === 0 || args.includes('--help')) {
-    console.log(`
+  const argv = process.argv.slice(2);
+  const command = COMMANDS.includes(argv[0]) ? argv[0] : 'search';
+
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: command === argv[0] ? argv.slice(1) : argv,
+      options: COMMAND_OPTIONS[command],
+      allowPositionals: true,
+    }));
+  } catch (error) {
+    console.error(`Error: ${error.message} (see --help)`);
+    process.exit(1);
+  }
+
+  if (command === 'help' || values.help || argv.length === 0) {
+    printHelp();
+    return;
+  }
+
+  try {
+    await COMMAND_HANDLERS[command](positionals, values);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function printHelp() {
+  console.log(`
 PubMed Disease Search CLI
 
 Usage:
-  node src/cli-search.js <disease> [options]
+  node src/cli-search.js [search] <disease> [options]
+  node src/cli-search.js related <pmid[,pmid...]> [options]
+  node src/cli-search.js mesh <term> [--json]
+  node src/cli-search.js watch add <name> <disease> [--intent <i>] [filters] [--lookback <days>]
+  node src/cli-search.js watch add <name> --query <PubMed query> [filters] [--lookback <days>]
+  node src/cli-search.js watch list [--json]
+  node src/cli-search.js watch run [name...] [--format markdown|json|atom] [--output <file>] [--max <n>] [--dry-run]
+  node src/cli-search.js watch remove <name>
+  node src/cli-search.js batch [file|-] [--output <file>] [--format jsonl|csv] [--concurrency <n>] [--resume]
+  node src/cli-search.js stats <disease> [--since <year>] [--until <year>] [--sample <n>] [--top <n>] [--json]
 
-Options:
-  --max <n>      Maximum results (default: 5)
+Search options:
+  --max <n>      Maximum results per page (default: 5)
+  --page <n>     Page of results to show (default: 1)
+  --all          Page through every result (up to 10,000)
   --recent <n>   Only articles from last N years
   --no-abstract  Skip fetching abstracts (faster)
+
+Filters (search, watch, batch and stats; comma-separated values are alternatives):
+  --type <types> Publication types: ${Object.keys(ARTICLE_TYPES).join(', ')}
+                 or any PubMed type, e.g. "Comparative Study"
+  --humans       Only studies in humans
+  --age <groups> Age groups: ${AGE_GROUP_NAMES.join(', ')}
+  --sex <s>      ${SEX_VALUES.join(' or ')}
+  --lang <langs> Languages, e.g. english,spanish
+  --free-full-text
+                 Only articles with free full text
+  --has-abstract Only articles with an abstract
+  --from <date>  Published on or after YYYY, YYYY/MM or YYYY/MM/DD
+  --to <date>    Published on or before (same formats)
+                 --from and --to take precedence over --recent
+
+  --min-evidence <tier>
+                 Only articles at or above this evidence tier:
+                 ${TIER_NAMES.join(', ')}
+  --no-rank      Keep PubMed's order instead of ranking by evidence
+  --trials       Also list ClinicalTrials.gov studies of the disease, linked to
+                 the articles that report them
+  --trial-status <statuses>
+                 Recruitment statuses for --trials: ${TRIAL_STATUS_NAMES.join(', ')}
+                 or all (default: ${ONGOING_STATUSES.join(', ')})
+  --phase <phases>
+                 Trial phases for --trials: ${TRIAL_PHASE_NAMES.join(', ')} (default: any)
+  --no-cache     Bypass the on-disk response cache
+  --refresh      Ignore cached entries and re-fetch (updates the cache)
+  --json         Output raw JSON
+  --format <s>   Output references: ama, apa, vancouver, nlm, bibtex, ris, csl-json
+
+Related articles (related <pmids>, or --related <pmids>):
+  --link <types> Links to follow: ${LINK_TYPE_NAMES.join(', ')}
+                 or all, comma-separated (default: similar)
+  --hops <n>     Expand one or two hops (default: 1)
+  --max <n>      Maximum articles (default: 10)
+
+MeSH (mesh <term>, or --mesh-info):
+  Show the MeSH descriptor for the term instead of searching
+
+Watches (saved searches that report articles added to PubMed since the last run):
+  --lookback <n> Days the first run of a new watch looks back (default: 30)
+  --format <s>   Digest format for watch run: ${DIGEST_FORMATS.join(', ')} (default: markdown)
+  --output <f>   Write the digest to a file instead of stdout
+  --max <n>      New articles per watch and run (default: 100)
+  --dry-run      Show the digest without marking its articles as seen
+  --watch-file <f>
+                 Watch store (default: ${DEFAULT_WATCH_FILE}, or set PUBMED_WATCH_FILE)
+
+Batch (one disease per line, or "query: <PubMed query>"; "#" starts a comment;
+reads stdin without a file or with "-"):
+  --queries      Treat every line as a PubMed query
+  --output <f>   Write rows to a file (default: stdout); progress is kept in
+                 <f>.progress.jsonl
+  --format <s>   ${BATCH_FORMATS.join(' or ')}: one row per input and article
+                 (default: from the --output extension, else jsonl)
+  --concurrency <n>
+                 Inputs searched at once (default: 3, max 10); requests are
+                 still paced to NCBI's rate limit
+  --resume       Continue an interrupted run, retrying inputs that failed
+  --summary <f>  Write the per-input summary (counts and failures) as JSON
+  --max <n>      Articles per input (default: 20, max 10,000)
+  --intent <i>   Question intent(s) for disease inputs, e.g. therapy
+  --recent, --min-evidence, --no-abstract, --no-cache, --refresh and filters
+                 apply to every input
+
+Stats (articles per year, and the top journals, publication types and MeSH
+descriptors of a sample):
+  --since <year> First year of the timeline (default: 19 years before --until)
+  --until <year> Last year (default: this year, counted to date)
+  --entry-date   Count by PubMed entry date instead of publication date
+  --sample <n>   Articles sampled for the tables (default: 200, max 1000; 0 skips)
+  --sample-recent
+                 Sample the most recent articles instead of the best matches
+  --top <n>      Rows per table (default: 10)
+  --intent <i>   Only the literature on this aspect, e.g. therapy
+  --width <n>    Width of the longest bar (default: 40)
   --json         Output raw JSON
+  Filters apply to the counts and the sample
 
 Examples:
   node src/cli-search.js "Breast Cancer"
   node src/cli-search.js "Multiple Endocrine Neoplasia Type 1" --max 3 --recent 5
+  node src/cli-search.js --max 3 --recent 5 "Multiple Endocrine Neoplasia Type 1"
   node src/cli-search.js "Diabetes" --json
+  node src/cli-search.js "Diabetes" --page 3
+  node src/cli-search.js "Multiple Endocrine Neoplasia Type 1" --all --json
+  node src/cli-search.js mesh "MEN1"
+  node src/cli-search.js "Breast Cancer" --format apa
+  node src/cli-search.js "Breast Cancer" --min-evidence systematic-review
+  node src/cli-search.js "Asthma" --type rct,meta-analysis --humans --age child,adolescent
+  node src/cli-search.js "Osteoporosis" --sex female --lang english --from 2018/06 --to 2023
+  node src/cli-search.js "MEN1" --free-full-text --has-abstract
+  node src/cli-search.js "MEN1" --trials --phase 2,3
+  node src/cli-search.js "MEN1" --trials --trial-status all --json
+  node src/cli-search.js "MEN1" --all --format ris > men1.ris
+  node src/cli-search.js related 12345678 --max 10
+  node src/cli-search.js related 12345678,23456789 --link all --hops 2 --json
+  node src/cli-search.js watch add men1-therapy "MEN1" --intent therapy --humans
+  node src/cli-search.js watch add glp1 --query "GLP-1[tiab] AND obesity[mh]" --type rct
+  node src/cli-search.js watch run --format atom --output ~/feeds/pubmed.xml
+  node src/cli-search.js batch rare-diseases.txt --output pull.csv --max 100 --humans
+  node src/cli-search.js batch rare-diseases.txt --output pull.csv --max 100 --humans --resume
+  printf "MEN1\nquery: menin[tiab] AND inhibitor*[tiab]\n" | node src/cli-search.js batch --format jsonl
+  node src/cli-search.js stats "MEN1" --since 2000
+  node src/cli-search.js stats "Type 2 Diabetes" --humans --sample 500 --top 15 --json
 `);
-    process.exit(0);
+}
+
+// search <disease>
+async function searchCommand(positionals, values) {
+  if (values.related !== undefined) {
+    await relatedCommand([values.related], values);
+    return;
+  }
+  if (values['mesh-info']) {
+    await meshCommand(positionals, values);
+    return;
   }
 
-  // Parse arguments
-  const disease = args.find(a => !a.startsWith('--')) || '';
-  const maxResults = parseInt(args[args.indexOf('--max') + 1]) || 5;
-  const recentYears = args.includes('--recent') 
-    ? parseInt(args[args.indexOf('--recent') + 1]) 
-    : null;
-  const includeAbstracts = !args.includes('--no-abstract');
-  const jsonOutput = args.includes('--json');
+  const disease = positionals.join(' ').trim();
+  if (!disease) throw new Error('Please provide a disease name');
 
-  if (!disease) {
-    console.error('Error: Please provide a disease name');
-    process.exit(1);
-  }
+  const maxResults = intOption(values, 'max', 5);
+  const page = intOption(values, 'page', 1);
+  const recentYears = intOption(values, 'recent', null);
+  const format = formatOption(values);
+  const jsonOutput = values.json === true;
+  const includeAbstracts = !values['no-abstract'];
+  const cache = cacheOption(values);
+  const filters = filterArgs(values);
+  const trialOptions = values.trials ? trialArgs(values) : null;
 
   console.error(`\nSearching PubMed for: "${disease}"...\n`);
 
-  try {
-    const results = await searchByDisease(disease, {
-      maxResults,
-      recentYears,
-      includeAbstracts,
-    });
-
-    if (jsonOutput) {
-      console.log(JSON.stringify(results, null, 2));
-      return;
+  if (values.all) {
+    await printAllResults(disease, { recentYears, filters, includeAbstracts, cache, jsonOutput, format });
+    return;
+  }
+
+  const results = await searchByDisease(disease, {
+    maxResults,
+    page,
+    recentYears,
+    filters,
+    includeAbstracts,
+    rank: !values['no-rank'],
+    minEvidence: values['min-evidence'] || null,
+    cache,
+  });
+
+  if (format) {
+    console.log(formatCitations(results.articles, format));
+    return;
+  }
+
+  const trials = trialOptions ? await findTrials(disease, results, trialOptions) : null;
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(trials ? { ...results, trials } : results, null, 2));
+    return;
+  }
+
+  // Pretty print results
+  if (results.mesh) {
+    console.log(`MeSH: ${results.mesh.name} (${results.mesh.ui})`);
+  }
+  console.log(`Query: ${results.query}\n`);
+  if (results.ranking.reranked) {
+    const excluded = results.ranking.excluded ? `, ${results.ranking.excluded} below ${results.ranking.minEvidence}` : '';
+    const { window } = results.ranking;
+    const pool = `${window.offset + 1}-${window.offset + results.ranking.candidates}`;
+    console.log(`Found ${results.totalResults} articles (page ${results.page}: ${results.articles.length} of results ${pool} ranked by evidence${excluded}):\n`);
+  } else {
+    const last = results.offset + results.articles.length;
+    console.log(`Found ${results.totalResults} articles (showing ${results.articles.length ? results.offset + 1 : 0}-${last}, page ${results.page}):\n`);
+  }
+  console.log('─'.repeat(80));
+
+  for (const article of results.articles) {
+    printArticle(article);
+  }
+
+  if (results.hasMore) {
+    console.log(`\nMore results: --page ${results.page + 1}`);
+  }
+
+  if (trials) printTrials(trials);
+}
+
+// related <pmids>
+async function relatedCommand(positionals, values) {
+  const seeds = positionals.join(',').split(',').map(p => p.trim()).filter(Boolean);
+  const link = values.link || 'similar';
+  await printRelated(seeds, {
+    types: link === 'all' ? LINK_TYPE_NAMES : link.split(',').map(t => t.trim()),
+    hops: intOption(values, 'hops', 1),
+    maxArticles: intOption(values, 'max', 10),
+    includeAbstracts: !values['no-abstract'],
+    cache: cacheOption(values),
+    jsonOutput: values.json === true,
+    format: formatOption(values),
+  });
+}
+
+// mesh <term>
+async function meshCommand(positionals, values) {
+  const term = positionals.join(' ').trim();
+  if (!term) throw new Error('Please provide a term to look up');
+  await printMeshInfo(term, values.json === true);
+}
+
+// stats <disease>: publication timeline and topic profile
+async function statsCommand(positionals, values) {
+  const disease = positionals.join(' ').trim();
+  if (!disease) throw new Error('Please provide a disease name');
+
+  const currentYear = new Date().getFullYear();
+  const toYear = intOption(values, 'until', currentYear, { min: 1800, max: currentYear });
+  const options = {
+    fromYear: intOption(values, 'since', toYear - 19, { min: 1800, max: toYear }),
+    toYear,
+    dateType: values['entry-date'] ? 'edat' : 'pdat',
+    sampleSize: intOption(values, 'sample', 200, { min: 0, max: 1000 }),
+    sort: values['sample-recent'] ? 'pub_date' : 'relevance',
+    top: intOption(values, 'top', 10, { max: 50 }),
+    filters: filterArgs(values),
+    intent: values.intent?.split(',').map(i => i.trim()) || [],
+    cache: cacheOption(values),
+  };
+  const width = intOption(values, 'width', 40, { max: 200 });
+
+  console.error(`\nCounting PubMed articles per year for: "${disease}"...\n`);
+  const result = await analyzeDiseaseTrends(disease, options);
+
+  if (values.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatTrendReport(result, { width }));
+  }
+}
+
+// Helper: Integer flag value, or the default when the flag is absent
+function intOption(values, name, fallback, { min = 1, max = Infinity } = {}) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `of at least ${min}` : `from ${min} to ${max}`;
+    throw new Error(`--${name} must be an integer ${range}, got "${values[name]}"`);
+  }
+  return value;
+}
+
+function formatOption(values) {
+  const format = values.format ? values.format.toLowerCase() : null;
+  if (format && ![...CITATION_STYLES, ...EXPORT_FORMATS].includes(format)) {
+    throw new Error(`Unknown format "${format}" (use ${[...CITATION_STYLES, ...EXPORT_FORMATS].join(', ')})`);
+  }
+  return format;
+}
+
+function cacheOption(values) {
+  if (values['no-cache']) return false;
+  return values.refresh ? 'refresh' : true;
+}
+
+// Show where a term sits in the MeSH vocabulary
+async function printMeshInfo(term, jsonOutput) {
+  const info = await lookupMesh(term);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  if (!info) {
+    console.log(`No MeSH descriptor found for "${term}"`);
+    return;
+  }
+
+  const { descriptor, broader, narrower } = info;
+  console.log(`\n🏷️  ${descriptor.name} (${descriptor.ui})`);
+  console.log(`   Matched by: ${descriptor.matchedBy}`);
+  console.log(`   Tree numbers: ${descriptor.treeNumbers.join(', ') || 'N/A'}`);
+  if (descriptor.scopeNote) {
+    console.log(`\n   ${descriptor.scopeNote}`);
+  }
+  console.log(`\n   Entry terms: ${descriptor.entryTerms.join('; ') || 'N/A'}`);
+  console.log(`\n   Broader:`);
+  broader.forEach(d => console.log(`     ↑ ${d.name} (${d.ui})`));
+  console.log(`   Narrower:`);
+  narrower.forEach(d => console.log(`     ↓ ${d.name} (${d.ui})`));
+  console.log('');
+}
+
+// Page through every result, printing each batch as it arrives
+async function printAllResults(disease, { jsonOutput, format, ...options }) {
+  const articles = [];
+  let total = 0;
+
+  for await (const batch of iterateByDisease(disease, options)) {
+    total = batch.count;
+    console.error(`Fetched ${batch.retstart + batch.pmids.length} of ${Math.min(total, 10000)}...`);
+
+    if (jsonOutput || format) {
+      articles.push(...batch.articles);
+    } else {
+      batch.articles.forEach(printArticle);
     }
+  }
+
+  if (format) {
+    console.log(formatCitations(articles, format));
+  } else if (jsonOutput) {
+    console.log(JSON.stringify({ disease, totalResults: total, articles }, null, 2));
+  } else {
+    console.log(`\nTotal: ${total} articles`);
+  }
+}
+
+// How a found article relates to the article it was reached from
+const LINK_PHRASES = { similar: 'similar to', 'cited-by': 'cites', references: 'cited by' };
+
+// Snowball out from seed articles through their links
+async function printRelated(seeds, { jsonOutput, format, ...options }) {
+  if (!seeds.length || seeds.some(pmid => !/^\d+$/.test(pmid))) {
+    throw new Error('related needs one or more PMIDs, separated by commas');
+  }
+
+  console.error(`\nFinding ${options.types.join(', ')} articles for PMID ${seeds.join(', ')}...\n`);
+
+  const results = await snowball(seeds, options);
+
+  if (format) {
+    console.log(formatCitations(results.articles, format));
+    return;
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(`Found ${results.total} linked articles (showing ${results.articles.length}, ${results.hops} hop${results.hops > 1 ? 's' : ''}):\n`);
+  console.log('─'.repeat(80));
+
+  for (const article of results.articles) {
+    const via = article.snowball.via.map(v => `${LINK_PHRASES[v.type]} ${v.from}`).join(', ');
+    const score = article.linkScore !== null ? `, similarity ${article.linkScore}` : '';
+    console.log(`\n🔗 Hop ${article.snowball.hop}: ${via}${score}`);
+    printArticle(article);
+  }
+}
+
+// Search filter flags (see normalizeFilters)
+function filterArgs(values) {
+  return {
+    articleTypes: values.type,
+    humans: values.humans === true,
+    ages: values.age,
+    sex: values.sex,
+    languages: values.lang,
+    freeFullText: values['free-full-text'] === true,
+    hasAbstract: values['has-abstract'] === true,
+    from: values.from,
+    to: values.to,
+  };
+}
+
+// --trial-status and --phase (see searchTrials)
+function trialArgs(values) {
+  const status = values['trial-status'];
+  return {
+    statuses: status === 'all' ? [] : status || ONGOING_STATUSES,
+    phases: values.phase,
+  };
+}
+
+// Trials registered under the disease's MeSH heading, linked to the articles found
+async function findTrials(disease, results, options) {
+  const search = await searchTrials(results.mesh?.name || disease, { ...options, maxResults: 5 });
+  return { ...search, trials: linkTrialsToArticles(search.trials, results.articles) };
+}
+
+function printTrials({ condition, totalCount, trials }) {
+  console.log(`\n🧪 ClinicalTrials.gov: ${totalCount ?? trials.length} studies of "${condition}" (showing ${trials.length}):`);
+  for (const trial of trials) {
+    const details = [
+      trial.status?.replace(/-/g, ' '),
+      trial.phases.join('/'),
+      trial.enrollment ? `${trial.enrollment} participants` : null,
+    ].filter(Boolean);
+    console.log(`\n   ${trial.title}`);
+    console.log(`   ${trial.nctId} · ${details.join(' · ')}`);
+    if (trial.sponsor) console.log(`   Sponsor: ${trial.sponsor}`);
+    if (trial.pmids.length) console.log(`   Reported in: PMID ${trial.pmids.join(', ')}`);
+    console.log(`   URL: ${trial.url}`);
+  }
+}
+
+// watch add|list|run|remove
+async function watchCommand(positionals, values) {
+  const [action, ...names] = positionals;
+  const file = values['watch-file'] || DEFAULT_WATCH_FILE;
+
+  const store = await loadWatches(file);
+
+  switch (action) {
+    case 'add': {
+      const [name, disease] = names;
+      const watch = addWatch(store, {
+        name,
+        disease: disease || null,
+        query: values.query || null,
+        intent: values.intent?.split(',').map(i => i.trim()) || [],
+        filters: filterArgs(values),
+        lookbackDays: intOption(values, 'lookback', 30),
+      });
+      await saveWatches(store, file);
+      console.error(`Added watch "${watch.name}". The first run looks back ${watch.lookbackDays} days.`);
+      break;
+    }
+
+    case 'list': {
+      if (values.json) {
+        console.log(JSON.stringify(store.watches.map(({ seen, ...watch }) => ({ ...watch, seen: seen.length })), null, 2));
+        break;
+      }
+      if (!store.watches.length) {
+        console.log(`No watches in ${file}`);
+        break;
+      }
+      for (const watch of store.watches) {
+        const target = watch.disease ? `"${watch.disease}"${watch.intent.length ? ` (${watch.intent.join(', ')})` : ''}` : watch.query;
+        const lastRun = watch.lastRunAt ? `last run ${watch.lastRunAt.slice(0, 10)}` : 'never run';
+        console.log(`${watch.name}  ${target}  ${lastRun}, ${watch.seen.length} seen`);
+      }
+      break;
+    }
+
+    case 'run': {
+      const format = (values.format || 'markdown').toLowerCase();
+      if (!DIGEST_FORMATS.includes(format)) {
+        throw new Error(`Unknown digest format "${format}" (use ${DIGEST_FORMATS.join(', ')})`);
+      }
+      const watches = names.length ? names.map(name => getWatch(store, name)) : store.watches;
+      if (!watches.length) throw new Error(`No watches in ${file}; add one with "watch add"`);
 
-    // Pretty print results
-    console.log(`Query: ${results.query}\n`);
-    console.log(`Found ${results.totalResults} articles:\n`);
-    console.log('─'.repeat(80));
-
-    for (const article of results.articles) {
-      console.log(`\n📄 ${article.title}`);
-      console.log(`   PMID: ${article.pmid}`);
-      console.log(`   Authors: ${article.authors?.slice(0, 3).join(', ') || 'N/A'}${article.authors?.length > 3 ? ' et al.' : ''}`);
-      console.log(`   Journal: ${article.journal} (${article.pubDate})`);
-      console.log(`   URL: ${article.pubmedUrl}`);
-      
-      if (article.meshTerms?.length) {
-        console.log(`   MeSH: ${article.meshTerms.slice(0, 5).join(', ')}${article.meshTerms.length > 5 ? '...' : ''}`);
+      const digests = [];
+      for (const watch of watches) {
+        const digest = await runWatch(watch, { maxResults: intOption(values, 'max', 100) });
+        console.error(`${watch.name}: ${digest.articles.length} new since ${digest.since}${digest.truncated ? ' (more available)' : ''}`);
+        digests.push(digest);
       }
-      
-      if (article.abstract) {
-        const truncatedAbstract = article.abstract.length > 300 
-          ? article.abstract.substring(0, 300) + '...'
-          : article.abstract;
-        console.log(`\n   Abstract: ${truncatedAbstract}`);
+      if (!values['dry-run']) await saveWatches(store, file);
+
+      const output = formatDigest(digests, format);
+      if (values.output) {
+        await writeFile(values.output, output);
+        console.error(`Digest written to ${values.output}`);
+      } else {
+        console.log(output);
       }
-      
-      console.log('\n' + '─'.repeat(80));
+      break;
+    }
+
+    case 'remove': {
+      const watch = removeWatch(store, names[0]);
+      await saveWatches(store, file);
+      console.error(`Removed watch "${watch.name}"`);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown watch command "${action || ''}" (use add, list, run or remove)`);
+  }
+}
+
+// batch [file|-]: one search per input line, streamed as JSONL or CSV rows
+async function batchCommand(positionals, values) {
+  const [source = '-'] = positionals;
+  if (source === '-' && process.stdin.isTTY) {
+    throw new Error('batch needs an input file, or input on stdin');
+  }
+  const format = (values.format || (/\.csv$/i.test(values.output || '') ? 'csv' : 'jsonl')).toLowerCase();
+  if (!BATCH_FORMATS.includes(format)) {
+    throw new Error(`Unknown batch format "${format}" (use ${BATCH_FORMATS.join(', ')})`);
+  }
+  if (values.resume && !values.output) throw new Error('--resume needs --output');
+
+  const text = source === '-' ? await readStream(process.stdin) : await readFile(source, 'utf8');
+  let items = parseBatchInput(text, { queries: values.queries === true });
+  if (!items.length) throw new Error(`No inputs in ${source === '-' ? 'stdin' : source}`);
+
+  const output = values.output || null;
+  const progressFile = output ? `${output}.progress.jsonl` : null;
+  let previous = [];
+  if (output) {
+    const progress = await loadBatchProgress(progressFile);
+    if (!values.resume && (progress.size || await fileSize(output))) {
+      throw new Error(`${output} already has results; add --resume to continue the run, or remove it and ${progressFile}`);
     }
+    // Finished inputs are skipped; failed ones run again
+    previous = items.map(item => progress.get(item.input)).filter(summary => summary?.status === 'ok');
+    const finished = new Set(previous.map(summary => summary.input));
+    const pruned = await pruneBatchOutput(output, format, finished);
+    items = items.filter(item => !finished.has(item.input));
+    if (values.resume) {
+      console.error(`Resuming: ${finished.size} done, ${items.length} to go${pruned ? ` (dropped ${pruned} rows of unfinished inputs)` : ''}`);
+    }
+  }
 
+  const write = output
+    ? async chunk => appendFile(output, chunk)
+    : async chunk => { process.stdout.write(chunk); };
+  if (format === 'csv' && !(output && await fileSize(output))) {
+    await write(`${batchCsvHeader()}\n`);
+  }
+
+  // First Ctrl-C lets the inputs in flight finish; a second one quits
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error('\nStopping after the inputs in flight (Ctrl-C again to quit now)...');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  const total = previous.length + items.length;
+  let done = previous.length;
+  const summaries = await runBatch(items, {
+    concurrency: intOption(values, 'concurrency', 3, { max: 10 }),
+    maxResults: intOption(values, 'max', 20, { max: 10000 }),
+    filters: filterArgs(values),
+    intent: values.intent?.split(',').map(i => i.trim()) || [],
+    recentYears: intOption(values, 'recent', null),
+    minEvidence: values['min-evidence'] || null,
+    includeAbstracts: !values['no-abstract'],
+    cache: cacheOption(values),
+    signal: controller.signal,
+    onItem: async ({ rows, summary }) => {
+      if (rows.length) await write(rows.map(row => `${formatBatchRow(row, format)}\n`).join(''));
+      // The progress line comes after the rows: an input counts as done only once they are written
+      if (progressFile) await appendFile(progressFile, `${JSON.stringify(summary)}\n`);
+      done++;
+      const outcome = summary.status === 'ok'
+        ? `${summary.articles} articles (of ${summary.totalResults})`
+        : `failed: ${summary.error}`;
+      console.error(`[${done}/${total}] ${summary.input}: ${outcome}`);
+    },
+  });
+
+  const all = [...previous, ...summaries];
+  printBatchSummary(all, total);
+  if (values.summary) {
+    await writeFile(values.summary, JSON.stringify(all, null, 2));
+    console.error(`Summary written to ${values.summary}`);
+  }
+  if (all.some(summary => summary.status === 'failed') || all.length < total) process.exitCode = 1;
+}
+
+function printBatchSummary(summaries, total) {
+  const failed = summaries.filter(s => s.status === 'failed');
+  const articles = summaries.reduce((sum, s) => sum + s.articles, 0);
+  const empty = summaries.filter(s => s.status === 'ok' && s.articles === 0);
+
+  console.error(`\nBatch: ${summaries.length - failed.length} of ${total} inputs done, ${failed.length} failed, ${articles} articles`);
+  if (empty.length) console.error(`No articles: ${empty.map(s => s.input).join('; ')}`);
+  for (const summary of failed) console.error(`  ✗ ${summary.input}: ${summary.error}`);
+  if (summaries.length < total) console.error(`Stopped early; run again with --resume to finish the remaining ${total - summaries.length}`);
+}
+
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+async function fileSize(file) {
+  try {
+    return (await stat(file)).size;
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+    if (error.code === 'ENOENT') return 0;
+    throw error;
   }
 }
 
+function printArticle(article) {
+  console.log(`\n📄 ${article.title}`);
+  console.log(`   PMID: ${article.pmid}`);
+  console.log(`   Authors: ${article.authors?.slice(0, 3).join(', ') || 'N/A'}${article.authors?.length > 3 ? ' et al.' : ''}`);
+  console.log(`   Journal: ${article.journal} (${article.pubDate})`);
+  if (article.evidence) {
+    console.log(`   Evidence: ${article.evidence.label} (score ${article.evidence.score.toFixed(2)})`);
+  }
+  console.log(`   URL: ${article.pubmedUrl}`);
+
+  if (article.meshTerms?.length) {
+    console.log(`   MeSH: ${article.meshTerms.slice(0, 5).join(', ')}${article.meshTerms.length > 5 ? '...' : ''}`);
+  }
+
+  for (const line of formatPico(article.pico)) console.log(`   ${line}`);
+
+  if (article.abstract) {
+    const truncatedAbstract = article.abstract.length > 300
+      ? article.abstract.substring(0, 300) + '...'
+      : article.abstract;
+    console.log(`\n   Abstract: ${truncatedAbstract}`);
+  }
+
+  console.log('\n' + '─'.repeat(80));
+}
+
 main();
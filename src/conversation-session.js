@@ -0,0 +1,215 @@
+/**
+ * Conversation Session
+ *
+ * State for multi-turn chatbot conversations: the active topic, the
+ * searches already run, the articles already shown and the turn history.
+ * Follow-up questions ("and how is it treated?") are resolved against the
+ * active topic so they reuse its articles instead of searching for "it".
+ *
+ * Sessions are plain JSON and can be saved to and resumed from disk.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+const SESSION_VERSION = 1;
+
+// Oldest shown articles are dropped beyond this many
+const MAX_ARTICLES = 200;
+
+// Phrases that refer back to the active topic
+const REFERENCE = /^(?:it|its|this|that|they|them|these|those|(?:this|that|the|these|those) (?:disease|diseases|condition|conditions|disorder|disorders|syndrome|illness|cancer|cancers|tumou?rs?))$/i;
+const REFERENCE_IN_TEXT = /\b(?:(?:this|that|the|these|those) (?:disease|diseases|condition|conditions|disorder|disorders|syndrome|illness|cancer|cancers|tumou?rs?)|it|its|they|them|their)\b/i;
+
+// Aspects of a topic, as in "what about treatment?"
+const FACETS = /^(?:the )?(?:treatments?|therapy|therapies|management|diagnosis|diagnostics?|screening|symptoms?|signs|causes?|etiology|prognosis|survival|outcomes?|prevention|genetics?|inheritance|risk factors?|side effects?|adverse effects?|complications?|epidemiology|prevalence|incidence|children|pregnancy)$/i;
+
+// Requests for more articles on the same topic
+const MORE = /\b(?:more|other|additional|newer|further) (?:studies|articles|papers|research|evidence|results)\b|^(?:tell me )?more\b|\banything else\b/i;
+
+/**
+ * Create a session, optionally from saved data
+ * @param {object} data - Saved session (see saveSession)
+ * @returns {object} Session
+ */
+export function createSession(data = {}) {
+  return {
+    version: SESSION_VERSION,
+    topic: data.topic || null,
+    mesh: data.mesh || null,
+    searches: data.searches || [],
+    articles: data.articles || {},
+    turns: data.turns || [],
+  };
+}
+
+/**
+ * Resolve a question against the session's active topic
+ * @param {object} session - Session
+ * @param {string} question - User question
+ * @param {string} extracted - Disease name extracted from the question alone
+ * @returns {object} { topic, question (with references replaced), followUp, wantsMore }
+ */
+export function resolveFollowUp(session, question, extracted) {
+  const standalone = { topic: extracted, question, followUp: false, wantsMore: false };
+  const bare = question.replace(/\?/g, '').trim();
+  const noPatternMatched = extracted === bare;
+
+  // "what about pheochromocytoma?" switches topic; "what about treatment?" does not
+  const about = bare.match(/^(?:and |so )?(?:what|how) about (.+)$/i);
+  if (about && !FACETS.test(about[1].trim())) {
+    return { ...standalone, topic: about[1].trim() };
+  }
+
+  if (!session.topic) return standalone;
+
+  const refersBack = REFERENCE.test(extracted.trim())
+    || (noPatternMatched && (REFERENCE_IN_TEXT.test(bare) || Boolean(about) || /^(?:and|also|so)\b/i.test(bare) || MORE.test(bare)));
+
+  if (!refersBack) return standalone;
+
+  const resolved = question
+    .replace(/^\s*(?:and|also|so)\s+/i, '')
+    .replace(REFERENCE_IN_TEXT, match => (/^its$|^their$/i.test(match) ? `${session.topic}'s` : session.topic));
+
+  return {
+    topic: session.topic,
+    question: resolved.charAt(0).toUpperCase() + resolved.slice(1),
+    followUp: true,
+    wantsMore: MORE.test(bare),
+  };
+}
+
+/**
+ * Articles already shown for a topic, most recent search last
+ * @param {object} session - Session
+ * @param {string} topic - Topic
+ * @param {string[]} intents - Only searches run for these intents (default: any)
+ * @returns {object[]} Article records
+ */
+export function getTopicArticles(session, topic, intents) {
+  const pmids = session.searches
+    .filter(s => matchesSearch(s, topic, intents))
+    .flatMap(s => s.pmids);
+  return [...new Set(pmids)].map(pmid => session.articles[pmid]).filter(Boolean);
+}
+
+/**
+ * Most recent search for a topic
+ * @param {object} session - Session
+ * @param {string} topic - Topic
+ * @param {string[]} intents - Only searches run for these intents (default: any)
+ * @returns {object|null} { topic, intents, query, mesh, totalResults, page, hasMore, pmids, at }
+ */
+export function getLastSearch(session, topic, intents) {
+  return session.searches.filter(s => matchesSearch(s, topic, intents)).at(-1) || null;
+}
+
+/**
+ * Record a search and the articles it returned
+ * @param {object} session - Session
+ * @param {string} topic - Topic searched
+ * @param {object} results - searchByDisease results
+ */
+export function recordSearch(session, topic, results) {
+  session.searches.push({
+    topic,
+    intents: results.intents || [],
+    query: results.query,
+    mesh: results.mesh || null,
+    totalResults: results.totalResults,
+    page: results.page,
+    hasMore: results.hasMore,
+    pmids: results.articles.map(a => a.pmid),
+    at: new Date().toISOString(),
+  });
+
+  for (const article of results.articles) {
+    delete session.articles[article.pmid];
+    session.articles[article.pmid] = article;
+  }
+
+  const pmids = Object.keys(session.articles);
+  for (const pmid of pmids.slice(0, Math.max(0, pmids.length - MAX_ARTICLES))) {
+    delete session.articles[pmid];
+  }
+}
+
+/**
+ * Record a completed turn and make its topic the active one
+ * @param {object} session - Session
+ * @param {object} turn - { question, resolvedQuestion, topic, mesh, answer, pmids }
+ */
+export function recordTurn(session, turn) {
+  session.topic = turn.topic;
+  if (turn.mesh !== undefined) session.mesh = turn.mesh;
+  session.turns.push({ ...turn, at: new Date().toISOString() });
+}
+
+/**
+ * Format recent turns for the LLM prompt
+ * @param {object} session - Session
+ * @param {object} options - Format options
+ * @param {number} options.maxTurns - Turns to include (default: 3)
+ * @param {number} options.maxChars - Characters kept per answer (default: 600)
+ * @returns {string} History block, or '' for a new conversation
+ */
+export function formatHistory(session, { maxTurns = 3, maxChars = 600 } = {}) {
+  return session.turns.slice(-maxTurns).map(turn => {
+    // The Sources list is repeated in the articles block; keep only the answer body
+    const answer = turn.answer.split(/\n\s*\*\*Sources:\*\*/)[0].trim();
+    const shortened = answer.length > maxChars ? answer.slice(0, maxChars) + '...' : answer;
+    return `User: ${turn.question}\nAssistant: ${shortened}`;
+  }).join('\n\n');
+}
+
+/**
+ * Load a saved session; a missing file starts a new session
+ * @param {string} file - Session file path
+ * @returns {Promise<object>} Session
+ */
+export async function loadSession(file) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return createSession();
+    throw error;
+  }
+
+  const data = JSON.parse(raw);
+  if (data.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session file version ${data.version} in ${file}`);
+  }
+  return createSession(data);
+}
+
+/**
+ * Save a session to disk (atomically)
+ * @param {object} session - Session
+ * @param {string} file - Session file path
+ */
+export async function saveSession(session, file) {
+  await mkdir(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(session, null, 2));
+  await rename(tmp, file);
+}
+
+function matchesSearch(search, topic, intents) {
+  if (String(search.topic).toLowerCase() !== String(topic).toLowerCase()) return false;
+  if (!intents) return true;
+  return [...(search.intents || [])].sort().join() === [...intents].sort().join();
+}
+
+export default {
+  createSession,
+  resolveFollowUp,
+  getTopicArticles,
+  getLastSearch,
+  recordSearch,
+  recordTurn,
+  formatHistory,
+  loadSession,
+  saveSession,
+};
@@ -0,0 +1,484 @@
+#!/usr/bin/env node
+/**
+ * Stand-in E-utilities Server
+ *
+ * A small local server that answers ESearch, EFetch, ESummary and ELink
+ * from an in-memory corpus, for development and tests without NCBI.
+ * Queries are parsed with the query builder and matched against the
+ * corpus: MeSH terms, subheadings, title/abstract words, publication types,
+ * languages, authors, the free full text and abstract filters, and
+ * publication/entry dates are modelled. Other field tags match every
+ * article. Similar articles share MeSH headings; citations come from each
+ * article's `references`.
+ *
+ * Usage:
+ *   node src/eutils-stub-server.js --port 8089
+ *   node src/eutils-stub-server.js --corpus corpus.json
+ *   EUTILS_BASE_URL=http://127.0.0.1:8089 node src/cli-search.js MEN1
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { pathToFileURL } from 'url';
+
+import { parseQuery } from './query-builder.js';
+
+/**
+ * Sample corpus: synthetic MEN1 articles and the MEN1 MeSH descriptor
+ *
+ * Article fields: pmid, title, abstractSections [{ label, category, text }], journal,
+ * journalAbbreviation, pubDate (YYYY/MM/DD), entryDate, authors
+ * [{ lastName, foreName }], publicationTypes, meshHeadings [{ descriptor,
+ * qualifiers }], language, doi, pmcid, fullText [{ title, text }],
+ * references (PMIDs), nctIds (ClinicalTrials.gov numbers in the DataBankList).
+ */
+export const SAMPLE_CORPUS = {
+  articles: [
+    {
+      pmid: '90000001',
+      title: 'Clinical practice guideline for multiple endocrine neoplasia type 1 (MEN1)',
+      abstractSections: [
+        { label: 'BACKGROUND', text: 'MEN1 is an autosomal dominant syndrome of parathyroid, pancreatic and pituitary tumours.' },
+        { label: 'RECOMMENDATIONS', text: 'Subtotal parathyroidectomy is recommended for primary hyperparathyroidism. Annual biochemical screening should start in childhood.' },
+      ],
+      journal: 'Journal of Clinical Endocrinology', journalAbbreviation: 'J Clin Endocrinol',
+      pubDate: '2023/03/01', entryDate: '2023/02/10',
+      authors: [{ lastName: 'Okafor', foreName: 'Ada' }, { lastName: 'Lindqvist', foreName: 'Erik' }],
+      publicationTypes: ['Practice Guideline', 'Journal Article'],
+      meshHeadings: [
+        { descriptor: 'Multiple Endocrine Neoplasia Type 1', qualifiers: ['therapy', 'diagnosis'] },
+        { descriptor: 'Humans', qualifiers: [] },
+      ],
+      doi: '10.0000/stub.90000001', pmcid: 'PMC9000001',
+      fullText: [
+        { title: 'Introduction', text: 'MEN1 is caused by germline mutations in the MEN1 tumour suppressor gene.' },
+        { title: 'Results', text: 'Subtotal parathyroidectomy gave lasting normocalcaemia in most patients.' },
+      ],
+      references: ['90000003', '90000004'],
+    },
+    {
+      pmid: '90000002',
+      title: 'Somatostatin analogues for pancreatic neuroendocrine tumours in MEN1: a randomized controlled trial',
+      abstractSections: [
+        { label: 'METHODS', category: 'METHODS', text: 'A total of 120 adults with MEN1 and small pancreatic neuroendocrine tumours were randomized to lanreotide or surveillance. The primary endpoint was progression-free survival.' },
+        { label: 'RESULTS', category: 'RESULTS', text: 'Progression-free survival was longer with lanreotide (hazard ratio 0.45, 95% CI 0.25-0.80; P = .006).' },
+        { label: 'CONCLUSIONS', category: 'CONCLUSIONS', text: 'Lanreotide delays progression of small pancreatic tumours in MEN1.' },
+      ],
+      journal: 'Endocrine Oncology', journalAbbreviation: 'Endocr Oncol',
+      pubDate: '2022/09/15', entryDate: '2022/08/30',
+      authors: [{ lastName: 'Haddad', foreName: 'Rami' }],
+      publicationTypes: ['Randomized Controlled Trial', 'Journal Article'],
+      nctIds: ['NCT90000002'],
+      meshHeadings: [
+        { descriptor: 'Multiple Endocrine Neoplasia Type 1', qualifiers: ['therapy', 'drug therapy'] },
+        { descriptor: 'Neuroendocrine Tumors', qualifiers: ['drug therapy'] },
+        { descriptor: 'Humans', qualifiers: [] },
+        { descriptor: 'Adult', qualifiers: [] },
+      ],
+      references: ['90000003'],
+    },
+    {
+      pmid: '90000003',
+      title: 'Genotype-phenotype correlations in multiple endocrine neoplasia type 1: a cohort study',
+      abstractSections: [
+        { label: '', text: 'In a cohort of 412 MEN1 patients, truncating mutations were associated with earlier pancreatic tumours. Mortality was driven by thymic and pancreatic malignancy.' },
+      ],
+      journal: 'European Journal of Endocrinology', journalAbbreviation: 'Eur J Endocrinol',
+      pubDate: '2020/06/01', entryDate: '2020/05/20',
+      authors: [{ lastName: 'Moreau', foreName: 'Claire' }, { lastName: 'Tanaka', foreName: 'Hiro' }],
+      publicationTypes: ['Journal Article'],
+      meshHeadings: [
+        { descriptor: 'Multiple Endocrine Neoplasia Type 1', qualifiers: ['genetics', 'mortality'] },
+        { descriptor: 'Cohort Studies', qualifiers: [] },
+        { descriptor: 'Humans', qualifiers: [] },
+      ],
+    },
+    {
+      pmid: '90000004',
+      title: 'Screening for MEN1 in children of affected parents',
+      abstractSections: [
+        { label: '', text: 'Genetic testing of at-risk children allows biochemical screening to begin before age 10. Early detection of insulinoma was reported.' },
+      ],
+      journal: 'Pediatric Endocrinology Reviews', journalAbbreviation: 'Pediatr Endocrinol Rev',
+      pubDate: '2021/11/01', entryDate: '2021/10/05',
+      authors: [{ lastName: 'Silva', foreName: 'Marta' }],
+      publicationTypes: ['Review', 'Journal Article'],
+      meshHeadings: [
+        { descriptor: 'Multiple Endocrine Neoplasia Type 1', qualifiers: ['diagnosis', 'genetics'] },
+        { descriptor: 'Child', qualifiers: [] },
+        { descriptor: 'Humans', qualifiers: [] },
+      ],
+      references: ['90000003'],
+    },
+    {
+      pmid: '90000005',
+      title: 'Primary hyperparathyroidism in MEN1: a case report of recurrence after surgery',
+      abstractSections: [
+        { label: '', text: 'We describe a woman with MEN1 whose hyperparathyroidism recurred 8 years after subtotal parathyroidectomy.' },
+      ],
+      journal: 'Case Reports in Endocrinology', journalAbbreviation: 'Case Rep Endocrinol',
+      pubDate: '2019/02/01', entryDate: '2019/01/15',
+      authors: [{ lastName: 'Novak', foreName: 'Petra' }],
+      publicationTypes: ['Case Reports'],
+      meshHeadings: [
+        { descriptor: 'Multiple Endocrine Neoplasia Type 1', qualifiers: ['surgery', 'therapy'] },
+        { descriptor: 'Hyperparathyroidism, Primary', qualifiers: ['surgery'] },
+        { descriptor: 'Female', qualifiers: [] },
+        { descriptor: 'Humans', qualifiers: [] },
+      ],
+      language: 'german',
+    },
+  ],
+  mesh: [
+    {
+      uid: '68018761',
+      ui: 'D018761',
+      name: 'Multiple Endocrine Neoplasia Type 1',
+      entryTerms: ['MEN1', 'Wermer Syndrome'],
+      treeNumbers: ['C04.651.600', 'C19.344.421.600'],
+      scopeNote: 'An autosomal dominant disease with tumours of the parathyroid, pancreatic islets and pituitary.',
+    },
+  ],
+};
+
+/**
+ * Create the stand-in server (not yet listening)
+ * @param {object} corpus - { articles, mesh } (default: SAMPLE_CORPUS)
+ * @returns {http.Server} Node HTTP server; `server.requests` lists the request URLs received
+ */
+export function createEutilsStubServer(corpus = SAMPLE_CORPUS) {
+  const articles = corpus.articles || [];
+  const byPmid = new Map(articles.map(a => [a.pmid, a]));
+  const mesh = corpus.mesh || [];
+  const histories = [];
+  const requests = [];
+
+  const handlers = {
+    esearch: params => (params.get('db') === 'mesh' ? searchMesh(params) : searchArticles(params)),
+    efetch: fetchRecords,
+    esummary: params => json(params.get('db') === 'mesh' ? meshSummaries(params) : articleSummaries(params)),
+    elink: params => json(link(params)),
+  };
+
+  function searchArticles(params) {
+    let matches;
+    try {
+      const query = parseQuery(params.get('term') || '');
+      matches = articles.filter(article => matchesNode(query, article));
+    } catch (error) {
+      return json({ esearchresult: { ERROR: error.message } });
+    }
+
+    const dateField = params.get('datetype') === 'edat' ? 'entryDate' : 'pubDate';
+    const minDate = params.get('mindate');
+    const maxDate = params.get('maxdate');
+    if (minDate && maxDate) {
+      matches = matches.filter(a => inRange(a[dateField], minDate, maxDate));
+    }
+    if (params.get('sort') === 'pub_date') {
+      matches = [...matches].sort((a, b) => padDate(b.pubDate).localeCompare(padDate(a.pubDate)));
+    }
+
+    if (params.get('rettype') === 'count') {
+      return json({ esearchresult: { count: String(matches.length) } });
+    }
+
+    const pmids = matches.map(a => a.pmid);
+    histories.push(pmids);
+    const retstart = Number(params.get('retstart') || 0);
+    const retmax = Number(params.get('retmax') || 20);
+
+    return json({
+      esearchresult: {
+        count: String(pmids.length),
+        retmax: String(Math.min(retmax, Math.max(pmids.length - retstart, 0))),
+        retstart: String(retstart),
+        idlist: pmids.slice(retstart, retstart + retmax),
+        webenv: 'STUB_WEBENV',
+        querykey: String(histories.length),
+        querytranslation: params.get('term') || '',
+      },
+    });
+  }
+
+  function searchMesh(params) {
+    const term = (params.get('term') || '').toLowerCase();
+    const uids = mesh
+      .filter(d => [d.name, ...(d.entryTerms || [])].some(name => name.toLowerCase().includes(term)))
+      .map(d => d.uid);
+    return json({ esearchresult: { count: String(uids.length), idlist: uids } });
+  }
+
+  function fetchRecords(params) {
+    if (params.get('db') === 'pmc') {
+      const ids = (params.get('id') || '').split(',').map(id => `PMC${id.replace(/^PMC/i, '')}`);
+      const docs = articles.filter(a => a.pmcid && ids.includes(a.pmcid) && a.fullText);
+      return xml(`<pmc-articleset>${docs.map(renderJats).join('')}</pmc-articleset>`);
+    }
+
+    let pmids;
+    if (params.get('WebEnv')) {
+      const history = histories[Number(params.get('query_key')) - 1] || [];
+      const retstart = Number(params.get('retstart') || 0);
+      pmids = history.slice(retstart, retstart + Number(params.get('retmax') || 20));
+    } else {
+      pmids = (params.get('id') || '').split(',').filter(Boolean);
+    }
+
+    if (params.get('rettype') === 'uilist') {
+      return { status: 200, type: 'text/plain', body: pmids.join('\n') };
+    }
+    const records = pmids.map(pmid => byPmid.get(pmid)).filter(Boolean);
+    return xml(`<?xml version="1.0"?>\n<PubmedArticleSet>${records.map(renderArticle).join('')}</PubmedArticleSet>`);
+  }
+
+  function articleSummaries(params) {
+    const pmids = (params.get('id') || '').split(',').filter(pmid => byPmid.has(pmid));
+    const result = { uids: pmids };
+    for (const pmid of pmids) {
+      const a = byPmid.get(pmid);
+      result[pmid] = {
+        uid: pmid,
+        title: a.title,
+        authors: (a.authors || []).map(au => ({ name: `${au.lastName} ${initials(au.foreName)}`, authtype: 'Author' })),
+        source: a.journalAbbreviation || a.journal,
+        fulljournalname: a.journal,
+        pubdate: a.pubDate ? a.pubDate.slice(0, 4) : '',
+        pubtype: a.publicationTypes || [],
+        volume: a.volume || '',
+        issue: a.issue || '',
+        pages: a.pages || '',
+        articleids: [
+          a.doi ? { idtype: 'doi', value: a.doi } : null,
+          a.pmcid ? { idtype: 'pmc', value: a.pmcid } : null,
+        ].filter(Boolean),
+      };
+    }
+    return { result };
+  }
+
+  function meshSummaries(params) {
+    const uids = (params.get('id') || '').split(',').filter(uid => mesh.some(d => d.uid === uid));
+    const result = { uids };
+    for (const uid of uids) {
+      const d = mesh.find(m => m.uid === uid);
+      result[uid] = {
+        ds_meshui: d.ui,
+        ds_meshterms: [d.name, ...(d.entryTerms || [])],
+        ds_scopenote: d.scopeNote || '',
+        ds_idxlinks: (d.treeNumbers || []).map(treenum => ({ treenum, parent: d.parentUid || null, children: [] })),
+      };
+    }
+    return { result };
+  }
+
+  function link(params) {
+    const linkname = params.get('linkname');
+    const linksets = params.getAll('id').flatMap(id => id.split(',')).map(pmid => {
+      const article = byPmid.get(pmid);
+      let links = [];
+      if (article && linkname === 'pubmed_pubmed') {
+        // Similarity: shared MeSH headings
+        links = articles
+          .filter(other => other.pmid !== pmid)
+          .map(other => ({ id: other.pmid, score: String(sharedHeadings(article, other) * 1000) }))
+          .filter(l => l.score !== '0')
+          .sort((a, b) => b.score - a.score);
+        if (params.get('cmd') !== 'neighbor_score') links = links.map(l => l.id);
+      } else if (article && linkname === 'pubmed_pubmed_refs') {
+        links = article.references || [];
+      } else if (article && linkname === 'pubmed_pubmed_citedin') {
+        links = articles.filter(other => (other.references || []).includes(pmid)).map(other => other.pmid);
+      } else if (article && linkname === 'pubmed_pmc') {
+        links = article.pmcid ? [article.pmcid.replace(/^PMC/, '')] : [];
+      }
+      return {
+        dbfrom: params.get('dbfrom') || 'pubmed',
+        ids: [pmid],
+        linksetdbs: links.length ? [{ dbto: params.get('db') || 'pubmed', linkname, links }] : [],
+      };
+    });
+    return { header: { type: 'elink' }, linksets };
+  }
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    const utility = url.pathname.split('/').pop().replace(/\.fcgi$/, '');
+    const handler = handlers[utility];
+    const { status, type, body } = handler
+      ? handler(url.searchParams)
+      : { status: 404, type: 'text/plain', body: `Unknown E-utility: ${utility}` };
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(body);
+  });
+  server.requests = requests;
+  return server;
+}
+
+// Helper: Evaluate a query node (see query-builder.js) against an article
+function matchesNode(node, article) {
+  if (node.type === 'group') {
+    const [first, ...rest] = node.children;
+    if (node.op === 'AND') return node.children.every(c => matchesNode(c, article));
+    if (node.op === 'OR') return node.children.some(c => matchesNode(c, article));
+    return matchesNode(first, article) && !rest.some(c => matchesNode(c, article));
+  }
+  if (node.type === 'range') {
+    const field = { 'Date - Publication': 'pubDate', 'Date - Entry': 'entryDate' }[node.field];
+    return field ? inRange(article[field], node.from, node.to) : true;
+  }
+  return matchesTerm(node, article);
+}
+
+function matchesTerm({ text, field }, article) {
+  const headings = article.meshHeadings || [];
+  const abstract = (article.abstractSections || []).map(s => s.text).join(' ');
+  const equals = value => wildcard(text, true).test(value);
+  const contains = value => wildcard(text, false).test(value);
+
+  switch (field) {
+    case 'MeSH Terms':
+    case 'MeSH Major Topic':
+      return headings.some(h => equals(h.descriptor));
+    case 'Subheading':
+      return headings.some(h => (h.qualifiers || []).some(equals));
+    case 'Publication Type':
+      return (article.publicationTypes || []).some(equals);
+    case 'Title':
+      return contains(article.title);
+    case 'Title/Abstract':
+      return contains(`${article.title} ${abstract}`);
+    case 'Abstract':
+      return contains(abstract);
+    case 'Secondary Source ID':
+      return (article.nctIds || []).some(equals);
+    case 'Author':
+      return (article.authors || []).some(a => contains(`${a.lastName} ${initials(a.foreName)}`));
+    case 'Language': {
+      const language = article.language || 'english';
+      return equals(language) || equals(language.slice(0, 3));
+    }
+    case 'Filter':
+      if (/^ffrft$|^free full text$/i.test(text)) return Boolean(article.pmcid);
+      if (/^fha$|^hasabstract$/i.test(text)) return abstract.length > 0;
+      return true;
+    case null:
+    case 'All Fields':
+    case 'Text Word':
+      return contains(`${article.title} ${abstract} ${headings.map(h => h.descriptor).join(' ')}`);
+    default:
+      return true;
+  }
+}
+
+// Helper: Case-insensitive pattern for a term; a trailing * matches any word ending
+function wildcard(text, whole) {
+  const escaped = text.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '\\w*');
+  return new RegExp(whole ? `^${escaped}$` : `\\b${escaped}\\b`, 'i');
+}
+
+function inRange(date, from, to) {
+  if (!date) return false;
+  const value = padDate(date);
+  return value >= padDate(from, '00') && value <= padDate(to, '99');
+}
+
+// Helper: YYYYMMDD for comparing YYYY, YYYY/MM and YYYY/MM/DD dates
+function padDate(date, fill = '00') {
+  const [year, month = fill, day = fill] = String(date).split('/');
+  return `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+}
+
+function sharedHeadings(a, b) {
+  const names = new Set((a.meshHeadings || []).map(h => h.descriptor));
+  return (b.meshHeadings || []).filter(h => names.has(h.descriptor) && h.descriptor !== 'Humans').length;
+}
+
+function initials(foreName = '') {
+  return foreName.split(/[\s-]+/).map(part => part[0] || '').join('');
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Helper: One PubmedArticle element, shaped like EFetch's
+function renderArticle(a) {
+  const [year, month, day] = (a.pubDate || '').split('/');
+  const date = [
+    year ? `<Year>${year}</Year>` : '',
+    month ? `<Month>${MONTHS[Number(month) - 1]}</Month>` : '',
+    day ? `<Day>${day}</Day>` : '',
+  ].join('');
+
+  return `<PubmedArticle><MedlineCitation Status="MEDLINE"><PMID Version="1">${a.pmid}</PMID><Article>`
+    + `<Journal><JournalIssue>${a.volume ? `<Volume>${esc(a.volume)}</Volume>` : ''}${a.issue ? `<Issue>${esc(a.issue)}</Issue>` : ''}<PubDate>${date}</PubDate></JournalIssue>`
+    + `<Title>${esc(a.journal)}</Title><ISOAbbreviation>${esc(a.journalAbbreviation || a.journal)}</ISOAbbreviation></Journal>`
+    + `<ArticleTitle>${esc(a.title)}</ArticleTitle>`
+    + (a.pages ? `<Pagination><MedlinePgn>${esc(a.pages)}</MedlinePgn></Pagination>` : '')
+    + (a.nctIds?.length ? `<DataBankList CompleteYN="Y"><DataBank><DataBankName>ClinicalTrials.gov</DataBankName><AccessionNumberList>${a.nctIds.map(id => `<AccessionNumber>${esc(id)}</AccessionNumber>`).join('')}</AccessionNumberList></DataBank></DataBankList>` : '')
+    + (a.doi ? `<ELocationID EIdType="doi" ValidYN="Y">${esc(a.doi)}</ELocationID>` : '')
+    + `<Abstract>${(a.abstractSections || []).map(s => `<AbstractText${s.label ? ` Label="${esc(s.label)}"` : ''}${s.category ? ` NlmCategory="${s.category}"` : ''}>${esc(s.text)}</AbstractText>`).join('')}</Abstract>`
+    + `<AuthorList>${(a.authors || []).map(au => `<Author><LastName>${esc(au.lastName)}</LastName><ForeName>${esc(au.foreName)}</ForeName><Initials>${initials(au.foreName)}</Initials></Author>`).join('')}</AuthorList>`
+    + `<Language>${(a.language || 'english').slice(0, 3)}</Language>`
+    + `<PublicationTypeList>${(a.publicationTypes || []).map(pt => `<PublicationType>${esc(pt)}</PublicationType>`).join('')}</PublicationTypeList>`
+    + '</Article>'
+    + `<MeshHeadingList>${(a.meshHeadings || []).map(h => `<MeshHeading><DescriptorName MajorTopicYN="N">${esc(h.descriptor)}</DescriptorName>${(h.qualifiers || []).map(q => `<QualifierName MajorTopicYN="N">${esc(q)}</QualifierName>`).join('')}</MeshHeading>`).join('')}</MeshHeadingList>`
+    + '</MedlineCitation><PubmedData><ArticleIdList>'
+    + `<ArticleId IdType="pubmed">${a.pmid}</ArticleId>`
+    + (a.doi ? `<ArticleId IdType="doi">${esc(a.doi)}</ArticleId>` : '')
+    + (a.pmcid ? `<ArticleId IdType="pmc">${esc(a.pmcid)}</ArticleId>` : '')
+    + '</ArticleIdList></PubmedData></PubmedArticle>';
+}
+
+// Helper: A minimal JATS article for PMC EFetch
+function renderJats(a) {
+  return '<article><front><article-meta>'
+    + `<article-id pub-id-type="pmc">${esc(a.pmcid.replace(/^PMC/, ''))}</article-id>`
+    + `<article-id pub-id-type="pmid">${a.pmid}</article-id>`
+    + `<title-group><article-title>${esc(a.title)}</article-title></title-group>`
+    + '</article-meta></front><body>'
+    + a.fullText.map(s => `<sec><title>${esc(s.title)}</title><p>${esc(s.text)}</p></sec>`).join('')
+    + '</body></article>';
+}
+
+function json(data) {
+  return { status: 200, type: 'application/json', body: JSON.stringify(data) };
+}
+
+function xml(body) {
+  return { status: 200, type: 'text/xml', body };
+}
+
+function esc(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Start server
+async function main() {
+  const args = process.argv.slice(2);
+  const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  const port = Number(argValue('--port') || process.env.PORT || 8089);
+  const host = argValue('--host') || '127.0.0.1';
+  const corpus = argValue('--corpus') ? JSON.parse(await readFile(argValue('--corpus'), 'utf8')) : SAMPLE_CORPUS;
+
+  const server = createEutilsStubServer(corpus);
+  server.listen(port, host, () => {
+    const url = `http://${host}:${server.address().port}`;
+    console.log(`Stand-in E-utilities (${corpus.articles.length} articles) on ${url}`);
+    console.log(`Use it with: EUTILS_BASE_URL=${url}`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export default {
+  SAMPLE_CORPUS,
+  createEutilsStubServer,
+};
@@ -0,0 +1,110 @@
+/**
+ * Record/Replay Transport
+ *
+ * The fetch used for every E-utilities request, with record and replay
+ * modes for working offline: `record` passes requests through and saves
+ * each response as a fixture file, `replay` answers from the fixtures and
+ * never touches the network.
+ *
+ * Fixtures: <dir>/<utility>-<hash>.json, each holding
+ * { request, status, contentType, body }. `request` is the utility and its
+ * normalized parameters without NCBI identification (api_key, tool,
+ * email), so fixtures recorded with a key replay without one, and against
+ * any base URL.
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+import { cacheKey } from './response-cache.js';
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+// Throttling and outages are retried by the scheduler, never recorded
+const UNRECORDED_STATUSES = [429, 502, 503];
+
+/**
+ * Create a transport
+ * @param {object} options - Transport options
+ * @param {string} options.mode - 'live' (default), 'record' or 'replay'
+ * @param {string} options.fixturesDir - Fixture directory (required for record and replay)
+ * @param {Function} options.fetch - fetch implementation for live and record (default: global fetch)
+ * @returns {Function} fetch-compatible function (url, init) => Promise<Response>
+ */
+export function createTransport(options = {}) {
+  const {
+    mode = 'live',
+    fixturesDir = null,
+    fetch: fetchImpl = (...args) => fetch(...args),
+  } = options;
+
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown transport mode: ${mode} (expected one of ${TRANSPORT_MODES.join(', ')})`);
+  }
+  if (mode !== 'live' && !fixturesDir) {
+    throw new Error(`Transport mode "${mode}" needs a fixtures directory`);
+  }
+
+  if (mode === 'live') return fetchImpl;
+
+  if (mode === 'replay') {
+    return async url => {
+      const request = fixtureRequest(url);
+      let fixture;
+      try {
+        fixture = JSON.parse(await readFile(fixturePath(fixturesDir, request), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No recorded fixture for ${request} in ${fixturesDir} (record it with EUTILS_MODE=record)`);
+        }
+        throw error;
+      }
+      return new Response(fixture.body, {
+        status: fixture.status,
+        headers: { 'Content-Type': fixture.contentType },
+      });
+    };
+  }
+
+  return async (url, init) => {
+    const response = await fetchImpl(url, init);
+    if (UNRECORDED_STATUSES.includes(response.status)) return response;
+
+    const request = fixtureRequest(url);
+    const body = await response.text();
+    const contentType = response.headers.get('content-type') || 'text/plain';
+    const path = fixturePath(fixturesDir, request);
+
+    await mkdir(fixturesDir, { recursive: true });
+    // Write-then-rename so a concurrent replay never reads a partial file
+    const tmp = `${path}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ request, status: response.status, contentType, body }, null, 2));
+    await rename(tmp, path);
+
+    return new Response(body, { status: response.status, headers: { 'Content-Type': contentType } });
+  };
+}
+
+/**
+ * The request a fixture answers: utility plus normalized parameters
+ * @param {string} url - E-utilities request URL
+ * @returns {string} e.g. "esearch?db=pubmed&retmax=10&term=MEN1"
+ */
+export function fixtureRequest(url) {
+  const { pathname, searchParams } = new URL(url);
+  const utility = pathname.split('/').pop().replace(/\.fcgi$/, '');
+  return cacheKey(utility, searchParams);
+}
+
+function fixturePath(dir, request) {
+  const utility = request.slice(0, request.indexOf('?'));
+  const hash = createHash('sha256').update(request).digest('hex').slice(0, 16);
+  return join(dir, `${utility}-${hash}.json`);
+}
+
+export default {
+  TRANSPORT_MODES,
+  createTransport,
+  fixtureRequest,
+};
@@ -0,0 +1,181 @@
+/**
+ * E-utilities Transport
+ *
+ * Shared plumbing for every NCBI E-utilities call in this process: NCBI
+ * identification parameters, the base URL and fetch transport, the request
+ * scheduler and the response cache.
+ */
+
+import { createScheduler } from './request-scheduler.js';
+import { createCache } from './response-cache.js';
+import { createTransport } from './eutils-transport.js';
+
+export const DEFAULT_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+// NCBI identification, sent with every request (see E-utilities usage guidelines)
+const clientConfig = {
+  apiKey: process.env.NCBI_API_KEY || null,
+  tool: process.env.NCBI_TOOL || 'pubmed-medical-chatbot',
+  email: process.env.NCBI_EMAIL || null,
+};
+
+// Where requests go and how (set EUTILS_BASE_URL, EUTILS_MODE and EUTILS_FIXTURES, or call configureTransport)
+const transportConfig = {
+  baseUrl: process.env.EUTILS_BASE_URL || DEFAULT_BASE_URL,
+  mode: process.env.EUTILS_MODE || 'live',
+  fixturesDir: process.env.EUTILS_FIXTURES || null,
+  fetch: undefined,
+  requestsPerSecond: null,
+};
+let transport = createTransport(transportConfig);
+
+// Shared by every E-utilities call in this process: 3 req/s, or 10 req/s with an API key
+const scheduler = createScheduler({
+  requestsPerSecond: requestRate(),
+  fetch: (url, init) => transport(url, init),
+});
+
+/**
+ * Configure NCBI credentials for all subsequent requests
+ * @param {object} options - Client options
+ * @param {string} options.apiKey - NCBI API key (raises the limit to 10 req/s)
+ * @param {string} options.tool - Tool name reported to NCBI
+ * @param {string} options.email - Contact email reported to NCBI
+ */
+export function configureClient(options = {}) {
+  for (const key of ['apiKey', 'tool', 'email']) {
+    if (options[key] !== undefined) clientConfig[key] = options[key];
+  }
+  scheduler.setRate(requestRate());
+}
+
+/**
+ * Configure where and how E-utilities requests are sent
+ *
+ * Point `baseUrl` at a local stand-in server (see eutils-stub-server.js), or
+ * record real responses once and replay them offline.
+ *
+ * @param {object} options - Transport options (unset options keep their current value)
+ * @param {string} options.baseUrl - E-utilities base URL (default: NCBI)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {string} options.mode - 'live', 'record' or 'replay' (see createTransport)
+ * @param {string} options.fixturesDir - Fixture directory for record and replay
+ * @param {number} options.requestsPerSecond - Request rate, overriding NCBI's limits (e.g. for a local server)
+ */
+export function configureTransport(options = {}) {
+  const next = { ...transportConfig };
+  for (const key of Object.keys(transportConfig)) {
+    if (options[key] !== undefined) next[key] = options[key];
+  }
+  transport = createTransport(next);
+  Object.assign(transportConfig, next);
+  scheduler.setRate(requestRate());
+}
+
+// Bump when the shape of cached article records changes
+const RECORD_VERSION = 6;
+
+// On-disk response cache (set PUBMED_CACHE=off to disable, PUBMED_CACHE_DIR to relocate)
+let cache = createCache({
+  dir: process.env.PUBMED_CACHE_DIR || undefined,
+  enabled: process.env.PUBMED_CACHE !== 'off',
+  version: RECORD_VERSION,
+});
+
+/**
+ * Replace the response cache configuration
+ * @param {object} options - Cache options (see createCache: dir, ttl, enabled)
+ */
+export function configureCache(options = {}) {
+  cache = createCache({ version: RECORD_VERSION, ...options });
+}
+
+/**
+ * Get response cache statistics
+ * @returns {Promise<object>} Per-namespace entry counts, sizes and hit/miss counters
+ */
+export async function getCacheStats() {
+  return cache.stats();
+}
+
+/**
+ * Clear the response cache
+ * @param {object} options - Clear options
+ * @param {string} options.namespace - search, articles, summaries, mesh, fulltext or links (default: all)
+ * @param {string[]} options.pmids - Only invalidate these article records
+ * @param {boolean} options.expiredOnly - Only remove expired entries
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function clearCache(options = {}) {
+  const { namespace = null, pmids = null, expiredOnly = false } = options;
+
+  if (pmids?.length) {
+    const namespaces = namespace ? [namespace] : ['articles', 'summaries'];
+    let removed = 0;
+    for (const ns of namespaces) removed += await cache.invalidate(ns, pmids);
+    return removed;
+  }
+  return cache.clear({ namespace, expiredOnly });
+}
+
+/**
+ * Current response cache (replaced by configureCache)
+ * @returns {object} Cache instance (see createCache)
+ */
+export function getResponseCache() {
+  return cache;
+}
+
+/**
+ * Read through the response cache
+ * @param {string} namespace - Cache namespace
+ * @param {string} key - Cache key
+ * @param {boolean|string} cacheMode - true (read and write), false (bypass), 'refresh' (write only)
+ * @param {Function} load - Produces the value on a miss
+ * @returns {Promise<*>} Cached or freshly loaded value
+ */
+export async function cachedValue(namespace, key, cacheMode, load) {
+  if (cacheMode === true) {
+    const hit = await cache.get(namespace, key);
+    if (hit !== undefined) return hit;
+  }
+
+  const value = await load();
+  if (cacheMode) await cache.set(namespace, key, value);
+  return value;
+}
+
+/**
+ * Get request scheduler statistics
+ * @returns {object} Rate, pending requests, total requests and retries
+ */
+export function getSchedulerStats() {
+  return scheduler.stats();
+}
+
+// Helper: Configured rate, else NCBI's limit for the credentials
+function requestRate() {
+  return transportConfig.requestsPerSecond ?? (clientConfig.apiKey ? 10 : 3);
+}
+
+/**
+ * Send an E-utilities request through the shared scheduler
+ * @param {string} utility - E-utility name (esearch, efetch, esummary, elink, ...)
+ * @param {URLSearchParams} params - Request parameters (NCBI identification is added)
+ * @param {string} label - Operation name used in error messages
+ * @returns {Promise<Response>} Successful response
+ */
+export async function eutilsRequest(utility, params, label) {
+  if (clientConfig.apiKey) params.set('api_key', clientConfig.apiKey);
+  if (clientConfig.tool) params.set('tool', clientConfig.tool);
+  if (clientConfig.email) params.set('email', clientConfig.email);
+
+  const url = `${transportConfig.baseUrl.replace(/\/$/, '')}/${utility}.fcgi?${params}`;
+
+  // Replayed responses need no pacing
+  const response = transportConfig.mode === 'replay' ? await transport(url) : await scheduler.fetch(url);
+  if (!response.ok) {
+    throw new Error(`${label} failed: ${response.status}`);
+  }
+  return response;
+}
@@ -0,0 +1,195 @@
+/**
+ * Evidence Ranker
+ *
+ * Assigns each article an evidence tier from its PubMed publication types
+ * and MeSH study-design headings, then scores it on tier, recency and
+ * relevance to the query so that, for example, a meta-analysis outranks a
+ * case report that PubMed happened to list first.
+ */
+
+// Strongest first. `other` is a primary study whose design is not indexed.
+export const EVIDENCE_TIERS = [
+  { tier: 'guideline', label: 'Practice guideline', weight: 1.0 },
+  { tier: 'systematic-review', label: 'Systematic review / meta-analysis', weight: 0.9 },
+  { tier: 'rct', label: 'Randomized controlled trial', weight: 0.8 },
+  { tier: 'cohort', label: 'Cohort study / non-randomized trial', weight: 0.65 },
+  { tier: 'case-control', label: 'Case-control / cross-sectional study', weight: 0.55 },
+  { tier: 'case-report', label: 'Case report', weight: 0.4 },
+  { tier: 'review', label: 'Narrative review', weight: 0.35 },
+  { tier: 'other', label: 'Other / unclassified', weight: 0.3 },
+  { tier: 'editorial', label: 'Editorial / comment / letter', weight: 0.15 },
+];
+
+export const TIER_NAMES = EVIDENCE_TIERS.map(t => t.tier);
+
+// Publication types (https://www.nlm.nih.gov/mesh/pubtypes.html) and MeSH study-design headings per tier
+const TIER_RULES = {
+  guideline: {
+    publicationTypes: ['Practice Guideline', 'Guideline', 'Consensus Development Conference', 'Consensus Development Conference, NIH'],
+  },
+  'systematic-review': {
+    publicationTypes: ['Systematic Review', 'Meta-Analysis', 'Network Meta-Analysis'],
+    title: /\b(?:systematic review|meta-analy[sz]is|meta-analyses)\b/i,
+  },
+  rct: {
+    publicationTypes: ['Randomized Controlled Trial', 'Pragmatic Clinical Trial', 'Equivalence Trial'],
+    mesh: ['Random Allocation'],
+  },
+  cohort: {
+    publicationTypes: ['Clinical Trial', 'Controlled Clinical Trial', 'Clinical Trial, Phase I', 'Clinical Trial, Phase II',
+      'Clinical Trial, Phase III', 'Clinical Trial, Phase IV', 'Observational Study'],
+    mesh: ['Cohort Studies', 'Prospective Studies', 'Longitudinal Studies', 'Follow-Up Studies', 'Retrospective Studies'],
+  },
+  'case-control': {
+    mesh: ['Case-Control Studies', 'Cross-Sectional Studies'],
+  },
+  'case-report': {
+    publicationTypes: ['Case Reports'],
+  },
+  review: {
+    publicationTypes: ['Review', 'Scoping Review'],
+  },
+  editorial: {
+    publicationTypes: ['Editorial', 'Comment', 'Letter', 'News', 'Newspaper Article', 'Published Erratum'],
+  },
+};
+
+// Score weights: evidence tier, recency, relevance to the query
+const DEFAULT_WEIGHTS = { tier: 0.5, recency: 0.2, relevance: 0.3 };
+
+// Recency halves every this many years
+const RECENCY_HALF_LIFE_YEARS = 5;
+
+/**
+ * Classify an article's evidence tier
+ * @param {object} article - Article record (fetchDetails or fetchSummaries)
+ * @returns {object} { tier, label, weight, rank } where rank 0 is strongest
+ */
+export function classifyEvidence(article) {
+  const types = new Set(article.publicationTypes || []);
+  const mesh = new Set(article.meshTerms || []);
+
+  const rank = EVIDENCE_TIERS.findIndex(({ tier }) => {
+    const rule = TIER_RULES[tier];
+    if (!rule) return false;
+    return (rule.publicationTypes || []).some(t => types.has(t))
+      || (rule.mesh || []).some(m => mesh.has(m))
+      || Boolean(rule.title?.test(article.title || ''));
+  });
+
+  const resolved = rank === -1 ? TIER_NAMES.indexOf('other') : rank;
+  return { ...EVIDENCE_TIERS[resolved], rank: resolved };
+}
+
+/**
+ * Whether a tier is at least as strong as a minimum
+ * @param {string} tier - Tier to test
+ * @param {string} minEvidence - Weakest acceptable tier (see TIER_NAMES)
+ * @returns {boolean}
+ */
+export function meetsEvidence(tier, minEvidence) {
+  const min = TIER_NAMES.indexOf(minEvidence);
+  if (min === -1) {
+    throw new Error(`Unknown evidence tier: ${minEvidence} (expected one of ${TIER_NAMES.join(', ')})`);
+  }
+  return TIER_NAMES.indexOf(tier) <= min;
+}
+
+/**
+ * Score and reorder articles
+ *
+ * Each article gets an `evidence` field:
+ * { tier, label, score, components: { tier, recency, relevance } }.
+ * Relevance blends the article's position in PubMed's own ordering with
+ * how many query terms appear in its title, MeSH terms and abstract.
+ *
+ * @param {object[]} articles - Articles in PubMed relevance order
+ * @param {object} options - Ranking options
+ * @param {string[]} options.terms - Query terms for relevance (e.g. disease name, MeSH heading)
+ * @param {string} options.minEvidence - Drop articles below this tier
+ * @param {object} options.weights - { tier, recency, relevance } (default: 0.5, 0.2, 0.3)
+ * @param {boolean} options.reorder - Sort by score (default: true)
+ * @param {Date} options.now - Reference date for recency (default: now)
+ * @returns {object[]} Annotated copies of the articles, best first
+ */
+export function rankArticles(articles, options = {}) {
+  const {
+    terms = [],
+    minEvidence = null,
+    weights = DEFAULT_WEIGHTS,
+    reorder = true,
+    now = new Date(),
+  } = options;
+
+  const queryTerms = [...new Set(terms.flatMap(tokenize))];
+
+  const ranked = articles.map((article, position) => {
+    const evidence = classifyEvidence(article);
+    const components = {
+      tier: evidence.weight,
+      recency: recencyScore(article.pubDate, now),
+      relevance: relevanceScore(article, queryTerms, position, articles.length),
+    };
+    const score = weights.tier * components.tier
+      + weights.recency * components.recency
+      + weights.relevance * components.relevance;
+
+    return {
+      ...article,
+      evidence: {
+        tier: evidence.tier,
+        label: evidence.label,
+        score: round(score),
+        components: {
+          tier: components.tier,
+          recency: round(components.recency),
+          relevance: round(components.relevance),
+        },
+      },
+    };
+  });
+
+  const kept = minEvidence ? ranked.filter(a => meetsEvidence(a.evidence.tier, minEvidence)) : ranked;
+  return reorder ? kept.sort((a, b) => b.evidence.score - a.evidence.score) : kept;
+}
+
+function recencyScore(pubDate, now) {
+  const year = parseInt(String(pubDate || '').match(/\b(19|20)\d{2}\b/)?.[0], 10);
+  if (!year) return 0;
+  const age = Math.max(0, now.getFullYear() - year);
+  return Math.pow(0.5, age / RECENCY_HALF_LIFE_YEARS);
+}
+
+function relevanceScore(article, queryTerms, position, total) {
+  const positional = total > 1 ? 1 - position / total : 1;
+  if (!queryTerms.length) return positional;
+
+  // A term counts once, at the weight of the strongest field it appears in
+  const fields = [
+    [new Set(tokenize(article.title || '')), 1],
+    [new Set(tokenize((article.meshTerms || []).join(' '))), 0.8],
+    [new Set(tokenize(article.abstract || '')), 0.5],
+  ];
+  let matched = 0;
+  for (const term of queryTerms) {
+    matched += fields.find(([tokens]) => tokens.has(term))?.[1] ?? 0;
+  }
+
+  return 0.5 * positional + 0.5 * (matched / queryTerms.length);
+}
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+/g) || []).filter(t => t.length > 2 || /\d/.test(t));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  EVIDENCE_TIERS,
+  TIER_NAMES,
+  classifyEvidence,
+  meetsEvidence,
+  rankArticles,
+};
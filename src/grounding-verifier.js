@@ -0,0 +1,201 @@
+/**
+ * Grounding Verifier
+ *
+ * Checks a generated answer against the articles it was generated from:
+ * every cited PMID must be one of the retrieved articles, and every claim
+ * should be supported by the text of the article(s) it cites.
+ *
+ * Support is lexical: stemmed content-word and bigram overlap between the
+ * claim and the cited article, with numbers (doses, percentages, counts)
+ * required to appear verbatim.
+ */
+
+import { analyzeText, splitSentences } from './text-analysis.js';
+
+// Support thresholds for claim status
+const SUPPORTED = 0.5;
+const WEAK = 0.3;
+
+// Claims with fewer content words than this are headings or connectives
+const MIN_CLAIM_TERMS = 3;
+
+/**
+ * Verify an answer against the retrieved articles
+ * @param {string} answer - Generated answer text
+ * @param {object[]} articles - Articles the answer was generated from (fetchDetails records)
+ * @param {object} options - Verification options
+ * @param {Map<string, object[]>} options.fullTextSections - Full-text sections given to the LLM, keyed by PMID
+ * @returns {object} Verdict: claims with status and support, unknown citations and totals
+ */
+export function verifyAnswer(answer, articles, options = {}) {
+  const { fullTextSections = new Map() } = options;
+
+  const sources = new Map(articles.map(article => {
+    const sections = fullTextSections.get(article.pmid) || [];
+    const sourceText = [article.title, article.abstract, ...sections.map(s => s.text)].join(' ');
+    return [String(article.pmid), buildIndex(sourceText)];
+  }));
+
+  const claims = splitClaims(answer).map(claim => scoreClaim(claim, sources));
+  const checked = claims.filter(c => c.status !== 'uncited');
+
+  const citedPmids = unique(claims.flatMap(c => c.pmids));
+  const unknownPmids = citedPmids.filter(pmid => !sources.has(pmid));
+  const supported = checked.filter(c => c.status === 'supported').length;
+  const unsupported = claims.filter(c => c.status === 'unsupported' || c.status === 'invalid-citation').length;
+
+  let verdict = 'grounded';
+  if (!checked.length || supported === 0) verdict = 'ungrounded';
+  else if (unsupported || unknownPmids.length || supported < checked.length) verdict = 'partially-grounded';
+
+  return {
+    verdict,
+    passed: verdict === 'grounded',
+    citedPmids,
+    unknownPmids,
+    totals: {
+      claims: claims.length,
+      supported,
+      weak: claims.filter(c => c.status === 'weak').length,
+      unsupported,
+      uncited: claims.filter(c => c.status === 'uncited').length,
+    },
+    claims,
+  };
+}
+
+/**
+ * Split an answer into citable claims
+ *
+ * Drops the Sources list, disclaimers and headings; each remaining sentence
+ * is a claim carrying the PMIDs cited inside it.
+ *
+ * @param {string} answer - Answer text
+ * @returns {object[]} { text, pmids }
+ */
+export function splitClaims(answer) {
+  const body = answer.split(/^\s*\**\s*(?:sources|references)\s*:?\s*\**\s*:?\s*$/im)[0];
+
+  return body
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').replace(/\*\*/g, '').trim())
+    .filter(line => line && !/disclaimer|informational purposes|educational purposes|consult (?:a|your) (?:healthcare|doctor|physician)/i.test(line))
+    .flatMap(splitSentences)
+    .map(sentence => ({ text: sentence, pmids: extractPmids(sentence) }))
+    .reduce(attachCitationFragments, [])
+    .filter(claim => claim.pmids.length || contentTerms(claim.text).length >= MIN_CLAIM_TERMS)
+    .filter(claim => !/:$/.test(claim.text));
+}
+
+// Helper: A bare "(PMID: 123)" after a sentence cites that sentence
+function attachCitationFragments(claims, claim) {
+  const previous = claims[claims.length - 1];
+  if (previous && claim.pmids.length && !contentTerms(claim.text).length) {
+    previous.text = `${previous.text} ${claim.text}`;
+    previous.pmids = unique([...previous.pmids, ...claim.pmids]);
+  } else {
+    claims.push(claim);
+  }
+  return claims;
+}
+
+/**
+ * Extract cited PMIDs from text
+ * Recognizes "PMID: 123", "PMID 123", "[PMID:123]" and "PMIDs: 123, 456 and 789".
+ * @param {string} text - Text to scan
+ * @returns {string[]} PMIDs in order of first appearance
+ */
+export function extractPmids(text) {
+  const pmids = [];
+  for (const match of text.matchAll(/PMIDs?\s*:?\s*((?:\d{1,9}(?:\s*(?:,|;|and|&)\s*(?:PMID\s*:?\s*)?)?)+)/gi)) {
+    pmids.push(...match[1].match(/\d+/g));
+  }
+  return unique(pmids);
+}
+
+function scoreClaim(claim, sources) {
+  const terms = contentTerms(claim.text);
+  const numbers = extractNumbers(claim.text);
+
+  const scoreAgainst = pmid => {
+    const source = sources.get(pmid);
+    const unigram = terms.length ? terms.filter(t => source.terms.has(t)).length / terms.length : 0;
+    const bigrams = toBigrams(terms);
+    const bigram = bigrams.length ? bigrams.filter(b => source.bigrams.has(b)).length / bigrams.length : unigram;
+    const missingNumbers = numbers.filter(n => !source.numbers.has(n));
+    return { pmid, score: round(0.7 * unigram + 0.3 * bigram), missingNumbers };
+  };
+
+  const knownPmids = claim.pmids.filter(pmid => sources.has(pmid));
+  const unknownPmids = claim.pmids.filter(pmid => !sources.has(pmid));
+
+  if (!claim.pmids.length) {
+    // Uncited: report the closest article so reviewers can see where it may come from
+    const best = [...sources.keys()].map(scoreAgainst).sort((a, b) => b.score - a.score)[0];
+    return {
+      ...claim,
+      status: 'uncited',
+      support: best?.score ?? 0,
+      bestMatch: best && best.score >= WEAK ? best.pmid : null,
+      unknownPmids,
+    };
+  }
+
+  const scores = knownPmids.map(scoreAgainst).sort((a, b) => b.score - a.score);
+  const best = scores[0];
+
+  let status;
+  if (!best) status = 'invalid-citation';
+  else if (best.score >= SUPPORTED && !best.missingNumbers.length) status = 'supported';
+  else if (best.score >= WEAK) status = 'weak';
+  else status = 'unsupported';
+
+  return {
+    ...claim,
+    status,
+    support: best?.score ?? 0,
+    supportedBy: best && best.score >= WEAK ? best.pmid : null,
+    scores: scores.map(({ pmid, score }) => ({ pmid, score })),
+    unknownPmids,
+    missingNumbers: best?.missingNumbers ?? [],
+  };
+}
+
+// Helper: Term, bigram and number sets for one source article
+function buildIndex(text) {
+  const terms = contentTerms(text);
+  return {
+    terms: new Set(terms),
+    bigrams: new Set(toBigrams(terms)),
+    numbers: new Set(extractNumbers(text)),
+  };
+}
+
+// Helper: Content terms, ignoring the citation markers themselves
+function contentTerms(text) {
+  return analyzeText(text.replace(/pmids?\s*:?\s*[\d,;\s]+(?:and\s+\d+)?/gi, ' '));
+}
+
+function toBigrams(terms) {
+  return terms.slice(1).map((term, i) => `${terms[i]} ${term}`);
+}
+
+// Helper: Numbers as written (1.5, 40, 95%), ignoring PMIDs and years
+function extractNumbers(text) {
+  const withoutPmids = text.replace(/PMIDs?\s*:?\s*[\d,;\s]+(?:and\s+\d+)?/gi, ' ');
+  return unique((withoutPmids.match(/\d+(?:\.\d+)?/g) || []).filter(n => !/^(19|20)\d\d$/.test(n)));
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  verifyAnswer,
+  splitClaims,
+  extractPmids,
+};
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * PubMed HTTP API
+ *
+ * REST endpoints over the same client the MCP server and CLI use, plus a
+ * chat endpoint that streams progress and answer tokens as Server-Sent Events.
+ *
+ *   GET  /search?disease=MEN1        searchByDisease
+ *   GET  /query?q=...                raw PubMed query
+ *   GET  /articles/:pmid             one article with abstract
+ *   GET  /mesh-query?disease=MEN1    the MeSH query that would be searched
+ *   POST /chat                       { question, sessionId?, fullText?, trials?, citationStyle? }
+ *
+ * Usage:
+ *   node src/http-server.js
+ *   node src/http-server.js --port 8080 --cors-origin https://app.example.org
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+
+import {
+  searchByDisease,
+  searchPubMed,
+  fetchDetails,
+  resolveDiseaseQuery,
+} from './pubmed-client.js';
+import { answerQuestion } from './chatbot.js';
+import { providerFromEnv } from './llm-providers.js';
+import { createSession } from './conversation-session.js';
+import { resolvePolicies } from './safety-guardrails.js';
+import { CITATION_STYLES } from './citation-formatter.js';
+import { INTENT_NAMES } from './intent-classifier.js';
+import { rankArticles, TIER_NAMES } from './evidence-ranker.js';
+import { allOf, renderQuery, parseQuery } from './query-builder.js';
+import { normalizeFilters, buildFilterQuery, AGE_GROUP_NAMES, SEX_VALUES } from './search-filters.js';
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Chat sessions kept in memory; the least recently used is dropped beyond this
+const MAX_SESSIONS = 100;
+
+// SSE comment sent while the chat is busy, so proxies keep the connection open
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Create the API server (not yet listening)
+ * @param {object} options - Server options
+ * @param {string|string[]|false} options.corsOrigin - Allowed origin(s), '*' (default) or false to send no CORS headers
+ * @param {object|null} options.provider - LLM provider for /chat (default: from the environment, see providerFromEnv)
+ * @param {number} options.tokenBudget - Prompt tokens for chat passages (see answerQuestion)
+ * @param {object} options.guardrails - Safety screen for /chat: { policies, redact } (see safety-guardrails.js)
+ * @returns {http.Server} Node HTTP server
+ */
+export function createApiServer(options = {}) {
+  const { corsOrigin = '*', tokenBudget, guardrails } = options;
+  // Fail at startup rather than on the first chat
+  if (guardrails?.policies) resolvePolicies(guardrails.policies);
+  const provider = options.provider === undefined ? providerFromEnv() : options.provider;
+  const sessions = new Map();
+  // Sessions with a chat in progress; a session answers one question at a time
+  const busySessions = new Set();
+
+  const routes = [
+    { method: 'GET', path: /^\/search$/, handler: handleSearch },
+    { method: 'GET', path: /^\/query$/, handler: handleQuery },
+    { method: 'GET', path: /^\/articles\/([^/]+)$/, handler: handleArticle },
+    { method: 'GET', path: /^\/mesh-query$/, handler: handleMeshQuery },
+    { method: 'POST', path: /^\/chat$/, handler: (req, res, url) => handleChat(req, res, url, { provider, sessions, busySessions, tokenBudget, guardrails }) },
+  ];
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    setCorsHeaders(req, res, corsOrigin);
+
+    try {
+      const matching = routes.filter(route => route.path.test(url.pathname));
+      if (!matching.length) throw httpError(404, `No route for ${url.pathname}`);
+
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204, { Allow: allowedMethods(matching) });
+        res.end();
+        return;
+      }
+
+      const route = matching.find(r => r.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', allowedMethods(matching));
+        throw httpError(405, `${req.method} is not allowed on ${url.pathname}`);
+      }
+
+      let params;
+      try {
+        params = url.pathname.match(route.path).slice(1).map(decodeURIComponent);
+      } catch {
+        throw httpError(400, 'Malformed path');
+      }
+      const body = await route.handler(req, res, url, params);
+      if (body !== undefined) sendJson(res, 200, body);
+    } catch (error) {
+      if (res.headersSent) {
+        // Mid-stream failure: report it as an event, the status is already sent
+        sendEvent(res, 'error', { error: error.message });
+        res.end();
+      } else {
+        sendJson(res, error.status || 500, { error: error.message, status: error.status || 500 });
+      }
+    }
+  });
+}
+
+async function handleSearch(req, res, url) {
+  const query = url.searchParams;
+  return searchByDisease(requireParam(query, 'disease'), {
+    maxResults: intParam(query, 'maxResults', { min: 1, max: 20, fallback: 5 }),
+    page: intParam(query, 'page', { min: 1, fallback: 1 }),
+    recentYears: intParam(query, 'recentYears', { min: 1, max: 100, fallback: null }),
+    filters: filterParams(query),
+    includeAbstracts: boolParam(query, 'includeAbstracts', true),
+    intent: listParam(query, 'intent', INTENT_NAMES),
+    clinicalQuery: enumParam(query, 'clinicalQuery', ['broad', 'narrow', 'none'], 'broad'),
+    minEvidence: enumParam(query, 'minEvidence', TIER_NAMES, null),
+    rank: boolParam(query, 'rank', true),
+  });
+}
+
+async function handleQuery(req, res, url) {
+  const query = url.searchParams;
+  let q = requireParam(query, 'q');
+  let parsed;
+  try {
+    parsed = parseQuery(q);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  const filterClause = buildFilterQuery(filterParams(query));
+  if (filterClause) q = renderQuery(allOf(parsed, filterClause));
+  const maxResults = intParam(query, 'maxResults', { min: 1, max: 50, fallback: 10 });
+  const offset = intParam(query, 'offset', { min: 0, max: 9999, fallback: 0 });
+
+  const search = await searchPubMed(q, { maxResults, retstart: offset });
+  // Custom queries keep PubMed's order; evidence is annotated, not reranked
+  const articles = search.pmids.length && boolParam(query, 'includeAbstracts', true)
+    ? rankArticles(await fetchDetails(search.pmids), { reorder: false })
+    : [];
+
+  return {
+    query: q,
+    queryTranslation: search.queryTranslation,
+    totalResults: search.count,
+    offset,
+    pmids: search.pmids,
+    articles,
+    hasMore: search.pmids.length > 0 && offset + search.pmids.length < Math.min(search.count, 10000),
+  };
+}
+
+async function handleArticle(req, res, url, [pmid]) {
+  if (!/^\d+$/.test(pmid)) throw httpError(400, `Invalid PMID: ${pmid}`);
+  const [article] = await fetchDetails([pmid]);
+  if (!article) throw httpError(404, `Article ${pmid} not found`);
+  return article;
+}
+
+async function handleMeshQuery(req, res, url) {
+  const query = url.searchParams;
+  const disease = requireParam(query, 'disease');
+  const { query: pubmedQuery, ast, mesh, intents, filters } = await resolveDiseaseQuery(disease, {
+    meshOnly: boolParam(query, 'meshOnly', false),
+    resolveMesh: boolParam(query, 'resolveMesh', true),
+    meshExpansion: enumParam(query, 'meshExpansion', ['explode', 'noexp', 'broaden'], 'explode'),
+    intent: listParam(query, 'intent', INTENT_NAMES),
+    clinicalQuery: enumParam(query, 'clinicalQuery', ['broad', 'narrow', 'none'], 'broad'),
+    recentYears: intParam(query, 'recentYears', { min: 1, max: 100, fallback: null }),
+    filters: filterParams(query),
+  });
+  return { disease, mesh, intents, filters, query: pubmedQuery, ast };
+}
+
+// POST /chat streams `progress`, `token`, then one `result` (or `error`) event.
+// Send `"stream": false` to get the result as a single JSON response instead.
+async function handleChat(req, res, url, { provider, sessions, busySessions, tokenBudget, guardrails }) {
+  const body = await readJsonBody(req);
+  const question = typeof body.question === 'string' ? body.question.trim() : '';
+  if (!question) throw httpError(400, 'Missing required field: question');
+  if (question.length > 2000) throw httpError(400, 'question must be at most 2000 characters');
+  if (body.citationStyle !== undefined && !CITATION_STYLES.includes(body.citationStyle)) {
+    throw httpError(400, `Invalid citationStyle: ${body.citationStyle} (expected one of ${CITATION_STYLES.join(', ')})`);
+  }
+  if (body.sessionId !== undefined && (typeof body.sessionId !== 'string' || !/^[\w-]{1,64}$/.test(body.sessionId))) {
+    throw httpError(400, 'sessionId must be 1-64 letters, digits, "-" or "_"');
+  }
+
+  const sessionId = body.sessionId || randomUUID();
+  // Follow-up resolution and recordTurn mutate the session, so concurrent turns would race
+  if (busySessions.has(sessionId)) {
+    throw httpError(409, `Session ${sessionId} is still answering a question; retry when it finishes`);
+  }
+  const session = sessions.get(sessionId) || createSession();
+  // Re-insert so the Map stays in least-recently-used order
+  sessions.delete(sessionId);
+  sessions.set(sessionId, session);
+  if (sessions.size > MAX_SESSIONS) sessions.delete(sessions.keys().next().value);
+
+  busySessions.add(sessionId);
+  try {
+    return await answerChat(res, question, body, { sessionId, session, provider, tokenBudget, guardrails });
+  } finally {
+    busySessions.delete(sessionId);
+  }
+}
+
+// Helper: Answer one /chat question, as SSE or as a JSON body
+async function answerChat(res, question, body, { sessionId, session, provider, tokenBudget, guardrails }) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const chatOptions = {
+    fullText: body.fullText === true,
+    trials: body.trials === true,
+    citationStyle: body.citationStyle || 'ama',
+    session,
+    provider,
+    tokenBudget,
+    guardrails,
+    signal: controller.signal,
+  };
+
+  if (body.stream === false) {
+    const result = await answerQuestion(question, { ...chatOptions, onProgress: () => {} });
+    return { sessionId, ...result };
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  sendEvent(res, 'session', { sessionId });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  try {
+    const result = await answerQuestion(question, {
+      ...chatOptions,
+      onProgress: (stage, message) => sendEvent(res, 'progress', { stage, message: message.trim() }),
+      onToken: text => sendEvent(res, 'token', { text }),
+    });
+    sendEvent(res, 'result', { sessionId, ...result });
+    res.end();
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Helper: Error carrying an HTTP status
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function setCorsHeaders(req, res, corsOrigin) {
+  if (!corsOrigin) return;
+  const origins = [].concat(corsOrigin);
+  if (origins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (origins.includes(req.headers.origin)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+    res.setHeader('Vary', 'Origin');
+  } else {
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+function allowedMethods(routes) {
+  return [...new Set(routes.map(r => r.method)), 'OPTIONS'].join(', ');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readJsonBody(req) {
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw httpError(415, 'Content-Type must be application/json');
+  }
+
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw httpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    chunks.push(chunk);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// Query-string validation: each helper throws a 400 naming the parameter
+
+function requireParam(query, name) {
+  const value = query.get(name)?.trim();
+  if (!value) throw httpError(400, `Missing required parameter: ${name}`);
+  return value;
+}
+
+function intParam(query, name, { min = 0, max = Infinity, fallback }) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw httpError(400, `${name} must be an integer ${range}, got "${raw}"`);
+  }
+  return value;
+}
+
+function boolParam(query, name, fallback) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return fallback;
+  if (raw === 'true' || raw === '1') return true;
+  if (raw === 'false' || raw === '0') return false;
+  throw httpError(400, `${name} must be true or false, got "${raw}"`);
+}
+
+function enumParam(query, name, allowed, fallback) {
+  const raw = query.get(name);
+  if (raw === null || raw === '') return fallback;
+  if (!allowed.includes(raw)) {
+    throw httpError(400, `Invalid ${name}: ${raw} (expected one of ${allowed.join(', ')})`);
+  }
+  return raw;
+}
+
+// Repeated (?intent=a&intent=b) or comma-separated (?intent=a,b)
+function listParam(query, name, allowed) {
+  const values = query.getAll(name).flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+  const unknown = values.filter(v => !allowed.includes(v));
+  if (unknown.length) {
+    throw httpError(400, `Invalid ${name}: ${unknown.join(', ')} (expected one of ${allowed.join(', ')})`);
+  }
+  return values;
+}
+
+// Search filters from query parameters (see normalizeFilters); lists work like listParam
+function filterParams(query) {
+  const list = name => query.getAll(name).flatMap(v => v.split(','));
+  try {
+    return normalizeFilters({
+      articleTypes: list('articleType'),
+      humans: boolParam(query, 'humans', false),
+      ages: listParam(query, 'age', AGE_GROUP_NAMES),
+      sex: enumParam(query, 'sex', SEX_VALUES, null),
+      languages: list('lang'),
+      freeFullText: boolParam(query, 'freeFullText', false),
+      hasAbstract: boolParam(query, 'hasAbstract', false),
+      from: query.get('from') || null,
+      to: query.get('to') || null,
+    });
+  } catch (error) {
+    throw httpError(error.status || 400, error.message);
+  }
+}
+
+// Start server
+async function main() {
+  const args = process.argv.slice(2);
+  const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  const port = Number(argValue('--port') || process.env.PORT || 3000);
+  const host = argValue('--host') || process.env.HOST || '127.0.0.1';
+  const cors = argValue('--cors-origin') ?? process.env.CORS_ORIGIN ?? '*';
+  const corsOrigin = cors === 'off' ? false : cors.split(',').map(o => o.trim()).filter(Boolean);
+
+  let server;
+  try {
+    server = createApiServer({ corsOrigin });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  server.listen(port, host, () => {
+    console.log(`PubMed HTTP API listening on http://${host}:${server.address().port}`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export default {
+  createApiServer,
+};
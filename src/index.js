@@ -6,3 +6,30 @@
 
 export * from './pubmed-client.js';
 export { default as pubmedClient } from './pubmed-client.js';
+export { parseArticlesXml, parseArticlesStream } from './pubmed-xml-parser.js';
+export * from './query-builder.js';
+export * from './search-filters.js';
+export * from './search-watcher.js';
+export * from './batch-search.js';
+export * from './mesh-client.js';
+export * from './eutils-transport.js';
+export { createEutilsStubServer, SAMPLE_CORPUS } from './eutils-stub-server.js';
+export * from './pmc-client.js';
+export * from './link-client.js';
+export * from './trials-client.js';
+export { createTrialsStubServer, SAMPLE_STUDIES } from './trials-stub-server.js';
+export { parseJatsXml } from './jats-parser.js';
+export * from './citation-formatter.js';
+export * from './llm-providers.js';
+export * from './grounding-verifier.js';
+export * from './safety-guardrails.js';
+export * from './conversation-session.js';
+export * from './intent-classifier.js';
+export * from './evidence-ranker.js';
+export * from './passage-retriever.js';
+export * from './text-analysis.js';
+export * from './abstract-analysis.js';
+export * from './trend-analytics.js';
+export { answerQuestion } from './chatbot.js';
+export { createApiServer } from './http-server.js';
+export { createMcpServer } from './mcp-server.js';
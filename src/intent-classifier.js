@@ -0,0 +1,171 @@
+/**
+ * Question Intent Classifier
+ *
+ * Maps a clinical question to what it is asking about (therapy, diagnosis,
+ * etiology, ...) so the search can be narrowed to matching MeSH subheadings
+ * and the matching PubMed Clinical Queries methodological filter.
+ * Clinical Queries: https://pubmed.ncbi.nlm.nih.gov/help/#clinical-queries-filters
+ */
+
+// PubMed Clinical Queries filters (Haynes et al.), as used by PubMed's own Clinical Queries page
+const CLINICAL_QUERIES = {
+  therapy: {
+    broad: '((clinical[Title/Abstract] AND trial[Title/Abstract]) OR clinical trials as topic[MeSH Terms] OR clinical trial[Publication Type] OR random*[Title/Abstract] OR random allocation[MeSH Terms] OR therapeutic use[MeSH Subheading])',
+    narrow: '(randomized controlled trial[Publication Type] OR (randomized[Title/Abstract] AND controlled[Title/Abstract] AND trial[Title/Abstract]))',
+  },
+  diagnosis: {
+    broad: '(sensitiv*[Title/Abstract] OR sensitivity and specificity[MeSH Terms] OR diagnose[Title/Abstract] OR diagnosed[Title/Abstract] OR diagnoses[Title/Abstract] OR diagnosing[Title/Abstract] OR diagnosis[Title/Abstract] OR diagnostic[Title/Abstract] OR diagnosis[MeSH:noexp] OR diagnostic *[MeSH:noexp] OR diagnosis, differential[MeSH:noexp] OR diagnosis[Subheading:noexp])',
+    narrow: '(specificity[Title/Abstract])',
+  },
+  etiology: {
+    broad: '(risk*[Title/Abstract] OR risk*[MeSH:noexp] OR risk *[MeSH:noexp] OR cohort studies[MeSH Terms] OR group[Text Word] OR groups[Text Word] OR grouped[Text Word])',
+    narrow: '((relative[Title/Abstract] AND risk*[Title/Abstract]) OR (relative risk[Text Word]) OR risks[Text Word] OR cohort studies[MeSH:noexp] OR (cohort[Title/Abstract] AND study[Title/Abstract]) OR (cohort[Title/Abstract] AND studies[Title/Abstract]))',
+  },
+  prognosis: {
+    broad: '(incidence[MeSH:noexp] OR mortality[MeSH Terms] OR follow up studies[MeSH:noexp] OR prognos*[Text Word] OR predict*[Text Word] OR course*[Text Word])',
+    narrow: '(prognos*[Title/Abstract] OR (first[Title/Abstract] AND episode[Title/Abstract]) OR cohort[Title/Abstract])',
+  },
+};
+
+/**
+ * Intent definitions
+ *
+ * `clinicalQuery` names the Clinical Queries category whose filter applies.
+ * Clinical Queries has no prevention, epidemiology or adverse-effect
+ * categories, so those borrow the closest one (prevention studies are
+ * intervention trials, harm questions are etiology questions, incidence is
+ * covered by the prognosis filter). Genetics has none.
+ */
+export const INTENTS = {
+  therapy: {
+    subheadings: ['therapy'],
+    clinicalQuery: 'therapy',
+    patterns: [
+      /\btreat(?:s|ed|ing|ment|ments)?\b/, /\btherap(?:y|ies|eutic)\b/, /\bmanag(?:e|ed|ing|ement)\b/,
+      /\bmedications?\b/, /\bdrugs?\b/, /\bsurg(?:ery|ical)\b/, /\bresect(?:ion|ed)\b/, /\bcur(?:e|ed|able)\b/,
+      /\binterventions?\b/, /\bdoses?\b|\bdosing\b/, /\bfirst[- ]line\b/,
+    ],
+  },
+  diagnosis: {
+    subheadings: ['diagnosis'],
+    clinicalQuery: 'diagnosis',
+    patterns: [
+      /\bdiagnos(?:e|ed|is|es|ing|tic)\b/, /\btests?\b|\btesting\b/, /\bscreen(?:ing|ed)?\b/, /\bdetect(?:ed|ion|ing)?\b/,
+      /\bimaging\b/, /\bbiomarkers?\b/, /\bsymptoms?\b/, /\bsigns?\b/, /\bpresent(?:s|ation)\b/, /\bdifferential\b/,
+    ],
+  },
+  etiology: {
+    subheadings: ['etiology', 'pathophysiology'],
+    clinicalQuery: 'etiology',
+    patterns: [
+      /\bcaus(?:e|es|ed|ing)\b/, /\b(?:a)?etiolog(?:y|ies|ic)\b/, /\bwhy (?:do|does|did)\b/, /\brisk factors?\b/,
+      /\bpathophysiolog(?:y|ical)\b/, /\bpathogenesis\b/, /\bmechanisms?\b/, /\btriggers?\b/,
+    ],
+  },
+  prognosis: {
+    subheadings: ['mortality', 'complications'],
+    clinicalQuery: 'prognosis',
+    patterns: [
+      /\bprognos(?:is|tic)\b/, /\boutlook\b/, /\bsurvival\b|\bsurvive\b/, /\blife expectancy\b/, /\bmortality\b/,
+      /\brecur(?:s|rence|rent)?\b/, /\boutcomes?\b/, /\bprogress(?:ion|es)?\b/, /\bhow long\b/, /\bcourse of\b/,
+    ],
+  },
+  prevention: {
+    subheadings: ['prevention and control'],
+    clinicalQuery: 'therapy',
+    patterns: [
+      /\bprevent(?:s|ed|ing|ion|ive)?\b/, /\bavoid\b/, /\breduc(?:e|ing) (?:the )?(?:risk|chance)\b/,
+      /\bprophyla(?:xis|ctic)\b/, /\bvaccin(?:e|es|ation)\b/, /\blower (?:my|the) risk\b/,
+    ],
+  },
+  genetics: {
+    subheadings: ['genetics'],
+    clinicalQuery: null,
+    patterns: [
+      /\bgen(?:e|es|etic|etics|etically)\b/, /\bmutations?\b/, /\binherit(?:ed|ance|able)?\b/, /\bhereditary\b/,
+      /\bfamilial\b/, /\bvariants?\b/, /\bgenotypes?\b/, /\bgermline\b/, /\bcarriers?\b/, /\brun in (?:the )?famil(?:y|ies)\b/,
+    ],
+  },
+  epidemiology: {
+    subheadings: ['epidemiology', 'ethnology'],
+    clinicalQuery: 'prognosis',
+    patterns: [
+      /\bhow (?:common|rare|many people)\b/, /\bprevalen(?:ce|t)\b/, /\bincidence\b/, /\bepidemiolog(?:y|ical)\b/,
+      /\bfrequency\b/, /\bwho gets\b/, /\bdemographics?\b/,
+    ],
+  },
+  'adverse-effects': {
+    subheadings: ['adverse effects', 'chemically induced', 'toxicity'],
+    clinicalQuery: 'etiology',
+    patterns: [
+      /\bside[- ]effects?\b/, /\badverse\b/, /\btoxicit(?:y|ies)\b/, /\bsafe(?:ty)?\b/, /\bharm(?:s|ful)?\b/,
+      /\binteractions?\b/, /\brisks? of (?:taking|using|the (?:drug|medication|treatment|surgery))\b/,
+    ],
+  },
+};
+
+export const INTENT_NAMES = Object.keys(INTENTS);
+
+// Subheadings searched when no intent is known
+export const DEFAULT_SUBHEADINGS = ['therapy', 'diagnosis', 'etiology', 'pathophysiology'];
+
+/**
+ * Classify a question into one or more intents
+ * @param {string} question - User question
+ * @returns {object} { intents (strongest first, empty if none matched), scores, matches }
+ */
+export function classifyIntent(question) {
+  const text = question.toLowerCase();
+  const scores = {};
+  const matches = {};
+
+  for (const [name, intent] of Object.entries(INTENTS)) {
+    const found = intent.patterns.map(p => text.match(p)?.[0]).filter(Boolean);
+    if (found.length) {
+      scores[name] = found.length;
+      matches[name] = found;
+    }
+  }
+
+  // "Side effects of the treatment" is about harm, not about choosing a treatment
+  if (scores['adverse-effects'] && scores.therapy) delete scores.therapy;
+  // "Risk factors" asks for causes, not prevention
+  if (scores.etiology && scores.prevention && !/\bprevent/.test(text)) delete scores.prevention;
+
+  const intents = Object.keys(scores).sort((a, b) => scores[b] - scores[a] || INTENT_NAMES.indexOf(a) - INTENT_NAMES.indexOf(b));
+  return { intents, scores, matches: Object.fromEntries(intents.map(i => [i, matches[i]])) };
+}
+
+/**
+ * Search filters for a set of intents
+ * @param {string[]} intents - Intent names (see INTENT_NAMES)
+ * @param {string} scope - Clinical Queries scope: 'broad' (default), 'narrow' or 'none'
+ * @returns {object} { subheadings, clinicalQueries (category names), filter (query clause or null) }
+ */
+export function getIntentFilters(intents, scope = 'broad') {
+  const unknown = intents.filter(i => !INTENTS[i]);
+  if (unknown.length) {
+    throw new Error(`Unknown intent: ${unknown.join(', ')} (expected one of ${INTENT_NAMES.join(', ')})`);
+  }
+  if (!['broad', 'narrow', 'none'].includes(scope)) {
+    throw new Error(`Unknown Clinical Queries scope: ${scope} (expected broad, narrow or none)`);
+  }
+
+  const subheadings = [...new Set(intents.flatMap(i => INTENTS[i].subheadings))];
+  const clinicalQueries = [...new Set(intents.map(i => INTENTS[i].clinicalQuery).filter(Boolean))];
+  const clauses = scope === 'none' ? [] : clinicalQueries.map(c => CLINICAL_QUERIES[c][scope]);
+
+  return {
+    subheadings,
+    clinicalQueries,
+    filter: clauses.length > 1 ? `(${clauses.join(' OR ')})` : clauses[0] || null,
+  };
+}
+
+export default {
+  INTENTS,
+  INTENT_NAMES,
+  DEFAULT_SUBHEADINGS,
+  classifyIntent,
+  getIntentFilters,
+};
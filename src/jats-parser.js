@@ -0,0 +1,185 @@
+/**
+ * JATS Parser
+ *
+ * Parses PubMed Central full-text articles (JATS XML, as returned by EFetch
+ * from the `pmc` database) into sections, figure/table captions and a
+ * reference list.
+ * JATS tag library: https://jats.nlm.nih.gov/archiving/tag-library/1.3/
+ */
+
+import { collectElements, child, children, path, descendants, text } from './xml-tree.js';
+
+// Floating content kept out of section text (reported separately)
+const FLOATS = ['fig', 'table-wrap', 'fig-group', 'table-wrap-group', 'supplementary-material'];
+
+// Map sec-type values and section titles onto the IMRaD parts
+const SECTION_KINDS = [
+  { kind: 'introduction', pattern: /^(intro|introduction|background)/i },
+  { kind: 'methods', pattern: /^(methods|materials|patients|subjects|study design)/i },
+  { kind: 'results', pattern: /^(results|findings)/i },
+  { kind: 'discussion', pattern: /^(discussion)/i },
+  { kind: 'conclusions', pattern: /^(conclusions?|summary|concluding)/i },
+];
+
+/**
+ * Parse a pmc-articleset (one or more <article> elements)
+ * @param {string} xml - JATS XML
+ * @returns {object[]} Full-text records
+ */
+export function parseJatsXml(xml) {
+  return collectElements(xml, 'article', 'JATS XML').map(toFullText);
+}
+
+// Helper: Convert an <article> element tree to a full-text record
+function toFullText(article) {
+  const meta = path(article, 'front', 'article-meta');
+  const ids = children(meta, 'article-id');
+  const body = child(article, 'body');
+
+  const sections = body ? parseSections(body) : [];
+  const pmcid = findArticleId(ids, 'pmc') || findArticleId(ids, 'pmcid');
+
+  return {
+    pmcid: pmcid ? `PMC${pmcid.replace(/^PMC/i, '')}` : null,
+    pmid: findArticleId(ids, 'pmid'),
+    doi: findArticleId(ids, 'doi'),
+    title: text(path(meta, 'title-group', 'article-title')),
+    abstract: blockText(child(meta, 'abstract')),
+    available: sections.length > 0,
+    license: blockText(descendants(path(meta, 'permissions'), 'license')[0]),
+    sections,
+    figures: descendants(article, 'fig').map(parseCaption),
+    tables: descendants(article, 'table-wrap').map(parseCaption),
+    references: descendants(child(article, 'back'), 'ref').map(parseReference),
+    pmcUrl: pmcid ? `https://pmc.ncbi.nlm.nih.gov/articles/PMC${pmcid.replace(/^PMC/i, '')}/` : null,
+  };
+}
+
+// Helper: Top-level <sec> elements become sections; nested ones become subsections.
+// Paragraphs placed directly in <body> (no <sec>) form a single untitled section.
+function parseSections(body) {
+  const secs = children(body, 'sec');
+  const loose = children(body, 'p');
+
+  const sections = secs.map(sec => {
+    const title = text(child(sec, 'title'));
+    return {
+      title,
+      kind: classifySection(sec.attrs['sec-type'], title),
+      text: sectionText(sec),
+      subsections: children(sec, 'sec').map(sub => ({
+        title: text(child(sub, 'title')),
+        text: sectionText(sub),
+      })),
+    };
+  });
+
+  if (loose.length) {
+    sections.unshift({
+      title: '',
+      kind: 'other',
+      text: loose.map(p => text(p, FLOATS)).filter(Boolean).join('\n\n'),
+      subsections: [],
+    });
+  }
+
+  return sections.filter(s => s.text);
+}
+
+// Helper: Paragraph text of a section, with subsection titles kept as lead-ins
+function sectionText(sec) {
+  return sec.children
+    .filter(c => typeof c === 'object')
+    .map(c => {
+      if (c.name === 'p') return text(c, FLOATS);
+      if (c.name === 'sec') {
+        const title = text(child(c, 'title'));
+        const body = sectionText(c);
+        return title && body ? `${title}. ${body}` : body;
+      }
+      if (c.name === 'list') return children(c, 'list-item').map(li => `- ${text(li, FLOATS)}`).join('\n');
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function classifySection(secType, title) {
+  for (const candidate of [secType, title]) {
+    if (!candidate) continue;
+    const match = SECTION_KINDS.find(k => k.pattern.test(candidate.trim()));
+    if (match) return match.kind;
+  }
+  return 'other';
+}
+
+function parseCaption(node) {
+  const caption = child(node, 'caption');
+  return {
+    id: node.attrs.id || '',
+    label: text(child(node, 'label')),
+    title: text(child(caption, 'title')),
+    caption: blockText(caption),
+  };
+}
+
+function parseReference(ref) {
+  const citation = child(ref, 'mixed-citation') || child(ref, 'element-citation') || child(ref, 'citation');
+  const pubIds = children(citation, 'pub-id');
+  const pubId = type => {
+    const id = pubIds.find(p => p.attrs['pub-id-type'] === type);
+    return id ? text(id) : null;
+  };
+
+  return {
+    id: ref.attrs.id || '',
+    label: text(child(ref, 'label')),
+    citation: citation?.name === 'mixed-citation' ? text(citation) : formatElementCitation(citation),
+    pmid: pubId('pmid'),
+    doi: pubId('doi'),
+  };
+}
+
+// Helper: element-citation has no punctuation of its own, so assemble one
+function formatElementCitation(citation) {
+  if (!citation) return '';
+
+  const names = descendants(citation, 'name').map(n =>
+    [text(child(n, 'surname')), text(child(n, 'given-names'))].filter(Boolean).join(' ')
+  );
+  const collab = descendants(citation, 'collab').map(c => text(c));
+  const authors = [...names, ...collab];
+
+  const pages = [text(child(citation, 'fpage')), text(child(citation, 'lpage'))].filter(Boolean).join('-');
+  const issue = [text(child(citation, 'volume')), pages].filter(Boolean).join(':');
+
+  return [
+    authors.length > 6 ? `${authors.slice(0, 6).join(', ')}, et al` : authors.join(', '),
+    text(child(citation, 'article-title')) || text(child(citation, 'chapter-title')),
+    text(child(citation, 'source')),
+    [text(child(citation, 'year')), issue].filter(Boolean).join(';'),
+  ].filter(Boolean).join('. ') + '.';
+}
+
+// Helper: Text of block-level content (titles, paragraphs, nested sections),
+// which unlike inline markup must not run together
+function blockText(node) {
+  if (!node) return '';
+  return node.children
+    .map(c => {
+      if (typeof c === 'string') return c;
+      return c.name === 'sec' ? blockText(c) : text(c);
+    })
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function findArticleId(ids, type) {
+  const id = ids.find(i => i.attrs['pub-id-type'] === type);
+  return id ? text(id) : null;
+}
+
+export default {
+  parseJatsXml,
+};
@@ -0,0 +1,247 @@
+/**
+ * Related Articles Client
+ *
+ * Widens a search around known articles with ELink: similar articles
+ * (PubMed's neighbor scores), articles that cite them and the articles they
+ * reference. Citation links come from PubMed Central reference lists, so
+ * they cover only part of the literature.
+ * ELink: https://www.ncbi.nlm.nih.gov/books/NBK25499/#chapter4.ELink
+ */
+
+import { eutilsRequest, getResponseCache } from './eutils.js';
+import { fetchDetails, fetchSummaries } from './pubmed-client.js';
+import { rankArticles } from './evidence-ranker.js';
+
+export const LINK_TYPES = {
+  similar: { linkname: 'pubmed_pubmed', label: 'Similar articles' },
+  'cited-by': { linkname: 'pubmed_pubmed_citedin', label: 'Cited by' },
+  references: { linkname: 'pubmed_pubmed_refs', label: 'References' },
+};
+
+export const LINK_TYPE_NAMES = Object.keys(LINK_TYPES);
+
+// PMIDs per ELink request
+const LINK_BATCH_SIZE = 100;
+
+/**
+ * Look up links for several PMIDs
+ *
+ * Similar articles come with PubMed's similarity score, best first (the
+ * article itself is left out). Cited-by lists are newest PMID first;
+ * references keep ELink's order.
+ *
+ * @param {string[]} pmids - PubMed IDs
+ * @param {string} type - 'similar', 'cited-by' or 'references' (see LINK_TYPE_NAMES)
+ * @param {object} options - Lookup options
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<Map<string, object[]>>} [{ pmid, score }] per PMID (score is null except for similar)
+ */
+export async function fetchLinks(pmids, type, options = {}) {
+  if (!LINK_TYPES[type]) {
+    throw new Error(`Unknown link type: ${type} (expected one of ${LINK_TYPE_NAMES.join(', ')})`);
+  }
+  if (!pmids.length) return new Map();
+
+  const { cache: cacheMode = true } = options;
+  const cache = getResponseCache();
+  const keys = pmids.map(pmid => `${type}:${pmid}`);
+  const found = cacheMode === true ? await cache.getMany('links', keys) : new Map();
+  const missing = pmids.filter((pmid, i) => !found.has(keys[i]));
+
+  for (let i = 0; i < missing.length; i += LINK_BATCH_SIZE) {
+    const batch = missing.slice(i, i + LINK_BATCH_SIZE);
+    const links = await requestLinks(batch, type);
+    for (const [pmid, list] of links) found.set(`${type}:${pmid}`, list);
+    if (cacheMode) await cache.setMany('links', [...links].map(([pmid, list]) => [`${type}:${pmid}`, list]));
+  }
+
+  return new Map(pmids.map((pmid, i) => [pmid, found.get(keys[i]) || []]));
+}
+
+/**
+ * Articles linked to one article, with details
+ * @param {string} pmid - PubMed ID
+ * @param {string} type - 'similar', 'cited-by' or 'references'
+ * @param {object} options - Fetch options
+ * @param {number} options.maxResults - Articles to return (default: 10)
+ * @param {boolean} options.includeAbstracts - Fetch full records rather than summaries (default: true)
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<object>} { pmid, type, total, articles } where articles carry `linkScore` and `evidence`
+ */
+export async function getLinkedArticles(pmid, type, options = {}) {
+  const { maxResults = 10 } = options;
+  const links = (await fetchLinks([pmid], type, options)).get(pmid);
+  const top = links.slice(0, maxResults);
+  const articles = await hydrate(top.map(l => l.pmid), options);
+  const scores = new Map(top.map(l => [l.pmid, l.score]));
+
+  return {
+    pmid,
+    type,
+    total: links.length,
+    articles: articles.map(article => ({ ...article, linkScore: scores.get(article.pmid) })),
+  };
+}
+
+/**
+ * Similar articles (ELink pubmed_pubmed), most similar first
+ * @param {string} pmid - PubMed ID
+ * @param {object} options - See getLinkedArticles
+ * @returns {Promise<object>} { pmid, type, total, articles }
+ */
+export function findSimilarArticles(pmid, options = {}) {
+  return getLinkedArticles(pmid, 'similar', options);
+}
+
+/**
+ * Articles that cite an article (ELink pubmed_pubmed_citedin), newest first
+ * @param {string} pmid - PubMed ID
+ * @param {object} options - See getLinkedArticles
+ * @returns {Promise<object>} { pmid, type, total, articles }
+ */
+export function findCitingArticles(pmid, options = {}) {
+  return getLinkedArticles(pmid, 'cited-by', options);
+}
+
+/**
+ * Articles an article references (ELink pubmed_pubmed_refs)
+ * @param {string} pmid - PubMed ID
+ * @param {object} options - See getLinkedArticles
+ * @returns {Promise<object>} { pmid, type, total, articles }
+ */
+export function findReferences(pmid, options = {}) {
+  return getLinkedArticles(pmid, 'references', options);
+}
+
+/**
+ * Snowball search: expand seed articles through their links
+ *
+ * Each hop follows the top `perArticle` links of every article found in the
+ * previous hop. Articles reached from several directions rank first, then
+ * those closer to the seeds, then by similarity score. Seeds are never
+ * returned.
+ *
+ * @param {string[]} seeds - Seed PMIDs
+ * @param {object} options - Expansion options
+ * @param {string[]} options.types - Link types to follow (default: ['similar'])
+ * @param {number} options.hops - 1 or 2 (default: 1)
+ * @param {number} options.perArticle - Links followed per article and type (default: 10)
+ * @param {number} options.maxArticles - Articles returned, and articles expanded in hop 2 (default: 50)
+ * @param {boolean} options.includeAbstracts - Fetch full records rather than summaries (default: true)
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<object>} { seeds, types, hops, total, articles } where articles carry `snowball: { hop, connections, via }`
+ */
+export async function snowball(seeds, options = {}) {
+  const {
+    types = ['similar'],
+    hops = 1,
+    perArticle = 10,
+    maxArticles = 50,
+  } = options;
+
+  if (![1, 2].includes(hops)) throw new Error(`hops must be 1 or 2, got ${hops}`);
+  const unknown = types.filter(t => !LINK_TYPES[t]);
+  if (unknown.length) {
+    throw new Error(`Unknown link type: ${unknown.join(', ')} (expected one of ${LINK_TYPE_NAMES.join(', ')})`);
+  }
+
+  const seedSet = new Set(seeds);
+  const found = new Map();
+  let frontier = [...seedSet];
+
+  for (let hop = 1; hop <= hops && frontier.length; hop++) {
+    const reached = new Set();
+    for (const type of types) {
+      const links = await fetchLinks(frontier, type, options);
+      for (const [from, list] of links) {
+        for (const { pmid, score } of list.slice(0, perArticle)) {
+          if (seedSet.has(pmid)) continue;
+          const entry = found.get(pmid) || { pmid, hop, connections: 0, score: null, via: [] };
+          entry.connections += 1;
+          entry.via.push({ from, type });
+          if (score !== null) entry.score = Math.max(entry.score ?? 0, score);
+          found.set(pmid, entry);
+          if (entry.hop === hop) reached.add(pmid);
+        }
+      }
+    }
+    // Only the strongest articles of this hop are expanded in the next one
+    frontier = sortEntries([...reached].map(pmid => found.get(pmid))).slice(0, maxArticles).map(e => e.pmid);
+  }
+
+  const selected = sortEntries([...found.values()]).slice(0, maxArticles);
+  const articles = await hydrate(selected.map(e => e.pmid), options);
+  const entries = new Map(selected.map(e => [e.pmid, e]));
+
+  return {
+    seeds: [...seedSet],
+    types,
+    hops,
+    total: found.size,
+    articles: articles.map(article => {
+      const { hop, connections, score, via } = entries.get(article.pmid);
+      return { ...article, linkScore: score, snowball: { hop, connections, via } };
+    }),
+  };
+}
+
+// Helper: One ELink request; cmd=neighbor_score returns similarity scores
+async function requestLinks(pmids, type) {
+  const { linkname } = LINK_TYPES[type];
+  const params = new URLSearchParams({
+    dbfrom: 'pubmed',
+    db: 'pubmed',
+    linkname,
+    cmd: type === 'similar' ? 'neighbor_score' : 'neighbor',
+    retmode: 'json',
+  });
+  // One id parameter per PMID keeps the link sets one-to-one
+  for (const pmid of pmids) params.append('id', pmid);
+
+  const response = await eutilsRequest('elink', params, `${LINK_TYPES[type].label} lookup`);
+  const data = await response.json();
+
+  const links = new Map(pmids.map(pmid => [pmid, []]));
+  for (const linkset of data.linksets || []) {
+    const pmid = String(linkset.ids?.[0] ?? '');
+    const db = (linkset.linksetdbs || []).find(d => d.linkname === linkname);
+    if (!links.has(pmid) || !db?.links) continue;
+
+    const list = db.links
+      .map(link => (typeof link === 'object'
+        ? { pmid: String(link.id), score: Number(link.score) }
+        : { pmid: String(link), score: null }))
+      .filter(link => link.pmid !== pmid);
+
+    if (type === 'similar') list.sort((a, b) => b.score - a.score);
+    if (type === 'cited-by') list.sort((a, b) => Number(b.pmid) - Number(a.pmid));
+    links.set(pmid, list);
+  }
+  return links;
+}
+
+// Helper: Fetch records in the given order, annotated with evidence tiers
+async function hydrate(pmids, options) {
+  const { includeAbstracts = true, cache } = options;
+  const articles = includeAbstracts
+    ? await fetchDetails(pmids, { cache })
+    : await fetchSummaries(pmids, { cache });
+  return rankArticles(articles, { reorder: false });
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => b.connections - a.connections
+    || a.hop - b.hop
+    || (b.score ?? 0) - (a.score ?? 0));
+}
+
+export default {
+  LINK_TYPES,
+  LINK_TYPE_NAMES,
+  fetchLinks,
+  getLinkedArticles,
+  findSimilarArticles,
+  findCitingArticles,
+  findReferences,
+  snowball,
+};
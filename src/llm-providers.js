@@ -0,0 +1,277 @@
+/**
+ * LLM Providers
+ *
+ * Adapters that turn a prompt into a streamed answer. Every provider has
+ * the same shape:
+ *
+ *   {
+ *     name, model,
+ *     stream(prompt, options) -> AsyncIterable<string>   // text deltas
+ *     complete(prompt, options) -> Promise<string>
+ *   }
+ *
+ * Providers: Anthropic Messages API, OpenAI-compatible chat completions,
+ * a local OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio),
+ * and a mock for offline use.
+ */
+
+export const PROVIDERS = ['anthropic', 'openai', 'local', 'mock'];
+
+const DEFAULTS = {
+  anthropic: { baseUrl: 'https://api.anthropic.com', model: 'claude-sonnet-4-5' },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  local: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+};
+
+/**
+ * Create a provider from explicit config
+ * @param {object} config - Provider config
+ * @param {string} config.provider - anthropic, openai, local or mock
+ * @param {string} config.apiKey - API key (anthropic, openai)
+ * @param {string} config.model - Model name
+ * @param {string} config.baseUrl - API base URL
+ * @param {number} config.maxTokens - Completion limit (default: 1024)
+ * @param {number} config.temperature - Sampling temperature (default: 0.2)
+ * @returns {object} Provider
+ */
+export function createProvider(config = {}) {
+  switch (config.provider) {
+    case 'anthropic':
+      return createAnthropicProvider(config);
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'local':
+      return createOpenAIProvider({ ...DEFAULTS.local, ...withoutEmpty(config), name: 'local' });
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider} (expected one of ${PROVIDERS.join(', ')})`);
+  }
+}
+
+/**
+ * Pick a provider from environment variables
+ *
+ * LLM_PROVIDER selects explicitly (anthropic, openai, local, mock, none).
+ * Without it, ANTHROPIC_API_KEY or OPENAI_API_KEY select that provider.
+ * LLM_MODEL and LLM_BASE_URL override the defaults.
+ *
+ * @param {object} env - Environment (default: process.env)
+ * @param {object} overrides - Explicit config that wins over the environment
+ * @returns {object|null} Provider, or null when none is configured
+ */
+export function providerFromEnv(env = process.env, overrides = {}) {
+  let provider = overrides.provider || env.LLM_PROVIDER;
+  if (!provider) {
+    if (env.ANTHROPIC_API_KEY) provider = 'anthropic';
+    else if (env.OPENAI_API_KEY) provider = 'openai';
+  }
+  if (!provider || provider === 'none') return null;
+
+  const apiKey = provider === 'anthropic' ? env.ANTHROPIC_API_KEY
+    : provider === 'openai' ? env.OPENAI_API_KEY
+    : undefined;
+
+  return createProvider({
+    provider,
+    apiKey,
+    model: env.LLM_MODEL,
+    baseUrl: env.LLM_BASE_URL || (provider === 'openai' ? env.OPENAI_BASE_URL : undefined),
+    ...withoutEmpty(overrides),
+  });
+}
+
+/**
+ * Anthropic Messages API
+ * @param {object} config - { apiKey, model, baseUrl, maxTokens, temperature }
+ * @returns {object} Provider
+ */
+export function createAnthropicProvider(config = {}) {
+  const { apiKey, model, baseUrl, maxTokens = 1024, temperature = 0.2 } = {
+    ...DEFAULTS.anthropic,
+    ...withoutEmpty(config),
+  };
+  if (!apiKey) throw new Error('Anthropic provider requires an API key (ANTHROPIC_API_KEY)');
+
+  async function* stream(prompt, options = {}) {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: options.maxTokens ?? maxTokens,
+        temperature: options.temperature ?? temperature,
+        ...(options.system ? { system: options.system } : {}),
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+      }),
+      signal: options.signal,
+    });
+    await assertOk(response, 'Anthropic');
+
+    for await (const { event, data } of readSseEvents(response.body)) {
+      if (event === 'error') {
+        throw new Error(`Anthropic stream error: ${JSON.parse(data).error?.message || data}`);
+      }
+      if (event === 'content_block_delta') {
+        const delta = JSON.parse(data).delta;
+        if (delta?.type === 'text_delta' && delta.text) yield delta.text;
+      }
+    }
+  }
+
+  return withComplete({ name: 'anthropic', model, stream });
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Azure-style gateways, local servers)
+ * @param {object} config - { apiKey, model, baseUrl, maxTokens, temperature, name }
+ * @returns {object} Provider
+ */
+export function createOpenAIProvider(config = {}) {
+  const { apiKey, model, baseUrl, maxTokens = 1024, temperature = 0.2, name = 'openai' } = {
+    ...DEFAULTS.openai,
+    ...withoutEmpty(config),
+  };
+  if (!apiKey && name === 'openai') {
+    throw new Error('OpenAI provider requires an API key (OPENAI_API_KEY)');
+  }
+
+  async function* stream(prompt, options = {}) {
+    const messages = [];
+    if (options.system) messages.push({ role: 'system', content: options.system });
+    messages.push({ role: 'user', content: prompt });
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages,
+        max_tokens: options.maxTokens ?? maxTokens,
+        temperature: options.temperature ?? temperature,
+        stream: true,
+      }),
+      signal: options.signal,
+    });
+    await assertOk(response, name === 'local' ? 'Local LLM' : 'OpenAI');
+
+    for await (const { data } of readSseEvents(response.body)) {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      if (chunk.error) throw new Error(`${name} stream error: ${chunk.error.message || data}`);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  return withComplete({ name, model, stream });
+}
+
+/**
+ * Offline provider for demos and tests
+ *
+ * By default it answers with one sentence per article in the prompt,
+ * citing each PMID, so downstream citation handling can be exercised.
+ *
+ * @param {object} config - Mock options
+ * @param {string|Function} config.response - Fixed answer, or (prompt) => answer
+ * @param {number} config.chunkSize - Characters per streamed chunk (default: 16)
+ * @param {number} config.delayMs - Delay between chunks (default: 0)
+ * @returns {object} Provider
+ */
+export function createMockProvider(config = {}) {
+  const { response = defaultMockResponse, chunkSize = 16, delayMs = 0 } = config;
+  const calls = [];
+
+  async function* stream(prompt, options = {}) {
+    calls.push({ prompt, options });
+    const text = typeof response === 'function' ? response(prompt) : response;
+    for (let i = 0; i < text.length; i += chunkSize) {
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      yield text.slice(i, i + chunkSize);
+    }
+  }
+
+  return withComplete({ name: 'mock', model: 'mock', stream, calls });
+}
+
+function defaultMockResponse(prompt) {
+  const articles = [...prompt.matchAll(/^## (.+)\n.*\n\[PMID:(\d+)\]/gm)];
+  if (!articles.length) {
+    return 'The provided articles do not contain information to answer this question.';
+  }
+  const lines = articles.map(([, title, pmid]) => `- ${title.trim()} [PMID: ${pmid}]`);
+  return `According to the retrieved articles:\n${lines.join('\n')}\n\nThis is for informational purposes only.`;
+}
+
+// Helper: Add complete() on top of stream()
+function withComplete(provider) {
+  return {
+    ...provider,
+    async complete(prompt, options) {
+      let text = '';
+      for await (const chunk of provider.stream(prompt, options)) text += chunk;
+      return text;
+    },
+  };
+}
+
+/**
+ * Parse a Server-Sent Events body into { event, data } messages
+ * @param {AsyncIterable<Uint8Array>} body - Response body
+ * @yields {object} { event, data }
+ */
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        if (data.length) yield { event, data: data.join('\n') };
+        event = 'message';
+        data = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+
+  if (data.length) yield { event, data: data.join('\n') };
+}
+
+async function assertOk(response, label) {
+  if (response.ok) return;
+  const body = await response.text().catch(() => '');
+  throw new Error(`${label} request failed: ${response.status}${body ? ` ${body.slice(0, 200)}` : ''}`);
+}
+
+function withoutEmpty(config) {
+  return Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
+
+export default {
+  PROVIDERS,
+  createProvider,
+  providerFromEnv,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createMockProvider,
+  readSseEvents,
+};
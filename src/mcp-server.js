@@ -2,37 +2,140 @@
 /**
  * PubMed MCP Server
  * 
- * Provides PubMed search tools via Model Context Protocol
+ * Provides PubMed search tools, article resources and research prompts via
+ * Model Context Protocol, over stdio (default) or Streamable HTTP.
+ *
+ * Usage:
+ *   node src/mcp-server.js
+ *   node src/mcp-server.js --http --port 3001
  */
 
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
 } from '@modelcontextprotocol/sdk/types.js';
 
-import { searchByDisease, searchPubMed, fetchDetails, buildDiseaseQuery } from './pubmed-client.js';
+import {
+  searchByDisease,
+  searchPubMed,
+  fetchDetails,
+  resolveDiseaseQuery,
+  getCacheStats,
+  clearCache,
+} from './pubmed-client.js';
+import { lookupMesh } from './mesh-client.js';
+import { getFullText } from './pmc-client.js';
+import { formatCitation, formatCitations, CITATION_STYLES, EXPORT_FORMATS } from './citation-formatter.js';
+import { INTENT_NAMES, classifyIntent } from './intent-classifier.js';
+import { rankArticles, TIER_NAMES } from './evidence-ranker.js';
+import { formatPico } from './abstract-analysis.js';
+import { analyzeDiseaseTrends } from './trend-analytics.js';
+import { getLinkedArticles, snowball, LINK_TYPE_NAMES } from './link-client.js';
+import { queryTerm, allOf, anyOf, renderQuery, parseQuery } from './query-builder.js';
+import { buildFilterQuery, ARTICLE_TYPES, AGE_GROUPS, AGE_GROUP_NAMES, SEX_VALUES } from './search-filters.js';
+import { loadWatches, saveWatches, getWatch, runWatch, formatDigest, DIGEST_FORMATS } from './search-watcher.js';
+import { searchTrialsByDisease, findTrialPublications, TRIAL_STATUS_NAMES, TRIAL_PHASE_NAMES, ONGOING_STATUSES } from './trials-client.js';
 
-const server = new Server(
-  {
-    name: 'pubmed-server',
-    version: '0.1.0',
-  },
-  {
-    capabilities: {
-      tools: {},
+/**
+ * Create an MCP server with the PubMed tools, resources and prompts
+ *
+ * A server instance serves one transport: stdio uses one for the process,
+ * the HTTP transport creates one per request.
+ *
+ * @returns {Server} MCP server (not yet connected)
+ */
+export function createMcpServer() {
+  const server = new Server(
+    {
+      name: 'pubmed-server',
+      version: '0.1.0',
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, callTool);
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({ resources: [] }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({ resourceTemplates: RESOURCE_TEMPLATES }));
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: PROMPTS }));
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+  return server;
+}
+
+// Search filters shared by the search tools (see normalizeFilters)
+const FILTERS_SCHEMA = {
+  type: 'object',
+  description: 'Optional filters. Values within one filter are alternatives; different filters must all match.',
+  properties: {
+    articleTypes: {
+      type: 'array',
+      items: { type: 'string' },
+      description: `Publication types: ${Object.keys(ARTICLE_TYPES).join(', ')}, or any PubMed publication type (e.g. "Comparative Study")`,
+    },
+    humans: {
+      type: 'boolean',
+      description: 'Only studies in humans',
+    },
+    ages: {
+      type: 'array',
+      items: { type: 'string', enum: AGE_GROUP_NAMES },
+      description: `Age groups: ${Object.values(AGE_GROUPS).map(g => g.label).join('; ')}`,
+    },
+    sex: {
+      type: 'string',
+      enum: SEX_VALUES,
+      description: 'Only studies in this sex',
+    },
+    languages: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Article languages (e.g. "english", "spanish")',
+    },
+    freeFullText: {
+      type: 'boolean',
+      description: 'Only articles with free full text',
+    },
+    hasAbstract: {
+      type: 'boolean',
+      description: 'Only articles with an abstract',
+    },
+    from: {
+      type: 'string',
+      description: 'Earliest publication date: YYYY, YYYY/MM or YYYY/MM/DD',
+    },
+    to: {
+      type: 'string',
+      description: 'Latest publication date: YYYY, YYYY/MM or YYYY/MM/DD',
+    },
+  },
+};
 
 // Define available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   return {
     tools: [
       {
         name: 'search_disease',
-        description: 'Search PubMed for articles about a specific disease. Uses MeSH terms for accurate medical article retrieval. Returns articles with titles, abstracts, authors, and MeSH tags.',
+        description: 'Search PubMed for articles about a specific disease. Uses MeSH terms for accurate medical article retrieval. Returns articles with titles, abstracts (with labeled sections), authors, MeSH tags, an evidence tier and score, and heuristic PICO fields (population, intervention, comparison, outcome, sample size, effect sizes); results are ranked by evidence, recency and relevance. Optional filters narrow by article type, humans, age, sex, language, free full text, abstract and publication dates.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -47,20 +150,42 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             recentYears: {
               type: 'number',
-              description: 'Limit to articles from the last N years (optional)',
+              description: 'Limit to articles from the last N years (optional; filters.from/to take precedence)',
             },
+            filters: FILTERS_SCHEMA,
             includeAbstracts: {
               type: 'boolean',
               description: 'Include full abstracts (default: true)',
               default: true,
             },
+            intent: {
+              type: 'string',
+              enum: INTENT_NAMES,
+              description: 'What the question is about. Restricts MeSH subheadings and adds the matching PubMed Clinical Queries filter (default: therapy, diagnosis, etiology and pathophysiology subheadings, no filter)',
+            },
+            clinicalQuery: {
+              type: 'string',
+              enum: ['broad', 'narrow', 'none'],
+              description: 'Clinical Queries filter scope for the intent: broad (sensitive, default), narrow (specific) or none',
+              default: 'broad',
+            },
+            minEvidence: {
+              type: 'string',
+              enum: TIER_NAMES,
+              description: `Only return articles at or above this evidence tier (strongest first: ${TIER_NAMES.join(', ')})`,
+            },
+            rank: {
+              type: 'boolean',
+              description: 'Rerank by evidence score (default: true); false keeps PubMed order',
+              default: true,
+            },
           },
           required: ['disease'],
         },
       },
       {
         name: 'search_pubmed',
-        description: 'Run a custom PubMed query. Supports MeSH terms, field tags, and boolean operators.',
+        description: 'Run a custom PubMed query. Supports MeSH terms, field tags, and boolean operators. Unknown field tags and unbalanced parentheses or quotes are rejected.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -73,6 +198,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Maximum number of articles to return (default: 10)',
               default: 10,
             },
+            filters: FILTERS_SCHEMA,
+            cursor: {
+              type: 'string',
+              description: 'Opaque cursor from a previous response\'s nextCursor, to fetch the next page of the same query and filters',
+            },
             includeAbstracts: {
               type: 'boolean',
               description: 'Include full abstracts (default: true)',
@@ -84,7 +214,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_article',
-        description: 'Fetch full details for a specific PubMed article by PMID.',
+        description: 'Fetch full details for a specific PubMed article by PMID, including its abstract sections and heuristic PICO fields.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -96,9 +226,150 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['pmid'],
         },
       },
+      {
+        name: 'find_similar_articles',
+        description: 'Find articles similar to a PubMed article (PubMed "Similar articles"), most similar first, with abstracts and a similarity score.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmid: {
+              type: 'string',
+              description: 'PubMed ID of the article to start from',
+            },
+            maxResults: {
+              type: 'number',
+              description: 'Maximum number of articles to return (default: 10, max: 50)',
+              default: 10,
+            },
+          },
+          required: ['pmid'],
+        },
+      },
+      {
+        name: 'find_citing_articles',
+        description: 'Find articles that cite a PubMed article, newest first. Citation links come from PubMed Central, so counts are lower than in citation databases.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmid: {
+              type: 'string',
+              description: 'PubMed ID of the cited article',
+            },
+            maxResults: {
+              type: 'number',
+              description: 'Maximum number of articles to return (default: 10, max: 50)',
+              default: 10,
+            },
+          },
+          required: ['pmid'],
+        },
+      },
+      {
+        name: 'get_references',
+        description: 'List the articles a PubMed article references, with abstracts. Only available for articles whose reference list is in PubMed Central.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmid: {
+              type: 'string',
+              description: 'PubMed ID of the citing article',
+            },
+            maxResults: {
+              type: 'number',
+              description: 'Maximum number of articles to return (default: 10, max: 50)',
+              default: 10,
+            },
+          },
+          required: ['pmid'],
+        },
+      },
+      {
+        name: 'snowball_search',
+        description: 'Expand a set of seed articles one or two hops through similar, citing and/or referenced articles. Returns the deduplicated articles, those reached from several seeds first.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Seed PubMed IDs',
+            },
+            relations: {
+              type: 'array',
+              items: { type: 'string', enum: LINK_TYPE_NAMES },
+              description: 'Links to follow (default: ["similar"])',
+            },
+            hops: {
+              type: 'number',
+              enum: [1, 2],
+              description: 'How far to expand from the seeds (default: 1)',
+              default: 1,
+            },
+            perArticle: {
+              type: 'number',
+              description: 'Links followed per article and relation (default: 10)',
+              default: 10,
+            },
+            maxArticles: {
+              type: 'number',
+              description: 'Maximum number of articles to return (default: 20, max: 100)',
+              default: 20,
+            },
+          },
+          required: ['pmids'],
+        },
+      },
+      {
+        name: 'get_full_text',
+        description: 'Fetch the open-access full text of an article from PubMed Central, split into sections (Introduction, Methods, Results, Discussion), figure/table captions and references.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'PMID or PMCID (e.g. "PMC1234567") of the article',
+            },
+            sections: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['introduction', 'methods', 'results', 'discussion', 'conclusions', 'other'],
+              },
+              description: 'Only return these section kinds (default: all)',
+            },
+            includeReferences: {
+              type: 'boolean',
+              description: 'Include the reference list (default: true)',
+              default: true,
+            },
+          },
+          required: ['id'],
+        },
+      },
+      {
+        name: 'format_citations',
+        description: 'Format PubMed articles as references (AMA, APA, Vancouver, NLM) or export them for reference managers (BibTeX, RIS, CSL-JSON).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pmids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'PubMed IDs to format, in the order they should be listed',
+            },
+            style: {
+              type: 'string',
+              enum: [...CITATION_STYLES, ...EXPORT_FORMATS],
+              description: 'Citation style or export format (default: ama)',
+              default: 'ama',
+            },
+          },
+          required: ['pmids'],
+        },
+      },
       {
         name: 'build_mesh_query',
-        description: 'Build a MeSH-based query for a disease without executing it. Useful for understanding query structure.',
+        description: 'Build a MeSH-based query for a disease without executing it. Returns the query string and its syntax tree. Useful for understanding query structure.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -111,16 +382,196 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Only search MeSH terms (stricter matching)',
               default: false,
             },
+            resolveMesh: {
+              type: 'boolean',
+              description: 'Map the disease name to its MeSH descriptor first (default: true)',
+              default: true,
+            },
+            meshExpansion: {
+              type: 'string',
+              enum: ['explode', 'noexp', 'broaden'],
+              description: 'Include narrower terms (explode, default), the descriptor only (noexp), or also its parent terms (broaden)',
+              default: 'explode',
+            },
+            intent: {
+              type: 'string',
+              enum: INTENT_NAMES,
+              description: 'Question intent selecting subheadings and the Clinical Queries filter (optional)',
+            },
+            clinicalQuery: {
+              type: 'string',
+              enum: ['broad', 'narrow', 'none'],
+              description: 'Clinical Queries filter scope for the intent (default: broad)',
+              default: 'broad',
+            },
+            filters: FILTERS_SCHEMA,
+          },
+          required: ['disease'],
+        },
+      },
+      {
+        name: 'lookup_mesh',
+        description: 'Resolve a free-text term (e.g. "heart attack", "MEN1") to its MeSH descriptor. Returns the descriptor UI, preferred name, entry terms, tree numbers, and broader/narrower descriptors.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            term: {
+              type: 'string',
+              description: 'Term to look up',
+            },
+            includeTree: {
+              type: 'boolean',
+              description: 'Include broader and narrower descriptors (default: true)',
+              default: true,
+            },
+          },
+          required: ['term'],
+        },
+      },
+      {
+        name: 'search_trials',
+        description: 'Search ClinicalTrials.gov for studies of a disease, under its MeSH heading. Filter by recruitment status (default: ongoing) and phase. Each trial lists the PubMed articles that report it, found through its NCT number.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            disease: {
+              type: 'string',
+              description: 'Disease name, e.g. "MEN1"',
+            },
+            status: {
+              type: 'array',
+              items: { type: 'string', enum: TRIAL_STATUS_NAMES },
+              description: `Recruitment statuses (default: ${ONGOING_STATUSES.join(', ')})`,
+            },
+            phase: {
+              type: 'array',
+              items: { type: 'string', enum: TRIAL_PHASE_NAMES },
+              description: 'Phases (default: any)',
+            },
+            intervention: {
+              type: 'string',
+              description: 'Only studies of this intervention, e.g. "lanreotide"',
+            },
+            maxResults: {
+              type: 'number',
+              description: 'Maximum number of trials (default: 10, max: 50)',
+              default: 10,
+            },
+            linkPubMed: {
+              type: 'boolean',
+              description: 'Find the PubMed articles reporting each trial (default: true)',
+              default: true,
+            },
           },
           required: ['disease'],
         },
       },
+      {
+        name: 'disease_trends',
+        description: 'Publication trend for a disease: PubMed articles per year (from search counts, covering every matching article), whether interest is growing, stable or declining, and the top journals, publication types and co-occurring MeSH descriptors of a sample of the articles.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            disease: {
+              type: 'string',
+              description: 'Disease name, e.g. "MEN1"',
+            },
+            fromYear: {
+              type: 'number',
+              description: 'First year of the timeline (default: 19 years before toYear)',
+            },
+            toYear: {
+              type: 'number',
+              description: 'Last year of the timeline (default: this year, counted to date)',
+            },
+            sampleSize: {
+              type: 'number',
+              description: 'Articles sampled for journals, publication types and MeSH (default: 200, max: 500; 0 skips)',
+              default: 200,
+            },
+            top: {
+              type: 'number',
+              description: 'Entries per list (default: 10, max: 25)',
+              default: 10,
+            },
+            intent: {
+              type: 'string',
+              enum: INTENT_NAMES,
+              description: 'Only the literature on this aspect, e.g. therapy (default: the whole literature)',
+            },
+            filters: FILTERS_SCHEMA,
+          },
+          required: ['disease'],
+        },
+      },
+      {
+        name: 'list_watches',
+        description: 'List saved searches (watches) that report new PubMed articles, with when each last ran. Watches are added with "cli-search.js watch add".',
+        inputSchema: {
+          type: 'object',
+          properties: {},
+        },
+      },
+      {
+        name: 'run_watch',
+        description: 'Run saved searches and return a digest of the articles added to PubMed since their last run that have not been reported before. Reported articles are marked as seen.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Watch to run (default: all watches)',
+            },
+            format: {
+              type: 'string',
+              enum: DIGEST_FORMATS,
+              description: 'Digest format (default: markdown)',
+              default: 'markdown',
+            },
+            maxResults: {
+              type: 'number',
+              description: 'Maximum new articles per watch (default: 20, max: 100)',
+              default: 20,
+            },
+          },
+        },
+      },
+      {
+        name: 'manage_cache',
+        description: 'Inspect or clear the on-disk PubMed response cache. "stats" reports entry counts, sizes and hit rates; "clear" removes entries.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            action: {
+              type: 'string',
+              enum: ['stats', 'clear'],
+              description: 'Operation to perform',
+            },
+            namespace: {
+              type: 'string',
+              enum: ['search', 'articles', 'summaries', 'mesh', 'fulltext', 'links'],
+              description: 'Limit "clear" to one part of the cache (default: all)',
+            },
+            pmids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Only invalidate cached records for these PMIDs',
+            },
+            expiredOnly: {
+              type: 'boolean',
+              description: 'Only remove expired entries',
+              default: false,
+            },
+          },
+          required: ['action'],
+        },
+      },
     ],
   };
-});
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request) {
   const { name, arguments: args } = request.params;
 
   try {
@@ -129,7 +580,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const results = await searchByDisease(args.disease, {
           maxResults: Math.min(args.maxResults || 5, 20),
           recentYears: args.recentYears,
+          filters: args.filters,
           includeAbstracts: args.includeAbstracts !== false,
+          intent: args.intent,
+          clinicalQuery: args.clinicalQuery || 'broad',
+          minEvidence: args.minEvidence,
+          rank: args.rank !== false,
         });
         return {
           content: [
@@ -142,23 +598,35 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'search_pubmed': {
-        const pmids = await searchPubMed(args.query, {
-          maxResults: args.maxResults || 10,
-        });
-        
+        const maxResults = args.maxResults || 10;
+        // Reject malformed queries before they reach ESearch
+        const parsed = parseQuery(args.query || '');
+        const filterClause = buildFilterQuery(args.filters);
+        const query = filterClause ? renderQuery(allOf(parsed, filterClause)) : args.query;
+        const retstart = args.cursor ? decodeCursor(args.cursor, query) : 0;
+        const search = await searchPubMed(query, { maxResults, retstart });
+        const pmids = search.pmids;
+
         let articles = [];
         if (pmids.length && args.includeAbstracts !== false) {
-          articles = await fetchDetails(pmids);
+          // Custom queries keep PubMed's order; evidence is annotated, not reranked
+          articles = rankArticles(await fetchDetails(pmids), { reorder: false });
         }
 
+        const nextStart = retstart + pmids.length;
+        const hasMore = pmids.length > 0 && nextStart < Math.min(search.count, 10000);
+
         return {
           content: [
             {
               type: 'text',
               text: JSON.stringify({
-                query: args.query,
-                totalResults: pmids.length,
+                query,
+                totalResults: search.count,
+                offset: retstart,
+                pmids,
                 articles,
+                nextCursor: hasMore ? encodeCursor(query, nextStart) : null,
               }, null, 2),
             },
           ],
@@ -177,15 +645,207 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'find_similar_articles':
+      case 'find_citing_articles':
+      case 'get_references': {
+        const type = { find_similar_articles: 'similar', find_citing_articles: 'cited-by', get_references: 'references' }[name];
+        const result = await getLinkedArticles(args.pmid, type, {
+          maxResults: Math.min(args.maxResults || 10, 50),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'snowball_search': {
+        const result = await snowball(args.pmids || [], {
+          types: args.relations?.length ? args.relations : ['similar'],
+          hops: args.hops || 1,
+          perArticle: Math.min(args.perArticle || 10, 50),
+          maxArticles: Math.min(args.maxArticles || 20, 100),
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'get_full_text': {
+        const doc = await getFullText(args.id);
+        const result = { ...doc };
+        if (doc.available && args.sections?.length) {
+          result.sections = doc.sections.filter(s => args.sections.includes(s.kind));
+        }
+        if (args.includeReferences === false) {
+          delete result.references;
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'format_citations': {
+        const articles = await fetchDetails(args.pmids || []);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatCitations(articles, args.style || 'ama'),
+            },
+          ],
+        };
+      }
+
       case 'build_mesh_query': {
-        const query = buildDiseaseQuery(args.disease, {
+        const { query, ast, mesh, intents, filters } = await resolveDiseaseQuery(args.disease, {
           meshOnly: args.meshOnly || false,
+          resolveMesh: args.resolveMesh !== false,
+          meshExpansion: args.meshExpansion || 'explode',
+          intent: args.intent,
+          clinicalQuery: args.clinicalQuery || 'broad',
+          filters: args.filters,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({ disease: args.disease, mesh, intents, filters, query, ast }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'lookup_mesh': {
+        const result = await lookupMesh(args.term, {
+          includeTree: args.includeTree !== false,
         });
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({ disease: args.disease, query }, null, 2),
+              text: JSON.stringify(result || { error: `No MeSH descriptor found for "${args.term}"` }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'search_trials': {
+        const result = await searchTrialsByDisease(args.disease, {
+          statuses: args.status?.length ? args.status : ONGOING_STATUSES,
+          phases: args.phase,
+          intervention: args.intervention,
+          maxResults: Math.min(args.maxResults || 10, 50),
+        });
+        const linked = args.linkPubMed === false
+          ? { trials: result.trials, articles: [] }
+          : await findTrialPublications(result.trials);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                ...result,
+                trials: linked.trials,
+                publications: linked.articles.map(a => ({
+                  pmid: a.pmid,
+                  title: a.title,
+                  journal: a.journal,
+                  pubDate: a.pubDate,
+                  trialIds: a.trialIds,
+                  url: a.pubmedUrl,
+                })),
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'disease_trends': {
+        const result = await analyzeDiseaseTrends(args.disease, {
+          fromYear: args.fromYear,
+          toYear: args.toYear,
+          sampleSize: Math.min(args.sampleSize ?? 200, 500),
+          top: Math.min(args.top || 10, 25),
+          intent: args.intent,
+          filters: args.filters,
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'list_watches': {
+        const { watches } = await loadWatches();
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(watches.map(({ seen, ...watch }) => ({ ...watch, seen: seen.length })), null, 2),
+            },
+          ],
+        };
+      }
+
+      case 'run_watch': {
+        const format = args.format || 'markdown';
+        if (!DIGEST_FORMATS.includes(format)) {
+          throw new Error(`Unknown digest format: ${format} (expected one of ${DIGEST_FORMATS.join(', ')})`);
+        }
+        const store = await loadWatches();
+        const watches = args.name ? [getWatch(store, args.name)] : store.watches;
+        const digests = [];
+        for (const watch of watches) {
+          digests.push(await runWatch(watch, { maxResults: Math.min(args.maxResults || 20, 100) }));
+        }
+        await saveWatches(store);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: digests.length ? formatDigest(digests, format) : 'No watches saved.',
+            },
+          ],
+        };
+      }
+
+      case 'manage_cache': {
+        let result;
+        if (args.action === 'clear') {
+          const removed = await clearCache({
+            namespace: args.namespace,
+            pmids: args.pmids,
+            expiredOnly: args.expiredOnly || false,
+          });
+          result = { removed };
+        } else if (args.action === 'stats') {
+          result = await getCacheStats();
+        } else {
+          throw new Error(`Unknown cache action: ${args.action}`);
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2),
             },
           ],
         };
@@ -205,13 +865,261 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// Resources: articles and searches that clients can attach as context
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'pubmed://article/{pmid}',
+    name: 'PubMed article',
+    description: 'One article with citation, evidence tier, MeSH terms and abstract',
+    mimeType: 'text/markdown',
+  },
+  {
+    uriTemplate: 'pubmed://search/{query}',
+    name: 'PubMed search',
+    description: 'The first 10 articles for a PubMed query (URL-encoded), in PubMed order, with abstracts',
+    mimeType: 'text/markdown',
+  },
+];
+
+// Articles in a pubmed://search resource
+const SEARCH_RESOURCE_SIZE = 10;
+
+async function readResource(request) {
+  const { uri } = request.params;
+
+  const article = uri.match(/^pubmed:\/\/article\/(\d+)$/);
+  if (article) {
+    const [found] = rankArticles(await fetchDetails([article[1]]));
+    if (!found) throw new McpError(ErrorCode.InvalidParams, `Article not found: ${uri}`);
+    return { contents: [{ uri, mimeType: 'text/markdown', text: formatArticleMarkdown(found) }] };
+  }
+
+  const search = uri.match(/^pubmed:\/\/search\/(.+)$/);
+  if (search) {
+    let query;
+    try {
+      query = decodeURIComponent(search[1]);
+    } catch {
+      throw new McpError(ErrorCode.InvalidParams, `Malformed query in ${uri}`);
+    }
+    // Same validation as search_pubmed: malformed queries never reach ESearch
+    try {
+      parseQuery(query);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid query in ${uri}: ${error.message}`);
+    }
+    const results = await searchPubMed(query, { maxResults: SEARCH_RESOURCE_SIZE });
+    const articles = rankArticles(await fetchDetails(results.pmids), { reorder: false });
+    const header = `# PubMed search: ${query}\n\n${results.count} results; showing the first ${articles.length}.`;
+    const text = [header, ...articles.map(formatArticleMarkdown)].join('\n\n---\n\n');
+    return { contents: [{ uri, mimeType: 'text/markdown', text }] };
+  }
+
+  throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri} (expected pubmed://article/{pmid} or pubmed://search/{query})`);
+}
+
+function formatArticleMarkdown(article) {
+  const lines = [
+    `## ${article.title}`,
+    '',
+    `- PMID: ${article.pmid} (${article.pubmedUrl})`,
+    `- Citation: ${formatCitation(article, 'ama')}`,
+  ];
+  if (article.evidence) lines.push(`- Evidence: ${article.evidence.label}`);
+  if (article.meshTerms?.length) lines.push(`- MeSH: ${article.meshTerms.join(', ')}`);
+  lines.push(...formatPico(article.pico).map(line => `- ${line}`));
+  lines.push('', article.abstract || 'No abstract available.');
+  return lines.join('\n');
+}
+
+// Prompts: research tasks that arrive with their PubMed articles attached
+const PROMPTS = [
+  {
+    name: 'summarize_evidence',
+    description: 'Summarize the current evidence on a disease from its best PubMed articles (ranked by evidence tier)',
+    arguments: [
+      { name: 'disease', description: 'Disease name, e.g. "Multiple Endocrine Neoplasia Type 1"', required: true },
+      { name: 'question', description: 'Aspect to focus on, e.g. "treatment of hyperparathyroidism" (default: overall evidence)' },
+      { name: 'maxArticles', description: 'Articles to attach (default: 8, max: 20)' },
+    ],
+  },
+  {
+    name: 'compare_treatments',
+    description: 'Compare two or more treatments for a disease, with the best PubMed articles for each attached',
+    arguments: [
+      { name: 'disease', description: 'Disease name', required: true },
+      { name: 'treatments', description: 'Comma-separated treatments, e.g. "parathyroidectomy, cinacalcet"', required: true },
+      { name: 'maxArticles', description: 'Articles per treatment (default: 4, max: 10)' },
+    ],
+  },
+];
+
+async function getPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  if (!PROMPTS.some(p => p.name === name)) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  const disease = requirePromptArg(args, 'disease');
+
+  switch (name) {
+    case 'summarize_evidence': {
+      const maxArticles = promptNumberArg(args, 'maxArticles', 8, 20);
+      const focus = args.question?.trim();
+      const results = await searchByDisease(disease, {
+        maxResults: maxArticles,
+        intent: focus ? classifyIntent(focus).intents : [],
+      });
+
+      const task = `Summarize the current evidence on ${disease}${focus ? `, focusing on: ${focus}` : ''}.
+
+Use only the ${results.articles.length} PubMed articles attached below, which are ordered by strength of evidence.
+- Lead with practice guidelines, systematic reviews and randomized trials, and say which kind of study each finding comes from
+- Give study sizes and effect sizes where the abstracts report them
+- Point out where studies disagree, and what the evidence does not yet answer
+- Cite every claim as [PMID:xxxx]`;
+      return {
+        description: `Evidence summary for ${disease}`,
+        messages: [promptText(task), ...results.articles.map(promptResource)],
+      };
+    }
+
+    case 'compare_treatments': {
+      const treatments = requirePromptArg(args, 'treatments').split(',').map(t => t.trim()).filter(Boolean);
+      if (treatments.length < 2) {
+        throw new McpError(ErrorCode.InvalidParams, 'treatments must list at least two treatments, separated by commas');
+      }
+      const maxArticles = promptNumberArg(args, 'maxArticles', 4, 10);
+      const { ast } = await resolveDiseaseQuery(disease, { intent: 'therapy' });
+
+      // One therapy search per treatment; an article found for several is attached once
+      const attached = new Map();
+      const found = [];
+      for (const treatment of treatments) {
+        const query = allOf(ast, anyOf(queryTerm(treatment, 'Title/Abstract'), queryTerm(treatment, 'MeSH Terms')));
+        const search = await searchPubMed(renderQuery(query), { maxResults: maxArticles * 3 });
+        const articles = rankArticles(await fetchDetails(search.pmids), { terms: [disease, treatment] }).slice(0, maxArticles);
+        for (const article of articles) if (!attached.has(article.pmid)) attached.set(article.pmid, article);
+        found.push(`- ${treatment}: ${articles.length ? articles.map(a => `PMID ${a.pmid}`).join(', ') : 'no articles found'}`);
+      }
+
+      const task = `Compare these treatments for ${disease}: ${treatments.join(', ')}.
+
+Articles retrieved for each treatment (attached below):
+${found.join('\n')}
+
+Using only the attached articles:
+- Compare efficacy, adverse effects and the patients each treatment was studied in
+- Weigh the strength of evidence behind each treatment (guidelines and trials over case reports)
+- Say where there is no head-to-head comparison, or no evidence at all
+- Cite every claim as [PMID:xxxx]`;
+      return {
+        description: `Treatment comparison for ${disease}`,
+        messages: [promptText(task), ...[...attached.values()].map(promptResource)],
+      };
+    }
+  }
+}
+
+function promptText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function promptResource(article) {
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: { uri: `pubmed://article/${article.pmid}`, mimeType: 'text/markdown', text: formatArticleMarkdown(article) },
+    },
+  };
+}
+
+function requirePromptArg(args, name) {
+  const value = args[name]?.trim();
+  if (!value) throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${name}`);
+  return value;
+}
+
+// Prompt arguments are always strings
+function promptNumberArg(args, name, fallback, max) {
+  if (args[name] === undefined || args[name] === '') return fallback;
+  const value = Number(args[name]);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new McpError(ErrorCode.InvalidParams, `${name} must be an integer between 1 and ${max}, got "${args[name]}"`);
+  }
+  return value;
+}
+
+// Pagination cursors: base64url JSON of the query and the next offset
+function encodeCursor(query, retstart) {
+  return Buffer.from(JSON.stringify({ q: query, s: retstart })).toString('base64url');
+}
+
+function decodeCursor(cursor, query) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.q !== query || !Number.isInteger(decoded.s) || decoded.s < 0) {
+    throw new Error('Cursor does not belong to this query');
+  }
+  return decoded.s;
+}
 
 // Start server
 async function main() {
-  const transport = new StdioServerTransport();
+  const args = process.argv.slice(2);
+  const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  if (!args.includes('--http')) {
+    const transport = new StdioServerTransport();
+    await createMcpServer().connect(transport);
+    console.error('PubMed MCP Server running on stdio');
+    return;
+  }
+
+  const port = Number(argValue('--port') || process.env.MCP_PORT || 3001);
+  const host = argValue('--host') || process.env.MCP_HOST || '127.0.0.1';
+  const httpServer = createServer((req, res) => handleMcpHttpRequest(req, res).catch(error => {
+    console.error(`MCP request failed: ${error.message}`);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: ErrorCode.InternalError, message: error.message }, id: null }));
+    }
+  }));
+  httpServer.listen(port, host, () => {
+    console.error(`PubMed MCP Server running on http://${host}:${httpServer.address().port}/mcp`);
+  });
+}
+
+// Streamable HTTP in stateless mode: every POST gets a fresh server and transport,
+// so no session state is kept between requests
+async function handleMcpHttpRequest(req, res) {
+  if (new URL(req.url, 'http://localhost').pathname !== '/mcp') {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found; the MCP endpoint is /mcp' }));
+    return;
+  }
+  if (req.method !== 'POST') {
+    // Stateless servers send no server-initiated messages, so there is no GET stream
+    res.writeHead(405, { Allow: 'POST', 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: ErrorCode.ConnectionClosed, message: 'Method not allowed' }, id: null }));
+    return;
+  }
+
+  const server = createMcpServer();
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
   await server.connect(transport);
-  console.error('PubMed MCP Server running on stdio');
+  await transport.handleRequest(req, res);
 }
 
-main().catch(console.error);
+// Run only when executed directly, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
@@ -0,0 +1,213 @@
+/**
+ * MeSH Vocabulary Client
+ *
+ * Resolves free text to MeSH descriptors and navigates the MeSH tree using
+ * the `mesh` E-utilities database.
+ * MeSH Browser: https://meshb.nlm.nih.gov/
+ */
+
+import { eutilsRequest, cachedValue, getResponseCache } from './eutils.js';
+
+/**
+ * Resolve free text (e.g. "heart attack", "MEN1") to a MeSH descriptor
+ *
+ * Candidates come from an ESearch against the mesh database; an exact match
+ * on the preferred name wins, then an exact entry-term match, then the
+ * first descriptor NCBI returns. Supplementary concepts and qualifiers are
+ * never returned.
+ *
+ * @param {string} text - Free-text term
+ * @param {object} options - Lookup options
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<object|null>} Descriptor with `matchedBy`, or null when nothing matches
+ */
+export async function resolveMeshTerm(text, options = {}) {
+  const { cache: cacheMode = true } = options;
+  const term = text.trim();
+  if (!term) return null;
+
+  const uids = await cachedValue('mesh', `resolve:${term.toLowerCase()}`, cacheMode, async () => {
+    const params = new URLSearchParams({
+      db: 'mesh',
+      term,
+      retmode: 'json',
+      retmax: '20',
+    });
+    const response = await eutilsRequest('esearch', params, 'MeSH search');
+    const data = await response.json();
+    return data.esearchresult?.idlist || [];
+  });
+
+  const candidates = (await getMeshDescriptors(uids, options)).filter(d => d.ui.startsWith('D'));
+  if (!candidates.length) return null;
+
+  const needle = normalizeTerm(term);
+  const preferred = candidates.find(d => normalizeTerm(d.name) === needle);
+  if (preferred) return { ...preferred, matchedBy: 'preferred-name' };
+
+  const entry = candidates.find(d => d.entryTerms.some(t => normalizeTerm(t) === needle));
+  if (entry) return { ...entry, matchedBy: 'entry-term' };
+
+  return { ...candidates[0], matchedBy: 'search' };
+}
+
+/**
+ * Fetch a MeSH descriptor record
+ * @param {string} id - Descriptor UI ("D009203") or mesh database UID ("68009203")
+ * @param {object} options - Lookup options
+ * @returns {Promise<object|null>} Descriptor record
+ */
+export async function getMeshDescriptor(id, options = {}) {
+  const [descriptor] = await getMeshDescriptors([toMeshUid(id)], options);
+  return descriptor || null;
+}
+
+/**
+ * Fetch several MeSH records by mesh database UID
+ * @param {string[]} uids - mesh database UIDs
+ * @param {object} options - Lookup options
+ * @returns {Promise<object[]>} Records in the requested order: { uid, ui, name, entryTerms, treeNumbers, scopeNote, parentUids, childUids }
+ */
+export async function getMeshDescriptors(uids, options = {}) {
+  if (!uids.length) return [];
+
+  const { cache: cacheMode = true } = options;
+  const cache = getResponseCache();
+  const keys = uids.map(uid => `record:${uid}`);
+  const found = cacheMode === true ? await cache.getMany('mesh', keys) : new Map();
+  const missing = uids.filter((uid, i) => !found.has(keys[i]));
+
+  if (missing.length) {
+    const params = new URLSearchParams({
+      db: 'mesh',
+      id: missing.join(','),
+      retmode: 'json',
+    });
+    const response = await eutilsRequest('esummary', params, 'MeSH summary fetch');
+    const data = await response.json();
+
+    const fetched = missing
+      .map(uid => data.result?.[uid] && parseMeshSummary(uid, data.result[uid]))
+      .filter(Boolean);
+
+    for (const record of fetched) found.set(`record:${record.uid}`, record);
+    if (cacheMode) await cache.setMany('mesh', fetched.map(r => [`record:${r.uid}`, r]));
+  }
+
+  return keys.map(key => found.get(key)).filter(Boolean);
+}
+
+/**
+ * Get the parent descriptors of a descriptor (one per tree location)
+ * @param {object|string} descriptor - Descriptor record, UI or UID
+ * @param {object} options - Lookup options
+ * @returns {Promise<object[]>} Broader descriptors
+ */
+export async function getBroaderTerms(descriptor, options = {}) {
+  const record = await toRecord(descriptor, options);
+  return record ? getMeshDescriptors(record.parentUids, options) : [];
+}
+
+/**
+ * Get the direct children of a descriptor
+ * @param {object|string} descriptor - Descriptor record, UI or UID
+ * @param {object} options - Lookup options
+ * @returns {Promise<object[]>} Narrower descriptors
+ */
+export async function getNarrowerTerms(descriptor, options = {}) {
+  const record = await toRecord(descriptor, options);
+  return record ? getMeshDescriptors(record.childUids, options) : [];
+}
+
+/**
+ * Resolve a term and describe its place in the MeSH tree
+ * @param {string} text - Free-text term
+ * @param {object} options - Lookup options
+ * @param {boolean} options.includeTree - Also fetch broader and narrower terms (default: true)
+ * @returns {Promise<object|null>} { descriptor, broader, narrower }, or null when nothing matches
+ */
+export async function lookupMesh(text, options = {}) {
+  const { includeTree = true } = options;
+
+  const descriptor = await resolveMeshTerm(text, options);
+  if (!descriptor) return null;
+
+  if (!includeTree) {
+    return { descriptor: describe(descriptor), broader: [], narrower: [] };
+  }
+
+  const [broader, narrower] = await Promise.all([
+    getBroaderTerms(descriptor, options),
+    getNarrowerTerms(descriptor, options),
+  ]);
+
+  return {
+    descriptor: describe(descriptor),
+    broader: broader.map(summarize),
+    narrower: narrower.map(summarize),
+  };
+}
+
+// Helper: Map an ESummary mesh record to a descriptor record
+function parseMeshSummary(uid, summary) {
+  const links = summary.ds_idxlinks || [];
+  const entryTerms = summary.ds_meshterms || [];
+
+  return {
+    uid: String(uid),
+    ui: summary.ds_meshui || '',
+    name: entryTerms[0] || '',
+    entryTerms: entryTerms.slice(1),
+    treeNumbers: links.map(l => l.treenum).filter(Boolean),
+    scopeNote: (summary.ds_scopenote || '').trim(),
+    parentUids: unique(links.map(l => l.parent).filter(Boolean).map(String)),
+    childUids: unique(links.flatMap(l => l.children || []).map(String)),
+  };
+}
+
+async function toRecord(descriptor, options) {
+  if (typeof descriptor === 'object') return descriptor;
+  return getMeshDescriptor(descriptor, options);
+}
+
+// Helper: Descriptor UIs map to mesh database UIDs as D009203 -> 68009203
+function toMeshUid(id) {
+  const match = String(id).match(/^D(\d+)$/i);
+  return match ? `68${match[1]}` : String(id);
+}
+
+function describe(descriptor) {
+  return {
+    ui: descriptor.ui,
+    name: descriptor.name,
+    matchedBy: descriptor.matchedBy,
+    entryTerms: descriptor.entryTerms,
+    treeNumbers: descriptor.treeNumbers,
+    scopeNote: descriptor.scopeNote,
+  };
+}
+
+function summarize(descriptor) {
+  return {
+    ui: descriptor.ui,
+    name: descriptor.name,
+    treeNumbers: descriptor.treeNumbers,
+  };
+}
+
+function normalizeTerm(term) {
+  return term.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+export default {
+  resolveMeshTerm,
+  getMeshDescriptor,
+  getMeshDescriptors,
+  getBroaderTerms,
+  getNarrowerTerms,
+  lookupMesh,
+};
@@ -0,0 +1,233 @@
+/**
+ * Passage Retriever
+ *
+ * Offline retrieval over the articles of one search: abstracts (and full
+ * text, when fetched) are split into short passages, scored against the
+ * question with BM25 plus MeSH overlap, and the best passages are packed
+ * into a token budget for the LLM prompt. Every passage line carries a
+ * `[PMID:xxxx]` marker so the model can cite it.
+ */
+
+import { analyzeText, splitSentences } from './text-analysis.js';
+
+// BM25 parameters (Robertson/Sparck Jones defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Where a passage comes from shifts its score: findings answer questions, methods rarely do
+const SECTION_PRIOR = {
+  abstract: 1.0,
+  results: 1.0,
+  conclusions: 1.0,
+  discussion: 0.9,
+  introduction: 0.8,
+  other: 0.8,
+  methods: 0.6,
+};
+
+/**
+ * Rough token count (about 4 characters per token for English text)
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split articles into passages
+ * @param {object[]} articles - Article records (fetchDetails)
+ * @param {object} options - Split options
+ * @param {Map<string, object>} options.fullText - Full-text records keyed by PMID (see getFullTextForArticles)
+ * @param {number} options.maxSentences - Sentences per passage (default: 3)
+ * @returns {object[]} { id, pmid, source ('abstract' | 'full-text'), section, kind, text, order }
+ */
+export function splitPassages(articles, options = {}) {
+  const { fullText = new Map(), maxSentences = 3 } = options;
+  const passages = [];
+
+  for (const article of articles) {
+    let order = 0;
+    const add = (source, section, kind, text) => {
+      for (const chunk of chunkSentences(text, maxSentences)) {
+        order += 1;
+        passages.push({ id: `${article.pmid}:${order}`, pmid: article.pmid, source, section, kind, text: chunk, order });
+      }
+    };
+
+    const sections = article.abstractSections?.length
+      ? article.abstractSections
+      : [{ label: '', text: article.abstract || '' }];
+    for (const section of sections) {
+      add('abstract', section.label || '', 'abstract', section.text);
+    }
+
+    for (const section of fullText.get(article.pmid)?.sections || []) {
+      for (const paragraph of section.text.split(/\n{2,}/)) {
+        add('full-text', section.title || section.kind, section.kind, paragraph);
+      }
+    }
+  }
+
+  return passages;
+}
+
+/**
+ * Score passages against a question
+ *
+ * score = section prior × ((1 − meshWeight) × normalized BM25 + meshWeight × MeSH overlap),
+ * where MeSH overlap is the share of question terms found in the article's MeSH headings.
+ *
+ * @param {string} question - User question
+ * @param {object[]} passages - Passages from splitPassages
+ * @param {object[]} articles - The articles the passages came from
+ * @param {object} options - Scoring options
+ * @param {string[]} options.meshTerms - Extra terms for MeSH matching (e.g. the resolved descriptor name)
+ * @param {number} options.meshWeight - Weight of MeSH overlap (default: 0.2)
+ * @returns {object[]} Passages with { score, bm25, meshOverlap }, best first
+ */
+export function scorePassages(question, passages, articles, options = {}) {
+  const { meshTerms = [], meshWeight = 0.2 } = options;
+  if (!passages.length) return [];
+
+  const queryTerms = [...new Set(analyzeText(question))];
+  const meshQuery = new Set([...queryTerms, ...meshTerms.flatMap(analyzeText)]);
+
+  const docs = passages.map(p => analyzeText(p.text));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+  const docFreq = new Map();
+  for (const doc of docs) {
+    for (const term of new Set(doc)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+  }
+
+  const bm25 = docs.map(doc => {
+    const tf = new Map();
+    for (const term of doc) tf.set(term, (tf.get(term) || 0) + 1);
+    return queryTerms.reduce((sum, term) => {
+      const f = tf.get(term);
+      if (!f) return sum;
+      const df = docFreq.get(term);
+      const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+      return sum + idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / avgLength));
+    }, 0);
+  });
+  const maxBm25 = Math.max(...bm25) || 1;
+
+  const meshOverlap = new Map(articles.map(article => {
+    const headings = new Set((article.meshTerms || []).flatMap(analyzeText));
+    const shared = [...meshQuery].filter(t => headings.has(t)).length;
+    return [article.pmid, meshQuery.size ? shared / meshQuery.size : 0];
+  }));
+
+  return passages
+    .map((passage, i) => {
+      const mesh = meshOverlap.get(passage.pmid) || 0;
+      const prior = SECTION_PRIOR[passage.kind] ?? SECTION_PRIOR.other;
+      const score = prior * ((1 - meshWeight) * (bm25[i] / maxBm25) + meshWeight * mesh);
+      return { ...passage, score: round(score), bm25: round(bm25[i]), meshOverlap: round(mesh) };
+    })
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+}
+
+/**
+ * Pack the best passages into a token budget
+ *
+ * Passages are taken best first until the budget is used. The context lists
+ * articles in their original order, each with a one-line header and its
+ * selected passages in document order.
+ *
+ * @param {object[]} scored - Passages from scorePassages (best first)
+ * @param {object[]} articles - Articles, in the order they should appear
+ * @param {object} options - Packing options
+ * @param {number} options.tokenBudget - Maximum context tokens (default: 2000)
+ * @param {number} options.maxPerArticle - Passages per article (default: 3)
+ * @returns {object} { context, passages (selected, best first), tokens }
+ */
+export function packPassages(scored, articles, options = {}) {
+  const { tokenBudget = 2000, maxPerArticle = 3 } = options;
+  const byPmid = new Map(articles.map(a => [a.pmid, a]));
+
+  const selected = [];
+  const perArticle = new Map();
+  let tokens = 0;
+
+  // Unmatched passages (score 0) still fill leftover budget, first passages first
+  for (const passage of scored) {
+    const count = perArticle.get(passage.pmid) || 0;
+    if (count >= maxPerArticle) continue;
+
+    const cost = estimateTokens(formatPassage(passage)) + (count ? 0 : estimateTokens(formatHeader(byPmid.get(passage.pmid))));
+    if (tokens + cost > tokenBudget) continue;
+
+    selected.push({ ...passage, tokens: cost });
+    perArticle.set(passage.pmid, count + 1);
+    tokens += cost;
+  }
+
+  const context = articles
+    .filter(article => perArticle.has(article.pmid))
+    .map(article => {
+      const lines = selected
+        .filter(p => p.pmid === article.pmid)
+        .sort((a, b) => a.order - b.order)
+        .map(formatPassage);
+      return [formatHeader(article), ...lines].join('\n');
+    })
+    .join('\n\n');
+
+  return { context, passages: selected, tokens };
+}
+
+/**
+ * Retrieve and pack the passages that best answer a question
+ * @param {string} question - User question
+ * @param {object[]} articles - Article records
+ * @param {object} options - splitPassages, scorePassages and packPassages options
+ * @returns {object} { context, passages, tokens, tokenBudget, candidates }
+ */
+export function retrievePassages(question, articles, options = {}) {
+  const passages = splitPassages(articles, options);
+  const scored = scorePassages(question, passages, articles, options);
+  const packed = packPassages(scored, articles, options);
+  return {
+    ...packed,
+    tokenBudget: options.tokenBudget ?? 2000,
+    candidates: passages.length,
+  };
+}
+
+function formatHeader(article) {
+  const details = [
+    `${article.journal}${article.pubDate ? ` (${article.pubDate})` : ''}`,
+    article.evidence?.label,
+    article.meshTerms?.length ? `MeSH: ${article.meshTerms.slice(0, 5).join(', ')}` : null,
+  ].filter(Boolean);
+  return `## ${article.title}\n${details.join(' · ')}`;
+}
+
+function formatPassage(passage) {
+  const where = [passage.source === 'full-text' ? 'Full text' : 'Abstract', passage.section].filter(Boolean).join(', ');
+  return `[PMID:${passage.pmid}] (${where}) ${passage.text}`;
+}
+
+// Helper: Group sentences into passages of at most `size` sentences
+function chunkSentences(text, size) {
+  const sentences = splitSentences((text || '').replace(/\s+/g, ' ').trim());
+  const chunks = [];
+  for (let i = 0; i < sentences.length; i += size) {
+    chunks.push(sentences.slice(i, i + size).join(' '));
+  }
+  return chunks;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default {
+  estimateTokens,
+  splitPassages,
+  scorePassages,
+  packPassages,
+  retrievePassages,
+};
@@ -0,0 +1,153 @@
+/**
+ * PubMed Central Full-Text Client
+ *
+ * Links PMIDs to PMC records via ELink and fetches open-access full text
+ * (JATS XML) from the `pmc` E-utilities database.
+ * PMC OA subset: https://pmc.ncbi.nlm.nih.gov/tools/openftlist/
+ */
+
+import { eutilsRequest, getResponseCache } from './eutils.js';
+import { parseJatsXml } from './jats-parser.js';
+
+/**
+ * Map PMIDs to PMCIDs
+ * @param {string[]} pmids - PubMed IDs
+ * @param {object} options - Lookup options
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<Map<string, string|null>>} PMCID ("PMC1234567") or null per PMID
+ */
+export async function linkToPmc(pmids, options = {}) {
+  if (!pmids.length) return new Map();
+
+  const { cache: cacheMode = true } = options;
+  const cache = getResponseCache();
+  const keys = pmids.map(pmid => `link:${pmid}`);
+  const found = cacheMode === true ? await cache.getMany('fulltext', keys) : new Map();
+  const missing = pmids.filter((pmid, i) => !found.has(keys[i]));
+
+  if (missing.length) {
+    // One id parameter per PMID keeps the link sets one-to-one
+    const params = new URLSearchParams({
+      dbfrom: 'pubmed',
+      db: 'pmc',
+      linkname: 'pubmed_pmc',
+      retmode: 'json',
+    });
+    for (const pmid of missing) params.append('id', pmid);
+
+    const response = await eutilsRequest('elink', params, 'PMC link lookup');
+    const data = await response.json();
+
+    const links = new Map(missing.map(pmid => [pmid, null]));
+    for (const linkset of data.linksets || []) {
+      const pmid = String(linkset.ids?.[0] ?? '');
+      const pmcLink = (linkset.linksetdbs || []).find(db => db.linkname === 'pubmed_pmc');
+      if (links.has(pmid) && pmcLink?.links?.length) {
+        links.set(pmid, `PMC${pmcLink.links[0]}`);
+      }
+    }
+
+    for (const [pmid, pmcid] of links) found.set(`link:${pmid}`, pmcid);
+    if (cacheMode) await cache.setMany('fulltext', [...links].map(([pmid, pmcid]) => [`link:${pmid}`, pmcid]));
+  }
+
+  return new Map(pmids.map((pmid, i) => [pmid, found.get(keys[i]) ?? null]));
+}
+
+/**
+ * Fetch and parse full-text articles from PMC
+ * @param {string[]} pmcids - PMC IDs ("PMC1234567" or "1234567")
+ * @param {object} options - Fetch options
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<object[]>} Full-text records in the requested order (see parseJatsXml)
+ */
+export async function fetchFullText(pmcids, options = {}) {
+  if (!pmcids.length) return [];
+
+  const { cache: cacheMode = true } = options;
+  const cache = getResponseCache();
+  const ids = pmcids.map(normalizePmcid);
+  const found = cacheMode === true ? await cache.getMany('fulltext', ids) : new Map();
+  const missing = ids.filter(id => !found.has(id));
+
+  if (missing.length) {
+    const params = new URLSearchParams({
+      db: 'pmc',
+      id: missing.map(id => id.replace(/^PMC/, '')).join(','),
+      retmode: 'xml',
+    });
+
+    const response = await eutilsRequest('efetch', params, 'PMC fetch');
+    const fetched = parseJatsXml(await response.text()).filter(doc => doc.pmcid);
+
+    for (const doc of fetched) found.set(doc.pmcid, doc);
+    if (cacheMode) await cache.setMany('fulltext', fetched.map(doc => [doc.pmcid, doc]));
+  }
+
+  return ids.map(id => found.get(id)).filter(Boolean);
+}
+
+/**
+ * Get the full text of one article
+ * @param {string} id - PMID or PMCID
+ * @param {object} options - Fetch options
+ * @returns {Promise<object>} Full-text record, or { available: false, reason } when PMC has none
+ */
+export async function getFullText(id, options = {}) {
+  let pmcid = /^PMC\d+$/i.test(id) ? normalizePmcid(id) : null;
+
+  if (!pmcid) {
+    pmcid = (await linkToPmc([String(id)], options)).get(String(id));
+    if (!pmcid) {
+      return { pmid: String(id), available: false, reason: 'Article is not in PubMed Central' };
+    }
+  }
+
+  const [doc] = await fetchFullText([pmcid], options);
+  if (!doc) {
+    return { pmcid, available: false, reason: 'PMC returned no record' };
+  }
+  if (!doc.available) {
+    return { ...doc, reason: 'Publisher does not allow full-text XML download' };
+  }
+  return doc;
+}
+
+/**
+ * Fetch full text for whichever search results are in PMC
+ *
+ * Uses the PMCID from the article record when present and ELink otherwise.
+ *
+ * @param {object[]} articles - Article records from fetchDetails
+ * @param {object} options - Fetch options
+ * @returns {Promise<Map<string, object>>} Available full-text records keyed by PMID
+ */
+export async function getFullTextForArticles(articles, options = {}) {
+  const pmcids = new Map(articles.filter(a => a.pmcid).map(a => [a.pmid, a.pmcid]));
+
+  const unlinked = articles.filter(a => !a.pmcid).map(a => a.pmid);
+  for (const [pmid, pmcid] of await linkToPmc(unlinked, options)) {
+    if (pmcid) pmcids.set(pmid, pmcid);
+  }
+
+  const docs = await fetchFullText([...pmcids.values()], options);
+  const byPmcid = new Map(docs.map(doc => [doc.pmcid, doc]));
+
+  const result = new Map();
+  for (const [pmid, pmcid] of pmcids) {
+    const doc = byPmcid.get(normalizePmcid(pmcid));
+    if (doc?.available) result.set(pmid, doc);
+  }
+  return result;
+}
+
+function normalizePmcid(id) {
+  return `PMC${String(id).replace(/^PMC/i, '')}`;
+}
+
+export default {
+  linkToPmc,
+  fetchFullText,
+  getFullText,
+  getFullTextForArticles,
+};
@@ -5,20 +5,60 @@
  * API Docs: https://www.ncbi.nlm.nih.gov/books/NBK25499/
  */
 
-const BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+import {
+  eutilsRequest,
+  getResponseCache,
+  configureClient,
+  configureTransport,
+  configureCache,
+  getCacheStats,
+  clearCache,
+  getSchedulerStats,
+} from './eutils.js';
+import { cacheKey } from './response-cache.js';
+import { parseArticlesStream } from './pubmed-xml-parser.js';
+import { resolveMeshTerm, getBroaderTerms } from './mesh-client.js';
+import { getIntentFilters, DEFAULT_SUBHEADINGS } from './intent-classifier.js';
+import { rankArticles, TIER_NAMES } from './evidence-ranker.js';
+import { queryTerm, meshTerm, allOf, anyOf, renderQuery, parseQuery } from './query-builder.js';
+import { normalizeFilters, buildFilterQuery } from './search-filters.js';
+
+export { configureClient, configureTransport, configureCache, getCacheStats, clearCache, getSchedulerStats };
+
+// ESearch/EFetch only expose the first 10,000 records of a PubMed result set
+const MAX_RETRIEVABLE = 10000;
+
+// Upper bound on candidates fetched for one page of ranked results
+const MAX_RANK_CANDIDATES = 200;
 
 /**
  * Search PubMed using a query string
+ *
+ * Results are posted to the E-utilities History server (usehistory=y), so the
+ * returned `webEnv`/`queryKey` can be used to page through the full result set.
+ * History sessions expire after a few hours of inactivity; cached results may
+ * carry an expired session.
+ *
  * @param {string} query - Search query (can use MeSH terms)
  * @param {object} options - Search options
- * @returns {Promise<string[]>} Array of PMIDs
+ * @param {number} options.maxResults - Page size (default: 10)
+ * @param {number} options.retstart - Offset of the first PMID to return (default: 0)
+ * @param {string} options.sort - 'relevance' (default) or 'pub_date'
+ * @param {string} options.minDate - Earliest date, YYYY/MM/DD (needs maxDate)
+ * @param {string} options.maxDate - Latest date, YYYY/MM/DD (needs minDate)
+ * @param {string} options.dateType - Date minDate/maxDate apply to: 'pdat' (publication, default), 'edat' (Entrez entry) or 'mdat' (modification)
+ * @param {boolean|string} options.cache - true (default), false to bypass, 'refresh' to skip reads
+ * @returns {Promise<object>} { query, count, retstart, pmids, webEnv, queryKey, queryTranslation }
  */
 export async function searchPubMed(query, options = {}) {
   const {
     maxResults = 10,
+    retstart = 0,
     sort = 'relevance', // relevance, date
     minDate = null,
     maxDate = null,
+    dateType = null,
+    cache: cacheMode = true,
   } = options;
 
   const params = new URLSearchParams({
@@ -26,303 +66,522 @@ export async function searchPubMed(query, options = {}) {
     term: query,
     retmode: 'json',
     retmax: maxResults.toString(),
+    retstart: retstart.toString(),
     sort: sort,
+    usehistory: 'y',
   });
 
   if (minDate) params.append('mindate', minDate);
   if (maxDate) params.append('maxdate', maxDate);
+  if (dateType) params.append('datetype', dateType);
 
-  const url = `${BASE_URL}/esearch.fcgi?${params}`;
-  
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`PubMed search failed: ${response.status}`);
+  const key = cacheKey('esearch', params);
+  if (cacheMode === true) {
+    const cached = await getResponseCache().get('search', key);
+    if (cached) return cached;
   }
 
+  const response = await eutilsRequest('esearch', params, 'PubMed search');
   const data = await response.json();
-  return data.esearchresult?.idlist || [];
+  const result = data.esearchresult || {};
+
+  if (result.ERROR) {
+    throw new Error(`PubMed search failed: ${result.ERROR}`);
+  }
+
+  const page = {
+    query,
+    count: parseInt(result.count, 10) || 0,
+    retstart: parseInt(result.retstart, 10) || retstart,
+    pmids: result.idlist || [],
+    webEnv: result.webenv || null,
+    queryKey: result.querykey || null,
+    queryTranslation: result.querytranslation || '',
+  };
+
+  if (cacheMode) await getResponseCache().set('search', key, page);
+  return page;
 }
 
 /**
- * Fetch article summaries for given PMIDs
- * @param {string[]} pmids - Array of PubMed IDs
- * @returns {Promise<object[]>} Array of article summaries
+ * Count the results of a query without retrieving PMIDs (ESearch rettype=count)
+ * @param {string} query - Search query
+ * @param {object} options - Count options
+ * @param {string} options.minDate - Earliest date, YYYY/MM/DD (needs maxDate)
+ * @param {string} options.maxDate - Latest date, YYYY/MM/DD (needs minDate)
+ * @param {string} options.dateType - 'pdat' (publication, default), 'edat' or 'mdat'
+ * @param {boolean|string} options.cache - true (default), false to bypass, 'refresh' to skip reads
+ * @returns {Promise<number>} Number of matching records
  */
-export async function fetchSummaries(pmids) {
-  if (!pmids.length) return [];
+export async function countPubMed(query, options = {}) {
+  const { minDate = null, maxDate = null, dateType = null, cache: cacheMode = true } = options;
 
   const params = new URLSearchParams({
     db: 'pubmed',
-    id: pmids.join(','),
+    term: query,
     retmode: 'json',
+    rettype: 'count',
   });
+  if (minDate) params.append('mindate', minDate);
+  if (maxDate) params.append('maxdate', maxDate);
+  if (dateType) params.append('datetype', dateType);
 
-  const url = `${BASE_URL}/esummary.fcgi?${params}`;
-  
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`PubMed summary fetch failed: ${response.status}`);
+  const key = cacheKey('esearch', params);
+  if (cacheMode === true) {
+    const cached = await getResponseCache().get('search', key);
+    if (cached !== undefined) return cached;
   }
 
-  const data = await response.json();
-  const result = data.result || {};
-  
-  return pmids.map(pmid => {
-    const article = result[pmid];
-    if (!article) return null;
-    
-    return {
-      pmid,
-      title: article.title || '',
-      authors: (article.authors || []).map(a => a.name).join(', '),
-      journal: article.fulljournalname || article.source || '',
-      pubDate: article.pubdate || '',
-      doi: extractDoi(article.articleids || []),
-      pubmedUrl: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
-    };
-  }).filter(Boolean);
+  const response = await eutilsRequest('esearch', params, 'PubMed count');
+  const result = (await response.json()).esearchresult || {};
+  if (result.ERROR) {
+    throw new Error(`PubMed count failed: ${result.ERROR}`);
+  }
+
+  const count = parseInt(result.count, 10) || 0;
+  if (cacheMode) await getResponseCache().set('search', key, count);
+  return count;
+}
+
+/**
+ * Page through every result of a query, fetching article details in batches
+ *
+ * The query is run once against the History server; each batch of PMIDs is
+ * then read from that stored result set, so pages stay consistent even if
+ * new articles are indexed mid-iteration. PubMed only exposes the first
+ * 10,000 records of any search.
+ *
+ * @param {string} query - Search query
+ * @param {object} options - Iteration options
+ * @param {number} options.batchSize - PMIDs per batch (default: 200)
+ * @param {number} options.maxRecords - Stop after this many records (default: 10,000)
+ * @param {boolean} options.includeAbstracts - Fetch full details rather than summaries (default: true)
+ * @param {boolean|string} options.cache - Cache mode for article records
+ * @yields {object} { retstart, count, pmids, articles } per batch
+ */
+export async function* iterateSearch(query, options = {}) {
+  const {
+    batchSize = 200,
+    maxRecords = MAX_RETRIEVABLE,
+    includeAbstracts = true,
+    sort,
+    minDate,
+    maxDate,
+    cache: cacheMode = true,
+  } = options;
+
+  // Always start a fresh History session: a cached one may have expired
+  const first = await searchPubMed(query, { maxResults: batchSize, sort, minDate, maxDate, cache: false });
+  const total = Math.min(first.count, maxRecords, MAX_RETRIEVABLE);
+
+  for (let retstart = 0; retstart < total; retstart += batchSize) {
+    const retmax = Math.min(batchSize, total - retstart);
+    const pmids = retstart === 0
+      ? first.pmids.slice(0, retmax)
+      : await fetchHistoryPmids(first, retstart, retmax);
+
+    if (!pmids.length) break;
+
+    const articles = includeAbstracts
+      ? await fetchDetails(pmids, { cache: cacheMode })
+      : await fetchSummaries(pmids, { cache: cacheMode });
+
+    yield { retstart, count: first.count, pmids, articles };
+  }
+}
+
+/**
+ * Fetch article summaries for given PMIDs
+ * @param {string[]} pmids - Array of PubMed IDs
+ * @param {object} options - Fetch options
+ * @param {boolean|string} options.cache - true (default), false to bypass, 'refresh' to skip reads
+ * @returns {Promise<object[]>} Array of article summaries
+ */
+export async function fetchSummaries(pmids, options = {}) {
+  if (!pmids.length) return [];
+
+  const { cache: cacheMode = true } = options;
+  const cached = cacheMode === true ? await getResponseCache().getMany('summaries', pmids) : new Map();
+  const missing = pmids.filter(pmid => !cached.has(pmid));
+
+  if (missing.length) {
+    const params = new URLSearchParams({
+      db: 'pubmed',
+      id: missing.join(','),
+      retmode: 'json',
+    });
+
+    const response = await eutilsRequest('esummary', params, 'PubMed summary fetch');
+    const data = await response.json();
+    const fetched = parseSummaries(missing, data.result || {});
+
+    for (const summary of fetched) cached.set(summary.pmid, summary);
+    if (cacheMode) await getResponseCache().setMany('summaries', fetched.map(a => [a.pmid, a]));
+  }
+
+  return pmids.map(pmid => cached.get(pmid)).filter(Boolean);
 }
 
 /**
  * Fetch full article details including abstract
  * @param {string[]} pmids - Array of PubMed IDs
+ * @param {object} options - Fetch options
+ * @param {boolean|string} options.cache - true (default), false to bypass, 'refresh' to skip reads
  * @returns {Promise<object[]>} Array of article details with abstracts
  */
-export async function fetchDetails(pmids) {
+export async function fetchDetails(pmids, options = {}) {
   if (!pmids.length) return [];
 
-  const params = new URLSearchParams({
-    db: 'pubmed',
-    id: pmids.join(','),
-    retmode: 'xml',
-    rettype: 'abstract',
-  });
+  const { cache: cacheMode = true } = options;
+  const cached = cacheMode === true ? await getResponseCache().getMany('articles', pmids) : new Map();
+  const missing = pmids.filter(pmid => !cached.has(pmid));
+
+  if (missing.length) {
+    const params = new URLSearchParams({
+      db: 'pubmed',
+      id: missing.join(','),
+      retmode: 'xml',
+      rettype: 'abstract',
+    });
+
+    const response = await eutilsRequest('efetch', params, 'PubMed fetch');
+    const fetched = [];
+    for await (const article of parseArticlesStream(response.body)) {
+      fetched.push(article);
+    }
 
-  const url = `${BASE_URL}/efetch.fcgi?${params}`;
-  
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`PubMed fetch failed: ${response.status}`);
+    for (const article of fetched) cached.set(article.pmid, article);
+    if (cacheMode) await getResponseCache().setMany('articles', fetched.map(a => [a.pmid, a]));
   }
 
-  const xml = await response.text();
-  return parseArticlesXml(xml);
+  return pmids.map(pmid => cached.get(pmid)).filter(Boolean);
 }
 
 /**
  * Build a MeSH query for a disease
+ *
+ * Pass a resolved descriptor (see resolveMeshTerm) as `options.mesh` to
+ * search its preferred MeSH heading instead of the raw text.
+ *
  * @param {string} disease - Disease name
- * @param {object} options - Query options
+ * @param {object} options - Query options (see buildDiseaseQueryAst)
  * @returns {string} Formatted MeSH query
  */
 export function buildDiseaseQuery(disease, options = {}) {
+  return renderQuery(buildDiseaseQueryAst(disease, options));
+}
+
+/**
+ * Build a MeSH query for a disease as a query tree (see query-builder.js)
+ * @param {string} disease - Disease name
+ * @param {object} options - Query options
+ * @param {object} options.mesh - Resolved MeSH descriptor ({ name })
+ * @param {string} options.meshExpansion - 'explode' (default, includes narrower terms), 'noexp' or 'broaden'
+ * @param {string[]} options.broaderTerms - Parent descriptor names, used with meshExpansion 'broaden'
+ * @param {string[]} options.intents - Question intents (see classifyIntent); select subheadings and filters
+ * @param {string} options.clinicalQuery - Clinical Queries filter scope for the intents: 'broad' (default), 'narrow' or 'none'
+ * @param {boolean} options.includeSubheadings - AND the subheadings of the intents, or the default disease-context ones (default: true)
+ * @param {object} options.filters - Search filters (see normalizeFilters)
+ * @param {string[]} options.articleTypes - Publication types; same as filters.articleTypes
+ * @param {object} options.dateRange - { start, end } publication dates; same as filters.from and filters.to
+ * @returns {object} Query node
+ */
+export function buildDiseaseQueryAst(disease, options = {}) {
   const {
     meshOnly = false,
     includeSubheadings = true,
-    dateRange = null,
+    dateRange: dates = null,
     articleTypes = [],
+    mesh = null,
+    meshExpansion = 'explode',
+    broaderTerms = [],
+    intents = [],
+    clinicalQuery = 'broad',
+    filters = {},
   } = options;
 
-  let query = '';
-
-  // Try MeSH term first, fall back to text search
-  if (meshOnly) {
-    query = `"${disease}"[MeSH Terms]`;
-  } else {
-    // Search both MeSH and title/abstract for broader coverage
-    query = `("${disease}"[MeSH Terms] OR "${disease}"[Title/Abstract])`;
-  }
-
-  // Add subheadings for better disease context
-  if (includeSubheadings) {
-    const subheadings = [
-      'therapy',
-      'diagnosis', 
-      'etiology',
-      'pathophysiology',
-    ];
-    // MeSH subheading qualifiers
-    query = `${query} AND (${subheadings.map(s => `"${s}"[Subheading]`).join(' OR ')})`;
-  }
-
-  // Filter by article type
-  if (articleTypes.length) {
-    const typeFilter = articleTypes.map(t => `"${t}"[Publication Type]`).join(' OR ');
-    query = `${query} AND (${typeFilter})`;
-  }
-
-  // Date filter
-  if (dateRange) {
-    query = `${query} AND ("${dateRange.start}"[Date - Publication] : "${dateRange.end}"[Date - Publication])`;
-  }
-
-  return query;
+  const intentFilters = intents.length ? getIntentFilters(intents, clinicalQuery) : null;
+  const heading = mesh?.name || disease;
+  const headings = meshExpansion === 'broaden' ? [heading, ...broaderTerms] : [heading];
+  const meshClause = anyOf(...headings.map(h => meshTerm(h, { explode: meshExpansion !== 'noexp' })));
+
+  // Search both MeSH and title/abstract for broader coverage, unless MeSH only
+  const topic = meshOnly ? meshClause : anyOf(meshClause, queryTerm(disease, 'Title/Abstract'));
+
+  // Subheadings for disease context (those of the question's intent, if known)
+  const subheadings = intentFilters ? intentFilters.subheadings : DEFAULT_SUBHEADINGS;
+
+  return allOf(
+    topic,
+    includeSubheadings ? anyOf(...subheadings.map(s => queryTerm(s, 'Subheading'))) : null,
+    // Clinical Queries methodological filter for the intent
+    intentFilters?.filter ? parseQuery(intentFilters.filter) : null,
+    buildFilterQuery({
+      ...filters,
+      articleTypes: [].concat(articleTypes, filters.articleTypes || []),
+      from: filters.from || dates?.start,
+      to: filters.to || dates?.end,
+    }),
+  );
 }
 
 /**
  * Search PubMed for disease-related articles
+ *
+ * Results are reranked by evidence tier, recency and relevance (see
+ * rankArticles). PubMed results are ranked in fixed windows of
+ * `maxResults * overfetch` candidates, and pages are consecutive slices of
+ * each ranked window: with overfetch 3, pages 1-3 show the first window in
+ * ranked order and page 4 starts the next one. Every candidate appears on
+ * exactly one page. `offset` is the position of the page's first result
+ * ((page - 1) * maxResults); the window's PubMed position is in
+ * `ranking.window`. With minEvidence a page can hold fewer than maxResults
+ * articles (its window lost some) while `hasMore` is still true.
+ *
  * @param {string} disease - Disease name
  * @param {object} options - Search options
+ * @param {boolean} options.rank - Rerank candidates by evidence score (default: true; false keeps PubMed order)
+ * @param {number} options.overfetch - Candidates fetched per result when ranking (default: 3)
+ * @param {string} options.minEvidence - Drop articles below this evidence tier (see TIER_NAMES)
+ * @param {object} options.filters - Article type, humans, age, sex, language, availability and date filters (see normalizeFilters)
  * @returns {Promise<object>} Search results with articles
  */
 export async function searchByDisease(disease, options = {}) {
   const {
     maxResults = 10,
+    page = 1,
     includeAbstracts = true,
-    meshOnly = false,
-    recentYears = null,
+    rank = true,
+    overfetch = 3,
+    minEvidence = null,
+    cache: cacheMode = true,
   } = options;
 
-  // Build the query
-  const queryOptions = { meshOnly };
-  if (recentYears) {
-    const now = new Date();
-    const startYear = now.getFullYear() - recentYears;
-    queryOptions.dateRange = {
-      start: `${startYear}/01/01`,
-      end: `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}`,
-    };
+  if (minEvidence && !TIER_NAMES.includes(minEvidence)) {
+    throw new Error(`Unknown evidence tier: ${minEvidence} (expected one of ${TIER_NAMES.join(', ')})`);
   }
 
-  const query = buildDiseaseQuery(disease, queryOptions);
-  
+  const { query, mesh, intents, filters } = await resolveDiseaseQuery(disease, options);
+  // Pages per ranked window, so windows always hold whole pages
+  const pagesPerWindow = rank
+    ? Math.max(1, Math.floor(Math.min(maxResults * Math.max(overfetch, 1), MAX_RANK_CANDIDATES) / maxResults))
+    : 1;
+  const windowSize = pagesPerWindow * maxResults;
+  const pageIndex = Math.max(page, 1) - 1;
+  const windowStart = Math.floor(pageIndex / pagesPerWindow) * windowSize;
+  const sliceStart = (pageIndex % pagesPerWindow) * maxResults;
+
   // Search for PMIDs
-  const pmids = await searchPubMed(query, { maxResults });
-  
-  if (!pmids.length) {
+  const search = await searchPubMed(query, { maxResults: windowSize, retstart: windowStart, cache: cacheMode });
+  const laterWindows = windowStart + search.pmids.length < Math.min(search.count, MAX_RETRIEVABLE);
+  const pagination = {
+    page: pageIndex + 1,
+    pageSize: maxResults,
+    offset: pageIndex * maxResults,
+  };
+  const rankWindow = { offset: windowStart, size: windowSize };
+
+  if (!search.pmids.length) {
     return {
       disease,
+      mesh,
+      intents,
+      filters,
       query,
-      totalResults: 0,
+      totalResults: search.count,
+      ...pagination,
+      hasMore: false,
+      ranking: { reranked: rank, window: rankWindow, candidates: 0, excluded: 0, minEvidence },
       articles: [],
     };
   }
 
   // Fetch article details
-  let articles;
+  let candidates;
   if (includeAbstracts) {
-    articles = await fetchDetails(pmids);
+    candidates = await fetchDetails(search.pmids, { cache: cacheMode });
   } else {
-    articles = await fetchSummaries(pmids);
+    candidates = await fetchSummaries(search.pmids, { cache: cacheMode });
   }
 
+  const ranked = rankArticles(candidates, {
+    terms: [disease, mesh?.name].filter(Boolean),
+    minEvidence,
+    reorder: rank,
+  });
+
   return {
     disease,
+    mesh,
+    intents,
+    filters,
     query,
-    totalResults: pmids.length,
-    articles,
+    totalResults: search.count,
+    ...pagination,
+    // More pages of this window, or a later window
+    hasMore: sliceStart + maxResults < ranked.length || laterWindows,
+    ranking: {
+      reranked: rank,
+      window: rankWindow,
+      candidates: candidates.length,
+      excluded: candidates.length - ranked.length,
+      minEvidence,
+    },
+    articles: ranked.slice(sliceStart, sliceStart + maxResults),
   };
 }
 
-// Helper: Extract DOI from article IDs
-function extractDoi(articleIds) {
-  const doiEntry = articleIds.find(id => id.idtype === 'doi');
-  return doiEntry ? doiEntry.value : null;
+/**
+ * Page through all articles for a disease (see iterateSearch)
+ * @param {string} disease - Disease name
+ * @param {object} options - searchByDisease query options plus iterateSearch options
+ * @yields {object} { retstart, count, pmids, articles } per batch
+ */
+export async function* iterateByDisease(disease, options = {}) {
+  const { query } = await resolveDiseaseQuery(disease, options);
+  yield* iterateSearch(query, options);
 }
 
-// Helper: Parse PubMed XML response
-function parseArticlesXml(xml) {
-  const articles = [];
-  
-  // Simple regex-based parsing (for POC - production should use proper XML parser)
-  const articleMatches = xml.match(/<PubmedArticle>[\s\S]*?<\/PubmedArticle>/g) || [];
-  
-  for (const articleXml of articleMatches) {
-    const pmid = extractTag(articleXml, 'PMID');
-    const title = extractTag(articleXml, 'ArticleTitle');
-    const abstractText = extractAbstract(articleXml);
-    const journal = extractTag(articleXml, 'Title'); // Journal title
-    const pubDate = extractPubDate(articleXml);
-    const authors = extractAuthors(articleXml);
-    const meshTerms = extractMeshTerms(articleXml);
-    const doi = extractDoiFromXml(articleXml);
-
-    articles.push({
-      pmid,
-      title: cleanText(title),
-      abstract: cleanText(abstractText),
-      authors,
-      journal: cleanText(journal),
-      pubDate,
-      doi,
-      meshTerms,
-      pubmedUrl: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
-    });
+/**
+ * Resolve a disease name to MeSH and build its query
+ *
+ * MeSH resolution is best-effort: if the lookup fails or finds nothing,
+ * the query falls back to the text as typed.
+ *
+ * @param {string} disease - Disease name as typed (e.g. "heart attack")
+ * @param {object} options - searchByDisease options
+ * @param {boolean} options.resolveMesh - Map the text to a MeSH descriptor first (default: true)
+ * @param {string} options.meshExpansion - 'explode' (default), 'noexp' or 'broaden'
+ * @param {string|string[]} options.intent - Question intent(s), e.g. 'therapy' (see INTENT_NAMES)
+ * @param {string} options.clinicalQuery - Clinical Queries scope for the intent: 'broad' (default), 'narrow' or 'none'
+ * @param {boolean} options.includeSubheadings - Restrict to disease-context subheadings (default: true)
+ * @param {object} options.filters - Search filters (see normalizeFilters); `from`/`to` take precedence over recentYears
+ * @returns {Promise<object>} { query, ast, mesh, intents, filters } where ast is the query tree and mesh is { ui, name, matchedBy } or null
+ */
+export async function resolveDiseaseQuery(disease, options = {}) {
+  const {
+    meshOnly = false,
+    recentYears = null,
+    resolveMesh = true,
+    meshExpansion = 'explode',
+    intent = [],
+    clinicalQuery = 'broad',
+    includeSubheadings = true,
+    cache: cacheMode = true,
+  } = options;
+
+  const intents = [].concat(intent).filter(Boolean);
+  // Validate before any network work
+  if (intents.length) getIntentFilters(intents, clinicalQuery);
+  const filters = normalizeFilters(options.filters);
+
+  let descriptor = null;
+  let broaderTerms = [];
+  if (resolveMesh) {
+    try {
+      descriptor = await resolveMeshTerm(disease, { cache: cacheMode });
+      if (descriptor && meshExpansion === 'broaden') {
+        broaderTerms = (await getBroaderTerms(descriptor, { cache: cacheMode })).map(d => d.name);
+      }
+    } catch {
+      descriptor = null;
+    }
   }
 
-  return articles;
-}
+  if (recentYears && !filters.from && !filters.to) {
+    const now = new Date();
+    const startYear = now.getFullYear() - recentYears;
+    filters.from = `${startYear}/01/01`;
+    filters.to = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}`;
+  }
 
-function extractTag(xml, tagName) {
-  const match = xml.match(new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`));
-  return match ? match[1] : '';
+  const ast = buildDiseaseQueryAst(disease, {
+    meshOnly, includeSubheadings, mesh: descriptor, meshExpansion, broaderTerms, intents, clinicalQuery, filters,
+  });
+  return {
+    query: renderQuery(ast),
+    ast,
+    mesh: descriptor
+      ? { ui: descriptor.ui, name: descriptor.name, matchedBy: descriptor.matchedBy }
+      : null,
+    intents,
+    filters,
+  };
 }
 
-function extractAbstract(xml) {
-  // Handle structured abstracts with multiple AbstractText elements
-  const abstractTexts = xml.match(/<AbstractText[^>]*>[\s\S]*?<\/AbstractText>/g) || [];
-  if (abstractTexts.length) {
-    return abstractTexts.map(at => {
-      const labelMatch = at.match(/Label="([^"]+)"/);
-      const textMatch = at.match(/<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/);
-      const label = labelMatch ? labelMatch[1] : '';
-      const text = textMatch ? textMatch[1] : '';
-      return label ? `${label}: ${text}` : text;
-    }).join(' ');
-  }
-  return '';
-}
+// Helper: Read a slice of PMIDs from a History server result set
+async function fetchHistoryPmids(search, retstart, retmax) {
+  const params = new URLSearchParams({
+    db: 'pubmed',
+    WebEnv: search.webEnv,
+    query_key: search.queryKey,
+    retstart: retstart.toString(),
+    retmax: retmax.toString(),
+    rettype: 'uilist',
+    retmode: 'text',
+  });
 
-function extractPubDate(xml) {
-  const pubDateMatch = xml.match(/<PubDate>([\s\S]*?)<\/PubDate>/);
-  if (!pubDateMatch) return '';
-  
-  const year = extractTag(pubDateMatch[1], 'Year');
-  const month = extractTag(pubDateMatch[1], 'Month');
-  const day = extractTag(pubDateMatch[1], 'Day');
-  
-  return [year, month, day].filter(Boolean).join(' ');
+  const response = await eutilsRequest('efetch', params, 'PubMed history fetch');
+  const text = await response.text();
+  return text.split(/\s+/).filter(Boolean);
 }
 
-function extractAuthors(xml) {
-  const authorList = xml.match(/<AuthorList[^>]*>([\s\S]*?)<\/AuthorList>/);
-  if (!authorList) return [];
-  
-  const authors = authorList[1].match(/<Author[^>]*>[\s\S]*?<\/Author>/g) || [];
-  return authors.map(author => {
-    const lastName = extractTag(author, 'LastName');
-    const foreName = extractTag(author, 'ForeName');
-    return [lastName, foreName].filter(Boolean).join(' ');
-  }).slice(0, 5); // Limit to first 5 authors
-}
+// Helper: Map ESummary JSON results to article summaries
+function parseSummaries(pmids, result) {
+  return pmids.map(pmid => {
+    const article = result[pmid];
+    if (!article) return null;
 
-function extractMeshTerms(xml) {
-  const meshList = xml.match(/<MeshHeadingList>([\s\S]*?)<\/MeshHeadingList>/);
-  if (!meshList) return [];
-  
-  const descriptors = meshList[1].match(/<DescriptorName[^>]*>[\s\S]*?<\/DescriptorName>/g) || [];
-  return descriptors.map(d => {
-    const match = d.match(/<DescriptorName[^>]*>([\s\S]*?)<\/DescriptorName>/);
-    return match ? cleanText(match[1]) : '';
+    return {
+      pmid,
+      title: article.title || '',
+      authors: (article.authors || []).map(a => a.name).join(', '),
+      authorList: (article.authors || []).map(parseSummaryAuthor),
+      journal: article.fulljournalname || article.source || '',
+      journalAbbreviation: article.source || '',
+      volume: article.volume || '',
+      issue: article.issue || '',
+      pages: article.pages || '',
+      pubDate: article.pubdate || '',
+      publicationTypes: article.pubtype || [],
+      doi: extractArticleId(article.articleids || [], 'doi'),
+      pmcid: extractArticleId(article.articleids || [], 'pmc'),
+      pubmedUrl: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+    };
   }).filter(Boolean);
 }
 
-function extractDoiFromXml(xml) {
-  const doiMatch = xml.match(/<ArticleId IdType="doi">([^<]+)<\/ArticleId>/);
-  return doiMatch ? doiMatch[1] : null;
+// Helper: ESummary gives "Smith JA"; split it into the fields fetchDetails uses
+function parseSummaryAuthor(author) {
+  if (author.authtype === 'CollectiveName') {
+    return { lastName: '', foreName: '', initials: '', collectiveName: author.name };
+  }
+  const parts = author.name.trim().split(/\s+/);
+  const initials = parts.length > 1 && /^[A-Z]{1,4}$/.test(parts.at(-1)) ? parts.pop() : '';
+  return { lastName: parts.join(' '), foreName: '', initials, collectiveName: '' };
 }
 
-function cleanText(text) {
-  return text
-    .replace(/<[^>]+>/g, '') // Remove any remaining HTML tags
-    .replace(/\s+/g, ' ')    // Normalize whitespace
-    .trim();
+// Helper: Extract an ID (doi, pmc, ...) from ESummary article IDs
+function extractArticleId(articleIds, idType) {
+  const entry = articleIds.find(id => id.idtype === idType);
+  return entry ? entry.value : null;
 }
 
 export default {
+  configureClient,
+  configureTransport,
+  configureCache,
+  getCacheStats,
+  clearCache,
+  getSchedulerStats,
   searchPubMed,
+  countPubMed,
+  iterateSearch,
   fetchSummaries,
   fetchDetails,
   buildDiseaseQuery,
+  buildDiseaseQueryAst,
+  resolveDiseaseQuery,
   searchByDisease,
+  iterateByDisease,
 };
@@ -0,0 +1,203 @@
+/**
+ * PubMed XML Parser
+ *
+ * Streaming parser for EFetch PubmedArticleSet XML. The document is read
+ * with a SAX parser; only the <PubmedArticle> currently being read is held
+ * in memory, so arbitrarily large payloads can be processed.
+ * DTD: https://dtd.nlm.nih.gov/ncbi/pubmed/out/pubmed_250101.dtd
+ */
+
+import { createElementCollector, child, children, path, text } from './xml-tree.js';
+import { categorizeAbstractLabel, extractPico } from './abstract-analysis.js';
+
+/**
+ * Parse a complete EFetch XML string
+ * @param {string} xml - PubmedArticleSet XML
+ * @returns {object[]} Article records
+ */
+export function parseArticlesXml(xml) {
+  const articles = [];
+  const parser = createArticleParser(article => articles.push(article));
+  parser.write(xml);
+  parser.close();
+  return articles;
+}
+
+/**
+ * Parse EFetch XML from a stream, yielding each article as it completes
+ * @param {AsyncIterable<Uint8Array|string>} stream - Response body or other byte/string stream
+ * @yields {object} Article record
+ */
+export async function* parseArticlesStream(stream) {
+  const decoder = new TextDecoder();
+  let ready = [];
+  const parser = createArticleParser(article => ready.push(article));
+
+  for await (const chunk of stream) {
+    parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    if (ready.length) {
+      yield* ready;
+      ready = [];
+    }
+  }
+
+  parser.write(decoder.decode());
+  parser.close();
+  yield* ready;
+}
+
+/**
+ * Create an incremental article parser
+ * @param {Function} onArticle - Called with each parsed article record
+ * @returns {object} Parser with `write(chunk)` and `close()`
+ */
+export function createArticleParser(onArticle) {
+  return createElementCollector('PubmedArticle', node => onArticle(toArticle(node)), 'PubMed XML');
+}
+
+// Helper: Convert a <PubmedArticle> element tree to an article record
+function toArticle(node) {
+  const citation = child(node, 'MedlineCitation');
+  const article = child(citation, 'Article');
+  const journal = child(article, 'Journal');
+  const pubmedData = child(node, 'PubmedData');
+
+  const pmid = text(child(citation, 'PMID'));
+  const articleIds = children(child(pubmedData, 'ArticleIdList'), 'ArticleId');
+  const elocationIds = children(article, 'ELocationID').map(e => ({
+    type: e.attrs.EIdType || '',
+    value: text(e),
+    valid: e.attrs.ValidYN !== 'N',
+  }));
+
+  const authorList = children(child(article, 'AuthorList'), 'Author').map(parseAuthor);
+  // Older records have labels without NlmCategory; infer it from the label
+  const abstractSections = children(child(article, 'Abstract'), 'AbstractText').map(at => ({
+    label: at.attrs.Label || '',
+    nlmCategory: at.attrs.NlmCategory || categorizeAbstractLabel(at.attrs.Label),
+    text: text(at),
+  }));
+  const meshHeadings = children(child(citation, 'MeshHeadingList'), 'MeshHeading').map(parseMeshHeading);
+  const dataBanks = children(child(article, 'DataBankList'), 'DataBank').map(bank => ({
+    name: text(child(bank, 'DataBankName')),
+    accessionNumbers: children(child(bank, 'AccessionNumberList'), 'AccessionNumber').map(text),
+  }));
+  const title = text(child(article, 'ArticleTitle')) || text(child(article, 'VernacularTitle'));
+
+  const record = {
+    pmid,
+    title,
+    abstract: abstractSections
+      .map(s => (s.label ? `${s.label}: ${s.text}` : s.text))
+      .join(' '),
+    abstractSections,
+    authors: authorList.map(formatAuthorName).filter(Boolean),
+    authorList,
+    journal: text(child(journal, 'Title')),
+    journalAbbreviation: text(child(journal, 'ISOAbbreviation')),
+    volume: text(path(journal, 'JournalIssue', 'Volume')),
+    issue: text(path(journal, 'JournalIssue', 'Issue')),
+    pages: text(path(article, 'Pagination', 'MedlinePgn')),
+    pubDate: formatPubDate(path(journal, 'JournalIssue', 'PubDate')),
+    doi: findId(articleIds, 'doi') || elocationIds.find(e => e.type === 'doi' && e.valid)?.value || null,
+    pmcid: findId(articleIds, 'pmc'),
+    elocationIds,
+    language: children(article, 'Language').map(text),
+    publicationTypes: children(child(article, 'PublicationTypeList'), 'PublicationType').map(text),
+    keywords: children(citation, 'KeywordList').flatMap(list => children(list, 'Keyword').map(text)),
+    meshTerms: meshHeadings.map(h => h.descriptor),
+    meshHeadings,
+    chemicals: children(child(citation, 'ChemicalList'), 'Chemical').map(c => {
+      const substance = child(c, 'NameOfSubstance');
+      return {
+        name: text(substance),
+        ui: substance?.attrs.UI || '',
+        registryNumber: text(child(c, 'RegistryNumber')),
+      };
+    }),
+    grants: children(child(article, 'GrantList'), 'Grant').map(g => ({
+      grantId: text(child(g, 'GrantID')),
+      acronym: text(child(g, 'Acronym')),
+      agency: text(child(g, 'Agency')),
+      country: text(child(g, 'Country')),
+    })),
+    dataBanks,
+    trialIds: findTrialIds(dataBanks, [title, ...abstractSections.map(s => s.text)]),
+    pubmedUrl: `https://pubmed.ncbi.nlm.nih.gov/${pmid}/`,
+  };
+  record.pico = extractPico(record);
+  return record;
+}
+
+function parseAuthor(author) {
+  const identifiers = children(author, 'Identifier');
+  const orcid = identifiers.find(id => id.attrs.Source === 'ORCID');
+
+  return {
+    lastName: text(child(author, 'LastName')),
+    foreName: text(child(author, 'ForeName')),
+    initials: text(child(author, 'Initials')),
+    suffix: text(child(author, 'Suffix')),
+    collectiveName: text(child(author, 'CollectiveName')),
+    affiliations: children(author, 'AffiliationInfo').map(a => text(child(a, 'Affiliation'))).filter(Boolean),
+    orcid: orcid ? normalizeOrcid(text(orcid)) : null,
+  };
+}
+
+function parseMeshHeading(heading) {
+  const descriptor = child(heading, 'DescriptorName');
+  return {
+    descriptor: text(descriptor),
+    ui: descriptor?.attrs.UI || '',
+    majorTopic: descriptor?.attrs.MajorTopicYN === 'Y',
+    qualifiers: children(heading, 'QualifierName').map(q => ({
+      name: text(q),
+      ui: q.attrs.UI || '',
+      majorTopic: q.attrs.MajorTopicYN === 'Y',
+    })),
+  };
+}
+
+// Helper: "Last Fore" for persons, the group name for collective authors
+function formatAuthorName(author) {
+  if (author.collectiveName) return author.collectiveName;
+  return [author.lastName, author.foreName || author.initials].filter(Boolean).join(' ');
+}
+
+function formatPubDate(pubDate) {
+  if (!pubDate) return '';
+
+  const medlineDate = text(child(pubDate, 'MedlineDate'));
+  if (medlineDate) return medlineDate;
+
+  return ['Year', 'Month', 'Day']
+    .map(name => text(child(pubDate, name)))
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Helper: ClinicalTrials.gov numbers from the DataBankList, then any NCT number in the title or abstract
+function findTrialIds(dataBanks, texts) {
+  const registered = dataBanks
+    .filter(bank => /^ClinicalTrials\.gov$/i.test(bank.name))
+    .flatMap(bank => bank.accessionNumbers);
+  const mentioned = texts.flatMap(t => t.match(/\bNCT\d{8}\b/g) || []);
+  return [...new Set([...registered, ...mentioned].map(id => id.toUpperCase()))];
+}
+
+function findId(articleIds, idType) {
+  const id = articleIds.find(a => a.attrs.IdType === idType);
+  return id ? text(id) : null;
+}
+
+// Helper: ORCIDs appear both bare and as URLs
+function normalizeOrcid(value) {
+  const match = value.match(/(\d{4}-\d{4}-\d{4}-\d{3}[\dX])/i);
+  return match ? match[1].toUpperCase() : value;
+}
+
+export default {
+  parseArticlesXml,
+  parseArticlesStream,
+  createArticleParser,
+};
@@ -0,0 +1,352 @@
+/**
+ * PubMed Query Builder
+ *
+ * Queries as a small syntax tree instead of concatenated strings, so user
+ * text can never close a quote or open a field tag. The parser reads
+ * existing PubMed query strings into the same tree and rejects unknown field
+ * tags and unbalanced parentheses or quotes before they reach ESearch.
+ *
+ * Nodes:
+ *   { type: 'term', text, field, modifier, quoted }  "heart attack"[MeSH Terms:noexp]
+ *   { type: 'group', op: 'AND' | 'OR' | 'NOT', children }
+ *   { type: 'range', field, from, to }               "2020"[Date - Publication] : "2024"[Date - Publication]
+ *
+ * PubMed search field tags: https://pubmed.ncbi.nlm.nih.gov/help/#search-tags
+ */
+
+// Canonical field tag -> accepted aliases (matched case-insensitively)
+export const FIELD_TAGS = {
+  'Affiliation': ['ad'],
+  'All Fields': ['all'],
+  'Article Identifier': ['aid'],
+  'Author': ['au'],
+  'Author - Corporate': ['cn'],
+  'Author - First': ['1au'],
+  'Author - Full': ['fau'],
+  'Author - Identifier': ['auid'],
+  'Author - Last': ['lastau'],
+  'Book': ['book'],
+  'Conflict of Interest Statements': ['cois'],
+  'Date - Completion': ['dcom'],
+  'Date - Create': ['crdt'],
+  'Date - Entry': ['edat'],
+  'Date - MeSH': ['mhda'],
+  'Date - Modification': ['lr'],
+  'Date - Publication': ['dp', 'pdat', 'Publication Date'],
+  'EC/RN Number': ['rn'],
+  'Editor': ['ed'],
+  'Filter': ['sb', 'Subset'],
+  'Grant Number': ['gr'],
+  'ISBN': ['isbn'],
+  'Investigator': ['ir'],
+  'Issue': ['ip'],
+  'Journal': ['ta', 'jour'],
+  'Language': ['la', 'lang'],
+  'Location ID': ['lid'],
+  'MeSH Major Topic': ['majr'],
+  'MeSH Terms': ['mh', 'MeSH'],
+  'Other Term': ['ot'],
+  'Pagination': ['pg'],
+  'Pharmacological Action': ['pa'],
+  'Publication Type': ['pt', 'ptyp'],
+  'Publisher': ['pubn'],
+  'PMID': ['pmid', 'uid'],
+  'Secondary Source ID': ['si'],
+  'Subheading': ['sh', 'MeSH Subheading', 'MeSH Subheadings'],
+  'Supplementary Concept': ['nm'],
+  'Text Word': ['tw'],
+  'Title': ['ti'],
+  'Title/Abstract': ['tiab'],
+  'Transliterated Title': ['tt'],
+  'Volume': ['vi'],
+};
+
+const FIELD_LOOKUP = new Map(Object.entries(FIELD_TAGS).flatMap(([tag, aliases]) =>
+  [tag, ...aliases].map(name => [name.toLowerCase(), tag])
+));
+
+// Fields that take :noexp, and fields that take proximity (:~N)
+const EXPLODABLE = new Set(['MeSH Terms', 'MeSH Major Topic', 'Subheading']);
+const PROXIMITY = new Set(['Title', 'Title/Abstract', 'Affiliation']);
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+/**
+ * A search term
+ * @param {string} text - Term text; quotes and brackets are removed
+ * @param {string} field - Field tag or alias (e.g. 'MeSH Terms', 'tiab'), or null for all fields
+ * @param {object} options - Term options
+ * @param {boolean} options.noexp - Do not explode MeSH terms (MeSH and subheading fields only)
+ * @param {boolean} options.quoted - Search as a phrase (default: true)
+ * @returns {object} Term node
+ */
+export function queryTerm(text, field = null, options = {}) {
+  const { noexp = false, quoted = true } = options;
+  const clean = String(text ?? '').replace(/["[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!clean) throw new Error(`Empty search term: ${JSON.stringify(text)}`);
+
+  const tag = field ? resolveField(field) : null;
+  if (noexp && !EXPLODABLE.has(tag)) throw new Error(`[${tag || 'All Fields'}] does not take :noexp`);
+
+  // Unquoted text must not read as an operator, a range or a group
+  const unquotedSafe = !/[():]/.test(clean) && !clean.split(' ').some(word => OPERATORS.has(word));
+  return { type: 'term', text: clean, field: tag, modifier: noexp ? 'noexp' : null, quoted: quoted || !unquotedSafe };
+}
+
+/**
+ * A MeSH heading
+ * @param {string} heading - Descriptor name
+ * @param {object} options - Heading options
+ * @param {boolean} options.explode - Include narrower headings (default: true)
+ * @param {boolean} options.major - Only where it is a major topic (default: false)
+ * @returns {object} Term node
+ */
+export function meshTerm(heading, options = {}) {
+  const { explode = true, major = false } = options;
+  return queryTerm(heading, major ? 'MeSH Major Topic' : 'MeSH Terms', { noexp: !explode });
+}
+
+/**
+ * Nodes that must all match
+ * @param {...object} nodes - Nodes (null and undefined are skipped)
+ * @returns {object} Group node, or the only node given
+ */
+export function allOf(...nodes) {
+  return group('AND', nodes);
+}
+
+/**
+ * Nodes of which any may match
+ * @param {...object} nodes - Nodes (null and undefined are skipped)
+ * @returns {object} Group node, or the only node given
+ */
+export function anyOf(...nodes) {
+  return group('OR', nodes);
+}
+
+/**
+ * A node without any of the excluded nodes
+ * @param {object} node - Node to keep
+ * @param {...object} excluded - Nodes to exclude
+ * @returns {object} NOT group
+ */
+export function exclude(node, ...excluded) {
+  const rest = excluded.filter(Boolean);
+  if (!rest.length) return node;
+  return { type: 'group', op: 'NOT', children: [node, ...rest] };
+}
+
+/**
+ * A date range
+ * @param {string} from - Start date (YYYY, YYYY/MM or YYYY/MM/DD)
+ * @param {string} to - End date (same formats; default: '3000' for open-ended)
+ * @param {string} field - Date field (default: 'Date - Publication')
+ * @returns {object} Range node
+ */
+export function dateRange(from, to = '3000', field = 'Date - Publication') {
+  for (const date of [from, to]) {
+    if (!/^\d{4}(?:\/\d{1,2}(?:\/\d{1,2})?)?$/.test(String(date))) {
+      throw new Error(`Invalid date: ${date} (expected YYYY, YYYY/MM or YYYY/MM/DD)`);
+    }
+  }
+  return { type: 'range', field: resolveField(field), from: String(from), to: String(to) };
+}
+
+/**
+ * Render a node as a PubMed query string
+ * @param {object} node - Query node
+ * @returns {string} Query
+ */
+export function renderQuery(node) {
+  switch (node.type) {
+    case 'term': {
+      const text = node.quoted ? `"${node.text}"` : node.text;
+      return node.field ? `${text}[${node.field}${node.modifier ? `:${node.modifier}` : ''}]` : text;
+    }
+    case 'range': {
+      const tag = node.field ? `[${node.field}]` : '';
+      return `("${node.from}"${tag} : "${node.to}"${tag})`;
+    }
+    case 'group':
+      // PubMed reads operators left to right, so only a leading group of the same kind can go unbracketed
+      return node.children
+        .map((child, i) => {
+          const text = renderQuery(child);
+          const bare = child.type !== 'group' || (i === 0 && child.op === node.op);
+          return bare ? text : `(${text})`;
+        })
+        .join(` ${node.op} `);
+    default:
+      throw new Error(`Unknown query node type: ${node.type}`);
+  }
+}
+
+/**
+ * Parse a PubMed query string
+ *
+ * Operators are read left to right without precedence, as PubMed does.
+ * Adjacent unquoted words form one term ("heart attack"[tiab]); adjacent
+ * terms without an operator are joined with AND.
+ *
+ * @param {string} query - Query string
+ * @returns {object} Query node
+ * @throws {Error} With `position` (character offset) for unknown field tags,
+ *   unbalanced parentheses or quotes, and misplaced operators
+ */
+export function parseQuery(query) {
+  const tokens = tokenize(String(query));
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function expression() {
+    let node = operand();
+    while (peek() && peek().type !== ')') {
+      const op = peek().type === 'op' ? next().value : 'AND';
+      const right = operand();
+      node = node.type === 'group' && node.op === op && !node.bracketed
+        ? { ...node, children: [...node.children, right] }
+        : { type: 'group', op, children: [node, right] };
+    }
+    return node;
+  }
+
+  function operand() {
+    const token = peek();
+    if (!token) throw queryError('Query ends where a term was expected', query.length);
+    if (token.type === 'op') throw queryError(`${token.value} needs a term before it`, token.position);
+    if (token.type === ')') throw queryError('Unbalanced parentheses: unexpected ")"', token.position);
+    if (token.type === 'field') throw queryError(`Field tag [${token.value}] must follow a term`, token.position);
+    if (token.type === ':') throw queryError('Range ":" must follow a term', token.position);
+
+    if (token.type === '(') {
+      next();
+      if (peek()?.type === ')') throw queryError('Empty parentheses', token.position);
+      const inner = expression();
+      if (next()?.type !== ')') throw queryError('Unbalanced parentheses: missing ")"', token.position);
+      return inner.type === 'group' ? { ...inner, bracketed: true } : inner;
+    }
+
+    const first = termToken();
+    if (peek()?.type !== ':') return first;
+
+    const colon = next();
+    if (!peek() || !['word', 'phrase'].includes(peek().type)) {
+      throw queryError('Range ":" needs a value after it', colon.position);
+    }
+    const second = termToken();
+    if (first.field && second.field && first.field !== second.field) {
+      throw queryError(`Range mixes [${first.field}] and [${second.field}]`, colon.position);
+    }
+    return { type: 'range', field: second.field || first.field, from: first.text, to: second.text };
+  }
+
+  function termToken() {
+    const token = next();
+    let text = token.value;
+    const quoted = token.type === 'phrase';
+    if (!quoted) {
+      while (peek()?.type === 'word') text += ` ${next().value}`;
+    }
+
+    let field = null;
+    let modifier = null;
+    if (peek()?.type === 'field') {
+      const tag = next();
+      [field, modifier] = parseFieldTag(tag.value, tag.position);
+    }
+    return { type: 'term', text, field, modifier, quoted };
+  }
+
+  if (!tokens.length) throw queryError('Empty query', 0);
+  const ast = expression();
+  if (index < tokens.length) throw queryError('Unbalanced parentheses: unexpected ")"', tokens[index].position);
+  return stripBracketed(ast);
+}
+
+// Helper: Split a query into words, phrases, field tags, parentheses, ":" and operators
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')' || char === ':') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"' || char === '[') {
+      const close = query.indexOf(char === '"' ? '"' : ']', i + 1);
+      if (close === -1) {
+        throw queryError(char === '"' ? 'Unbalanced quote: missing closing "' : 'Unclosed field tag: missing "]"', i);
+      }
+      const value = query.slice(i + 1, close).trim();
+      if (!value) throw queryError(char === '"' ? 'Empty phrase ""' : 'Empty field tag []', i);
+      tokens.push({ type: char === '"' ? 'phrase' : 'field', value, position: i });
+      i = close + 1;
+    } else if (char === ']') {
+      throw queryError('Unexpected "]"', i);
+    } else {
+      const word = query.slice(i).match(/^[^\s()[\]":]+/)[0];
+      tokens.push(OPERATORS.has(word) ? { type: 'op', value: word, position: i } : { type: 'word', value: word, position: i });
+      i += word.length;
+    }
+  }
+  return tokens;
+}
+
+// Helper: "MeSH:noexp" -> ['MeSH Terms', 'noexp']; "tiab:~3" -> ['Title/Abstract', '~3']
+function parseFieldTag(value, position) {
+  const [name, modifier = null] = value.split(':').map(s => s.trim());
+  const field = FIELD_LOOKUP.get(name.toLowerCase());
+  if (!field) throw queryError(`Unknown field tag [${name}]`, position);
+
+  if (modifier === 'noexp' && !EXPLODABLE.has(field)) {
+    throw queryError(`[${field}] does not take :noexp`, position);
+  }
+  if (modifier?.startsWith('~') && (!PROXIMITY.has(field) || !/^~\d+$/.test(modifier))) {
+    throw queryError(`Invalid proximity [${value}] (use :~N on Title, Title/Abstract or Affiliation)`, position);
+  }
+  if (modifier && modifier !== 'noexp' && !modifier.startsWith('~')) {
+    throw queryError(`Unknown field tag modifier [${value}]`, position);
+  }
+  return [field, modifier];
+}
+
+function resolveField(field) {
+  const tag = FIELD_LOOKUP.get(String(field).toLowerCase());
+  if (!tag) throw new Error(`Unknown field tag [${field}]`);
+  return tag;
+}
+
+function group(op, nodes) {
+  const children = nodes.filter(Boolean).flatMap(node =>
+    (node.type === 'group' && node.op === op ? node.children : [node])
+  );
+  if (!children.length) throw new Error(`${op} group needs at least one node`);
+  return children.length === 1 ? children[0] : { type: 'group', op, children };
+}
+
+// Helper: Drop the parser's bookkeeping flag
+function stripBracketed(node) {
+  if (node.type !== 'group') return node;
+  return { type: 'group', op: node.op, children: node.children.map(stripBracketed) };
+}
+
+function queryError(message, position) {
+  const error = new Error(`Invalid PubMed query: ${message} (at position ${position})`);
+  error.position = position;
+  return error;
+}
+
+export default {
+  FIELD_TAGS,
+  queryTerm,
+  meshTerm,
+  allOf,
+  anyOf,
+  exclude,
+  dateRange,
+  renderQuery,
+  parseQuery,
+};
@@ -0,0 +1,124 @@
+/**
+ * Request Scheduler
+ *
+ * Paces outgoing HTTP requests to stay within NCBI E-utilities limits
+ * (3 requests/second without an API key, 10 with one) and retries
+ * throttled or temporarily unavailable responses.
+ * Guidelines: https://www.ncbi.nlm.nih.gov/books/NBK25497/#chapter2.Usage_Guidelines_and_Requiremen
+ */
+
+const RETRY_STATUSES = [429, 502, 503];
+
+/**
+ * Create a request scheduler
+ *
+ * Callers are served first-come, first-served: each request reserves the
+ * next free time slot, so concurrent callers are interleaved fairly instead
+ * of racing for the same slot. Retries go to the back of the queue.
+ *
+ * @param {object} options - Scheduler options
+ * @param {number} options.requestsPerSecond - Maximum request rate (default: 3)
+ * @param {number} options.maxRetries - Retries for 429/502/503 responses (default: 4)
+ * @param {number} options.baseDelayMs - First backoff delay, doubled per retry (default: 500)
+ * @param {number} options.maxDelayMs - Upper bound for any single wait (default: 30000)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @returns {object} Scheduler with `fetch`, `setRate` and `stats`
+ */
+export function createScheduler(options = {}) {
+  const {
+    requestsPerSecond = 3,
+    maxRetries = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 30000,
+    fetch: fetchImpl = (...args) => fetch(...args),
+  } = options;
+
+  let intervalMs = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+  let pending = 0;
+  const counters = { requests: 0, retries: 0 };
+
+  // Reserve the next free slot and wait for it
+  async function acquireSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + intervalMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  /**
+   * Issue a request through the scheduler
+   * @param {string} url - Request URL
+   * @param {object} init - fetch init options
+   * @returns {Promise<Response>} Final response (may still be an error status)
+   */
+  async function scheduledFetch(url, init) {
+    pending++;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await acquireSlot();
+        counters.requests++;
+        const response = await fetchImpl(url, init);
+
+        if (!RETRY_STATUSES.includes(response.status) || attempt >= maxRetries) {
+          return response;
+        }
+
+        const delay = Math.min(
+          parseRetryAfter(response.headers?.get?.('retry-after')) ?? baseDelayMs * 2 ** attempt,
+          maxDelayMs
+        );
+        // The server is throttling everyone sharing this scheduler, so hold the queue too
+        nextSlot = Math.max(nextSlot, Date.now() + delay);
+        counters.retries++;
+        await response.body?.cancel?.().catch(() => {});
+        await sleep(delay);
+      }
+    } finally {
+      pending--;
+    }
+  }
+
+  return {
+    fetch: scheduledFetch,
+
+    /**
+     * Change the request rate (e.g. after an API key is configured)
+     * @param {number} rate - Requests per second
+     */
+    setRate(rate) {
+      intervalMs = 1000 / rate;
+    },
+
+    /**
+     * Current scheduler counters
+     * @returns {object} Rate, queued requests and totals
+     */
+    stats() {
+      return {
+        requestsPerSecond: 1000 / intervalMs,
+        pending,
+        ...counters,
+      };
+    },
+  };
+}
+
+// Helper: Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default {
+  createScheduler,
+};
@@ -0,0 +1,263 @@
+/**
+ * Response Cache
+ *
+ * Persistent on-disk cache for E-utilities results. Search results are keyed
+ * on normalized request parameters; parsed article records are stored per
+ * PMID so overlapping searches reuse them.
+ *
+ * Layout: <dir>/<namespace>/<key>.json, each file holding
+ * { key, version, storedAt, expiresAt, value }.
+ */
+
+import { mkdir, readFile, writeFile, rename, readdir, rm, stat, unlink } from 'fs/promises';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join } from 'path';
+
+const HOUR = 60 * 60 * 1000;
+
+export const DEFAULT_CACHE_DIR = join(homedir(), '.cache', 'pubmed-medical-chatbot');
+
+// Default time-to-live per namespace (ms)
+export const DEFAULT_TTL = {
+  search: 12 * HOUR,      // New articles are indexed daily
+  articles: 7 * 24 * HOUR, // MeSH indexing is added after first publication
+  summaries: 7 * 24 * HOUR,
+  mesh: 30 * 24 * HOUR,    // MeSH is revised once a year
+  fulltext: 30 * 24 * HOUR,
+  links: 7 * 24 * HOUR,    // Citations accumulate
+};
+
+// Parameters that identify the caller rather than the request
+const IGNORED_PARAMS = ['api_key', 'tool', 'email'];
+
+/**
+ * Create a response cache
+ * @param {object} options - Cache options
+ * @param {string} options.dir - Cache directory (default: ~/.cache/pubmed-medical-chatbot)
+ * @param {object} options.ttl - Per-namespace TTL overrides in ms ({ search, articles, summaries, mesh, fulltext, links })
+ * @param {boolean} options.enabled - Set false to turn the cache into a no-op (default: true)
+ * @param {number} options.version - Record format version; entries written with another version are misses
+ * @returns {object} Cache with get/set/getMany/setMany/invalidate/clear/stats
+ */
+export function createCache(options = {}) {
+  const {
+    dir = DEFAULT_CACHE_DIR,
+    ttl = {},
+    enabled = true,
+    version = 1,
+  } = options;
+
+  const ttls = { ...DEFAULT_TTL, ...ttl };
+  const counters = { hits: 0, misses: 0, writes: 0 };
+
+  function filePath(namespace, key) {
+    return join(dir, namespace, `${safeKey(key)}.json`);
+  }
+
+  /**
+   * Read a cached value
+   * @param {string} namespace - Cache namespace (search, articles, summaries, mesh, fulltext, links)
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value, or undefined when missing or expired
+   */
+  async function get(namespace, key) {
+    if (!enabled) return undefined;
+
+    const entry = await readEntry(filePath(namespace, key));
+    if (!entry || entry.version !== version || entry.expiresAt <= Date.now()) {
+      counters.misses++;
+      return undefined;
+    }
+    counters.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   */
+  async function set(namespace, key, value) {
+    if (!enabled) return;
+
+    const now = Date.now();
+    const entry = {
+      key,
+      version,
+      storedAt: now,
+      expiresAt: now + (ttls[namespace] ?? DEFAULT_TTL.search),
+      value,
+    };
+
+    const path = filePath(namespace, key);
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    try {
+      await mkdir(join(dir, namespace), { recursive: true });
+      // Write-then-rename so concurrent readers never see a partial file
+      await writeFile(tmpPath, JSON.stringify(entry));
+      await rename(tmpPath, path);
+      counters.writes++;
+    } catch {
+      // A cache that cannot be written should never fail the request
+      await rm(tmpPath, { force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Read several keys at once
+   * @param {string} namespace - Cache namespace
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Map<string, *>>} Found values by key
+   */
+  async function getMany(namespace, keys) {
+    const found = new Map();
+    const values = await Promise.all(keys.map(key => get(namespace, key)));
+    keys.forEach((key, i) => {
+      if (values[i] !== undefined) found.set(key, values[i]);
+    });
+    return found;
+  }
+
+  /**
+   * Store several values at once
+   * @param {string} namespace - Cache namespace
+   * @param {Array<[string, *]>} entries - [key, value] pairs
+   */
+  async function setMany(namespace, entries) {
+    await Promise.all(entries.map(([key, value]) => set(namespace, key, value)));
+  }
+
+  /**
+   * Remove specific keys
+   * @param {string} namespace - Cache namespace
+   * @param {string[]} keys - Keys to remove
+   * @returns {Promise<number>} Number of entries removed (keys not in the cache are skipped)
+   */
+  async function invalidate(namespace, keys) {
+    const removed = await Promise.all(keys.map(key => removeFile(filePath(namespace, key))));
+    return removed.filter(Boolean).length;
+  }
+
+  /**
+   * Clear cached entries
+   * @param {object} options - Clear options
+   * @param {string} options.namespace - Only clear this namespace (default: all)
+   * @param {boolean} options.expiredOnly - Only remove expired entries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async function clear({ namespace = null, expiredOnly = false } = {}) {
+    const namespaces = namespace ? [namespace] : Object.keys(ttls);
+    let removed = 0;
+
+    for (const ns of namespaces) {
+      for (const file of await listFiles(join(dir, ns))) {
+        const path = join(dir, ns, file);
+        if (expiredOnly) {
+          const entry = await readEntry(path);
+          if (entry && entry.expiresAt > Date.now()) continue;
+        }
+        await rm(path, { force: true });
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Summarize cache contents
+   * @returns {Promise<object>} Per-namespace entry counts and sizes, plus hit/miss counters
+   */
+  async function stats() {
+    const namespaces = {};
+    const now = Date.now();
+
+    for (const ns of Object.keys(ttls)) {
+      const summary = { entries: 0, expired: 0, bytes: 0, ttlMs: ttls[ns] };
+      for (const file of await listFiles(join(dir, ns))) {
+        const path = join(dir, ns, file);
+        const entry = await readEntry(path);
+        if (!entry) continue;
+        summary.entries++;
+        if (entry.expiresAt <= now) summary.expired++;
+        summary.bytes += (await stat(path).catch(() => ({ size: 0 }))).size;
+      }
+      namespaces[ns] = summary;
+    }
+
+    return { enabled, dir, namespaces, ...counters };
+  }
+
+  return { get, set, getMany, setMany, invalidate, clear, stats };
+}
+
+/**
+ * Build a stable cache key from request parameters
+ *
+ * Parameter order and whitespace in the search term do not change the key;
+ * identification parameters (api_key, tool, email) are ignored.
+ *
+ * @param {string} utility - E-utility name (esearch, efetch, ...)
+ * @param {URLSearchParams|object} params - Request parameters
+ * @returns {string} Cache key
+ */
+export function cacheKey(utility, params) {
+  const entries = params instanceof URLSearchParams
+    ? [...params.entries()]
+    : Object.entries(params).filter(([, v]) => v !== null && v !== undefined);
+
+  const normalized = entries
+    .filter(([name]) => !IGNORED_PARAMS.includes(name))
+    .map(([name, value]) => [name, normalizeValue(name, String(value))])
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  return `${utility}?${new URLSearchParams(normalized)}`;
+}
+
+// Helper: Normalize a parameter value for keying
+function normalizeValue(name, value) {
+  if (name === 'term') return value.replace(/\s+/g, ' ').trim();
+  return value.trim();
+}
+
+// Helper: Map a key to a filesystem-safe name (PMIDs stay readable)
+function safeKey(key) {
+  return /^[\w.-]{1,100}$/.test(key)
+    ? key
+    : createHash('sha256').update(key).digest('hex');
+}
+
+async function readEntry(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Helper: Delete a file; false when it did not exist
+async function removeFile(path) {
+  try {
+    await unlink(path);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+async function listFiles(path) {
+  try {
+    return (await readdir(path)).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+}
+
+export default {
+  createCache,
+  cacheKey,
+  DEFAULT_CACHE_DIR,
+  DEFAULT_TTL,
+};
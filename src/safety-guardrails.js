@@ -0,0 +1,259 @@
+/**
+ * Safety Guardrails
+ *
+ * Screens chatbot questions before anything is searched, logged or sent to
+ * an LLM. Names, dates of birth, medical record numbers and phone numbers
+ * are redacted, and the redacted question is checked for:
+ *
+ *   emergency           red-flag symptoms happening now ("crushing chest pain right now")
+ *   self-harm           suicidal or self-harm language
+ *   personal-dosing     "how much should I take", "should I stop my ..."
+ *   personal-diagnosis  "do I have ...", "what do my results mean"
+ *
+ * Each category has a policy: `respond` answers with the policy message
+ * instead of research, `caution` answers with research preceded by the
+ * message (and tells the LLM not to give personal advice), `allow` only
+ * records the match. Detection is pattern-based: questions about a symptom
+ * ("what causes chest pain in MEN1?") pass, the same symptom said to be
+ * happening now to the user or someone with them does not.
+ */
+
+export const GUARDRAIL_ACTIONS = ['respond', 'caution', 'allow'];
+
+/**
+ * Default policy per category, in priority order: when several categories
+ * match, the first one with the strongest action decides the response
+ */
+export const DEFAULT_POLICIES = {
+  'self-harm': {
+    action: 'respond',
+    message: '💙 It sounds like you may be going through something very painful, and you deserve support right now. ' +
+      'If you might act on thoughts of harming yourself, call your local emergency number. ' +
+      'In the US you can call or text 988 (Suicide & Crisis Lifeline); elsewhere, https://findahelpline.com lists free, confidential helplines. ' +
+      'This assistant only summarizes research articles and cannot help the way a person can.',
+  },
+  emergency: {
+    action: 'respond',
+    message: '🚨 This sounds like it could be a medical emergency. Call your local emergency number now (911 in the US, 112 in the EU, 999 in the UK) ' +
+      'or go to the nearest emergency department. Do not wait for an online answer, and do not take medication based on research articles. ' +
+      'This assistant summarizes PubMed research and cannot assess or treat an emergency.',
+  },
+  'personal-dosing': {
+    action: 'caution',
+    message: '⚠️ This assistant cannot recommend a dose or a medication change for you. ' +
+      'Below is what published research reports; your prescriber or pharmacist can tell you what is right for you.',
+    instruction: 'The user is asking about their own medication or dose: do not recommend a dose or tell them to start, stop or change a medication; describe what the studies report and advise them to ask their prescriber or pharmacist',
+  },
+  'personal-diagnosis': {
+    action: 'caution',
+    message: '⚠️ This assistant cannot diagnose you or interpret your own results. ' +
+      'Below is what published research reports; a clinician who can examine you should assess your symptoms.',
+    instruction: 'The user is asking whether they have a condition or what their results mean: do not diagnose them or interpret their results; describe what the studies report and advise them to see a clinician',
+  },
+};
+
+export const GUARDRAIL_CATEGORIES = Object.keys(DEFAULT_POLICIES);
+
+// Symptoms that need emergency care when someone is having them
+const RED_FLAGS = [
+  /\bcrushing (?:chest )?pain\b/, /\bchest (?:pain|pressure|tightness)\b/, /\bheart attack\b/,
+  /\b(?:can(?:no|')?t|cannot|unable to|struggling to|trouble|hard to) breath(?:e|ing)\b/,
+  /\bstroke\b/, /\bface (?:is )?droop(?:ing|s|y)?\b/, /\bslurred speech\b/, /\b(?:weakness|numbness) (?:in|on) one side\b/,
+  /\bseizures?\b|\bconvuls(?:ing|ions?)\b/, /\b(?:severe|heavy|uncontroll(?:ed|able)) bleeding\b/, /\b(?:coughing|vomiting|throwing) up blood\b/,
+  /\banaphyla(?:xis|ctic)\b/, /\b(?:throat|tongue|lips?) (?:is |are )?(?:swelling|swollen)\b/,
+  /\bworst headache\b/, /\boverdos(?:e|ed|ing)\b/, /\bpoisoned\b/,
+];
+
+// States that are never history ("my husband collapsed and is unresponsive"),
+// so any short run of words may sit between the subject and the flag
+const ACUTE_FLAGS = [
+  /\b(?:unconscious|unresponsive|passed out|won'?t wake up|collapsed|fainted)\b/, /\bnot breathing\b/,
+  /\bbleeding (?:heavily|won'?t stop)\b/,
+];
+
+// People a caregiver asks for ("my son", "my 5-year-old daughter")
+const RELATIVE = '(?:son|daughter|husband|wife|partner|mother|father|mom|mum|dad|brother|sister|child|kid|baby|grandmother|grandfather|friend)';
+
+// A red flag counts only when the user or someone they are with has it now:
+// "I have ...", "my husband is having ...", "someone with me can't breathe".
+// Between subject and a RED_FLAGS symptom only present-tense verbs and small
+// words may appear, so "my stroke risk" or "I have a question about stroke"
+// pass; ACUTE_FLAGS take any six words ("my dad just collapsed and is not breathing").
+const SUBJECT = `\\b(?:i|i'm|im|i've|(?:my|our)(?: [\\w-]+)? ${RELATIVE}|someone (?:here )?with (?:me|us))`;
+const PRESENT = "(?:\\s+(?:am|is|are|has|have|having|been|got|just|suddenly|now|still|experiencing|feeling|getting|keeps|started|think|what|feels|like|it's|a|an|the|some|really|very|bad|severe|sudden|sharp|terrible|awful|massive|signs|symptoms|of)){0,6}";
+const EMERGENCY_PATTERNS = [
+  ...RED_FLAGS.map(flag => new RegExp(`${SUBJECT}${PRESENT}\\s+(${flag.source})`)),
+  ...ACUTE_FLAGS.map(flag => new RegExp(`${SUBJECT}(?:\\s+[\\w'-]+){0,6}?\\s+(${flag.source})`)),
+];
+
+const CATEGORY_PATTERNS = {
+  'self-harm': [
+    /\b(?:kill|hurt|harm|cut|poison) myself\b/, /\b(?:want|wanted|going|plan(?:ning)?) to die\b/,
+    /\bend(?:ing)? (?:my life|it all)\b/, /\b(?:i(?:'m| am|m)?|i've|i have|i keep) (?:been |feeling |having |thinking (?:about|of) |getting )*suicid\w*/,
+    /\bno reason to live\b/, /\bbetter off dead\b/, /\blethal dose\b/,
+    /\b(?:how many|enough)\b.*\b(?:pills|tablets)\b.*\b(?:to )?(?:kill|die)\b/,
+  ],
+  'personal-dosing': [
+    /\b(?:how much|how many|what dose|which dose|what dosage)\b.*\b(?:should|can|do|could|must) (?:i|we|my \w+)\b/,
+    /\bshould (?:i|we|my \w+) (?:take|stop|start|increase|decrease|lower|raise|double|skip|use|give)\b/,
+    /\b(?:can|may|could) i (?:take|stop|start|increase|decrease|double|skip|mix|combine)\b/,
+    /\b(?:my|i take|i'm taking|i am taking) \d+(?:\.\d+)?\s?(?:mg|mcg|µg|g|ml|units?|iu)\b/,
+    /\b(?:my|our) (?:dose|dosage|prescription|medication|meds)\b/,
+  ],
+  'personal-diagnosis': [
+    /\b(?:do|could|might) (?:i|we|my \w+) have\b(?! to\b)/, /\bam i (?:sick|dying|ill)\b/,
+    /\bwhat(?:'s| is) wrong with (?:me|my)\b/, /\bdiagnose (?:me|my)\b/,
+    /\b(?:my|our) (?:test|lab|blood(?: test)?|scan|biopsy|mri|ct|x-ray|ultrasound|calcium|pth|gastrin) (?:results?|levels?|report)\b/,
+    /\bis (?:this|it|my \w+) (?:serious|cancer|malignant)\b/,
+  ],
+};
+
+// Identifiers replaced before a question goes anywhere; labeled values keep their label
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}|\\d{1,2}(?:st|nd|rd|th)? ${MONTH}\\.?,? \\d{4})`;
+// Capitalized words that follow "I am", "Patient" or "my son" without being names
+const NOT_NAMES = '(?:Has|Have|Had|Is|Was|Are|Were|Am|Be|Been|Being|Also|Not|Now|Just|Still|Very|Currently|Recently|On|In|With|And|But|Or|So|The|An?|' +
+  'Type|Pregnant|Diabetic|Allergic|Asthmatic|Epileptic|Anemic|Anaemic|Obese|Overweight|Male|Female|Sick|Ill|Tired|Worried|Concerned|Scared|' +
+  'Interested|Looking|Trying|Asking|Wondering|Taking|Getting|Having|Diagnosed|Positive|Negative|Here|There|' +
+  'Education|Information|Materials|Outcomes|Safety|Support|Care|Guide|Guidelines|Leaflets?|Questions?|Resources|Groups?)';
+const NAME_WORD = `(?!${NOT_NAMES}\\b)[A-Z][a-z'’-]+`;
+const NAME = `${NAME_WORD}(?: ${NAME_WORD}){0,2}`;
+// "I am"/"Patient" are followed by names less often than by anything else: two name words, or one that ends the sentence
+const INTRODUCED_NAME = `${NAME_WORD}(?: ${NAME_WORD}){1,2}|${NAME_WORD}(?=\\s*(?:[.,;:!?]|$))`;
+// After "my name is" any case goes, up to three words, stopping at words that start the rest of the sentence
+const NAME_STOP = "(?:and|but|or|i|i'm|im|i've|my|we|who|from|with|have|has|had|was|is|am|aged?|in|of|a|an|the|so|here|there)";
+const LABELED_NAME = `[A-Za-z][\\w'’-]*(?: (?!${NAME_STOP}\\b)[A-Za-z][\\w'’-]*){0,2}`;
+
+const PHI_PATTERNS = [
+  {
+    type: 'mrn',
+    pattern: /\b((?:MRN|medical record (?:number|no\.?|#)|patient (?:id|number|no\.?|#)|chart (?:number|no\.?|#))\s*(?:is\s*|:\s*|#\s*)?)#?[A-Z]{0,3}\d[\d-]{3,}\b/gi,
+  },
+  {
+    type: 'dob',
+    pattern: new RegExp(`\\b((?:DOB|D\\.O\\.B\\.?|date of birth|birth ?date|born(?: on)?)\\s*(?:is\\s*|:\\s*)?)${DATE}`, 'gi'),
+  },
+  {
+    type: 'phone',
+    pattern: /(?<![\w+])()(?:\+\d{1,3}(?:[\s.-]?\d){7,12}|(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4})\b/g,
+  },
+  {
+    type: 'name',
+    pattern: new RegExp(`(\\b(?:my name is|name is)\\s+)${LABELED_NAME}`, 'gi'),
+  },
+  {
+    // Form-style "Name: jane doe" takes up to three words in any case
+    type: 'name',
+    pattern: /(\b(?:[Nn]ame|[Pp]atient(?: name)?):\s*)[A-Za-z][\w'’-]*(?: [A-Za-z][\w'’-]*){0,2}/g,
+  },
+  {
+    type: 'name',
+    pattern: new RegExp(`((?:\\b[Mm]y ${RELATIVE},?|\\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\\.?)\\s+)${NAME}`, 'g'),
+  },
+  {
+    type: 'name',
+    pattern: new RegExp(`((?:\\b[Pp]atient,?|\\b(?:I am|I'm|I’m))\\s+)(?:${INTRODUCED_NAME})`, 'g'),
+  },
+];
+
+const PHI_PLACEHOLDERS = { mrn: '[MRN]', dob: '[DOB]', phone: '[PHONE]', name: '[NAME]' };
+
+/**
+ * Redact personal identifiers from a question
+ * @param {string} text - Question text
+ * @returns {object} { text, redactions: [{ type, count }] }. The redacted values are not returned
+ */
+export function redactPhi(text) {
+  const counts = new Map();
+  let redacted = text;
+  for (const { type, pattern } of PHI_PATTERNS) {
+    redacted = redacted.replace(pattern, (match, label) => {
+      counts.set(type, (counts.get(type) || 0) + 1);
+      return `${label}${PHI_PLACEHOLDERS[type]}`;
+    });
+  }
+  return { text: redacted, redactions: [...counts].map(([type, count]) => ({ type, count })) };
+}
+
+/**
+ * Merge policy overrides into the defaults
+ * @param {object} overrides - Per-category `{ action?, message?, instruction? }`
+ * @returns {object} Complete policies, keyed by category
+ */
+export function resolvePolicies(overrides = {}) {
+  for (const [category, policy] of Object.entries(overrides)) {
+    if (!DEFAULT_POLICIES[category]) {
+      throw new Error(`Unknown guardrail category: ${category} (expected one of ${GUARDRAIL_CATEGORIES.join(', ')})`);
+    }
+    if (policy.action !== undefined && !GUARDRAIL_ACTIONS.includes(policy.action)) {
+      throw new Error(`Invalid guardrail action for ${category}: ${policy.action} (expected one of ${GUARDRAIL_ACTIONS.join(', ')})`);
+    }
+  }
+  return Object.fromEntries(GUARDRAIL_CATEGORIES.map(category => [category, { ...DEFAULT_POLICIES[category], ...overrides[category] }]));
+}
+
+/**
+ * Detect which guardrail categories a question falls into
+ * @param {string} question - Question text (redact it first)
+ * @returns {object[]} Matched categories in priority order: { category, matches }
+ */
+export function detectCategories(question) {
+  const text = question.toLowerCase().replace(/’/g, "'");
+  const found = {};
+
+  const redFlags = [...new Set(EMERGENCY_PATTERNS.map(p => text.match(p)?.[1]).filter(Boolean))];
+  if (redFlags.length) found.emergency = redFlags;
+
+  for (const [category, patterns] of Object.entries(CATEGORY_PATTERNS)) {
+    const matches = patterns.map(p => text.match(p)?.[0]).filter(Boolean);
+    if (matches.length) found[category] = matches;
+  }
+
+  return GUARDRAIL_CATEGORIES.filter(category => found[category]).map(category => ({ category, matches: found[category] }));
+}
+
+/**
+ * Redact and screen a question
+ * @param {string} question - Question as the user typed it
+ * @param {object} options - Screening options
+ * @param {object} options.policies - Policy overrides (see resolvePolicies)
+ * @param {boolean} options.redact - Redact personal identifiers (default: true)
+ * @returns {object} { question (redacted), action, category, message, instructions, redactions, decisions }
+ */
+export function screenQuestion(question, options = {}) {
+  const { redact = true } = options;
+  const policies = resolvePolicies(options.policies);
+  const { text, redactions } = redact ? redactPhi(question) : { text: question, redactions: [] };
+
+  const decisions = detectCategories(text).map(({ category, matches }) => ({
+    category,
+    action: policies[category].action,
+    matches,
+  }));
+
+  // Respond beats caution beats allow; within an action, category priority decides
+  const deciding = ['respond', 'caution'].map(action => decisions.find(d => d.action === action)).find(Boolean);
+  const cautions = decisions.filter(d => d.action === 'caution');
+
+  return {
+    question: text,
+    action: deciding?.action || 'allow',
+    category: deciding?.category || null,
+    message: deciding?.action === 'respond'
+      ? policies[deciding.category].message
+      : cautions.map(d => policies[d.category].message).join('\n\n') || null,
+    instructions: cautions.map(d => policies[d.category].instruction).filter(Boolean),
+    redactions,
+    decisions,
+  };
+}
+
+export default {
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_CATEGORIES,
+  DEFAULT_POLICIES,
+  redactPhi,
+  resolvePolicies,
+  detectCategories,
+  screenQuestion,
+};
@@ -0,0 +1,170 @@
+/**
+ * Search Filters
+ *
+ * A typed filter object for the limits clinicians ask for most (article
+ * type, humans, age, sex, language, free full text, abstract, publication
+ * date), validated once and turned into PubMed filter clauses with the
+ * query builder.
+ * Filters: https://pubmed.ncbi.nlm.nih.gov/help/#filters
+ */
+
+import { queryTerm, meshTerm, allOf, anyOf, dateRange } from './query-builder.js';
+
+// Short names for common publication types; any other PubMed type is used as given
+export const ARTICLE_TYPES = {
+  rct: 'Randomized Controlled Trial',
+  'clinical-trial': 'Clinical Trial',
+  'meta-analysis': 'Meta-Analysis',
+  'systematic-review': 'Systematic Review',
+  review: 'Review',
+  guideline: 'Practice Guideline',
+  'observational-study': 'Observational Study',
+  'case-report': 'Case Reports',
+};
+
+/**
+ * Age groups, as PubMed's age filters define them
+ *
+ * Broad groups explode to the narrower ones (infant includes newborns,
+ * adult includes everyone from 19, aged includes 80 and over); the others
+ * match their own heading only.
+ */
+export const AGE_GROUPS = {
+  newborn: { heading: 'Infant, Newborn', explode: false, label: 'Newborn: birth-1 month' },
+  infant: { heading: 'Infant', explode: true, label: 'Infant: birth-23 months' },
+  preschool: { heading: 'Child, Preschool', explode: false, label: 'Preschool child: 2-5 years' },
+  child: { heading: 'Child', explode: false, label: 'Child: 6-12 years' },
+  adolescent: { heading: 'Adolescent', explode: false, label: 'Adolescent: 13-18 years' },
+  'young-adult': { heading: 'Young Adult', explode: false, label: 'Young adult: 19-24 years' },
+  adult: { heading: 'Adult', explode: true, label: 'Adult: 19+ years' },
+  'middle-aged': { heading: 'Middle Aged', explode: false, label: 'Middle aged: 45-64 years' },
+  aged: { heading: 'Aged', explode: true, label: 'Aged: 65+ years' },
+  '80-plus': { heading: 'Aged, 80 and over', explode: false, label: '80 and over: 80+ years' },
+};
+
+export const AGE_GROUP_NAMES = Object.keys(AGE_GROUPS);
+
+export const SEX_VALUES = ['female', 'male'];
+
+export const FILTER_NAMES = ['articleTypes', 'humans', 'ages', 'sex', 'languages', 'freeFullText', 'hasAbstract', 'from', 'to'];
+
+/**
+ * Validate a filter object and fill in defaults
+ * @param {object} filters - Filters
+ * @param {string[]} filters.articleTypes - Publication types, as ARTICLE_TYPES short names or PubMed names (any match)
+ * @param {boolean} filters.humans - Only studies in humans
+ * @param {string[]} filters.ages - Age groups (see AGE_GROUP_NAMES; any match)
+ * @param {string} filters.sex - 'female' or 'male'
+ * @param {string[]} filters.languages - Languages, e.g. 'english' or 'eng' (any match)
+ * @param {boolean} filters.freeFullText - Only articles with free full text
+ * @param {boolean} filters.hasAbstract - Only articles with an abstract
+ * @param {string} filters.from - Earliest publication date (YYYY, YYYY/MM or YYYY/MM/DD)
+ * @param {string} filters.to - Latest publication date (same formats)
+ * @returns {object} Filters with every field present (empty lists, false or null when unused)
+ */
+export function normalizeFilters(filters = {}) {
+  const unknown = Object.keys(filters).filter(key => !FILTER_NAMES.includes(key));
+  if (unknown.length) {
+    throw new Error(`Unknown filter: ${unknown.join(', ')} (expected ${FILTER_NAMES.join(', ')})`);
+  }
+
+  const articleTypes = toList(filters.articleTypes).map(type => ARTICLE_TYPES[type.toLowerCase()] || type);
+
+  const ages = toList(filters.ages).map(age => age.toLowerCase());
+  const unknownAges = ages.filter(age => !AGE_GROUPS[age]);
+  if (unknownAges.length) {
+    throw new Error(`Unknown age group: ${unknownAges.join(', ')} (expected one of ${AGE_GROUP_NAMES.join(', ')})`);
+  }
+
+  const sex = filters.sex ? String(filters.sex).toLowerCase() : null;
+  if (sex && !SEX_VALUES.includes(sex)) {
+    throw new Error(`Unknown sex: ${filters.sex} (expected ${SEX_VALUES.join(' or ')})`);
+  }
+
+  const languages = toList(filters.languages).map(lang => lang.toLowerCase());
+  const badLanguages = languages.filter(lang => !/^[a-z]+$/.test(lang));
+  if (badLanguages.length) {
+    throw new Error(`Invalid language: ${badLanguages.join(', ')} (expected a name or code such as english or eng)`);
+  }
+
+  const from = filters.from ? String(filters.from) : null;
+  const to = filters.to ? String(filters.to) : null;
+  if (from || to) {
+    // dateRange rejects malformed dates
+    dateRange(from || '1800', to || '3000');
+    if (from && to && padDate(from, '01') > padDate(to, '31')) {
+      throw new Error(`Date range is reversed: from ${from} is after to ${to}`);
+    }
+  }
+
+  return {
+    articleTypes,
+    humans: filters.humans === true,
+    ages,
+    sex,
+    languages,
+    freeFullText: filters.freeFullText === true,
+    hasAbstract: filters.hasAbstract === true,
+    from,
+    to,
+  };
+}
+
+/**
+ * Whether any filter is set
+ * @param {object} filters - Filters (normalized or not)
+ * @returns {boolean} True if the filters narrow a search
+ */
+export function hasFilters(filters = {}) {
+  return buildFilterQuery(filters) !== null;
+}
+
+/**
+ * Build the query clauses for a filter object
+ *
+ * Values within one filter are alternatives (OR); different filters must
+ * all match (AND).
+ *
+ * @param {object} filters - Filters (see normalizeFilters)
+ * @returns {object|null} Query node, or null when no filter is set
+ */
+export function buildFilterQuery(filters = {}) {
+  const { articleTypes, humans, ages, sex, languages, freeFullText, hasAbstract, from, to } = normalizeFilters(filters);
+
+  const clauses = [
+    articleTypes.length ? anyOf(...articleTypes.map(type => queryTerm(type, 'Publication Type'))) : null,
+    humans ? meshTerm('Humans') : null,
+    ages.length ? anyOf(...ages.map(age => meshTerm(AGE_GROUPS[age].heading, { explode: AGE_GROUPS[age].explode }))) : null,
+    sex ? meshTerm(sex === 'female' ? 'Female' : 'Male') : null,
+    languages.length ? anyOf(...languages.map(lang => queryTerm(lang, 'Language'))) : null,
+    // PubMed's own filter codes for "Free full text" and "Abstract"
+    freeFullText ? queryTerm('ffrft', 'Filter') : null,
+    hasAbstract ? queryTerm('fha', 'Filter') : null,
+    from || to ? dateRange(from || '1800', to || '3000') : null,
+  ].filter(Boolean);
+
+  return clauses.length ? allOf(...clauses) : null;
+}
+
+// Helper: Accept a list or a comma-separated string
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+// Helper: Zero-padded YYYYMMDD for comparing partial dates
+function padDate(date, fill) {
+  const [year, month = fill === '01' ? '01' : '12', day = fill] = date.split('/');
+  return `${year}${month.padStart(2, '0')}${day.padStart(2, '0')}`;
+}
+
+export default {
+  ARTICLE_TYPES,
+  AGE_GROUPS,
+  AGE_GROUP_NAMES,
+  SEX_VALUES,
+  FILTER_NAMES,
+  normalizeFilters,
+  hasFilters,
+  buildFilterQuery,
+};
@@ -0,0 +1,318 @@
+/**
+ * Search Watcher
+ *
+ * Saved searches that report new literature. Each watch is a disease search
+ * or a PubMed query, stored with the PMIDs it has already reported. A run
+ * asks ESearch for articles entered since the last run (Entrez date) and
+ * returns a digest of the ones not seen before, as Markdown, JSON or Atom.
+ *
+ * Store: { version, watches: [{ name, disease, query, intent, filters,
+ * lookbackDays, createdAt, lastRunAt, seen }] }, written atomically.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+import { searchPubMed, fetchDetails, resolveDiseaseQuery } from './pubmed-client.js';
+import { allOf, renderQuery, parseQuery } from './query-builder.js';
+import { normalizeFilters, buildFilterQuery } from './search-filters.js';
+import { getIntentFilters } from './intent-classifier.js';
+import { rankArticles } from './evidence-ranker.js';
+
+export const DEFAULT_WATCH_FILE = process.env.PUBMED_WATCH_FILE
+  || join(homedir(), '.config', 'pubmed-medical-chatbot', 'watches.json');
+
+export const DIGEST_FORMATS = ['markdown', 'json', 'atom'];
+
+const STORE_VERSION = 1;
+
+// PMIDs remembered per watch; the oldest are forgotten first
+const MAX_SEEN = 10000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the watch store; a missing file is an empty store
+ * @param {string} file - Store path (default: PUBMED_WATCH_FILE or ~/.config/pubmed-medical-chatbot/watches.json)
+ * @returns {Promise<object>} { version, watches }
+ */
+export async function loadWatches(file = DEFAULT_WATCH_FILE) {
+  let raw;
+  try {
+    raw = await readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: STORE_VERSION, watches: [] };
+    throw error;
+  }
+
+  const data = JSON.parse(raw);
+  if (data.version !== STORE_VERSION) {
+    throw new Error(`Unsupported watch file version ${data.version} in ${file}`);
+  }
+  return data;
+}
+
+/**
+ * Save the watch store to disk (atomically)
+ * @param {object} store - Watch store
+ * @param {string} file - Store path (default: see loadWatches)
+ */
+export async function saveWatches(store, file = DEFAULT_WATCH_FILE) {
+  await mkdir(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(store, null, 2));
+  await rename(tmp, file);
+}
+
+/**
+ * Add a watch
+ * @param {object} store - Watch store
+ * @param {object} spec - Watch definition
+ * @param {string} spec.name - Unique name (letters, digits, "-" and "_")
+ * @param {string} spec.disease - Disease to search (see searchByDisease), or
+ * @param {string} spec.query - PubMed query to search (see searchPubMed)
+ * @param {string|string[]} spec.intent - Question intent(s) for a disease watch
+ * @param {object} spec.filters - Search filters (see normalizeFilters)
+ * @param {number} spec.lookbackDays - Days the first run looks back (default: 30)
+ * @returns {object} The new watch
+ */
+export function addWatch(store, spec) {
+  const { name, disease = null, query = null, intent = [], filters = {}, lookbackDays = 30 } = spec;
+
+  if (!/^[\w-]{1,64}$/.test(name || '')) {
+    throw new Error('Watch name must be 1-64 letters, digits, "-" or "_"');
+  }
+  if (store.watches.some(w => w.name === name)) {
+    throw new Error(`A watch named "${name}" already exists`);
+  }
+  if (!disease === !query) {
+    throw new Error('A watch needs either a disease or a query');
+  }
+  if (!Number.isInteger(lookbackDays) || lookbackDays < 1) {
+    throw new Error(`lookbackDays must be a positive integer, got ${lookbackDays}`);
+  }
+
+  const intents = [].concat(intent).filter(Boolean);
+  if (intents.length) getIntentFilters(intents);
+  if (query) parseQuery(query);
+
+  const watch = {
+    name,
+    disease,
+    query,
+    intent: intents,
+    filters: normalizeFilters(filters),
+    lookbackDays,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    seen: [],
+  };
+  store.watches.push(watch);
+  return watch;
+}
+
+/**
+ * Remove a watch
+ * @param {object} store - Watch store
+ * @param {string} name - Watch name
+ * @returns {object} The removed watch
+ */
+export function removeWatch(store, name) {
+  const watch = getWatch(store, name);
+  store.watches = store.watches.filter(w => w !== watch);
+  return watch;
+}
+
+/**
+ * Find a watch by name
+ * @param {object} store - Watch store
+ * @param {string} name - Watch name
+ * @returns {object} Watch
+ */
+export function getWatch(store, name) {
+  const watch = store.watches.find(w => w.name === name);
+  if (!watch) throw new Error(`No watch named "${name}"`);
+  return watch;
+}
+
+/**
+ * Run a watch: fetch the articles entered since its last run that it has not reported yet
+ *
+ * The window starts on the day of the last run (or `lookbackDays` before
+ * the first run), so entries from that day are searched again; the seen
+ * PMIDs keep them out of the digest. A run with more new articles than
+ * `maxResults` keeps its window start, so the next run reports the rest.
+ * The watch is updated in place; save the store to keep the update.
+ *
+ * @param {object} watch - Watch from the store
+ * @param {object} options - Run options
+ * @param {number} options.maxResults - Most new articles to fetch (default: 100)
+ * @param {Date} options.now - Run time (default: now)
+ * @returns {Promise<object>} Digest { name, disease, query, since, until, runAt, totalResults, truncated, articles }
+ */
+export async function runWatch(watch, options = {}) {
+  const { maxResults = 100, now = new Date() } = options;
+
+  const query = await watchQuery(watch);
+  const start = watch.lastRunAt ? new Date(watch.lastRunAt) : new Date(now.getTime() - watch.lookbackDays * DAY);
+  const since = formatDate(start);
+  const until = formatDate(now);
+
+  // Page until there are more unseen PMIDs than wanted, so `truncated` is exact
+  const seen = new Set(watch.seen);
+  const fresh = [];
+  let retstart = 0;
+  let search;
+  do {
+    search = await searchPubMed(query, {
+      maxResults,
+      retstart,
+      sort: 'pub_date',
+      dateType: 'edat',
+      minDate: since,
+      maxDate: until,
+      cache: false,
+    });
+    fresh.push(...search.pmids.filter(pmid => !seen.has(pmid)));
+    retstart += search.pmids.length;
+  } while (fresh.length <= maxResults && search.pmids.length && retstart < Math.min(search.count, 10000));
+
+  const selected = fresh.slice(0, maxResults);
+  const articles = rankArticles(await fetchDetails(selected), { reorder: false });
+
+  const truncated = fresh.length > selected.length || retstart < search.count;
+
+  // A truncated run keeps its window start, so the next run finds the rest
+  watch.seen = [...watch.seen, ...selected].slice(-MAX_SEEN);
+  watch.lastRunAt = (truncated ? start : now).toISOString();
+
+  return {
+    name: watch.name,
+    disease: watch.disease,
+    query,
+    since,
+    until,
+    runAt: now.toISOString(),
+    totalResults: search.count,
+    truncated,
+    articles,
+  };
+}
+
+/**
+ * Format digests for reading or a feed reader
+ * @param {object[]} digests - Digests from runWatch
+ * @param {string} format - 'markdown' (default), 'json' or 'atom'
+ * @returns {string} Formatted digest
+ */
+export function formatDigest(digests, format = 'markdown') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(digests, null, 2);
+    case 'atom':
+      return formatAtom(digests);
+    case 'markdown':
+      return digests.map(formatMarkdown).join('\n\n');
+    default:
+      throw new Error(`Unknown digest format: ${format} (expected one of ${DIGEST_FORMATS.join(', ')})`);
+  }
+}
+
+// Helper: The PubMed query a watch searches, built fresh each run so MeSH updates apply
+async function watchQuery(watch) {
+  if (watch.disease) {
+    const { query } = await resolveDiseaseQuery(watch.disease, { intent: watch.intent, filters: watch.filters });
+    return query;
+  }
+  const filterClause = buildFilterQuery(watch.filters);
+  return filterClause ? renderQuery(allOf(parseQuery(watch.query), filterClause)) : watch.query;
+}
+
+function formatMarkdown(digest) {
+  const heading = `## ${digest.name}: ${digest.articles.length} new article${digest.articles.length === 1 ? '' : 's'}`;
+  const lines = [
+    heading,
+    '',
+    `Entered ${digest.since} to ${digest.until} · \`${digest.query}\``,
+  ];
+  if (digest.truncated) lines.push('', '_More new articles than shown; the next run reports the rest._');
+
+  for (const article of digest.articles) {
+    const details = [
+      `${article.journal}${article.pubDate ? ` (${article.pubDate})` : ''}`,
+      article.evidence?.label,
+      `[PMID:${article.pmid}](${article.pubmedUrl})`,
+    ].filter(Boolean);
+    lines.push('', `- **${article.title}**`, `  ${details.join(' · ')}`);
+    if (article.authors?.length) {
+      lines.push(`  ${article.authors.slice(0, 3).join(', ')}${article.authors.length > 3 ? ' et al.' : ''}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Helper: One Atom feed with the new articles of every digest
+function formatAtom(digests) {
+  const updated = digests.map(d => d.runAt).sort().pop() || new Date().toISOString();
+  const names = digests.map(d => d.name).join(', ');
+
+  const entries = digests.flatMap(digest => digest.articles.map(article => {
+    const summary = [
+      `${article.journal}${article.pubDate ? ` (${article.pubDate})` : ''}`,
+      article.evidence?.label,
+      article.abstract ? truncate(article.abstract, 600) : null,
+    ].filter(Boolean).join(' · ');
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(article.pubmedUrl)}</id>`,
+      `    <title>${escapeXml(article.title)}</title>`,
+      `    <link href="${escapeXml(article.pubmedUrl)}"/>`,
+      `    <updated>${digest.runAt}</updated>`,
+      ...(article.authors || []).slice(0, 10).map(author => `    <author><name>${escapeXml(author)}</name></author>`),
+      `    <category term="${escapeXml(digest.name)}"/>`,
+      `    <summary>${escapeXml(summary)}</summary>`,
+      '  </entry>',
+    ].join('\n');
+  }));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>urn:pubmed-medical-chatbot:watch:${escapeXml(digests.map(d => d.name).join('+'))}</id>`,
+    `  <title>${escapeXml(`New PubMed articles: ${names}`)}</title>`,
+    `  <updated>${updated}</updated>`,
+    '  <author><name>pubmed-medical-chatbot</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '/');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max).trim()}...` : text;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default {
+  DEFAULT_WATCH_FILE,
+  DIGEST_FORMATS,
+  loadWatches,
+  saveWatches,
+  addWatch,
+  removeWatch,
+  getWatch,
+  runWatch,
+  formatDigest,
+};
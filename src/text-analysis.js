@@ -0,0 +1,61 @@
+/**
+ * Text Analysis
+ *
+ * Tokenizing shared by passage retrieval and answer verification, so that
+ * a question, a passage and a claim are reduced to comparable terms.
+ */
+
+// Function words plus words that appear in almost every abstract
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below
+between both but by can could did do does doing down during each either few for from further had has
+have having he her here hers herself him himself his how however i if in into is it its itself may
+might more most much must my neither no nor not now of off on once only or other our ours out over own
+per same she should so some such than that the their theirs them themselves then there these they this
+those through thus to too under until up upon very via was we were what when where whether which while
+who whom why will with within without would you your
+based according article articles study studies research reported report reports found shows show showed
+suggest suggests suggested pmid pmids including include includes use used using
+`.trim().split(/\s+/));
+
+/**
+ * Reduce text to stemmed content terms
+ * @param {string} text - Text to analyze
+ * @returns {string[]} Terms in order, stopwords removed
+ */
+export function analyzeText(text) {
+  return (String(text).toLowerCase().match(/[a-z][a-z0-9-]+/g) || [])
+    .filter(word => !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Split text into sentences
+ * Survives "et al.", "e.g.", "vs." and decimals.
+ * @param {string} text - Text to split
+ * @returns {string[]} Sentences
+ */
+export function splitSentences(text) {
+  const protectedText = text.replace(/\b(et al|e\.g|i\.e|vs|approx|Fig|No|Dr)\./gi, '$1\u0000');
+  return protectedText
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9("[])/)
+    .map(s => s.replace(/\u0000/g, '.').trim())
+    .filter(Boolean);
+}
+
+// Helper: Light suffix stripping so "treated", "treats" and "treatment" match
+function stem(word) {
+  let result = word;
+  for (const suffix of ['ations', 'ation', 'ments', 'ment', 'ingly', 'ing', 'edly', 'ed', 'ies', 'ly', 's']) {
+    if (result.length - suffix.length >= 4 && result.endsWith(suffix)) {
+      result = suffix === 'ies' ? result.slice(0, -3) + 'y' : result.slice(0, -suffix.length);
+      break;
+    }
+  }
+  return result.length > 4 ? result.replace(/e$/, '') : result;
+}
+
+export default {
+  analyzeText,
+  splitSentences,
+};
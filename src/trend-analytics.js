@@ -0,0 +1,319 @@
+/**
+ * Trend Analytics
+ *
+ * Publication trends for a disease: a per-year timeline from ESearch counts
+ * (one rettype=count request per year, so it covers every matching record,
+ * not just a page of them), plus the top journals, publication types and
+ * co-occurring MeSH descriptors of a sample of the results.
+ */
+
+import { countPubMed, iterateSearch, resolveDiseaseQuery } from './pubmed-client.js';
+
+// Timelines longer than this would send a request per year for little insight
+const MAX_TIMELINE_YEARS = 100;
+const MAX_SAMPLE = 1000;
+const MAX_TOP = 50;
+
+// Years compared on each side when calling a trend growing or declining
+const TREND_WINDOW = 5;
+
+// MeSH check tags describe the study population, not the topic
+const CHECK_TAGS = new Set([
+  'Humans', 'Animals', 'Male', 'Female', 'Pregnancy', 'Infant, Newborn', 'Infant', 'Child, Preschool', 'Child',
+  'Adolescent', 'Young Adult', 'Adult', 'Middle Aged', 'Aged', 'Aged, 80 and over', 'Mice', 'Rats',
+]);
+
+// Publication types that every article has, or that say nothing about the design
+const GENERIC_TYPES = /^(Journal Article|Research Support, .*|English Abstract)$/;
+
+/**
+ * Count articles per year for a query
+ * @param {string} query - PubMed query
+ * @param {object} options - Timeline options
+ * @param {number} options.fromYear - First year (default: 19 years before toYear)
+ * @param {number} options.toYear - Last year (default: the current year)
+ * @param {string} options.dateType - 'pdat' (publication, default) or 'edat' (entry)
+ * @param {boolean|string} options.cache - Cache mode (see countPubMed)
+ * @returns {Promise<object[]>} { year, count, partial } per year, oldest first; `partial` marks the current year
+ */
+export async function publicationTimeline(query, options = {}) {
+  const currentYear = new Date().getFullYear();
+  const { toYear = currentYear, dateType = 'pdat', cache = true } = options;
+  const { fromYear = toYear - 19 } = options;
+
+  // Validate before any network work
+  for (const [name, year] of [['fromYear', fromYear], ['toYear', toYear]]) {
+    if (!Number.isInteger(year) || year < 1800 || year > currentYear) {
+      throw new Error(`${name} must be a year from 1800 to ${currentYear}, got ${year}`);
+    }
+  }
+  if (fromYear > toYear) throw new Error(`fromYear (${fromYear}) is after toYear (${toYear})`);
+  if (toYear - fromYear + 1 > MAX_TIMELINE_YEARS) {
+    throw new Error(`A timeline covers at most ${MAX_TIMELINE_YEARS} years, got ${toYear - fromYear + 1}`);
+  }
+
+  const years = Array.from({ length: toYear - fromYear + 1 }, (_, i) => fromYear + i);
+  // Requests go out together; the shared scheduler keeps them within NCBI's rate limit
+  const counts = await Promise.all(years.map(year =>
+    countPubMed(query, { minDate: `${year}/01/01`, maxDate: `${year}/12/31`, dateType, cache })));
+
+  return years.map((year, i) => ({ year, count: counts[i], partial: year === currentYear }));
+}
+
+/**
+ * Summarize a timeline
+ *
+ * The direction compares the mean of the last five complete years with the
+ * five before them: more than 10% up is 'growing', more than 10% down is
+ * 'declining'. The current year is left out because it is not over.
+ *
+ * @param {object[]} timeline - Result of publicationTimeline
+ * @returns {object} { total, peak: { year, count }, recentMean, previousMean, change, cagr, direction }
+ */
+export function summarizeTimeline(timeline) {
+  const total = timeline.reduce((sum, point) => sum + point.count, 0);
+  const complete = timeline.filter(point => !point.partial);
+  const peak = complete.reduce((best, point) => (!best || point.count > best.count ? point : best), null);
+
+  const mean = points => (points.length ? points.reduce((sum, p) => sum + p.count, 0) / points.length : null);
+  const recent = complete.slice(-TREND_WINDOW);
+  const previous = complete.slice(-2 * TREND_WINDOW, -TREND_WINDOW);
+  const recentMean = mean(recent);
+  const previousMean = mean(previous);
+  const change = previousMean ? (recentMean - previousMean) / previousMean : null;
+
+  // Compound annual growth between the first and last complete years with articles
+  const first = complete.find(point => point.count > 0);
+  const last = complete.findLast(point => point.count > 0);
+  const cagr = first && last.year > first.year
+    ? (last.count / first.count) ** (1 / (last.year - first.year)) - 1
+    : null;
+
+  let direction = 'unknown';
+  if (change !== null) direction = change > 0.1 ? 'growing' : change < -0.1 ? 'declining' : 'stable';
+
+  return {
+    total,
+    peak: peak ? { year: peak.year, count: peak.count } : null,
+    recentMean: round(recentMean),
+    previousMean: round(previousMean),
+    change: round(change, 3),
+    cagr: round(cagr, 3),
+    direction,
+  };
+}
+
+/**
+ * Tally journals, publication types and MeSH descriptors over articles
+ * @param {object[]} articles - Full article records (see fetchDetails)
+ * @param {object} options - Aggregation options
+ * @param {number} options.top - Entries per list (default: 10)
+ * @param {string[]} options.excludeMesh - Descriptors to leave out, e.g. the disease's own
+ * @returns {object} { sampled, journals, publicationTypes, meshTerms }; entries are { name, count, share }
+ *   (MeSH entries add `ui` and `majorTopic`, the articles where it is a major topic)
+ */
+export function aggregateArticles(articles, options = {}) {
+  const { top = 10, excludeMesh = [] } = options;
+  const excluded = new Set(excludeMesh.map(name => name.toLowerCase()));
+
+  const journals = new Map();
+  const types = new Map();
+  const mesh = new Map();
+  const add = (tally, name, extra = {}) => {
+    const entry = tally.get(name) || { name, count: 0, ...extra };
+    entry.count++;
+    tally.set(name, entry);
+    return entry;
+  };
+
+  for (const article of articles) {
+    if (article.journal) add(journals, article.journal);
+    for (const type of new Set(article.publicationTypes || [])) {
+      if (!GENERIC_TYPES.test(type)) add(types, type);
+    }
+    for (const heading of article.meshHeadings || []) {
+      if (CHECK_TAGS.has(heading.descriptor) || excluded.has(heading.descriptor.toLowerCase())) continue;
+      const entry = add(mesh, heading.descriptor, { ui: heading.ui, majorTopic: 0 });
+      if (heading.majorTopic || heading.qualifiers?.some(q => q.majorTopic)) entry.majorTopic++;
+    }
+  }
+
+  const ranked = tally => [...tally.values()]
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, top)
+    .map(entry => ({ ...entry, share: round(entry.count / articles.length, 3) }));
+
+  return {
+    sampled: articles.length,
+    journals: ranked(journals),
+    publicationTypes: ranked(types),
+    meshTerms: ranked(mesh),
+  };
+}
+
+/**
+ * Publication trend and topic profile for a disease
+ *
+ * The disease is resolved to its MeSH heading as in searchByDisease, but
+ * without the default subheading restriction unless an intent is given,
+ * so the timeline counts the whole literature on the disease.
+ *
+ * @param {string} disease - Disease name
+ * @param {object} options - Analysis options
+ * @param {number} options.fromYear - First timeline year (default: 19 years before toYear)
+ * @param {number} options.toYear - Last timeline year (default: the current year)
+ * @param {string} options.dateType - 'pdat' (default) or 'edat'
+ * @param {number} options.sampleSize - Articles sampled for journals, types and MeSH (default: 200, at most 1000; 0 skips)
+ * @param {string} options.sort - Sample order: 'relevance' (default) or 'pub_date' (most recent)
+ * @param {number} options.top - Entries per list (default: 10, at most 50)
+ * @param {object} options.filters - Search filters (see normalizeFilters)
+ * @param {string|string[]} options.intent - Question intent(s) narrowing the literature
+ * @param {boolean|string} options.cache - Cache mode
+ * @returns {Promise<object>} { disease, mesh, query, intents, filters, totalResults, timeline, trend, sample,
+ *   journals, publicationTypes, meshTerms }
+ */
+export async function analyzeDiseaseTrends(disease, options = {}) {
+  const { sampleSize = 200, sort = 'relevance', top = 10, cache = true, ...rest } = options;
+  if (!Number.isInteger(sampleSize) || sampleSize < 0 || sampleSize > MAX_SAMPLE) {
+    throw new Error(`sampleSize must be an integer from 0 to ${MAX_SAMPLE}, got ${sampleSize}`);
+  }
+  if (!Number.isInteger(top) || top < 1 || top > MAX_TOP) {
+    throw new Error(`top must be an integer from 1 to ${MAX_TOP}, got ${top}`);
+  }
+  if (!['relevance', 'pub_date'].includes(sort)) {
+    throw new Error(`sort must be relevance or pub_date, got ${sort}`);
+  }
+
+  const intents = [].concat(rest.intent || []).filter(Boolean);
+  const resolved = await resolveDiseaseQuery(disease, {
+    filters: rest.filters,
+    intent: intents,
+    includeSubheadings: intents.length > 0,
+    cache,
+  });
+
+  const [timeline, totalResults] = await Promise.all([
+    publicationTimeline(resolved.query, { fromYear: rest.fromYear, toYear: rest.toYear, dateType: rest.dateType, cache }),
+    countPubMed(resolved.query, { cache }),
+  ]);
+
+  const articles = [];
+  if (sampleSize) {
+    for await (const batch of iterateSearch(resolved.query, {
+      batchSize: Math.min(sampleSize, 200),
+      maxRecords: sampleSize,
+      sort,
+      cache,
+    })) {
+      articles.push(...batch.articles);
+    }
+  }
+  const { sampled, ...profile } = aggregateArticles(articles, {
+    top,
+    excludeMesh: [resolved.mesh?.name].filter(Boolean),
+  });
+
+  return {
+    disease,
+    mesh: resolved.mesh,
+    query: resolved.query,
+    intents: resolved.intents,
+    filters: resolved.filters,
+    totalResults,
+    timeline,
+    trend: summarizeTimeline(timeline),
+    sample: { size: sampled, requested: sampleSize, sort },
+    ...profile,
+  };
+}
+
+/**
+ * Horizontal bar chart of a timeline
+ * @param {object[]} timeline - Result of publicationTimeline
+ * @param {object} options - Chart options
+ * @param {number} options.width - Width of the longest bar (default: 40)
+ * @returns {string} One line per year; the current (partial) year is marked with *
+ */
+export function formatTimelineChart(timeline, options = {}) {
+  const { width = 40 } = options;
+  const max = Math.max(1, ...timeline.map(point => point.count));
+  const countWidth = String(max).length;
+
+  const lines = timeline.map(({ year, count, partial }) => {
+    const length = count / max * width;
+    // Years with a few articles still get a sliver, so they are not mistaken for none
+    const bar = count ? '█'.repeat(Math.floor(length)) || '▏' : '';
+    return `${year}${partial ? '*' : ' '} │${bar.padEnd(width)} ${String(count).padStart(countWidth)}`;
+  });
+  if (timeline.some(point => point.partial)) lines.push('* year to date');
+  return lines.join('\n');
+}
+
+/**
+ * Plain-text report: the chart, the trend and the sample tables
+ * @param {object} result - Result of analyzeDiseaseTrends
+ * @param {object} options - Options for formatTimelineChart
+ * @returns {string} Report
+ */
+export function formatTrendReport(result, options = {}) {
+  const { trend } = result;
+  const lines = [
+    `Publication trend: ${result.disease}${result.mesh ? ` (MeSH: ${result.mesh.name}, ${result.mesh.ui})` : ''}`,
+    `Query: ${result.query}`,
+    `All years: ${result.totalResults.toLocaleString('en-US')} articles`,
+    '',
+    formatTimelineChart(result.timeline, options),
+    '',
+  ];
+
+  const summary = [`${trend.total.toLocaleString('en-US')} articles in ${result.timeline.length} years`];
+  if (trend.peak) summary.push(`peak ${trend.peak.year} (${trend.peak.count})`);
+  if (trend.change !== null) {
+    summary.push(`${trend.direction}: ${formatPercent(trend.change, true)} in the last ${TREND_WINDOW} complete years vs the ${TREND_WINDOW} before`);
+  }
+  if (trend.cagr !== null) summary.push(`${formatPercent(trend.cagr, true)} a year overall`);
+  lines.push(`Trend: ${summary.join('; ')}`);
+
+  if (result.sample.size) {
+    lines.push('', `Sample: ${result.sample.size} articles (${result.sample.sort === 'pub_date' ? 'most recent' : 'best match'})`);
+    for (const [title, entries, extra] of [
+      ['Top journals', result.journals],
+      ['Publication types', result.publicationTypes],
+      ['Co-occurring MeSH descriptors', result.meshTerms, entry => String(entry.majorTopic)],
+    ]) {
+      if (!entries.length) continue;
+      lines.push('', title, formatTable(entries, extra));
+    }
+  }
+  return lines.join('\n');
+}
+
+// Helper: Rank, name, count and share columns, plus an optional major-topic column
+function formatTable(entries, extra) {
+  const header = ['#', 'Name', 'Articles', 'Share', ...(extra ? ['Major'] : [])];
+  const rows = entries.map((entry, i) => [
+    String(i + 1), entry.name, String(entry.count), formatPercent(entry.share), ...(extra ? [extra(entry)] : []),
+  ]);
+  const widths = header.map((h, col) => Math.max(h.length, ...rows.map(row => row[col].length)));
+  // Text columns align left, numbers right
+  const line = row => row.map((cell, col) => (col === 1 ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))).join('  ');
+  return [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+}
+
+function formatPercent(value, signed = false) {
+  const text = `${(value * 100).toFixed(Math.abs(value) < 0.1 ? 1 : 0)}%`;
+  return signed && value > 0 ? `+${text}` : text;
+}
+
+function round(value, digits = 1) {
+  return value === null || value === undefined ? null : Number(value.toFixed(digits));
+}
+
+export default {
+  publicationTimeline,
+  summarizeTimeline,
+  aggregateArticles,
+  analyzeDiseaseTrends,
+  formatTimelineChart,
+  formatTrendReport,
+};
@@ -0,0 +1,367 @@
+/**
+ * ClinicalTrials.gov Client
+ *
+ * Searches registered studies with the ClinicalTrials.gov v2 API and links
+ * them to PubMed through NCT numbers: PubMed records list the trials they
+ * report in their DataBankList (and often in the abstract), and index them
+ * in the Secondary Source ID field.
+ * API Docs: https://clinicaltrials.gov/data-api/api
+ */
+
+import { createScheduler } from './request-scheduler.js';
+import { searchPubMed, fetchDetails } from './pubmed-client.js';
+import { resolveMeshTerm } from './mesh-client.js';
+import { queryTerm, anyOf, renderQuery } from './query-builder.js';
+
+export const DEFAULT_TRIALS_BASE_URL = 'https://clinicaltrials.gov/api/v2';
+
+// Recruitment statuses by short name
+export const TRIAL_STATUSES = {
+  recruiting: 'RECRUITING',
+  'not-yet-recruiting': 'NOT_YET_RECRUITING',
+  'enrolling-by-invitation': 'ENROLLING_BY_INVITATION',
+  'active-not-recruiting': 'ACTIVE_NOT_RECRUITING',
+  completed: 'COMPLETED',
+  suspended: 'SUSPENDED',
+  terminated: 'TERMINATED',
+  withdrawn: 'WITHDRAWN',
+  unknown: 'UNKNOWN',
+};
+
+export const TRIAL_STATUS_NAMES = Object.keys(TRIAL_STATUSES);
+
+// Studies that are running or about to: the default for "ongoing trials"
+export const ONGOING_STATUSES = ['recruiting', 'not-yet-recruiting', 'enrolling-by-invitation', 'active-not-recruiting'];
+
+// Phases by short name
+export const TRIAL_PHASES = {
+  'early-1': 'EARLY_PHASE1',
+  1: 'PHASE1',
+  2: 'PHASE2',
+  3: 'PHASE3',
+  4: 'PHASE4',
+  na: 'NA',
+};
+
+export const TRIAL_PHASE_NAMES = Object.keys(TRIAL_PHASES);
+
+const PHASE_LABELS = {
+  EARLY_PHASE1: 'Early Phase 1',
+  PHASE1: 'Phase 1',
+  PHASE2: 'Phase 2',
+  PHASE3: 'Phase 3',
+  PHASE4: 'Phase 4',
+  NA: 'Not Applicable',
+};
+
+// NCT numbers as they appear in registries, abstracts and DataBankLists
+const NCT_PATTERN = /\bNCT\d{8}\b/g;
+
+// The API allows about 50 requests per minute
+const DEFAULT_RATE = 50 / 60;
+
+// Where requests go (set CLINICALTRIALS_BASE_URL, or call configureTrials)
+const trialsConfig = {
+  baseUrl: process.env.CLINICALTRIALS_BASE_URL || DEFAULT_TRIALS_BASE_URL,
+  fetch: undefined,
+  requestsPerSecond: null,
+};
+
+let scheduler = createTrialsScheduler();
+
+/**
+ * Configure where and how ClinicalTrials.gov requests are sent
+ * @param {object} options - Client options (unset options keep their current value)
+ * @param {string} options.baseUrl - API base URL (default: https://clinicaltrials.gov/api/v2)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {number} options.requestsPerSecond - Request rate (default: 50 per minute)
+ */
+export function configureTrials(options = {}) {
+  for (const key of Object.keys(trialsConfig)) {
+    if (options[key] !== undefined) trialsConfig[key] = options[key];
+  }
+  scheduler = createTrialsScheduler();
+}
+
+/**
+ * Search registered studies by condition
+ * @param {string} condition - Condition, e.g. a MeSH heading ("Multiple Endocrine Neoplasia Type 1")
+ * @param {object} options - Search options
+ * @param {string[]} options.statuses - Recruitment statuses (see TRIAL_STATUS_NAMES; default: any)
+ * @param {string[]} options.phases - Phases (see TRIAL_PHASE_NAMES, e.g. '2' or 'phase2'; default: any)
+ * @param {string} options.intervention - Intervention or treatment, e.g. "lanreotide"
+ * @param {number} options.maxResults - Studies per page (default: 10, at most 100)
+ * @param {string} options.pageToken - nextPageToken of the previous page
+ * @returns {Promise<object>} { condition, statuses, phases, totalCount, nextPageToken, trials }
+ */
+export async function searchTrials(condition, options = {}) {
+  const { intervention = null, maxResults = 10, pageToken = null } = options;
+  const statuses = normalizeStatuses(options.statuses);
+  const phases = normalizePhases(options.phases);
+
+  if (!condition?.trim()) throw new Error('A condition is required');
+  if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 100) {
+    throw new Error(`maxResults must be an integer from 1 to 100, got ${maxResults}`);
+  }
+
+  const params = new URLSearchParams({
+    'query.cond': condition.trim(),
+    pageSize: String(maxResults),
+    countTotal: 'true',
+    format: 'json',
+  });
+  if (intervention) params.set('query.intr', intervention);
+  if (statuses.length) params.set('filter.overallStatus', statuses.map(s => TRIAL_STATUSES[s]).join(','));
+  if (phases.length) params.set('filter.advanced', `AREA[Phase](${phases.map(p => TRIAL_PHASES[p]).join(' OR ')})`);
+  if (pageToken) params.set('pageToken', pageToken);
+
+  const data = await trialsRequest('studies', params, 'ClinicalTrials.gov search');
+
+  return {
+    condition: condition.trim(),
+    statuses,
+    phases,
+    totalCount: data.totalCount ?? null,
+    nextPageToken: data.nextPageToken || null,
+    trials: (data.studies || []).map(parseStudy),
+  };
+}
+
+/**
+ * Search studies for a disease under its MeSH heading
+ *
+ * The disease is resolved to MeSH as for searchByDisease, so "MEN1" finds
+ * the studies registered under "Multiple Endocrine Neoplasia Type 1".
+ * Resolution is best-effort: on failure the text is searched as typed.
+ *
+ * @param {string} disease - Disease name as typed
+ * @param {object} options - searchTrials options
+ * @param {boolean|string} options.cache - Cache mode for the MeSH lookup (see searchPubMed)
+ * @returns {Promise<object>} searchTrials result plus { disease, mesh }
+ */
+export async function searchTrialsByDisease(disease, options = {}) {
+  const { cache: cacheMode = true } = options;
+  // Validate before any network work
+  normalizeStatuses(options.statuses);
+  normalizePhases(options.phases);
+
+  let descriptor = null;
+  try {
+    descriptor = await resolveMeshTerm(disease, { cache: cacheMode });
+  } catch {
+    descriptor = null;
+  }
+
+  const result = await searchTrials(descriptor?.name || disease, options);
+  return {
+    disease,
+    mesh: descriptor ? { ui: descriptor.ui, name: descriptor.name, matchedBy: descriptor.matchedBy } : null,
+    ...result,
+  };
+}
+
+/**
+ * Fetch studies by NCT number
+ * @param {string[]} nctIds - NCT numbers
+ * @returns {Promise<object[]>} Studies in the requested order (unknown numbers are skipped)
+ */
+export async function getTrials(nctIds) {
+  const ids = [...new Set(nctIds.map(id => String(id).toUpperCase()))];
+  if (!ids.length) return [];
+  const invalid = ids.filter(id => !/^NCT\d{8}$/.test(id));
+  if (invalid.length) throw new Error(`Invalid NCT number: ${invalid.join(', ')}`);
+
+  const params = new URLSearchParams({
+    'filter.ids': ids.join(','),
+    pageSize: String(Math.min(ids.length, 1000)),
+    format: 'json',
+  });
+  const data = await trialsRequest('studies', params, 'ClinicalTrials.gov fetch');
+  const byId = new Map((data.studies || []).map(parseStudy).map(trial => [trial.nctId, trial]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * NCT numbers in a text
+ * @param {string} text - Any text, e.g. an abstract
+ * @returns {string[]} Unique NCT numbers in order of appearance
+ */
+export function extractNctIds(text) {
+  return [...new Set(String(text || '').match(NCT_PATTERN) || [])];
+}
+
+/**
+ * Link trials to the articles that report them
+ *
+ * An article reports a trial when its NCT number is in the article's
+ * `trialIds` (DataBankList and abstract), or when the registry lists the
+ * article's PMID as a reference.
+ *
+ * @param {object[]} trials - Studies from searchTrials or getTrials
+ * @param {object[]} articles - Article records from fetchDetails
+ * @returns {object[]} Trials with `pmids`, the linked articles' PMIDs
+ */
+export function linkTrialsToArticles(trials, articles) {
+  return trials.map(trial => {
+    const referenced = new Set(trial.references.map(r => r.pmid));
+    const pmids = articles
+      .filter(article => articleTrialIds(article).includes(trial.nctId) || referenced.has(article.pmid))
+      .map(article => article.pmid);
+    return { ...trial, pmids };
+  });
+}
+
+/**
+ * Find the PubMed articles that report trials
+ *
+ * Searches PubMed for the trials' NCT numbers (Secondary Source ID or
+ * title/abstract), then links the articles back to each trial.
+ *
+ * @param {object[]} trials - Studies from searchTrials or getTrials
+ * @param {object} options - Search options
+ * @param {number} options.maxResults - Most articles to fetch (default: 50)
+ * @param {boolean|string} options.cache - Cache mode (see searchPubMed)
+ * @returns {Promise<object>} { query, trials (with `pmids`), articles }
+ */
+export async function findTrialPublications(trials, options = {}) {
+  const { maxResults = 50, cache: cacheMode = true } = options;
+  if (!trials.length) return { query: null, trials: [], articles: [] };
+
+  const query = renderQuery(anyOf(...trials.flatMap(trial => [
+    queryTerm(trial.nctId, 'Secondary Source ID'),
+    queryTerm(trial.nctId, 'Title/Abstract'),
+  ])));
+  const search = await searchPubMed(query, { maxResults, cache: cacheMode });
+  const articles = search.pmids.length ? await fetchDetails(search.pmids, { cache: cacheMode }) : [];
+
+  return { query, trials: linkTrialsToArticles(trials, articles), articles };
+}
+
+/**
+ * Format trials as a Markdown list
+ * @param {object[]} trials - Studies, optionally with `pmids` from linkTrialsToArticles
+ * @returns {string} One item per trial
+ */
+export function formatTrials(trials) {
+  return trials.map(trial => {
+    const details = [
+      formatStatus(trial.status),
+      trial.phases.length ? trial.phases.join('/') : null,
+      trial.enrollment ? `${trial.enrollment} participants` : null,
+      trial.sponsor,
+    ].filter(Boolean);
+    const published = trial.pmids?.length ? ` · Reported in PMID ${trial.pmids.join(', ')}` : '';
+    return `- **${trial.title}** ([${trial.nctId}](${trial.url}))\n  ${details.join(' · ')}${published}`;
+  }).join('\n');
+}
+
+function createTrialsScheduler() {
+  return createScheduler({
+    requestsPerSecond: trialsConfig.requestsPerSecond ?? DEFAULT_RATE,
+    fetch: trialsConfig.fetch,
+  });
+}
+
+// Helper: GET a v2 API path through the scheduler and parse the JSON
+async function trialsRequest(endpoint, params, label) {
+  const url = `${trialsConfig.baseUrl.replace(/\/$/, '')}/${endpoint}?${params}`;
+  const response = await scheduler.fetch(url);
+  if (!response.ok) {
+    // Bad parameters come back as 400 with a plain-text reason
+    const reason = response.status === 400 ? `: ${(await response.text()).trim().slice(0, 200)}` : '';
+    const error = new Error(`${label} failed: ${response.status}${reason}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Helper: Flatten a v2 study record
+function parseStudy(study) {
+  const protocol = study.protocolSection || {};
+  const identification = protocol.identificationModule || {};
+  const status = protocol.statusModule || {};
+  const design = protocol.designModule || {};
+  const nctId = identification.nctId;
+
+  return {
+    nctId,
+    title: identification.briefTitle || identification.officialTitle || '',
+    officialTitle: identification.officialTitle || null,
+    acronym: identification.acronym || null,
+    status: statusName(status.overallStatus),
+    phases: (design.phases || []).map(phase => PHASE_LABELS[phase] || phase),
+    studyType: design.studyType ? design.studyType.toLowerCase().replace(/_/g, ' ') : null,
+    enrollment: design.enrollmentInfo?.count ?? null,
+    conditions: protocol.conditionsModule?.conditions || [],
+    meshTerms: (study.derivedSection?.conditionBrowseModule?.meshes || []).map(m => m.term),
+    interventions: (protocol.armsInterventionsModule?.interventions || []).map(i => ({ type: i.type, name: i.name })),
+    sponsor: protocol.sponsorCollaboratorsModule?.leadSponsor?.name || null,
+    startDate: status.startDateStruct?.date || null,
+    completionDate: status.primaryCompletionDateStruct?.date || status.completionDateStruct?.date || null,
+    lastUpdated: status.lastUpdatePostDateStruct?.date || null,
+    countries: [...new Set((protocol.contactsLocationsModule?.locations || []).map(l => l.country).filter(Boolean))],
+    references: (protocol.referencesModule?.references || [])
+      .filter(r => r.pmid)
+      .map(r => ({ pmid: String(r.pmid), type: (r.type || '').toLowerCase() })),
+    hasResults: study.hasResults === true,
+    url: `https://clinicaltrials.gov/study/${nctId}`,
+  };
+}
+
+// Helper: NCT numbers an article reports; older cached records only have the abstract
+function articleTrialIds(article) {
+  return article.trialIds || extractNctIds(`${article.title} ${article.abstract}`);
+}
+
+function statusName(status) {
+  return TRIAL_STATUS_NAMES.find(name => TRIAL_STATUSES[name] === status) || (status ? status.toLowerCase() : null);
+}
+
+function formatStatus(status) {
+  return status ? status.charAt(0).toUpperCase() + status.slice(1).replace(/-/g, ' ') : null;
+}
+
+// Helper: Short names or API values, as a list or comma-separated string
+function normalizeStatuses(value) {
+  return toList(value).map(status => {
+    const name = status.toLowerCase().replace(/[_\s]+/g, '-');
+    if (!TRIAL_STATUSES[name]) {
+      throw new Error(`Unknown trial status: ${status} (expected one of ${TRIAL_STATUS_NAMES.join(', ')})`);
+    }
+    return name;
+  });
+}
+
+// Helper: '2', 'phase2', 'Phase 2' and 'PHASE2' are all phase 2
+function normalizePhases(value) {
+  return toList(value).map(phase => {
+    const name = phase.toLowerCase().replace(/^phase[\s_-]*/, '').replace(/^early[\s_-]*(?:phase[\s_-]*)?1$/, 'early-1');
+    if (!TRIAL_PHASES[name]) {
+      throw new Error(`Unknown trial phase: ${phase} (expected one of ${TRIAL_PHASE_NAMES.join(', ')})`);
+    }
+    return name;
+  });
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+export default {
+  DEFAULT_TRIALS_BASE_URL,
+  TRIAL_STATUSES,
+  TRIAL_STATUS_NAMES,
+  ONGOING_STATUSES,
+  TRIAL_PHASES,
+  TRIAL_PHASE_NAMES,
+  configureTrials,
+  searchTrials,
+  searchTrialsByDisease,
+  getTrials,
+  extractNctIds,
+  linkTrialsToArticles,
+  findTrialPublications,
+  formatTrials,
+};
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * Stand-in ClinicalTrials.gov Server
+ *
+ * Answers the v2 `studies` endpoints from an in-memory list of studies, for
+ * development and tests without the real registry. Supports query.cond,
+ * query.intr, filter.overallStatus, filter.ids, the Phase area of
+ * filter.advanced, pageSize/pageToken and countTotal.
+ *
+ * Usage:
+ *   node src/trials-stub-server.js --port 8090
+ *   CLINICALTRIALS_BASE_URL=http://127.0.0.1:8090/api/v2 node src/cli-search.js MEN1 --trials
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { pathToFileURL } from 'url';
+
+/**
+ * Sample studies: synthetic MEN1 trials (NCT90000002 is reported by PMID
+ * 90000002 in the sample PubMed corpus)
+ *
+ * Study fields: nctId, title, status and phases (API values), studyType,
+ * enrollment, conditions, meshTerms, interventions [{ type, name }],
+ * sponsor, startDate, completionDate, countries, references [{ pmid, type }].
+ */
+export const SAMPLE_STUDIES = [
+  {
+    nctId: 'NCT90000002',
+    title: 'Lanreotide for Small Pancreatic Neuroendocrine Tumours in MEN1',
+    status: 'COMPLETED',
+    phases: ['PHASE3'],
+    studyType: 'INTERVENTIONAL',
+    enrollment: 120,
+    conditions: ['Multiple Endocrine Neoplasia Type 1', 'Pancreatic Neuroendocrine Tumor'],
+    meshTerms: ['Multiple Endocrine Neoplasia Type 1', 'Neuroendocrine Tumors'],
+    interventions: [{ type: 'DRUG', name: 'Lanreotide' }],
+    sponsor: 'Endocrine Oncology Network',
+    startDate: '2017-05',
+    completionDate: '2021-06',
+    countries: ['France', 'Netherlands'],
+    references: [{ pmid: '90000002', type: 'RESULT' }],
+  },
+  {
+    nctId: 'NCT90000011',
+    title: 'Everolimus in MEN1-Associated Pancreatic Neuroendocrine Tumours',
+    status: 'RECRUITING',
+    phases: ['PHASE2'],
+    studyType: 'INTERVENTIONAL',
+    enrollment: 60,
+    conditions: ['MEN1'],
+    meshTerms: ['Multiple Endocrine Neoplasia Type 1'],
+    interventions: [{ type: 'DRUG', name: 'Everolimus' }],
+    sponsor: 'University Hospital Stand-in',
+    startDate: '2024-02',
+    completionDate: '2028-12',
+    countries: ['Germany'],
+    references: [],
+  },
+  {
+    nctId: 'NCT90000012',
+    title: 'Natural History Registry of Multiple Endocrine Neoplasia Type 1',
+    status: 'NOT_YET_RECRUITING',
+    phases: ['NA'],
+    studyType: 'OBSERVATIONAL',
+    enrollment: 500,
+    conditions: ['Multiple Endocrine Neoplasia Type 1'],
+    meshTerms: ['Multiple Endocrine Neoplasia Type 1'],
+    interventions: [],
+    sponsor: 'MEN1 Research Consortium',
+    startDate: '2026-01',
+    completionDate: '2035-01',
+    countries: ['United States', 'Canada'],
+    references: [{ pmid: '90000003', type: 'BACKGROUND' }],
+  },
+  {
+    nctId: 'NCT90000013',
+    title: 'Cinacalcet Versus Surgery in Sporadic Primary Hyperparathyroidism',
+    status: 'RECRUITING',
+    phases: ['PHASE4'],
+    studyType: 'INTERVENTIONAL',
+    enrollment: 200,
+    conditions: ['Primary Hyperparathyroidism'],
+    meshTerms: ['Hyperparathyroidism, Primary'],
+    interventions: [{ type: 'DRUG', name: 'Cinacalcet' }, { type: 'PROCEDURE', name: 'Parathyroidectomy' }],
+    sponsor: 'Parathyroid Study Group',
+    startDate: '2023-09',
+    completionDate: '2027-09',
+    countries: ['Sweden'],
+    references: [],
+  },
+];
+
+/**
+ * Create the stand-in server (not yet listening)
+ * @param {object[]} studies - Studies (default: SAMPLE_STUDIES)
+ * @returns {http.Server} Node HTTP server; `server.requests` lists the request URLs received
+ */
+export function createTrialsStubServer(studies = SAMPLE_STUDIES) {
+  const requests = [];
+
+  function search(params) {
+    const contains = (values, needle) => values.some(v => v.toLowerCase().includes(needle.toLowerCase()));
+    const condition = params.get('query.cond');
+    const intervention = params.get('query.intr');
+    const statuses = params.get('filter.overallStatus')?.split(',');
+    const ids = params.get('filter.ids')?.split(',');
+    const phases = params.get('filter.advanced')?.match(/AREA\[Phase\]\(?([^)]*)\)?/)?.[1].split(/\s+OR\s+/);
+
+    const matches = studies.filter(study =>
+      (!condition || contains([study.title, ...study.conditions, ...study.meshTerms], condition))
+      && (!intervention || contains(study.interventions.map(i => i.name), intervention))
+      && (!statuses || statuses.includes(study.status))
+      && (!ids || ids.includes(study.nctId))
+      && (!phases || study.phases.some(phase => phases.includes(phase))));
+
+    const pageSize = Number(params.get('pageSize') || 10);
+    const offset = Number(params.get('pageToken') || 0);
+    const page = matches.slice(offset, offset + pageSize);
+
+    return {
+      studies: page.map(toV2Study),
+      ...(offset + pageSize < matches.length ? { nextPageToken: String(offset + pageSize) } : {}),
+      ...(params.get('countTotal') === 'true' ? { totalCount: matches.length } : {}),
+    };
+  }
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname + url.search);
+    const [, nctId] = url.pathname.match(/\/studies\/(NCT\d{8})$/) || [];
+    const study = nctId && studies.find(s => s.nctId === nctId);
+
+    if (/\/studies$/.test(url.pathname)) {
+      send(res, 200, search(url.searchParams));
+    } else if (study) {
+      send(res, 200, toV2Study(study));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`Not found: ${url.pathname}`);
+    }
+  });
+  server.requests = requests;
+  return server;
+}
+
+// Helper: Expand a sample study into the v2 API's record shape
+function toV2Study(study) {
+  return {
+    protocolSection: {
+      identificationModule: { nctId: study.nctId, briefTitle: study.title },
+      statusModule: {
+        overallStatus: study.status,
+        startDateStruct: { date: study.startDate },
+        primaryCompletionDateStruct: { date: study.completionDate },
+      },
+      sponsorCollaboratorsModule: { leadSponsor: { name: study.sponsor } },
+      conditionsModule: { conditions: study.conditions },
+      designModule: {
+        studyType: study.studyType,
+        phases: study.phases,
+        enrollmentInfo: { count: study.enrollment },
+      },
+      armsInterventionsModule: { interventions: study.interventions },
+      contactsLocationsModule: { locations: study.countries.map(country => ({ country })) },
+      referencesModule: { references: study.references },
+    },
+    derivedSection: {
+      conditionBrowseModule: { meshes: study.meshTerms.map(term => ({ term })) },
+    },
+    hasResults: study.references.some(r => r.type === 'RESULT'),
+  };
+}
+
+function send(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Start server
+async function main() {
+  const args = process.argv.slice(2);
+  const argValue = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  const port = Number(argValue('--port') || process.env.PORT || 8090);
+  const host = argValue('--host') || '127.0.0.1';
+  const studies = argValue('--studies') ? JSON.parse(await readFile(argValue('--studies'), 'utf8')) : SAMPLE_STUDIES;
+
+  const server = createTrialsStubServer(studies);
+  server.listen(port, host, () => {
+    const url = `http://${host}:${server.address().port}/api/v2`;
+    console.log(`Stand-in ClinicalTrials.gov (${studies.length} studies) on ${url}`);
+    console.log(`Use it with: CLINICALTRIALS_BASE_URL=${url}`);
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
+
+export default {
+  SAMPLE_STUDIES,
+  createTrialsStubServer,
+};
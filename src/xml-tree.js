@@ -0,0 +1,141 @@
+/**
+ * XML Element Trees
+ *
+ * Minimal SAX-backed element trees for the NCBI XML formats (PubMed, JATS).
+ * A collector only materializes the elements it is asked for, so documents
+ * can be streamed one record at a time.
+ *
+ * Node shape: { name, attrs, children: (node|string)[] }
+ */
+
+import { SaxesParser } from 'saxes';
+
+/**
+ * Create an incremental collector for top-level occurrences of an element
+ * @param {string} elementName - Element to collect (nested occurrences stay inside their parent)
+ * @param {Function} onElement - Called with each completed element node
+ * @param {string} label - Format name used in error messages (default: 'XML')
+ * @returns {object} Collector with `write(chunk)` and `close()`
+ */
+export function createElementCollector(elementName, onElement, label = 'XML') {
+  const sax = new SaxesParser();
+  const stack = [];
+  let error = null;
+
+  sax.on('opentag', tag => {
+    if (!stack.length && tag.name !== elementName) return;
+    const node = { name: tag.name, attrs: tag.attributes, children: [] };
+    stack.at(-1)?.children.push(node);
+    stack.push(node);
+  });
+
+  sax.on('text', text => {
+    if (stack.length) stack.at(-1).children.push(text);
+  });
+
+  sax.on('cdata', text => {
+    if (stack.length) stack.at(-1).children.push(text);
+  });
+
+  sax.on('closetag', () => {
+    if (!stack.length) return;
+    const node = stack.pop();
+    if (!stack.length) onElement(node);
+  });
+
+  sax.on('error', err => {
+    error = err;
+  });
+
+  function check() {
+    if (error) {
+      const err = error;
+      error = null;
+      throw new Error(`${label} parse error: ${err.message}`);
+    }
+  }
+
+  return {
+    write(chunk) {
+      sax.write(chunk);
+      check();
+    },
+    close() {
+      sax.close();
+      check();
+    },
+  };
+}
+
+/**
+ * Collect every top-level occurrence of an element from a complete XML string
+ * @param {string} xml - XML document
+ * @param {string} elementName - Element to collect
+ * @param {string} label - Format name used in error messages
+ * @returns {object[]} Element nodes
+ */
+export function collectElements(xml, elementName, label) {
+  const nodes = [];
+  const collector = createElementCollector(elementName, node => nodes.push(node), label);
+  collector.write(xml);
+  collector.close();
+  return nodes;
+}
+
+// Tree navigation: only direct children are matched, never descendants
+
+export function child(node, name) {
+  return node?.children.find(c => typeof c === 'object' && c.name === name) || null;
+}
+
+export function children(node, name) {
+  return node ? node.children.filter(c => typeof c === 'object' && c.name === name) : [];
+}
+
+export function path(node, ...names) {
+  return names.reduce((current, name) => child(current, name), node);
+}
+
+/**
+ * Find descendants by name, depth-first in document order
+ * @param {object} node - Element node
+ * @param {string} name - Element name
+ * @returns {object[]} Matching descendants (not descending into matches)
+ */
+export function descendants(node, name) {
+  if (!node) return [];
+  return node.children.flatMap(c => {
+    if (typeof c !== 'object') return [];
+    return c.name === name ? [c] : descendants(c, name);
+  });
+}
+
+/**
+ * Concatenated text content (including inline markup such as <i> or <sup>), whitespace-normalized
+ * @param {object} node - Element node
+ * @param {string[]} skip - Element names whose content is left out
+ * @returns {string} Text content
+ */
+export function text(node, skip = []) {
+  if (!node) return '';
+  return collectText(node, skip).replace(/\s+/g, ' ').trim();
+}
+
+function collectText(node, skip) {
+  return node.children
+    .map(c => {
+      if (typeof c === 'string') return c;
+      return skip.includes(c.name) ? '' : collectText(c, skip);
+    })
+    .join('');
+}
+
+export default {
+  createElementCollector,
+  collectElements,
+  child,
+  children,
+  path,
+  descendants,
+  text,
+};
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { categorizeAbstractLabel, abstractFindings, extractPico, formatEffect, formatPico } from '../src/abstract-analysis.js';
+
+test('labels map onto NLM categories', () => {
+  assert.equal(categorizeAbstractLabel('AIMS'), 'OBJECTIVE');
+  assert.equal(categorizeAbstractLabel('Patients and methods'), 'METHODS');
+  assert.equal(categorizeAbstractLabel('INTERPRETATION'), 'CONCLUSIONS');
+  assert.equal(categorizeAbstractLabel('FUNDING'), 'UNASSIGNED');
+  assert.equal(categorizeAbstractLabel(''), '');
+});
+
+test('findings prefer conclusions and results over background', () => {
+  const article = {
+    abstractSections: [
+      { label: 'BACKGROUND', nlmCategory: 'BACKGROUND', text: 'Asthma is common.' },
+      { label: 'RESULTS', nlmCategory: 'RESULTS', text: 'Exacerbations fell by a third. Adherence was high.' },
+      { label: 'CONCLUSIONS', nlmCategory: 'CONCLUSIONS', text: 'The inhaler reduces exacerbations.' },
+    ],
+  };
+  assert.deepEqual(abstractFindings(article), ['The inhaler reduces exacerbations.', 'Exacerbations fell by a third.']);
+  assert.deepEqual(
+    abstractFindings({ abstract: 'MEN1 is rare. Screening was associated with earlier detection. More work is planned.' }, 1),
+    ['Screening was associated with earlier detection.'],
+  );
+});
+
+test('extractPico reads arms, sample size and effects', () => {
+  const pico = extractPico({
+    title: 'Denosumab versus alendronate in postmenopausal osteoporosis',
+    abstract: 'We randomized 1,204 postmenopausal women with osteoporosis to denosumab or alendronate. '
+      + 'The primary outcome was new vertebral fracture. '
+      + 'Fracture risk was lower with denosumab (adjusted odds ratio [aOR], 0·62; 95% CI, 0·48 to 0·81; P < .001). '
+      + 'Mortality did not differ (HR 1.02 [0.85-1.22]).',
+  });
+
+  assert.equal(pico.population, '1,204 postmenopausal women with osteoporosis');
+  assert.equal(pico.intervention, 'denosumab');
+  assert.equal(pico.comparison, 'alendronate');
+  assert.equal(pico.outcome, 'new vertebral fracture');
+  assert.equal(pico.sampleSize, 1204);
+  assert.deepEqual(pico.effects.map(formatEffect), ['OR 0.62 (95% CI 0.48 to 0.81; P < 0.001)', 'HR 1.02 (CI 0.85 to 1.22)']);
+  assert.match(pico.effects[0].text, /^adjusted odds ratio/);
+});
+
+test('sample size skips a year that opens a clause and prefers explicit counts', () => {
+  const pico = extractPico({ title: 'A cohort', abstract: 'In 2019, 45 patients were analysed.' });
+  assert.equal(pico.sampleSize, 45);
+  assert.deepEqual(formatPico(pico), ['Population: 45 patients']);
+
+  // "n=" beats a larger generic "N people" count
+  const explicit = extractPico({ title: 'A trial', abstract: 'Of 2,310 patients screened, we randomized 240 (n=240).' });
+  assert.equal(explicit.sampleSize, 240);
+});
+
+test('an abstract without trial language gives empty fields, and "or" is not an odds ratio', () => {
+  const pico = extractPico({ title: 'A case', abstract: 'Tumours of the parathyroid or pituitary were seen.' });
+  assert.equal(pico.intervention, null);
+  assert.equal(pico.comparison, null);
+  assert.deepEqual(pico.effects, []);
+});
+
+test('p-values at the end of a sentence are read', () => {
+  const pico = extractPico({
+    title: 'A trial',
+    abstract: 'Survival improved, p<0.001. Relapse fell (HR 0.5 (95% CI 1.2-3.4), p = 0.01. P = 0.04. Next sentence.',
+  });
+  assert.deepEqual(pico.pValues.map(p => `${p.operator} ${p.value}`), ['< 0.001', '= 0.01', '= 0.04']);
+});
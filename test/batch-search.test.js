@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import {
+  parseBatchInput,
+  runBatch,
+  formatBatchRow,
+  batchCsvHeader,
+  loadBatchProgress,
+  pruneBatchOutput,
+} from '../src/batch-search.js';
+import { startStub } from './helpers.js';
+
+let stub;
+let dir;
+before(async () => {
+  stub = await startStub();
+  dir = await mkdtemp(join(tmpdir(), 'batch-test-'));
+});
+after(async () => {
+  await stub.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('parseBatchInput skips comments and repeats, and marks queries', () => {
+  const items = parseBatchInput('MEN1\n# note\n\nquery: MEN1[tiab]\nMEN1\n');
+  assert.deepEqual(items, [
+    { input: 'MEN1', type: 'disease', text: 'MEN1' },
+    { input: 'query: MEN1[tiab]', type: 'query', text: 'MEN1[tiab]' },
+  ]);
+  assert.equal(parseBatchInput('asthma', { queries: true })[0].type, 'query');
+});
+
+test('CSV rows quote commas, quotes and line breaks', () => {
+  const line = formatBatchRow({ input: 'a, b', title: 'The "MEN1"\ngene', authors: ['X', 'Y'] }, 'csv');
+  assert.ok(line.startsWith('"a, b",'));
+  assert.ok(line.includes('"The ""MEN1"" gene"'));
+  assert.ok(line.includes(',X; Y,'));
+  assert.throws(() => formatBatchRow({}, 'xml'), /Unknown batch format/);
+});
+
+test('runBatch reports each item once and keeps going after a failure', async () => {
+  const items = parseBatchInput('MEN1\nquery: ((broken\nquery: MEN1[tiab] AND surgery');
+  const reported = [];
+  const summaries = await runBatch(items, {
+    concurrency: 2,
+    maxResults: 2,
+    onItem: ({ rows, summary }) => reported.push([summary.input, summary.status, rows.length]),
+  });
+
+  assert.equal(summaries.length, 3);
+  assert.deepEqual(reported.sort(), [
+    ['MEN1', 'ok', 2],
+    ['query: ((broken', 'failed', 0],
+    ['query: MEN1[tiab] AND surgery', 'ok', 1],
+  ]);
+  await assert.rejects(runBatch(items, { concurrency: 0 }), /concurrency/);
+});
+
+test('pruneBatchOutput keeps only the rows of finished inputs', async () => {
+  const output = join(dir, 'out.csv');
+  const progressFile = join(dir, 'out.csv.progress.jsonl');
+  await writeFile(output, `${batchCsvHeader()}\n"a, b",disease\nc,disease\n"a, b",dis`);
+  await writeFile(progressFile, '{"input":"a, b","status":"ok"}\n{"input":"c","status":"fail');
+
+  const progress = await loadBatchProgress(progressFile);
+  assert.deepEqual([...progress.keys()], ['a, b']);
+  assert.equal(await pruneBatchOutput(output, 'csv', new Set(progress.keys())), 2);
+  assert.equal(await readFile(output, 'utf8'), `${batchCsvHeader()}\n"a, b",disease\n`);
+});
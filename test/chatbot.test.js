@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub, startTrialsStub } from './helpers.js';
+import { answerQuestion } from '../src/chatbot.js';
+import { createMockProvider } from '../src/llm-providers.js';
+import { createSession } from '../src/conversation-session.js';
+
+let stub;
+let trialsStub;
+before(async () => {
+  stub = await startStub();
+  trialsStub = await startTrialsStub();
+});
+after(async () => {
+  await trialsStub.close();
+  await stub.close();
+});
+
+const quiet = { onProgress: () => {} };
+
+test('extractive answer cites the retrieved articles', async () => {
+  const result = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null });
+  assert.equal(result.topic, 'MEN1');
+  assert.ok(result.intents.includes('therapy'));
+  assert.ok(result.sources.length > 0);
+  assert.equal(result.synthesis.method, 'extractive');
+  for (const source of result.sources) assert.match(source.pmid, /^9000000\d$/);
+  // Findings come from RESULTS/CONCLUSIONS, not the opening background or methods
+  assert.match(result.answer, /• Lanreotide delays progression/);
+  assert.doesNotMatch(result.answer, /• A total of 120 adults/);
+});
+
+test('LLM answer is grounded in the retrieved PMIDs', async () => {
+  const provider = createMockProvider();
+  const result = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider });
+  assert.equal(result.synthesis.method, 'llm');
+  assert.equal(provider.calls.length, 1);
+  assert.match(provider.calls[0].prompt, /PASSAGES FROM PUBMED ARTICLES/);
+  assert.ok(result.grounding);
+});
+
+test('full text passages come from PMC', async () => {
+  const result = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null, fullText: true });
+  assert.ok(result.passages.length > 0);
+});
+
+test('ongoing trials are appended to the answer on request', async () => {
+  const result = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null, trials: true });
+  assert.deepEqual(result.trials.map(t => t.nctId), ['NCT90000011', 'NCT90000012']);
+  assert.match(result.answer, /\*\*Ongoing trials \(ClinicalTrials\.gov\):\*\*\n- \*\*Everolimus/);
+
+  const without = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null });
+  assert.equal(without.trials, null);
+});
+
+test('follow-ups keep the conversation topic', async () => {
+  const session = createSession();
+  await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null, session });
+  const followUp = await answerQuestion('How is it diagnosed?', { ...quiet, provider: null, session });
+  assert.equal(followUp.topic, 'MEN1');
+  assert.equal(followUp.followUp, true);
+});
+
+test('the streamed answer is a prefix of the answer, even after leading whitespace', async () => {
+  let streamed = '';
+  const provider = createMockProvider({ response: '\n\n  MEN1 is treated surgically [PMID: 90000001].\n', chunkSize: 1 });
+  const result = await answerQuestion('What is the treatment for MEN1?', { ...quiet, provider, onToken: chunk => { streamed += chunk; } });
+  assert.equal(streamed.trimEnd(), 'MEN1 is treated surgically [PMID: 90000001].');
+  assert.ok(result.answer.startsWith(streamed.trimEnd()));
+  assert.match(result.answer.slice(streamed.trimEnd().length), /^\n\n\*\*Sources:\*\*\n1\. /);
+});
+
+test('an unknown citation style fails before the search', async () => {
+  const before = stub.server.requests.length;
+  await assert.rejects(
+    answerQuestion('What is the treatment for MEN1?', { ...quiet, provider: null, citationStyle: 'harvard' }),
+    /Unknown citation style: harvard/,
+  );
+  assert.equal(stub.server.requests.length, before);
+});
+
+test('emergencies get the policy message without a search', async () => {
+  const before = stub.server.requests.length;
+  const provider = createMockProvider();
+  const result = await answerQuestion('I have crushing chest pain right now, what should I take?', { ...quiet, provider });
+  assert.match(result.answer, /medical emergency/);
+  assert.deepEqual(result.sources, []);
+  assert.equal(result.guardrails.action, 'respond');
+  assert.deepEqual(result.guardrails.decisions.map(d => d.category), ['emergency', 'personal-dosing']);
+  assert.equal(stub.server.requests.length, before);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('identifiers never reach PubMed, the prompt or the session', async () => {
+  const session = createSession();
+  const provider = createMockProvider();
+  const question = 'My son, Jake, has MEN1 (MRN 77812345). Should we give him lanreotide? What is the treatment for MEN1?';
+  const result = await answerQuestion(question, {
+    ...quiet,
+    provider,
+    session,
+  });
+  assert.equal(result.guardrails.action, 'caution');
+  assert.deepEqual(result.guardrails.redactions, [{ type: 'mrn', count: 1 }, { type: 'name', count: 1 }]);
+  assert.match(result.answer, /^⚠️ This assistant cannot recommend a dose/);
+  assert.match(provider.calls[0].prompt, /do not recommend a dose/);
+
+  const seen = [...stub.server.requests, provider.calls[0].prompt, JSON.stringify(session)].join('\n');
+  assert.doesNotMatch(seen, /Jake|77812345/);
+});
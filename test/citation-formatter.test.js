@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatCitation, formatCitations } from '../src/citation-formatter.js';
+
+const article = (pmid, title, authors = ['Smith John']) => ({
+  pmid,
+  title,
+  authors,
+  journal: 'J Endocrinol',
+  pubDate: '2020 Mar',
+});
+
+test('BibTeX escapes braces, backslashes and tildes', () => {
+  const entry = formatCitation(article('1', 'Menin {MEN1} loss in C:\\data ~ 50% of cases_', ['O{Brien Pat']), 'bibtex');
+  assert.match(entry, /title = \{\{Menin \\\{MEN1\\\} loss in C:\\textbackslash\{\}data \\textasciitilde\{\} 50\\% of cases\\_\}\}/);
+  assert.match(entry, /author = \{O\\\{Brien, Pat\}/);
+
+  // Every brace that is not escaped is balanced
+  const depth = [...entry.replace(/\\[{}]/g, '')].reduce((d, c) => d + (c === '{') - (c === '}'), 0);
+  assert.equal(depth, 0);
+});
+
+test('BibTeX keys are unique within a file', () => {
+  const bib = formatCitations([
+    article('1', 'Menin and parathyroid tumours'),
+    article('2', 'Menin in pancreatic tumours'),
+    article('3', 'Lanreotide in MEN1'),
+  ], 'bibtex');
+  const keys = [...bib.matchAll(/@article\{([^,]+),/g)].map(m => m[1]);
+  assert.deepEqual(keys, ['smith2020menina', 'smith2020meninb', 'smith2020lanreotide']);
+});
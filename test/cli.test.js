@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { startStub, startTrialsStub } from './helpers.js';
+
+const run = promisify(execFile);
+const CLI = new URL('../src/cli-search.js', import.meta.url).pathname;
+
+let stub;
+let trialsStub;
+let home;
+before(async () => {
+  stub = await startStub();
+  trialsStub = await startTrialsStub();
+  home = await mkdtemp(join(tmpdir(), 'cli-test-'));
+});
+after(async () => {
+  await stub.close();
+  await trialsStub.close();
+  await rm(home, { recursive: true, force: true });
+});
+
+function cli(...args) {
+  return run(process.execPath, [CLI, ...args], {
+    env: {
+      ...process.env,
+      EUTILS_BASE_URL: stub.baseUrl,
+      CLINICALTRIALS_BASE_URL: trialsStub.baseUrl,
+      PUBMED_CACHE: 'off',
+      PUBMED_WATCH_FILE: join(home, 'watches.json'),
+    },
+    timeout: 30000,
+  });
+}
+
+test('search --json prints the resolved query and articles', async () => {
+  const { stdout } = await cli('MEN1', '--json', '--max', '3');
+  const result = JSON.parse(stdout);
+  assert.equal(result.mesh.ui, 'D018761');
+  assert.ok(result.articles.length > 0 && result.articles.length <= 3);
+  assert.ok(result.articles.every(a => a.pmid.startsWith('9000000')));
+  assert.ok(result.articles.every(a => 'pico' in a));
+});
+
+test('filter flags narrow the search', async () => {
+  const { stdout } = await cli('Wermer Syndrome', '--type', 'review', '--json');
+  const result = JSON.parse(stdout);
+  assert.deepEqual(result.articles.map(a => a.pmid), ['90000004']);
+});
+
+test('--trials adds registered studies linked to the articles', async () => {
+  const { stdout } = await cli('MEN1', '--trials', '--trial-status', 'all', '--phase', '3', '--json');
+  const { trials } = JSON.parse(stdout);
+  assert.equal(trials.condition, 'Multiple Endocrine Neoplasia Type 1');
+  assert.deepEqual(trials.trials.map(t => [t.nctId, t.pmids]), [['NCT90000002', ['90000002']]]);
+});
+
+test('invalid filters fail with a message', async () => {
+  await assert.rejects(cli('MEN1', '--age', 'toddler'), error => /Unknown age group/.test(error.stderr));
+});
+
+test('watch add, run and list', async () => {
+  await cli('watch', 'add', 'men1', 'MEN1', '--lookback', '36500');
+  const first = JSON.parse((await cli('watch', 'run', '--format', 'json')).stdout);
+  assert.ok(first[0].articles.length > 0);
+
+  const second = JSON.parse((await cli('watch', 'run', '--format', 'json')).stdout);
+  assert.equal(second[0].articles.length, 0);
+
+  const list = JSON.parse((await cli('watch', 'list', '--json')).stdout);
+  assert.equal(list[0].name, 'men1');
+});
+
+test('flags may come before the disease name, and unknown flags are rejected', async () => {
+  const { stdout } = await cli('--max', '2', '--json', 'MEN1');
+  assert.equal(JSON.parse(stdout).articles.length, 2);
+  await assert.rejects(cli('MEN1', '--maxx', '2'), error => /Unknown option '--maxx'/.test(error.stderr));
+});
+
+test('batch writes CSV rows and resumes without repeating finished inputs', async () => {
+  const input = join(home, 'diseases.txt');
+  const output = join(home, 'pull.csv');
+  await writeFile(input, 'MEN1\nquery: ((broken\n');
+
+  await assert.rejects(cli('batch', input, '--output', output, '--max', '2'), error => error.code === 1);
+  let lines = (await readFile(output, 'utf8')).trim().split('\n');
+  assert.match(lines[0], /^input,type,query,rank,pmid,/);
+  assert.equal(lines.length, 3);
+
+  await assert.rejects(cli('batch', input, '--output', output), error => /--resume/.test(error.stderr));
+
+  await writeFile(input, 'MEN1\nquery: MEN1[tiab] AND surgery\n');
+  await cli('batch', input, '--output', output, '--max', '2', '--resume');
+  lines = (await readFile(output, 'utf8')).trim().split('\n');
+  assert.deepEqual(lines.slice(1).map(line => line.split(',')[0]), ['MEN1', 'MEN1', 'query: MEN1[tiab] AND surgery']);
+});
+
+test('stats prints a timeline chart and tables', async () => {
+  const { stdout } = await cli('stats', 'MEN1', '--since', '2019', '--until', '2023', '--top', '3');
+  assert.match(stdout, /^2022  │█+ 1$/m);
+  assert.match(stdout, /Top journals/);
+  assert.match(stdout, /Co-occurring MeSH descriptors/);
+});
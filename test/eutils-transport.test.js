@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { startStub } from './helpers.js';
+import { createTransport, fixtureRequest } from '../src/eutils-transport.js';
+import { configureTransport } from '../src/eutils.js';
+import { searchPubMed, fetchDetails } from '../src/pubmed-client.js';
+
+let fixturesDir;
+before(async () => { fixturesDir = await mkdtemp(join(tmpdir(), 'eutils-fixtures-')); });
+after(async () => {
+  configureTransport({ mode: 'live' });
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+test('fixtureRequest ignores NCBI identification and parameter order', () => {
+  const a = fixtureRequest('https://example.org/eutils/esearch.fcgi?term=MEN1&db=pubmed&api_key=secret&tool=x');
+  const b = fixtureRequest('http://127.0.0.1:1/esearch.fcgi?db=pubmed&term=MEN1');
+  assert.equal(a, b);
+  assert.match(a, /^esearch\?/);
+});
+
+test('createTransport rejects unknown modes and missing fixture directories', () => {
+  assert.throws(() => createTransport({ mode: 'playback' }), /Unknown transport mode/);
+  assert.throws(() => createTransport({ mode: 'replay' }), /needs a fixtures directory/);
+});
+
+test('recorded responses replay with the server gone', async () => {
+  const stub = await startStub();
+  configureTransport({ mode: 'record', fixturesDir });
+  const live = await searchPubMed('MEN1 AND genetics[sh]');
+  const liveArticles = await fetchDetails(live.pmids);
+  await stub.close();
+
+  assert.ok((await readdir(fixturesDir)).length >= 2);
+
+  configureTransport({ baseUrl: 'http://127.0.0.1:9', mode: 'replay', fixturesDir });
+  const replayed = await searchPubMed('MEN1 AND genetics[sh]');
+  assert.deepEqual(replayed.pmids, live.pmids);
+  assert.deepEqual(await fetchDetails(replayed.pmids), liveArticles);
+
+  await assert.rejects(searchPubMed('never recorded'), /No recorded fixture/);
+});
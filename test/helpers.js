@@ -0,0 +1,54 @@
+/**
+ * Shared test setup: stand-in E-utilities and ClinicalTrials.gov servers on
+ * free ports, with the clients pointed at them and the on-disk cache off.
+ */
+
+import { createEutilsStubServer, SAMPLE_CORPUS } from '../src/eutils-stub-server.js';
+import { createTrialsStubServer, SAMPLE_STUDIES } from '../src/trials-stub-server.js';
+import { configureTransport, configureCache, DEFAULT_BASE_URL } from '../src/eutils.js';
+import { configureTrials, DEFAULT_TRIALS_BASE_URL } from '../src/trials-client.js';
+
+/**
+ * Start the stand-in server and route E-utilities requests to it
+ * @param {object} corpus - Corpus (default: SAMPLE_CORPUS)
+ * @returns {Promise<object>} { server, baseUrl, close }
+ */
+export async function startStub(corpus = SAMPLE_CORPUS) {
+  const server = createEutilsStubServer(corpus);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  configureTransport({ baseUrl, mode: 'live', requestsPerSecond: 1000 });
+  configureCache({ enabled: false });
+
+  return {
+    server,
+    baseUrl,
+    async close() {
+      configureTransport({ baseUrl: DEFAULT_BASE_URL });
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Start the stand-in ClinicalTrials.gov server and route trial searches to it
+ * @param {object[]} studies - Studies (default: SAMPLE_STUDIES)
+ * @returns {Promise<object>} { server, baseUrl, close }
+ */
+export async function startTrialsStub(studies = SAMPLE_STUDIES) {
+  const server = createTrialsStubServer(studies);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/v2`;
+
+  configureTrials({ baseUrl, requestsPerSecond: 1000 });
+
+  return {
+    server,
+    baseUrl,
+    async close() {
+      configureTrials({ baseUrl: DEFAULT_TRIALS_BASE_URL });
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub } from './helpers.js';
+import { createApiServer } from '../src/http-server.js';
+
+let stub;
+let api;
+let apiUrl;
+before(async () => {
+  stub = await startStub();
+  api = createApiServer({ provider: null });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${api.address().port}`;
+});
+after(async () => {
+  await new Promise(resolve => api.close(resolve));
+  await stub.close();
+});
+
+test('articles are served by PMID', async () => {
+  const response = await fetch(`${apiUrl}/articles/90000002`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).pmid, '90000002');
+});
+
+test('malformed percent-encoding in the path is a 400', async () => {
+  const response = await fetch(`${apiUrl}/articles/%E0`);
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Malformed path', status: 400 });
+});
+
+test('a session answers one chat at a time', async () => {
+  // Holds the first answer until the second request has been turned away
+  let started;
+  let release;
+  const inStream = new Promise(resolve => { started = resolve; });
+  const held = new Promise(resolve => { release = resolve; });
+  const provider = {
+    name: 'held',
+    model: 'held',
+    async *stream() {
+      started();
+      await held;
+      yield 'MEN1 is treated surgically [PMID: 90000001].';
+    },
+  };
+  const slow = createApiServer({ provider });
+  await new Promise(resolve => slow.listen(0, '127.0.0.1', resolve));
+  const chat = () => fetch(`http://127.0.0.1:${slow.address().port}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ question: 'What is the treatment for MEN1?', sessionId: 'busy', stream: false }),
+  });
+
+  try {
+    const first = chat();
+    await inStream;
+    const second = await chat();
+    assert.equal(second.status, 409);
+    assert.match((await second.json()).error, /Session busy is still answering/);
+
+    release();
+    assert.equal((await first).status, 200);
+    // Free again once the first answer is done
+    assert.equal((await chat()).status, 200);
+  } finally {
+    release();
+    await new Promise(resolve => slow.close(resolve));
+  }
+});
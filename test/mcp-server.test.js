@@ -0,0 +1,98 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+import { startStub, startTrialsStub } from './helpers.js';
+import { createMcpServer } from '../src/mcp-server.js';
+
+let stub;
+let trialsStub;
+let client;
+before(async () => {
+  stub = await startStub();
+  trialsStub = await startTrialsStub();
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await createMcpServer().connect(serverTransport);
+  client = new Client({ name: 'test-client', version: '0.0.0' });
+  await client.connect(clientTransport);
+});
+after(async () => {
+  await client.close();
+  await trialsStub.close();
+  await stub.close();
+});
+
+async function callJson(name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  assert.ok(!result.isError, result.content[0].text);
+  return JSON.parse(result.content[0].text);
+}
+
+test('lists the PubMed tools', async () => {
+  const { tools } = await client.listTools();
+  const names = tools.map(t => t.name);
+  for (const name of ['search_disease', 'search_pubmed', 'get_article', 'get_full_text', 'build_mesh_query']) {
+    assert.ok(names.includes(name), name);
+  }
+});
+
+test('search_disease applies typed filters', async () => {
+  const result = await callJson('search_disease', { disease: 'MEN1', filters: { articleTypes: ['rct'] } });
+  assert.deepEqual(result.articles.map(a => a.pmid), ['90000002']);
+});
+
+test('search_pubmed runs a raw query', async () => {
+  const result = await callJson('search_pubmed', { query: 'MEN1 AND genetics[sh]' });
+  assert.deepEqual(result.articles.map(a => a.pmid).sort(), ['90000003', '90000004']);
+});
+
+test('get_article returns one record with its PICO fields', async () => {
+  const article = await callJson('get_article', { pmid: '90000002' });
+  assert.equal(article.pmid, '90000002');
+  assert.equal(article.pico.sampleSize, 120);
+  assert.equal(article.pico.outcome, 'progression-free survival');
+});
+
+test('invalid arguments come back as tool errors', async () => {
+  const result = await client.callTool({ name: 'search_disease', arguments: { disease: 'MEN1', filters: { ages: ['toddler'] } } });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /Unknown age group/);
+});
+
+test('article resources render Markdown', async () => {
+  const { contents } = await client.readResource({ uri: 'pubmed://article/90000002' });
+  assert.equal(contents[0].mimeType, 'text/markdown');
+  assert.match(contents[0].text, /Somatostatin analogues/);
+});
+
+test('search resources reject malformed queries before searching', async () => {
+  const before = stub.server.requests.length;
+  await assert.rejects(
+    client.readResource({ uri: `pubmed://search/${encodeURIComponent('MEN1 AND (therapy')}` }),
+    /Invalid query in pubmed:\/\/search/,
+  );
+  assert.equal(stub.server.requests.length, before);
+});
+
+test('prompts embed the retrieved articles', async () => {
+  const { messages } = await client.getPrompt({ name: 'summarize_evidence', arguments: { disease: 'MEN1' } });
+  assert.ok(messages.some(m => m.content.type === 'resource'));
+});
+
+test('search_trials lists ongoing trials with their publications', async () => {
+  const result = await callJson('search_trials', { disease: 'MEN1' });
+  assert.deepEqual(result.trials.map(t => t.nctId), ['NCT90000011', 'NCT90000012']);
+
+  const completed = await callJson('search_trials', { disease: 'MEN1', status: ['completed'], phase: ['3'] });
+  assert.deepEqual(completed.trials[0].pmids, ['90000002']);
+  assert.equal(completed.publications[0].pmid, '90000002');
+});
+
+test('disease_trends counts articles per year and profiles a sample', async () => {
+  const result = await callJson('disease_trends', { disease: 'MEN1', fromYear: 2018, toYear: 2023, top: 3 });
+  assert.deepEqual(result.timeline.map(point => point.count), [0, 1, 1, 1, 1, 1]);
+  assert.equal(result.totalResults, 5);
+  assert.equal(result.sample.size, 5);
+  assert.ok(result.meshTerms.length <= 3);
+});
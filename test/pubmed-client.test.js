@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub } from './helpers.js';
+import { searchPubMed, fetchDetails, fetchSummaries, searchByDisease } from '../src/pubmed-client.js';
+import { resolveMeshTerm } from '../src/mesh-client.js';
+import { findSimilarArticles, findCitingArticles, findReferences } from '../src/link-client.js';
+import { getFullText } from '../src/pmc-client.js';
+
+let stub;
+before(async () => { stub = await startStub(); });
+after(() => stub.close());
+
+test('searchPubMed matches field-tagged queries', async () => {
+  const result = await searchPubMed('"Multiple Endocrine Neoplasia Type 1"[MeSH Terms] AND therapy[sh]');
+  assert.equal(result.count, 3);
+  assert.deepEqual([...result.pmids].sort(), ['90000001', '90000002', '90000005']);
+});
+
+test('searchPubMed sorts by publication date and limits by entry date', async () => {
+  const result = await searchPubMed('MEN1', { sort: 'pub_date', dateType: 'edat', minDate: '2021/01/01', maxDate: '2023/12/31' });
+  assert.deepEqual(result.pmids, ['90000001', '90000002', '90000004']);
+});
+
+test('fetchDetails parses the efetch XML', async () => {
+  const [article] = await fetchDetails(['90000002']);
+  assert.equal(article.pmid, '90000002');
+  assert.match(article.title, /Somatostatin analogues/);
+  assert.match(article.abstract, /hazard ratio 0\.45/);
+  assert.ok(article.publicationTypes.includes('Randomized Controlled Trial'));
+  assert.ok(article.meshTerms.length > 0);
+  assert.deepEqual(article.abstractSections.map(s => s.nlmCategory), ['METHODS', 'RESULTS', 'CONCLUSIONS']);
+  assert.equal(article.pico.intervention, 'lanreotide');
+  assert.equal(article.pico.effects[0].measure, 'HR');
+});
+
+test('section categories are inferred from labels when the record has none', async () => {
+  const [article] = await fetchDetails(['90000001']);
+  assert.deepEqual(article.abstractSections.map(s => s.nlmCategory), ['BACKGROUND', 'CONCLUSIONS']);
+});
+
+test('fetchSummaries reads esummary records', async () => {
+  const [summary] = await fetchSummaries(['90000001']);
+  assert.equal(summary.pmid, '90000001');
+  assert.match(summary.title, /Clinical practice guideline/);
+});
+
+test('resolveMeshTerm finds a descriptor by entry term', async () => {
+  const descriptor = await resolveMeshTerm('Wermer Syndrome');
+  assert.equal(descriptor.ui, 'D018761');
+  assert.equal(descriptor.matchedBy, 'entry-term');
+});
+
+test('searchByDisease resolves MeSH and applies filters', async () => {
+  const result = await searchByDisease('MEN1', { maxResults: 5, filters: { articleTypes: ['rct'], humans: true } });
+  assert.equal(result.mesh.ui, 'D018761');
+  assert.match(result.query, /"Randomized Controlled Trial"\[Publication Type\]/);
+  assert.deepEqual(result.articles.map(a => a.pmid), ['90000002']);
+});
+
+test('ranked pages are slices of fixed candidate windows', async () => {
+  const options = { maxResults: 2, overfetch: 2, includeSubheadings: false };
+  const pages = [];
+  for (let page = 1; page <= 3; page++) pages.push(await searchByDisease('MEN1', { ...options, page }));
+
+  // Pages 1-2 rank the first window of 4, page 3 starts the next; nothing is skipped or repeated
+  assert.deepEqual(pages.map(p => p.ranking.window.offset), [0, 0, 4]);
+  assert.deepEqual(pages.map(p => p.offset), [0, 2, 4]);
+  const pmids = pages.flatMap(p => p.articles.map(a => a.pmid));
+  assert.equal(pmids.length, pages[0].totalResults);
+  assert.equal(new Set(pmids).size, pmids.length);
+  assert.deepEqual(pages.map(p => p.hasMore), [true, true, false]);
+});
+
+test('link lookups follow similarity, citations and references', async () => {
+  const citing = await findCitingArticles('90000003');
+  assert.deepEqual(citing.articles.map(a => a.pmid).sort(), ['90000001', '90000002', '90000004']);
+
+  const references = await findReferences('90000001');
+  assert.deepEqual(references.articles.map(a => a.pmid).sort(), ['90000003', '90000004']);
+
+  const similar = await findSimilarArticles('90000002');
+  assert.ok(similar.articles.length > 0);
+  assert.ok(!similar.articles.some(a => a.pmid === '90000002'));
+});
+
+test('getFullText links to PMC and parses the JATS body', async () => {
+  const doc = await getFullText('90000001');
+  assert.equal(doc.pmcid, 'PMC9000001');
+  assert.ok(doc.sections.some(s => /normocalcaemia/.test(s.text ?? JSON.stringify(s))));
+
+  const missing = await getFullText('90000003');
+  assert.equal(missing.available, false);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { createCache } from '../src/response-cache.js';
+
+test('invalidate counts only the entries it removed', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'pubmed-cache-'));
+  try {
+    const cache = createCache({ dir });
+    await cache.setMany('articles', [['90000001', { pmid: '90000001' }], ['90000002', { pmid: '90000002' }]]);
+
+    assert.equal(await cache.invalidate('articles', ['90000001', '90000002', '90000003']), 2);
+    assert.equal(await cache.get('articles', '90000001'), undefined);
+    assert.equal(await cache.invalidate('articles', ['90000001']), 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
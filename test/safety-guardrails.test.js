@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { redactPhi, detectCategories, screenQuestion, resolvePolicies } from '../src/safety-guardrails.js';
+
+const categories = question => detectCategories(question).map(d => d.category);
+
+test('identifiers are redacted and only counted', () => {
+  const { text, redactions } = redactPhi(
+    'My name is John Smith, DOB 03/14/1962, MRN: 00123456, call (555) 123-4567. My son, Jake, has MEN1.'
+  );
+  assert.equal(text, 'My name is [NAME], DOB [DOB], MRN: [MRN], call [PHONE]. My son, [NAME], has MEN1.');
+  assert.deepEqual(redactions, [
+    { type: 'mrn', count: 1 },
+    { type: 'dob', count: 1 },
+    { type: 'phone', count: 1 },
+    { type: 'name', count: 2 },
+  ]);
+  // Any case after "my name is"; self-introductions and "patient <Name>"
+  assert.equal(redactPhi('my name is jane doe and I have MEN1').text, 'my name is [NAME] and I have MEN1');
+  assert.equal(redactPhi('Patient John Smith, 45, has MEN1').text, 'Patient [NAME], 45, has MEN1');
+  assert.equal(redactPhi('I am Maria Lopez and I have MEN1').text, 'I am [NAME] and I have MEN1');
+  assert.equal(redactPhi("I'm Maria. What is MEN1?").text, "I'm [NAME]. What is MEN1?");
+  // Capitalized words that are not names stay, so the search still makes sense
+  for (const question of [
+    'I am Pregnant, is lanreotide safe?',
+    'I am Type 1 diabetic',
+    'My son Has MEN1',
+    'Patient Education materials for MEN1?',
+  ]) {
+    assert.equal(redactPhi(question).text, question);
+  }
+  // Eponyms, acronyms and PMIDs are not identifiers
+  assert.equal(redactPhi('Is Cushing disease common in MEN1 (PMID 90000002)?').redactions.length, 0);
+});
+
+test('red flags count only when they are happening to someone', () => {
+  assert.deepEqual(categories('I have crushing chest pain right now, what should I take?'), ['emergency', 'personal-dosing']);
+  assert.deepEqual(categories('My dad is having a seizure'), ['emergency']);
+  assert.deepEqual(categories('What causes chest pain in MEN1?'), []);
+  assert.deepEqual(categories('Someone with me is unconscious'), ['emergency']);
+  assert.equal(screenQuestion('my dad just collapsed and is not breathing what do i do').action, 'respond');
+  assert.equal(screenQuestion('My husband collapsed and is unresponsive').action, 'respond');
+  assert.deepEqual(categories('I have MEN1; what is my stroke risk?'), []);
+  assert.deepEqual(categories('What is currently the best treatment for stroke?'), []);
+  assert.deepEqual(categories('What treatments are currently used after a heart attack?'), []);
+  assert.deepEqual(categories('Do MEN1 patients get seizures when they are hypoglycemic?'), []);
+  assert.deepEqual(categories('My mother had a stroke last year, what helps recovery?'), []);
+});
+
+test('self-harm and personal advice are told apart from research questions', () => {
+  assert.deepEqual(categories("I've been feeling suicidal lately"), ['self-harm']);
+  assert.deepEqual(categories('Does isotretinoin cause suicidal thoughts?'), []);
+  assert.deepEqual(categories('How much lanreotide should I take?'), ['personal-dosing']);
+  assert.deepEqual(categories('Do I have MEN1? My calcium levels are high'), ['personal-diagnosis']);
+  assert.deepEqual(categories('Do I have to stay on treatment for life?'), []);
+});
+
+test('the strongest policy decides and policies can be overridden', () => {
+  const emergency = screenQuestion('I have crushing chest pain right now, what should I take?');
+  assert.equal(emergency.action, 'respond');
+  assert.equal(emergency.category, 'emergency');
+  assert.match(emergency.message, /emergency number/);
+
+  const dosing = screenQuestion('How much lanreotide should I take?');
+  assert.equal(dosing.action, 'caution');
+  assert.equal(dosing.instructions.length, 1);
+
+  const strict = screenQuestion('How much lanreotide should I take?', {
+    policies: { 'personal-dosing': { action: 'respond', message: 'Ask your pharmacist.' } },
+  });
+  assert.equal(strict.action, 'respond');
+  assert.equal(strict.message, 'Ask your pharmacist.');
+
+  assert.equal(screenQuestion('Call 555-123-4567', { redact: false }).question, 'Call 555-123-4567');
+  assert.throws(() => resolvePolicies({ emergency: { action: 'ignore' } }), /Invalid guardrail action for emergency/);
+  assert.throws(() => resolvePolicies({ pregnancy: {} }), /Unknown guardrail category: pregnancy/);
+});
@@ -0,0 +1,33 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub } from './helpers.js';
+import { addWatch, runWatch } from '../src/search-watcher.js';
+
+let stub;
+before(async () => { stub = await startStub(); });
+after(() => stub.close());
+
+test('a truncated run keeps its window so the next run reports the rest', async () => {
+  const store = { version: 1, watches: [] };
+  const watch = addWatch(store, { name: 'men1', query: 'MEN1', lookbackDays: 36500 });
+  const now = new Date('2026-01-01T00:00:00Z');
+
+  const first = await runWatch(watch, { maxResults: 2, now });
+  assert.equal(first.articles.length, 2);
+  assert.equal(first.truncated, true);
+  assert.equal(first.runAt, now.toISOString());
+
+  const second = await runWatch(watch, { maxResults: 2, now });
+  assert.equal(second.since, first.since);
+  assert.equal(second.articles.length, 2);
+  assert.equal(second.truncated, true);
+
+  const third = await runWatch(watch, { maxResults: 2, now });
+  assert.equal(third.truncated, false);
+  assert.equal(watch.lastRunAt, now.toISOString());
+
+  const reported = [first, second, third].flatMap(digest => digest.articles.map(a => a.pmid));
+  assert.equal(new Set(reported).size, reported.length);
+  assert.equal(reported.length, first.totalResults);
+});
@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub } from './helpers.js';
+import { countPubMed } from '../src/pubmed-client.js';
+import {
+  publicationTimeline,
+  summarizeTimeline,
+  aggregateArticles,
+  analyzeDiseaseTrends,
+  formatTimelineChart,
+} from '../src/trend-analytics.js';
+
+let stub;
+before(async () => { stub = await startStub(); });
+after(() => stub.close());
+
+test('countPubMed asks ESearch for a count only', async () => {
+  assert.equal(await countPubMed('MEN1', { minDate: '2020/01/01', maxDate: '2021/12/31' }), 2);
+  assert.ok(stub.server.requests.some(url => url.includes('rettype=count')));
+});
+
+test('publicationTimeline counts each year and validates the range', async () => {
+  const timeline = await publicationTimeline('MEN1', { fromYear: 2019, toYear: 2021 });
+  assert.deepEqual(timeline, [
+    { year: 2019, count: 1, partial: false },
+    { year: 2020, count: 1, partial: false },
+    { year: 2021, count: 1, partial: false },
+  ]);
+  await assert.rejects(publicationTimeline('MEN1', { fromYear: 2021, toYear: 2019 }), /after toYear/);
+  await assert.rejects(publicationTimeline('MEN1', { fromYear: 1800, toYear: 2000 }), /at most 100 years/);
+});
+
+test('summarizeTimeline compares the last five complete years with the five before', () => {
+  const timeline = [10, 10, 10, 10, 10, 20, 20, 20, 20, 20]
+    .map((count, i) => ({ year: 2010 + i, count, partial: false }))
+    .concat({ year: 2020, count: 3, partial: true });
+  const trend = summarizeTimeline(timeline);
+  assert.equal(trend.direction, 'growing');
+  assert.equal(trend.change, 1);
+  assert.deepEqual(trend.peak, { year: 2015, count: 20 });
+  assert.equal(trend.total, 153);
+});
+
+test('aggregateArticles skips check tags, generic types and the disease itself', () => {
+  const articles = [
+    { journal: 'A', publicationTypes: ['Journal Article', 'Review'], meshHeadings: [{ descriptor: 'Humans' }, { descriptor: 'MEN1' }, { descriptor: 'Insulinoma', majorTopic: true }] },
+    { journal: 'A', publicationTypes: ['Journal Article'], meshHeadings: [{ descriptor: 'Insulinoma' }] },
+  ];
+  const profile = aggregateArticles(articles, { excludeMesh: ['MEN1'] });
+  assert.deepEqual(profile.journals, [{ name: 'A', count: 2, share: 1 }]);
+  assert.deepEqual(profile.publicationTypes.map(t => t.name), ['Review']);
+  assert.deepEqual(profile.meshTerms.map(({ name, count, majorTopic }) => [name, count, majorTopic]), [['Insulinoma', 2, 1]]);
+});
+
+test('analyzeDiseaseTrends uses the whole literature, not the default subheadings', async () => {
+  const result = await analyzeDiseaseTrends('MEN1', { fromYear: 2019, toYear: 2023, sampleSize: 3 });
+  assert.doesNotMatch(result.query, /Subheading/);
+  assert.equal(result.sample.size, 3);
+  assert.ok(!result.meshTerms.some(term => term.name === 'Multiple Endocrine Neoplasia Type 1'));
+  assert.match(formatTimelineChart(result.timeline, { width: 10 }), /^2019  │█{10} 1$/m);
+});
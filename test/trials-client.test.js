@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startStub, startTrialsStub } from './helpers.js';
+import {
+  searchTrials,
+  searchTrialsByDisease,
+  getTrials,
+  extractNctIds,
+  findTrialPublications,
+  linkTrialsToArticles,
+  formatTrials,
+  ONGOING_STATUSES,
+} from '../src/trials-client.js';
+import { fetchDetails } from '../src/pubmed-client.js';
+
+let stub;
+let trialsStub;
+before(async () => {
+  stub = await startStub();
+  trialsStub = await startTrialsStub();
+});
+after(async () => {
+  await trialsStub.close();
+  await stub.close();
+});
+
+test('searchTrials filters by status and phase', async () => {
+  const result = await searchTrials('Multiple Endocrine Neoplasia Type 1', { statuses: ONGOING_STATUSES });
+  assert.deepEqual(result.trials.map(t => t.nctId), ['NCT90000011', 'NCT90000012']);
+  assert.equal(result.totalCount, 2);
+
+  const phase2 = await searchTrials('Multiple Endocrine Neoplasia Type 1', { phases: ['phase 2', '3'] });
+  assert.deepEqual(phase2.trials.map(t => t.nctId), ['NCT90000002', 'NCT90000011']);
+  assert.match(trialsStub.server.requests.at(-1), /AREA%5BPhase%5D%28PHASE2\+OR\+PHASE3%29/);
+});
+
+test('searchTrials parses study records', async () => {
+  const { trials: [trial] } = await searchTrials('MEN1', { statuses: 'recruiting' });
+  assert.equal(trial.nctId, 'NCT90000011');
+  assert.equal(trial.status, 'recruiting');
+  assert.deepEqual(trial.phases, ['Phase 2']);
+  assert.equal(trial.enrollment, 60);
+  assert.deepEqual(trial.interventions, [{ type: 'DRUG', name: 'Everolimus' }]);
+  assert.equal(trial.url, 'https://clinicaltrials.gov/study/NCT90000011');
+});
+
+test('searchTrials rejects unknown statuses and phases before searching', async () => {
+  const before = trialsStub.server.requests.length;
+  await assert.rejects(searchTrials('MEN1', { statuses: ['open'] }), /Unknown trial status/);
+  await assert.rejects(searchTrials('MEN1', { phases: ['5'] }), /Unknown trial phase/);
+  assert.equal(trialsStub.server.requests.length, before);
+});
+
+test('searchTrialsByDisease searches under the MeSH heading', async () => {
+  const result = await searchTrialsByDisease('Wermer Syndrome');
+  assert.equal(result.mesh.ui, 'D018761');
+  assert.equal(result.condition, 'Multiple Endocrine Neoplasia Type 1');
+  assert.equal(result.trials.length, 3);
+});
+
+test('getTrials fetches by NCT number in order', async () => {
+  const trials = await getTrials(['nct90000012', 'NCT90000002', 'NCT90000099']);
+  assert.deepEqual(trials.map(t => t.nctId), ['NCT90000012', 'NCT90000002']);
+  await assert.rejects(getTrials(['NCT123']), /Invalid NCT number/);
+});
+
+test('articles carry the NCT numbers of their DataBankList and abstract', async () => {
+  const [article] = await fetchDetails(['90000002']);
+  assert.deepEqual(article.trialIds, ['NCT90000002']);
+  assert.deepEqual(extractNctIds('Registered as NCT01234567 (see also NCT01234567, NCT7654321).'), ['NCT01234567']);
+});
+
+test('trials link to the articles that report them', async () => {
+  const trials = await getTrials(['NCT90000002', 'NCT90000011', 'NCT90000012']);
+  const published = await findTrialPublications(trials);
+  assert.deepEqual(published.trials.map(t => t.pmids), [['90000002'], [], []]);
+
+  // Registry references link too
+  const articles = await fetchDetails(['90000003']);
+  assert.deepEqual(linkTrialsToArticles(trials, articles).map(t => t.pmids), [[], [], ['90000003']]);
+
+  assert.match(formatTrials(published.trials), /NCT90000002.*\n.*Completed · Phase 3 · 120 participants.*Reported in PMID 90000002/);
+});